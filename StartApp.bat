@@ -54,5 +54,5 @@ if not exist "%~dp0node_modules" (
 :: 5. Launch Server
 echo [SUCCESS] Starting Financial Hub...
 echo.
-node server.js
+node server.js %*
 exit /b 0
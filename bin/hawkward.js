@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+const path = require('path');
+const { run } = require('../lib/cli');
+
+process.exitCode = run(process.argv.slice(2), {
+    env: process.env,
+    defaultDataDir: path.join(__dirname, '..', 'data'),
+});
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+/**
+ * PIN lock for the web UI.
+ * The PIN is stored only as a salted scrypt hash. After a successful unlock
+ * the server issues a random session token that every data request must carry.
+ */
+
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 64;
+const PIN_KDF = { N: 16384, r: 8, p: 1 };
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 1000;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+function validatePin(pin) {
+    if (typeof pin !== 'string' || pin.length < MIN_PIN_LENGTH || pin.length > MAX_PIN_LENGTH) {
+        return `PIN must be ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} characters`;
+    }
+    return null;
+}
+
+function derive(pin, salt) {
+    return crypto.scryptSync(String(pin), Buffer.from(salt, 'base64'), 32, PIN_KDF);
+}
+
+/**
+ * Hashes a PIN for storage.
+ * @returns {Object} {salt, hash}, both base64.
+ */
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    return { salt, hash: derive(pin, salt).toString('base64') };
+}
+
+function verifyPin(pin, record) {
+    if (!record || typeof record.salt !== 'string' || typeof record.hash !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(record.hash, 'base64');
+    const actual = derive(pin, record.salt);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates an in-memory session store. Tokens die with the server process, or
+ * once they have not been used for `idleMs`.
+ * @returns {Object} {issue, isValid, use, revoke, revokeAll}; `use()` is
+ *   `isValid()` that also restarts the idle timer.
+ */
+function createSessionStore(idleMs = SESSION_IDLE_MS, now = Date.now) {
+    // token -> when it was last used
+    const tokens = new Map();
+
+    const isValid = (token) => {
+        if (typeof token !== 'string' || !tokens.has(token)) return false;
+        if (now() - tokens.get(token) < idleMs) return true;
+        tokens.delete(token);
+        return false;
+    };
+
+    return {
+        issue() {
+            const token = crypto.randomBytes(32).toString('hex');
+            tokens.set(token, now());
+            return token;
+        },
+        isValid,
+        use(token) {
+            if (!isValid(token)) return false;
+            tokens.set(token, now());
+            return true;
+        },
+        revoke: (token) => tokens.delete(token),
+        revokeAll: () => tokens.clear(),
+    };
+}
+
+/**
+ * Slows down PIN guessing: after MAX_FAILED_ATTEMPTS wrong PINs in a row,
+ * further attempts are refused for LOCKOUT_MS.
+ * @returns {Object} {retryAfter, fail, succeed}; `retryAfter()` is the wait in ms (0 if none).
+ */
+function createAttemptLimiter(now = Date.now) {
+    let failures = 0;
+    let blockedUntil = 0;
+
+    return {
+        retryAfter: () => Math.max(0, blockedUntil - now()),
+        fail() {
+            failures += 1;
+            if (failures >= MAX_FAILED_ATTEMPTS) {
+                failures = 0;
+                blockedUntil = now() + LOCKOUT_MS;
+            }
+        },
+        succeed() {
+            failures = 0;
+        },
+    };
+}
+
+module.exports = {
+    MIN_PIN_LENGTH,
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MS,
+    SESSION_IDLE_MS,
+    validatePin,
+    hashPin,
+    verifyPin,
+    createSessionStore,
+    createAttemptLimiter,
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CHECKSUM_FIELD = 'checksum';
+
+function computeChecksum(body) {
+    return crypto.createHash('sha256').update(body, 'utf8').digest('hex');
+}
+
+/**
+ * Serializes data with a SHA-256 checksum of its own pretty-printed JSON.
+ * The checksum lives inside the file so both are replaced by a single rename.
+ * @param {Object} data - The database snapshot (without checksum).
+ * @returns {string} File content.
+ */
+function serializeWithChecksum(data) {
+    const { [CHECKSUM_FIELD]: _ignored, ...rest } = data || {};
+    const body = JSON.stringify(rest, null, 2);
+    return JSON.stringify({ [CHECKSUM_FIELD]: computeChecksum(body), ...rest }, null, 2);
+}
+
+/**
+ * Parses file content and verifies the embedded checksum.
+ * Files without a checksum (written before it existed) are accepted as-is.
+ * @param {string} raw - File content.
+ * @returns {Object} The parsed data without the checksum field.
+ * @throws {Error} When the content is not JSON or the checksum does not match.
+ */
+function parseVerified(raw) {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Data file does not contain a JSON object');
+    }
+
+    const { [CHECKSUM_FIELD]: expected, ...rest } = parsed;
+    if (expected === undefined) return rest;
+
+    if (computeChecksum(JSON.stringify(rest, null, 2)) !== expected) {
+        throw new Error('Data file checksum mismatch (partial or corrupted write)');
+    }
+    return rest;
+}
+
+async function fsyncDirectory(dir) {
+    // Not supported on every platform (e.g. Windows); the rename is still atomic there
+    try {
+        const handle = await fs.promises.open(dir, 'r');
+        try {
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    } catch (err) {
+        // ignore
+    }
+}
+
+/**
+ * Writes a file crash-safely: temp file, fsync, then rename over the target.
+ * A crash at any point leaves either the old or the new content, never a mix.
+ * @param {string} file - Target path.
+ * @param {string} content - Full file content.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmpFile, file);
+    await fsyncDirectory(path.dirname(file));
+}
+
+/**
+ * Synchronous variant of writeFileAtomic for startup code paths.
+ */
+function writeFileAtomicSync(file, content) {
+    const tmpFile = `${file}.tmp`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeFileSync(fd, content, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+}
+
+module.exports = {
+    CHECKSUM_FIELD,
+    serializeWithChecksum,
+    parseVerified,
+    writeFileAtomic,
+    writeFileAtomicSync,
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeData } = require('./data-utils');
+const { migrate } = require('./migrations');
+const { serializeWithChecksum, parseVerified, writeFileAtomicSync } = require('./atomic-write');
+const { PLAIN_CODEC } = require('./encryption');
+
+const MAX_BACKUPS = 10;
+// The single copy kept next to data.json before backups were versioned
+const LEGACY_BACKUP_FILE = 'data.backup.json';
+const BACKUP_ID_PATTERN = /^data-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)$/;
+
+function toBackupId(date, reason) {
+    const stamp = date.toISOString().replace(/[:.]/g, '-');
+    const safeReason = String(reason || 'manual')
+        .toLowerCase()
+        .replace(/[^a-z-]/g, '-');
+    return `data-${stamp}-${safeReason}`;
+}
+
+function parseBackupId(id) {
+    const match = BACKUP_ID_PATTERN.exec(String(id || ''));
+    if (!match) return null;
+    const [, stamp, reason] = match;
+    const iso = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+    return { id: match[0], reason, createdAt: iso };
+}
+
+function parseSnapshot(raw) {
+    try {
+        const parsed = typeof raw === 'string' ? parseVerified(raw) : raw;
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+        return parsed;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Parses a raw snapshot, verifies its checksum, upgrades it to the current
+ * schema and runs it through normalizeData.
+ * Returns null when the content is not a usable database snapshot.
+ */
+function validateSnapshot(raw) {
+    const parsed = parseSnapshot(raw);
+    if (!parsed) return null;
+    try {
+        return normalizeData(migrate(parsed).data);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Lists the snapshots in a backup directory, newest first.
+ * @param {string} backupDir - Directory holding the snapshot files.
+ * @returns {Object[]} Array of {id, reason, createdAt, size}.
+ */
+function listBackups(backupDir) {
+    if (!fs.existsSync(backupDir)) return [];
+
+    return fs
+        .readdirSync(backupDir)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => {
+            const info = parseBackupId(path.basename(file, '.json'));
+            if (!info) return null;
+            const { size } = fs.statSync(path.join(backupDir, file));
+            return { ...info, size };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Deletes the oldest snapshots so that at most `maxBackups` remain.
+ */
+function pruneBackups(backupDir, maxBackups = MAX_BACKUPS) {
+    listBackups(backupDir)
+        .slice(maxBackups)
+        .forEach((backup) => fs.unlinkSync(path.join(backupDir, `${backup.id}.json`)));
+}
+
+/**
+ * Validates a snapshot and stores it as a new timestamped backup.
+ * Invalid snapshots are never kept, so a corrupted data file cannot
+ * push a good backup out of the rotation. The content is stored as-is (not
+ * migrated or normalized) and only upgraded when it is read back.
+ * @param {string} backupDir - Directory holding the snapshot files.
+ * @param {string|Object} raw - File content or already parsed data.
+ * @param {string} reason - Why the backup was taken (e.g. 'startup', 'import').
+ * @param {Object} [codec] - Encodes the file on disk (see lib/encryption.js).
+ * @returns {Object|null} The new backup entry, or null if the snapshot was invalid.
+ */
+function createBackup(backupDir, raw, reason, maxBackups = MAX_BACKUPS, codec = PLAIN_CODEC) {
+    return storeBackup(backupDir, raw, reason, new Date(), maxBackups, codec);
+}
+
+// createBackup() with the time the snapshot was taken
+function storeBackup(backupDir, raw, reason, takenAt, maxBackups, codec) {
+    const snapshot = parseSnapshot(raw);
+    if (!snapshot || !validateSnapshot(snapshot)) return null;
+
+    if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+    }
+
+    // Two backups in the same millisecond would share an id; nudge the clock
+    let date = takenAt;
+    while (fs.existsSync(path.join(backupDir, `${toBackupId(date, reason)}.json`))) {
+        date = new Date(date.getTime() + 1);
+    }
+
+    const id = toBackupId(date, reason);
+    const payload = codec.encode(serializeWithChecksum(snapshot));
+    writeFileAtomicSync(path.join(backupDir, `${id}.json`), payload);
+    pruneBackups(backupDir, maxBackups);
+
+    return { ...parseBackupId(id), size: Buffer.byteLength(payload) };
+}
+
+/**
+ * Moves the `data.backup.json` of older versions into the backup rotation,
+ * dated by when it was written, so a damaged data file can still be restored
+ * from it after an upgrade. A legacy file that does not validate stays where it is.
+ * @param {string} dir - Folder holding data.json and the legacy file.
+ * @returns {Object|null} The new backup entry, or null when there was nothing usable.
+ */
+function adoptLegacyBackup(dir, backupDir, codec = PLAIN_CODEC, maxBackups = MAX_BACKUPS) {
+    const file = path.join(dir, LEGACY_BACKUP_FILE);
+    let raw;
+    let writtenAt;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+        writtenAt = fs.statSync(file).mtime;
+    } catch (err) {
+        return null;
+    }
+
+    const backup = storeBackup(backupDir, raw, 'legacy', writtenAt, maxBackups, codec);
+    if (backup) fs.unlinkSync(file);
+    return backup;
+}
+
+/**
+ * Reads and validates a single backup by id.
+ * @returns {Object|null} The normalized snapshot, or null if missing or invalid.
+ */
+function readBackup(backupDir, id, codec = PLAIN_CODEC) {
+    const info = parseBackupId(id);
+    if (!info) return null;
+
+    const file = path.join(backupDir, `${info.id}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+        return validateSnapshot(codec.decode(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Returns the newest backup that still validates, walking back through the rotation.
+ * @returns {Object|null} {id, data} or null if no usable backup exists.
+ */
+function readLatestValidBackup(backupDir, codec = PLAIN_CODEC) {
+    for (const backup of listBackups(backupDir)) {
+        const data = readBackup(backupDir, backup.id, codec);
+        if (data) return { id: backup.id, data };
+    }
+    return null;
+}
+
+/**
+ * Rewrites every backup with a different codec, e.g. after the passphrase
+ * changed. Backups the old codec cannot read are left untouched.
+ * @returns {number} How many backups were rewritten.
+ */
+function reencodeBackups(backupDir, fromCodec, toCodec) {
+    let count = 0;
+    listBackups(backupDir).forEach((backup) => {
+        const file = path.join(backupDir, `${backup.id}.json`);
+        try {
+            const text = fromCodec.decode(fs.readFileSync(file, 'utf8'));
+            writeFileAtomicSync(file, toCodec.encode(text));
+            count += 1;
+        } catch (err) {
+            // Unreadable with the old key: nothing we can convert
+        }
+    });
+    return count;
+}
+
+module.exports = {
+    MAX_BACKUPS,
+    LEGACY_BACKUP_FILE,
+    validateSnapshot,
+    listBackups,
+    pruneBackups,
+    createBackup,
+    adoptLegacyBackup,
+    readBackup,
+    readLatestValidBackup,
+    reencodeBackups,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { normalizeData } = require('./data-utils');
+
+/**
+ * iCalendar (RFC 5545) feed of bill and income due dates. Every active
+ * account with a `dueDate` becomes an all-day event that repeats at the
+ * account's billing frequency from that date, so calendar apps can subscribe
+ * to GET /api/calendar.ics.
+ *
+ * Calendar apps cannot log in, so when a PIN is set the feed is opened with a
+ * random feed key instead of a session token.
+ */
+
+const PRODUCT_ID = '-//Hawkward Finances//Bill Calendar//EN';
+const DEFAULT_CURRENCY = '€';
+const MAX_LINE_OCTETS = 75;
+// Months between payments of the month-based frequencies
+const MONTH_INTERVALS = { monthly: 1, quarterly: 3, semiannual: 6 };
+const FREQUENCY_TEXT = {
+    weekly: 'a week',
+    biweekly: 'every two weeks',
+    monthly: 'a month',
+    quarterly: 'a quarter',
+    semiannual: 'every six months',
+    annual: 'a year',
+};
+
+// TEXT values escape backslashes, separators and line breaks
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Long lines are folded at 75 octets, without splitting a UTF-8 character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+    return date
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d{3}/, '');
+}
+
+function formatAmount(currency, value) {
+    return `${currency}${value.toFixed(2)}`;
+}
+
+/**
+ * BYMONTHDAY for a day that some months do not have: RFC 5545 skips those
+ * months, so the 29th and 30th fall back to the last day of shorter months
+ * (the latest of 28..day that exists) and the 31st is simply the last day.
+ */
+function monthDayRule(day) {
+    if (day === 31) return 'BYMONTHDAY=-1';
+    if (day < 29) return `BYMONTHDAY=${day}`;
+    const days = Array.from({ length: day - 27 }, (_, index) => 28 + index);
+    return `BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+}
+
+/**
+ * Repetition of an account's due date at its billing frequency. Month-based
+ * and yearly dates late in the month also land in months that are too short.
+ */
+function recurrenceRule(account) {
+    const month = Number(account.dueDate.slice(5, 7));
+    const day = Number(account.dueDate.slice(8, 10));
+    if (account.frequency === 'weekly') return 'FREQ=WEEKLY';
+    if (account.frequency === 'biweekly') return 'FREQ=WEEKLY;INTERVAL=2';
+    if (account.frequency === 'annual') {
+        return month === 2 && day === 29
+            ? `FREQ=YEARLY;BYMONTH=2;${monthDayRule(29)}`
+            : 'FREQ=YEARLY';
+    }
+
+    const interval =
+        account.frequency === 'custom'
+            ? account.intervalMonths
+            : MONTH_INTERVALS[account.frequency];
+    return `FREQ=MONTHLY;${interval > 1 ? `INTERVAL=${interval};` : ''}${monthDayRule(day)}`;
+}
+
+function describeAccount(account, currency, ownerName) {
+    const every =
+        account.frequency === 'custom'
+            ? `every ${account.intervalMonths} months`
+            : FREQUENCY_TEXT[account.frequency];
+    const lines = [
+        account.type === 'income' ? 'Income' : 'Bill',
+        `Amount: ${formatAmount(currency, account.amount)} ${every}`,
+        account.frequency !== 'monthly'
+            ? `Monthly equivalent: ${formatAmount(currency, account.monthlyPayment)}`
+            : null,
+        `Category: ${account.category || 'Uncategorized'}`,
+        ownerName ? `Owner: ${ownerName}` : null,
+        account.priority ? `Criticality: ${account.priority}` : null,
+    ];
+    return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Builds the calendar.
+ * @param {Object} db - Raw database.
+ * @param {Object} [options] - {name, workspace, now}. `workspace` keeps event
+ *     UIDs unique when several workspaces are subscribed to.
+ * @returns {string} iCalendar text with CRLF line endings.
+ */
+function buildCalendar(db, { name = 'Hawkward Finances', workspace = 'default', now } = {}) {
+    const data = normalizeData(db);
+    const currency =
+        (data.settings.appSettings && data.settings.appSettings.currency) || DEFAULT_CURRENCY;
+    const cards = data.profile.cards || [];
+    const stamp = formatTimestamp(now || new Date());
+
+    const events = data.accounts
+        .filter((account) => account.status === 'Active' && account.dueDate)
+        .flatMap((account) => {
+            const owner = cards.find((card) => card.id === account.ownerId);
+            const icon = account.type === 'income' ? '💰' : '💸';
+            return [
+                'BEGIN:VEVENT',
+                `UID:account-${account.id}.${workspace}@hawkward-finances`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${formatDate(account.dueDate)}`,
+                'DURATION:P1D',
+                `RRULE:${recurrenceRule(account)}`,
+                `SUMMARY:${escapeText(`${icon} ${account.name} (${formatAmount(currency, account.amount)})`)}`,
+                `DESCRIPTION:${escapeText(describeAccount(account, currency, owner && owner.displayName))}`,
+                `CATEGORIES:${escapeText(account.category || 'Uncategorized')}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT',
+            ];
+        });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events,
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function createFeedKey() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function isFeedKey(candidate, key) {
+    if (typeof candidate !== 'string' || typeof key !== 'string') return false;
+    const expected = Buffer.from(key);
+    const actual = Buffer.from(candidate);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    buildCalendar,
+    createFeedKey,
+    isFeedKey,
+};
@@ -0,0 +1,718 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeData } = require('./data-utils');
+const { MAX_BACKUPS, createBackup } = require('./backups');
+const { migrate } = require('./migrations');
+const { RESOURCES, findRecord, createRecord, updateRecord, deleteRecord } = require('./resources');
+const { getRevision } = require('./revisions');
+const { PLAIN_CODEC, isEncrypted, unlockCodec } = require('./encryption');
+const { diffSnapshots, createEntries, appendEntries } = require('./history');
+const { mergeData, planMerge, readImportSnapshot } = require('./merge');
+const { importAccountsCsv } = require('./csv-import');
+const { importStatement, planStatement } = require('./statements');
+const { FORMATS: WORKBOOK_FORMATS, exportWorkbook } = require('./workbook');
+const { buildCalendar } = require('./calendar');
+const { DATA_SCHEMA } = require('./schema');
+const { getWorkspacePaths, findWorkspace, readRegistry } = require('./workspaces');
+const { findRunningServer } = require('./instance');
+const { loadPlugins, installPlugins } = require('./plugins');
+const {
+    STORAGE_KINDS,
+    emptyData,
+    createStorage,
+    openStorage,
+    migrateStorage,
+} = require('./storage');
+
+/**
+ * `hawkward` command-line interface: reads and changes a workspace's
+ * data (data.json or data.sqlite) directly, without starting the server or a browser. Writes go
+ * through the same checksum, revision, history and backup rules as the
+ * server, so the app picks the changes up on its next start.
+ *
+ * The server keeps the current revision in memory, so commands that write
+ * refuse to run while a server is using the data folder.
+ */
+
+const DEFAULT_CURRENCY = '€';
+const STATEMENT_CHOICES = ['all', 'none'];
+
+const USAGE = `Usage: hawkward [options] <command>
+
+Records (accounts, cards, goals):
+  <records> list [--json]             List the records
+  <records> add --<field> <value>...  Add a record, e.g. accounts add --name Rent --amount 950
+  <records> edit <id> --<field> <value>...
+  <records> delete <id>
+
+Reports and exports:
+  summary [--json]                    Monthly income, expenses and net flow, per card and category
+  export json [--out <file>]          Full snapshot, as the app's JSON export
+  export workbook [--format xlsx|ods] [--out <file>]
+  export calendar [--out <file>]      Bill and income due dates as iCalendar
+  workspaces                          List the workspaces
+  storage [json|sqlite]               Show where the data is stored, or move it to another backend
+
+Imports (--dry-run shows what would change):
+  import json <file> [--merge]        Replace all data, or merge new and changed records
+  import csv <file> [--delimiter <c>] [--decimal <c>]
+  import statement <file> [--accept all|none|<id>,...]
+
+Options:
+  --data-dir <dir>     Data folder (default ./data next to server.js)
+  --workspace <id>     Workspace to use (default: the one open in the app)
+  --help               Show this help
+
+Environment: HAWKWARD_DATA_DIR, HAWKWARD_WORKSPACE, HAWKWARD_PASSPHRASE (for encrypted data)
+Stop the app before changing data with the CLI.`;
+
+const BOOLEAN_FLAGS = new Set(['json', 'merge', 'dry-run', 'help']);
+const GLOBAL_FLAGS = new Set(['data-dir', 'workspace']);
+
+// Singular names used in messages
+const RECORD_LABELS = { accounts: 'account', cards: 'card', goals: 'goal' };
+
+/**
+ * Splits arguments into positional words and `--flag value` pairs.
+ * Flags may also be written `--flag=value`; `-h` is `--help`.
+ * @returns {Object} {words, flags}
+ * @throws {Error} When a flag that needs a value has none.
+ */
+function parseArgs(argv) {
+    const words = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i] === '-h' ? '--help' : argv[i];
+        if (!arg.startsWith('--')) {
+            words.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.has(name)) {
+            flags[name] = true;
+        } else {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            flags[name] = value;
+        }
+    }
+    return { words, flags };
+}
+
+// --monthly-payment and --monthlyPayment name the same field
+function toFieldName(flag) {
+    return flag.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Turns `--field value` flags into record input, typed by the record's schema:
+ * numbers become numbers, `true`/`false` booleans and an empty value null
+ * where the field allows it. Unknown fields are passed on as text, so the
+ * schema check reports them (cards keep them as template fields).
+ */
+function toRecordInput(name, flags) {
+    const properties = DATA_SCHEMA.$defs[RESOURCES[name].schema].properties;
+    const input = {};
+
+    Object.entries(flags).forEach(([flag, value]) => {
+        if (BOOLEAN_FLAGS.has(flag) || GLOBAL_FLAGS.has(flag)) return;
+        const field = toFieldName(flag);
+        const property = properties[field] || {};
+        const types = [].concat(property.type || []);
+
+        if (field === 'id') throw new Error('The id is assigned automatically');
+        if (types.includes('null') && (value === '' || value === 'null')) {
+            input[field] = null;
+        } else if (
+            (types.includes('number') || types.includes('integer')) &&
+            value.trim() !== '' &&
+            !Number.isNaN(Number(value))
+        ) {
+            input[field] = Number(value);
+        } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            input[field] = value === 'true';
+        } else {
+            input[field] = value;
+        }
+    });
+    return input;
+}
+
+/**
+ * Opens one workspace's storage (lib/storage.js) for reading and writing.
+ * Missing data reads as an empty database and is created by the first write.
+ * @param {Object} options - {dataDir, workspace, passphrase}.
+ * @returns {Object} {workspace, storage, read(), write(data, source),
+ *     backup(reason), moveTo(kind)}.
+ * @throws {Error} For an unknown workspace, or encrypted data without the
+ *     right passphrase.
+ */
+function openStore({ dataDir, workspace, passphrase }) {
+    const registry = readRegistry(dataDir);
+    const id = workspace || registry.active;
+    const entry = findWorkspace(registry, id);
+    if (!entry) throw new Error(`Unknown workspace: ${id}`);
+
+    const paths = getWorkspacePaths(dataDir, id);
+    let storage = openStorage(paths);
+    const raw = storage.peek();
+    let codec = PLAIN_CODEC;
+    if (raw !== null && isEncrypted(raw)) {
+        if (!passphrase) {
+            throw new Error('Data is encrypted. Set HAWKWARD_PASSPHRASE to unlock it.');
+        }
+        codec = unlockCodec(passphrase, raw);
+    }
+
+    let stored = null;
+    if (storage.exists()) {
+        try {
+            stored = storage.read(codec);
+        } catch (err) {
+            throw new Error(
+                `${storage.location} is damaged (${err.message}). Start the app to restore the newest valid backup.`
+            );
+        }
+    }
+    const migration = stored ? migrate(stored) : { data: emptyData(), applied: [] };
+
+    // Each call returns a fresh copy, so a dry run never changes what is written
+    const read = () => JSON.parse(JSON.stringify(migration.data));
+
+    // Checked before every change: the server would overwrite it with its own revision
+    const assertNoServer = () => {
+        const pid = findRunningServer(dataDir);
+        if (pid) {
+            throw new Error(
+                `The app is running on this data folder (pid ${pid}). Stop it before changing data with the CLI.`
+            );
+        }
+    };
+
+    const backup = (reason) => {
+        assertNoServer();
+        if (stored === null) return null;
+        return createBackup(paths.backupDir, stored, reason, MAX_BACKUPS, codec);
+    };
+
+    const write = (data, source) => {
+        assertNoServer();
+        if (migration.applied.length > 0) backup('pre-migration');
+        const revision = getRevision(migration.data) + 1;
+        storage.writeSync({ ...data, revision }, codec);
+
+        // The write itself already succeeded, so a history failure is only reported
+        try {
+            const changes = diffSnapshots(normalizeData(stored || {}), normalizeData(data));
+            appendEntries(paths.historyFile, createEntries(changes, { revision, source }), codec);
+        } catch (err) {
+            console.warn('⚠️ Failed to write change history:', err.message);
+        }
+        return revision;
+    };
+
+    // Keeps the stored content as it is: same revision, same encryption
+    const moveTo = (kind) => {
+        assertNoServer();
+        createStorage(kind, paths).close(); // Fails before the backup when unavailable
+        backup('pre-storage');
+        if (stored === null) storage.writeSync(emptyData(), codec);
+        storage.close();
+        storage = migrateStorage(paths, kind, codec);
+        return storage;
+    };
+
+    return {
+        workspace: entry,
+        get storage() {
+            return storage;
+        },
+        read,
+        write,
+        backup,
+        moveTo,
+    };
+}
+
+function currencyOf(data) {
+    return (data.settings.appSettings && data.settings.appSettings.currency) || DEFAULT_CURRENCY;
+}
+
+function formatMoney(currency, value) {
+    return `${currency}${(Number(value) || 0).toFixed(2)}`;
+}
+
+// Plain-text table with columns padded to their widest cell
+function formatTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+    );
+    const line = (cells) =>
+        cells
+            .map((cell, column) => String(cell).padEnd(widths[column]))
+            .join('  ')
+            .trimEnd();
+    return [line(headers), line(widths.map((width) => '-'.repeat(width))), ...rows.map(line)].join(
+        '\n'
+    );
+}
+
+const isIncome = (account) => account.type === 'income';
+
+function monthlyTotal(accounts, income) {
+    return accounts
+        .filter((account) => isIncome(account) === income)
+        .reduce((sum, account) => sum + account.monthlyPayment, 0);
+}
+
+// "€90.00 quarterly", "€120.00 every 24 months"
+function describeBilling(currency, { frequency, amount, intervalMonths }) {
+    const every = frequency === 'custom' ? `every ${intervalMonths} months` : frequency;
+    return `${formatMoney(currency, amount)} ${every}`;
+}
+
+/**
+ * Columns of `<records> list`.
+ * @returns {Object} {headers, rows}
+ */
+function listRows(name, data) {
+    const currency = currencyOf(data);
+    const cards = data.profile.cards || [];
+
+    if (name === 'accounts') {
+        return {
+            headers: [
+                'ID',
+                'Name',
+                'Category',
+                'Type',
+                'Billing',
+                'Monthly',
+                'Annual',
+                'Status',
+                'Owner',
+            ],
+            rows: data.accounts.map((account) => {
+                const owner = cards.find((card) => card.id === account.ownerId);
+                return [
+                    account.id,
+                    account.name,
+                    account.category || '-',
+                    account.type,
+                    describeBilling(currency, account),
+                    formatMoney(currency, account.monthlyPayment),
+                    formatMoney(currency, account.annualPayment),
+                    account.status,
+                    owner ? owner.displayName : '-',
+                ];
+            }),
+        };
+    }
+    if (name === 'cards') {
+        return {
+            headers: ['ID', 'Name', 'Full Name', 'Type', 'Accounts', 'Monthly Spend'],
+            rows: cards.map((card) => {
+                const owned = data.accounts.filter(
+                    (account) => account.ownerId === card.id && account.status === 'Active'
+                );
+                return [
+                    card.id,
+                    card.displayName,
+                    card.fullName,
+                    card.type,
+                    owned.length,
+                    formatMoney(currency, monthlyTotal(owned, false)),
+                ];
+            }),
+        };
+    }
+    return {
+        headers: ['ID', 'Name', 'Saved', 'Target', 'Progress'],
+        rows: data.goals.map((goal) => [
+            goal.id,
+            goal.name,
+            formatMoney(currency, goal.current),
+            formatMoney(currency, goal.target),
+            `${Math.min(100, (goal.current / goal.target) * 100 || 0).toFixed(1)}%`,
+        ]),
+    };
+}
+
+/**
+ * Monthly figures of the active accounts, as on the app's Reports tab.
+ * @returns {Object} {currency, accounts, income, expenses, net, cards, categories}
+ */
+function summarize(db) {
+    const data = normalizeData(db);
+    const active = data.accounts.filter((account) => account.status === 'Active');
+    const totals = (accounts) => {
+        const income = monthlyTotal(accounts, true);
+        const expenses = monthlyTotal(accounts, false);
+        return { income, expenses, net: income - expenses };
+    };
+
+    const owners = [
+        ...(data.profile.cards || []).map((card) => ({
+            id: card.id,
+            name: card.displayName,
+            accounts: active.filter((account) => account.ownerId === card.id),
+        })),
+        {
+            id: null,
+            name: 'Shared / Unassigned',
+            accounts: active.filter(
+                (account) => !(data.profile.cards || []).some((card) => card.id === account.ownerId)
+            ),
+        },
+    ];
+
+    const categories = {};
+    active.forEach((account) => {
+        const name = account.category || 'Uncategorized';
+        (categories[name] = categories[name] || []).push(account);
+    });
+
+    return {
+        currency: currencyOf(data),
+        accounts: active.length,
+        ...totals(active),
+        cards: owners
+            .filter((owner) => owner.accounts.length > 0)
+            .map(({ id, name, accounts }) => ({ id, name, ...totals(accounts) })),
+        categories: Object.entries(categories)
+            .map(([name, accounts]) => ({ name, accounts: accounts.length, ...totals(accounts) }))
+            .sort((a, b) => b.expenses - a.expenses),
+    };
+}
+
+function formatSummary(summary) {
+    const money = (value) => formatMoney(summary.currency, value);
+    const rows = (list) => list.map((row) => [row.name, money(row.income), money(row.expenses)]);
+    return [
+        `Active accounts:  ${summary.accounts}`,
+        `Monthly income:   ${money(summary.income)}`,
+        `Monthly expenses: ${money(summary.expenses)}`,
+        `Net flow:         ${money(summary.net)}`,
+        '',
+        formatTable(['Card', 'Income', 'Expenses'], rows(summary.cards)),
+        '',
+        formatTable(['Category', 'Income', 'Expenses'], rows(summary.categories)),
+    ].join('\n');
+}
+
+function readInputFile(cwd, file) {
+    if (!file) throw new Error('Name the file to import');
+    return fs.readFileSync(path.resolve(cwd, file), 'utf8');
+}
+
+// Writes to --out, or to stdout when there is none
+function writeOutput(context, flags, content) {
+    if (!flags.out) {
+        context.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+        return;
+    }
+    const file = path.resolve(context.cwd, flags.out);
+    fs.writeFileSync(file, content);
+    context.stdout.write(`Saved ${file}\n`);
+}
+
+function runRecords(name, [action, id], flags, context) {
+    const store = context.open();
+    const label = RECORD_LABELS[name];
+    const source = `cli ${name} ${action}`;
+
+    if (action === 'list') {
+        const data = normalizeData(store.read());
+        if (flags.json)
+            return context.print(JSON.stringify(RESOURCES[name].getList(data), null, 2));
+        const { headers, rows } = listRows(name, data);
+        return context.print(rows.length ? formatTable(headers, rows) : `No ${name} yet.`);
+    }
+
+    const db = store.read();
+    let result;
+    if (action === 'add') {
+        result = createRecord(db, name, toRecordInput(name, flags));
+    } else if (action === 'edit' || action === 'delete') {
+        if (id === undefined) throw new Error(`Name the ${label} to ${action}`);
+        if (!findRecord(db, name, id)) throw new Error(`No ${label} with id ${id}`);
+        result =
+            action === 'edit'
+                ? updateRecord(db, name, id, toRecordInput(name, flags))
+                : { record: deleteRecord(db, name, id) };
+    } else {
+        throw new Error(`Unknown ${name} command: ${action || '(none)'}`);
+    }
+    if (result.error) throw new Error(result.error);
+
+    store.write(db, source);
+    const record = result.record;
+    const title = record.name || record.displayName;
+    const verb = { add: 'Added', edit: 'Updated', delete: 'Deleted' }[action];
+    return context.print(`${verb} ${label} ${record.id} (${title})`);
+}
+
+function runExport([kind], flags, context) {
+    const store = context.open();
+    const db = store.read();
+
+    if (kind === 'json') {
+        const revision = getRevision(db);
+        return writeOutput(
+            context,
+            flags,
+            JSON.stringify({ ...normalizeData(db), revision }, null, 2)
+        );
+    }
+    if (kind === 'workbook') {
+        const format = flags.format || 'xlsx';
+        if (!WORKBOOK_FORMATS[format]) throw new Error('--format must be xlsx or ods');
+        const date = context.now().toISOString().split('T')[0];
+        const file = path.resolve(
+            context.cwd,
+            flags.out || `financial_report_${date}.${WORKBOOK_FORMATS[format].extension}`
+        );
+        fs.writeFileSync(file, exportWorkbook(db, format, context.now()));
+        return context.print(`Saved ${file}`);
+    }
+    if (kind === 'calendar') {
+        const calendar = buildCalendar(db, {
+            name: `${store.workspace.name} – Bills`,
+            workspace: store.workspace.id,
+            now: context.now(),
+        });
+        return writeOutput(context, flags, calendar);
+    }
+    throw new Error(`Unknown export: ${kind || '(none)'}`);
+}
+
+function runImportJson(store, text, flags, source, context) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`The file is not valid JSON: ${err.message}`);
+    }
+    const snapshot = readImportSnapshot(parsed);
+    if (snapshot.error) throw new Error(snapshot.error);
+
+    if (!flags.merge) {
+        if (flags['dry-run']) {
+            const counts = ['accounts', 'cards', 'goals', 'transactions'].map(
+                (name) => `${RESOURCES[name].getList(snapshot.data).length} ${name}`
+            );
+            return context.print(`Would replace all data with ${counts.join(', ')}.`);
+        }
+        store.backup('import');
+        store.write(snapshot.data, source);
+        return context.print('Replaced all data (a backup was taken first).');
+    }
+
+    // Merge: new and changed records are taken over; uncertain matches are skipped
+    const db = store.read();
+    const changes = planMerge(db, snapshot.data);
+    const accepted = changes.filter((change) => change.action !== 'conflict');
+    changes.forEach((change) =>
+        context.print(
+            `${change.action === 'conflict' ? 'skip' : change.action}  ${change.kind}  ${change.label}${
+                change.reason ? `  (${change.reason})` : ''
+            }`
+        )
+    );
+    if (flags['dry-run'] || accepted.length === 0) {
+        return context.print(`${accepted.length} of ${changes.length} changes would be applied.`);
+    }
+
+    store.backup('import');
+    const { applied } = mergeData(db, snapshot.data, new Set(accepted.map((change) => change.id)));
+    store.write(db, source);
+    return context.print(`Merged ${applied} of ${changes.length} changes.`);
+}
+
+function runImportCsv(store, text, flags, source, context) {
+    const db = store.read();
+    const delimiter = flags.delimiter === 'tab' ? '\t' : flags.delimiter;
+    const result = importAccountsCsv(db, text, { delimiter, decimal: flags.decimal });
+    if (result.error) throw new Error(result.error);
+
+    result.rejected.forEach(({ line, error }) => context.print(`Line ${line}: ${error}`));
+    const count = result.created.length;
+    if (flags['dry-run'] || count === 0) {
+        return context.print(`${count} accounts would be imported.`);
+    }
+    store.write(db, source);
+    return context.print(`Imported ${count} accounts.`);
+}
+
+function runImportStatement(store, text, flags, source, context) {
+    const db = store.read();
+    const preview = planStatement(db, text);
+    if (preview.error) throw new Error(preview.error);
+
+    // Matches of existing accounts ('link') are always applied
+    const choice = flags.accept || 'none';
+    const ids = STATEMENT_CHOICES.includes(choice)
+        ? preview.suggestions
+              .filter((suggestion) => choice === 'all' && suggestion.action !== 'link')
+              .map((suggestion) => suggestion.id)
+        : choice.split(',').map((id) => id.trim());
+    const currency = currencyOf(normalizeData(db));
+    preview.suggestions.forEach((suggestion) =>
+        context.print(
+            `${suggestion.id}  ${suggestion.action}  ${suggestion.payee}  ${describeBilling(
+                currency,
+                suggestion
+            )} (${formatMoney(currency, suggestion.monthlyPayment)} a month)`
+        )
+    );
+    preview.rejected.forEach(({ entry, error }) => context.print(`Entry ${entry}: ${error}`));
+
+    if (flags['dry-run']) {
+        return context.print(
+            `${preview.created.length} transactions would be imported, ${preview.duplicates} duplicates skipped.`
+        );
+    }
+
+    const result = importStatement(db, text, new Set(ids));
+    const changed = result.created.length + result.accounts.created + result.accounts.updated;
+    if (changed > 0) store.write(db, source);
+    return context.print(
+        `Imported ${result.created.length} transactions (${result.duplicates} duplicates skipped); ` +
+            `${result.accounts.created} accounts created, ${result.accounts.updated} updated.`
+    );
+}
+
+const IMPORTERS = {
+    json: runImportJson,
+    csv: runImportCsv,
+    statement: runImportStatement,
+};
+
+function runImport([kind, file], flags, context) {
+    const importer = IMPORTERS[kind];
+    if (!importer) throw new Error(`Unknown import: ${kind || '(none)'}`);
+    const text = readInputFile(context.cwd, file);
+    return importer(context.open(), text, flags, `cli import ${kind}`, context);
+}
+
+function runWorkspaces(context) {
+    const registry = readRegistry(context.dataDir);
+    return context.print(
+        formatTable(
+            ['ID', 'Name', 'Status'],
+            registry.workspaces.map((workspace) => [
+                workspace.id,
+                workspace.name,
+                workspace.id === registry.active ? 'open in the app' : '',
+            ])
+        )
+    );
+}
+
+function runStorage([kind], context) {
+    const store = context.open();
+    const current = store.storage;
+    if (!kind) {
+        return context.print(
+            `Workspace ${store.workspace.name} is stored as ${current.kind} in ${current.location}`
+        );
+    }
+    if (!STORAGE_KINDS.includes(kind)) {
+        throw new Error(`Unknown storage: ${kind}. Use one of: ${STORAGE_KINDS.join(', ')}`);
+    }
+    if (kind === current.kind) {
+        return context.print(`Workspace ${store.workspace.name} is already stored as ${kind}`);
+    }
+
+    const moved = store.moveTo(kind);
+    return context.print(`Moved workspace ${store.workspace.name} to ${kind}: ${moved.location}`);
+}
+
+/**
+ * Runs one CLI invocation.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @param {Object} [io] - {env, stdout, stderr, cwd, defaultDataDir, now}; `now`
+ *     is a clock function, replaced in tests.
+ * @returns {number} Exit code.
+ */
+function run(argv, io = {}) {
+    const env = io.env || {};
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let words;
+    let flags;
+    try {
+        ({ words, flags } = parseArgs(argv));
+    } catch (err) {
+        stderr.write(`❌ ${err.message}\n\n${USAGE}\n`);
+        return 1;
+    }
+    if (flags.help || words.length === 0 || words[0] === 'help') {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const cwd = io.cwd || process.cwd();
+    const dataDir = path.resolve(
+        cwd,
+        flags['data-dir'] ||
+            env.HAWKWARD_DATA_DIR ||
+            io.defaultDataDir ||
+            path.join(__dirname, '..', 'data')
+    );
+    // Without their plugins, plugin stores would be dropped on the next write
+    const plugins = loadPlugins(dataDir);
+    installPlugins(plugins);
+    plugins.errors.forEach(({ plugin, error }) => {
+        stderr.write(`⚠️ Plugin ${plugin} not loaded: ${error}\n`);
+    });
+
+    const context = {
+        cwd,
+        dataDir,
+        stdout,
+        now: io.now || (() => new Date()),
+        print: (text) => stdout.write(`${text}\n`),
+        open: () =>
+            openStore({
+                dataDir,
+                workspace: flags.workspace || env.HAWKWARD_WORKSPACE,
+                passphrase: env.HAWKWARD_PASSPHRASE,
+            }),
+    };
+
+    const [command, ...rest] = words;
+    try {
+        if (RESOURCES[command] && RECORD_LABELS[command]) {
+            runRecords(command, rest, flags, context);
+        } else if (command === 'summary') {
+            const summary = summarize(context.open().read());
+            context.print(flags.json ? JSON.stringify(summary, null, 2) : formatSummary(summary));
+        } else if (command === 'export') {
+            runExport(rest, flags, context);
+        } else if (command === 'import') {
+            runImport(rest, flags, context);
+        } else if (command === 'workspaces') {
+            runWorkspaces(context);
+        } else if (command === 'storage') {
+            runStorage(rest, context);
+        } else {
+            throw new Error(`Unknown command: ${command}. Run "hawkward help" for the commands.`);
+        }
+        return 0;
+    } catch (err) {
+        stderr.write(`❌ ${err.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = {
+    USAGE,
+    parseArgs,
+    toRecordInput,
+    openStore,
+    summarize,
+    run,
+};
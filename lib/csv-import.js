@@ -0,0 +1,340 @@
+const { RESOURCES, createRecord } = require('./resources');
+const { BILLING_FREQUENCIES } = require('./data-utils');
+
+/**
+ * CSV import for accounts, e.g. from a spreadsheet or from the app's own
+ * "Balance CSV" export. Delimiter, decimal separator and column mapping are
+ * detected and can be overridden; every row then goes through createRecord(),
+ * so it is checked against the account schema and normalizeAccount() like an
+ * account saved from the form.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const DECIMALS = ['.', ','];
+const MAX_ROWS = 5000;
+
+/**
+ * Fields a column can be mapped to, with the header names recognized for
+ * each (compared lowercase, without spaces and punctuation).
+ */
+const ACCOUNT_COLUMNS = {
+    name: ['name', 'service', 'account', 'description', 'title', 'payee'],
+    category: ['category', 'group'],
+    type: ['type', 'kind', 'direction'],
+    frequency: ['frequency', 'billingfrequency', 'billing', 'cycle', 'period'],
+    intervalMonths: ['intervalmonths', 'everymonths', 'monthsbetween'],
+    amount: ['amount', 'amountperpayment', 'paymentamount', 'payment'],
+    monthlyPayment: ['monthlypayment', 'monthlyamount', 'monthly', 'monthlycost', 'permonth'],
+    annualPayment: ['annualpayment', 'annualamount', 'annual', 'yearly', 'peryear'],
+    status: ['status', 'state'],
+    priority: ['priority', 'criticality', 'importance'],
+    owner: ['owner', 'assignedto', 'assigned', 'person', 'member'],
+};
+
+const AMOUNT_FIELDS = ['amount', 'monthlyPayment', 'annualPayment'];
+// Frequency cells as spreadsheets write them (lowercase, letters and digits only)
+const FREQUENCY_NAMES = {
+    week: 'weekly',
+    everyweek: 'weekly',
+    fortnightly: 'biweekly',
+    every2weeks: 'biweekly',
+    everytwoweeks: 'biweekly',
+    month: 'monthly',
+    everymonth: 'monthly',
+    quarter: 'quarterly',
+    every3months: 'quarterly',
+    semiannually: 'semiannual',
+    halfyearly: 'semiannual',
+    every6months: 'semiannual',
+    annually: 'annual',
+    yearly: 'annual',
+    year: 'annual',
+    everyyear: 'annual',
+    every12months: 'annual',
+};
+const UNASSIGNED = new Set(['', 'unassigned', 'none', '-']);
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with embedded
+ * delimiters, line breaks and doubled quotes; blank lines are skipped.
+ * @returns {Array<Object>} {line, cells}; `line` is the 1-based line the row starts on.
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== '') rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+    };
+
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most columns,
+ * consistently.
+ */
+function detectDelimiter(text) {
+    let best = DELIMITERS[0];
+    let bestScore = 0;
+
+    DELIMITERS.forEach((delimiter) => {
+        const rows = parseCsv(text, delimiter).slice(0, 10);
+        if (rows.length === 0) return;
+        const width = rows[0].cells.length;
+        const consistent = rows.filter((row) => row.cells.length === width).length;
+        const score = width > 1 ? width * consistent : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+function cleanAmount(value) {
+    return String(value || '')
+        .replace(/[\s '€$£¥]/g, '')
+        .replace(/^\((.*)\)$/, '-$1');
+}
+
+/**
+ * Guesses the decimal separator from amount cells: "1.234,56" and "12,5"
+ * mean a comma, "1,234.56" and "12.5" a dot.
+ */
+function detectDecimal(values, delimiter) {
+    let comma = 0;
+    let dot = 0;
+
+    values.map(cleanAmount).forEach((value) => {
+        if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(value) || /^-?\d+,\d{1,2}$/.test(value)) comma++;
+        else if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) || /^-?\d+\.\d+$/.test(value)) dot++;
+    });
+
+    if (comma !== dot) return comma > dot ? ',' : '.';
+    // Spreadsheets that use ";" between cells usually use "," for decimals
+    return delimiter === ';' ? ',' : '.';
+}
+
+/**
+ * Parses an amount cell.
+ * @returns {number|null} The number; 0 for an empty cell; null when it is not a number.
+ */
+function parseAmount(value, decimal) {
+    const cleaned = cleanAmount(value);
+    if (cleaned === '') return 0;
+
+    const thousands = decimal === ',' ? '.' : ',';
+    const normalized = cleaned.split(thousands).join('').replace(decimal, '.');
+    if (!/^-?\d+(\.\d+)?$/.test(normalized)) return null;
+    return Number(normalized);
+}
+
+function headerKey(header) {
+    return String(header || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Maps header names to account fields.
+ * @returns {Object} Column index per field; null for fields without a column.
+ */
+function detectMapping(headers) {
+    const keys = headers.map(headerKey);
+    const used = new Set();
+    const mapping = {};
+
+    Object.entries(ACCOUNT_COLUMNS).forEach(([field, names]) => {
+        const index = keys.findIndex((key, i) => !used.has(i) && names.includes(key));
+        mapping[field] = index === -1 ? null : index;
+        if (index !== -1) used.add(index);
+    });
+
+    return mapping;
+}
+
+function cleanMapping(mapping, width) {
+    return Object.fromEntries(
+        Object.keys(ACCOUNT_COLUMNS).map((field) => {
+            const index = mapping ? mapping[field] : null;
+            return [field, Number.isInteger(index) && index >= 0 && index < width ? index : null];
+        })
+    );
+}
+
+function findOwner(cards, value) {
+    const key = String(value).trim().toLowerCase();
+    return (
+        cards.find(
+            (card) =>
+                String(card.id).toLowerCase() === key ||
+                String(card.displayName || '').toLowerCase() === key ||
+                String(card.fullName || '').toLowerCase() === key
+        ) || null
+    );
+}
+
+/**
+ * Reads a frequency cell: a key of BILLING_FREQUENCIES, a common spelling
+ * ("Yearly", "Every 2 weeks") or "every N months".
+ * @returns {Object|null} {frequency, intervalMonths}; null when it is not a frequency.
+ */
+function parseFrequency(value) {
+    const key = headerKey(value);
+    if (Object.hasOwn(BILLING_FREQUENCIES, key)) return { frequency: key };
+    if (Object.hasOwn(FREQUENCY_NAMES, key)) return { frequency: FREQUENCY_NAMES[key] };
+    const months = /^every(\d+)months?$/.exec(key);
+    return months ? { frequency: 'custom', intervalMonths: Number(months[1]) } : null;
+}
+
+/**
+ * Turns one CSV row into input for createRecord().
+ * @returns {Object} {input} or {error}.
+ */
+function rowToAccount(cells, mapping, decimal, cards) {
+    const cell = (field) => (mapping[field] === null ? '' : (cells[mapping[field]] || '').trim());
+    const input = {};
+
+    ['name', 'category', 'status', 'priority'].forEach((field) => {
+        if (cell(field) !== '') input[field] = cell(field);
+    });
+    if (input.name === undefined) return { error: 'name is required' };
+
+    const type = cell('type').toLowerCase();
+    if (type !== '' && type !== 'income' && type !== 'expense') {
+        return { error: `type must be income or expense, not "${cell('type')}"` };
+    }
+    if (type) input.type = type;
+
+    for (const field of AMOUNT_FIELDS) {
+        const amount = parseAmount(cell(field), decimal);
+        if (amount === null) return { error: `${field} "${cell(field)}" is not a number` };
+        // Without an amount per payment, the monthly or annual amount sets it
+        if (field !== 'amount' || cell(field) !== '') input[field] = amount;
+    }
+
+    if (cell('frequency') !== '') {
+        const billing = parseFrequency(cell('frequency'));
+        if (!billing) return { error: `"${cell('frequency')}" is not a billing frequency` };
+        Object.assign(input, billing);
+    }
+    if (cell('intervalMonths') !== '') {
+        const months = parseAmount(cell('intervalMonths'), decimal);
+        if (months === null) {
+            return { error: `intervalMonths "${cell('intervalMonths')}" is not a number` };
+        }
+        input.intervalMonths = months;
+    }
+    // A row with a frequency but no amount is billed from its monthly or annual amount
+    if (input.frequency && input.amount === undefined) {
+        const perYear = BILLING_FREQUENCIES[input.frequency] || 12 / (input.intervalMonths || 1);
+        const perMonth = input.monthlyPayment || input.annualPayment / 12;
+        input.amount = Math.round(((perMonth * 12) / perYear) * 100) / 100;
+    }
+
+    const owner = cell('owner');
+    if (!UNASSIGNED.has(owner.toLowerCase())) {
+        const card = findOwner(cards, owner);
+        if (!card) return { error: `No card named "${owner}"` };
+        input.ownerId = card.id;
+    } else {
+        input.ownerId = null;
+    }
+
+    return { input };
+}
+
+/**
+ * Imports the accounts in a CSV file into `db`. Mutates `db`; run it on a
+ * copy for a preview.
+ * @param {Object} db - Raw database.
+ * @param {string} text - CSV content. The first row holds the column names.
+ * @param {Object} [options] - {delimiter, decimal, mapping}; detected when missing.
+ * @returns {Object} {delimiter, decimal, headers, mapping, created: [{line, record}],
+ *     rejected: [{line, error}]} or {error} when the file cannot be used at all.
+ */
+function importAccountsCsv(db, text, options = {}) {
+    const delimiter = DELIMITERS.includes(options.delimiter)
+        ? options.delimiter
+        : detectDelimiter(text);
+    const [header, ...rows] = parseCsv(text, delimiter);
+    if (!header) return { error: 'The file is empty' };
+    if (rows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} rows can be imported` };
+
+    const headers = header.cells.map((name) => name.trim());
+    const mapping = cleanMapping(options.mapping || detectMapping(headers), headers.length);
+    if (mapping.name === null) return { error: 'Choose the column that holds the name' };
+
+    const amountCells = rows.flatMap((row) =>
+        AMOUNT_FIELDS.filter((field) => mapping[field] !== null).map(
+            (field) => row.cells[mapping[field]]
+        )
+    );
+    const decimal = DECIMALS.includes(options.decimal)
+        ? options.decimal
+        : detectDecimal(amountCells, delimiter);
+
+    const cards = RESOURCES.cards.getList(db);
+    const created = [];
+    const rejected = [];
+
+    rows.forEach(({ line, cells }) => {
+        const row = rowToAccount(cells, mapping, decimal, cards);
+        const result = row.error ? row : createRecord(db, 'accounts', row.input);
+        if (result.error) rejected.push({ line, error: result.error });
+        else created.push({ line, record: result.record });
+    });
+
+    return { delimiter, decimal, headers, mapping, created, rejected };
+}
+
+module.exports = {
+    ACCOUNT_COLUMNS,
+    DELIMITERS,
+    DECIMALS,
+    parseCsv,
+    detectDelimiter,
+    detectDecimal,
+    parseAmount,
+    detectMapping,
+    importAccountsCsv,
+};
@@ -11,40 +11,329 @@ function sanitizeNumber(value, min = 0, max = Number.MAX_SAFE_INTEGER) {
     return Math.max(min, Math.min(max, num));
 }
 
+function sanitizeDate(value) {
+    const str = sanitizeString(value, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return '';
+    const date = new Date(`${str}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== str) return '';
+    return str;
+}
+
+// Payments per year of each billing frequency; `custom` pays every `intervalMonths` months
+const BILLING_FREQUENCIES = {
+    weekly: 52,
+    biweekly: 26,
+    monthly: 12,
+    quarterly: 4,
+    semiannual: 2,
+    annual: 1,
+    custom: null,
+};
+const MAX_INTERVAL_MONTHS = 120;
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Reads how often an account is paid (`frequency`, plus `intervalMonths` for
+ * custom) and how much each payment is (`amount`), and derives the monthly and
+ * annual equivalents every total, chart and report uses. Accounts without a
+ * frequency (CSV imports, statement suggestions, older clients) pay their
+ * monthly amount monthly, or their annual amount yearly when that is all they have.
+ */
+function normalizeBilling(account) {
+    let frequency = Object.hasOwn(BILLING_FREQUENCIES, account.frequency)
+        ? account.frequency
+        : null;
+    let amount = account.amount;
+    if (!frequency && amount === undefined) {
+        const monthly = sanitizeNumber(account.monthlyPayment, 0, 1000000000);
+        const annual = sanitizeNumber(account.annualPayment, 0, 1000000000);
+        [frequency, amount] =
+            monthly === 0 && annual > 0 ? ['annual', annual] : ['monthly', monthly];
+    }
+    frequency = frequency || 'monthly';
+    amount = sanitizeNumber(amount, 0, 1000000000);
+    const intervalMonths =
+        frequency === 'custom'
+            ? Math.round(sanitizeNumber(account.intervalMonths, 1, MAX_INTERVAL_MONTHS))
+            : null;
+    const perYear = frequency === 'custom' ? 12 / intervalMonths : BILLING_FREQUENCIES[frequency];
+
+    return {
+        frequency,
+        amount,
+        intervalMonths,
+        monthlyPayment: sanitizeNumber(roundCents((amount * perYear) / 12), 0, 1000000000),
+        annualPayment: sanitizeNumber(roundCents(amount * perYear), 0, 1000000000),
+    };
+}
+
+// Stores and account fields contributed by plugins (registered by lib/plugins.js)
+const pluginStores = new Map(); // name -> { list, normalize }
+const pluginAccountFields = new Map(); // id -> 'text' | 'number' | 'date'
+
+/**
+ * Adds a plugin store to normalizeData().
+ * @param {string} name - Top-level key in data.json.
+ * @param {Object} definition - {list, normalize}. `normalize(value)` gets one item
+ *     of a list store or the whole object store and returns the clean value
+ *     (null drops a list item).
+ */
+function registerStore(name, { list, normalize }) {
+    pluginStores.set(name, { list: Boolean(list), normalize });
+}
+
+/**
+ * Adds a plugin field to normalizeAccount().
+ * @param {string} id - Property name on the account.
+ * @param {string} type - 'text', 'number' or 'date'.
+ */
+function registerAccountField(id, type) {
+    pluginAccountFields.set(id, type);
+}
+
+function pluginStoreNames() {
+    return [...pluginStores.keys()];
+}
+
+function normalizeAccountField(type, value) {
+    if (type === 'number') {
+        const num = parseFloat(value);
+        return Number.isNaN(num) ? null : sanitizeNumber(num, -1000000000, 1000000000);
+    }
+    if (type === 'date') return sanitizeDate(value);
+    return sanitizeString(value, 200);
+}
+
 function normalizeAccount(account) {
     if (!account || typeof account !== 'object') return null;
+    const extraFields = [...pluginAccountFields].map(([id, type]) => [
+        id,
+        normalizeAccountField(type, account[id]),
+    ]);
     return {
         id: sanitizeNumber(account.id, 0, Number.MAX_SAFE_INTEGER),
         name: sanitizeString(account.name, 100),
         category: sanitizeString(account.category, 100),
         type: sanitizeString(account.type, 20) || 'expense',
-        monthlyPayment: sanitizeNumber(account.monthlyPayment, 0, 1000000000),
-        annualPayment: sanitizeNumber(account.annualPayment, 0, 1000000000),
+        ...normalizeBilling(account),
         hasReminder: sanitizeString(account.hasReminder, 10) || 'No',
         status: sanitizeString(account.status, 30) || 'Active',
         priority: sanitizeString(account.priority, 30) || 'Important',
         ownerId: account.ownerId ? sanitizeString(account.ownerId, 100) : null,
+        dueDate: sanitizeDate(account.dueDate),
+        ...Object.fromEntries(extraFields),
+    };
+}
+
+function normalizeTransaction(transaction) {
+    if (!transaction || typeof transaction !== 'object') return null;
+    const date = sanitizeDate(transaction.date);
+    if (!date) return null;
+    const accountId = parseInt(transaction.accountId, 10);
+    return {
+        id: sanitizeString(transaction.id, 100) || `txn_${Date.now()}`,
+        date,
+        amount: sanitizeNumber(transaction.amount, 0, 1000000000),
+        type: transaction.type === 'income' ? 'income' : 'expense',
+        accountId: Number.isInteger(accountId) && accountId > 0 ? accountId : null,
+        ownerId: transaction.ownerId ? sanitizeString(transaction.ownerId, 100) : null,
+        memo: sanitizeString(transaction.memo, 200),
+    };
+}
+
+// Transactions without an id get txn_<timestamp>, which repeats within one
+// payload; every repeat after the first moves to the next free timestamp
+function uniqueTransactionIds(transactions) {
+    const taken = new Set(transactions.map((transaction) => transaction.id));
+    const seen = new Set();
+    let stamp = Date.now();
+    return transactions.map((transaction) => {
+        if (!seen.has(transaction.id)) {
+            seen.add(transaction.id);
+            return transaction;
+        }
+        while (taken.has(`txn_${stamp}`)) stamp += 1;
+        const id = `txn_${stamp}`;
+        taken.add(id);
+        seen.add(id);
+        return { ...transaction, id };
+    });
+}
+
+const CARD_BASE_FIELDS = new Set(['id', 'type', 'emoji', 'displayName', 'fullName', 'dateOfBirth']);
+const MAX_CARD_EXTRA_FIELDS = 20;
+
+function normalizeCard(card) {
+    if (!card || typeof card !== 'object') return null;
+
+    // Template-specific fields (job, school, breed, ...) are defined client-side in
+    // CARD_TEMPLATES, so any extra scalar field is kept, sanitized and capped.
+    const extraFields = Object.entries(card)
+        .filter(([key]) => !CARD_BASE_FIELDS.has(key) && /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(key))
+        .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+        .slice(0, MAX_CARD_EXTRA_FIELDS)
+        .map(([key, value]) => [
+            key,
+            typeof value === 'number' ? value : sanitizeString(value, 200),
+        ]);
+
+    return {
+        id: sanitizeString(card.id, 100),
+        type: sanitizeString(card.type, 20) || 'adult',
+        emoji: sanitizeString(card.emoji, 16) || '👤',
+        displayName: sanitizeString(card.displayName, 50),
+        fullName: sanitizeString(card.fullName, 100),
+        dateOfBirth: sanitizeDate(card.dateOfBirth),
+        ...Object.fromEntries(extraFields),
+    };
+}
+
+function normalizeGoal(goal) {
+    if (!goal || typeof goal !== 'object') return null;
+    return {
+        id: sanitizeString(goal.id, 100),
+        name: sanitizeString(goal.name, 100),
+        target: sanitizeNumber(goal.target, 0, 1000000000),
+        current: sanitizeNumber(goal.current, 0, 1000000000),
+        createdAt: sanitizeString(goal.createdAt, 40),
+    };
+}
+
+function normalizeTimelineMonth(month) {
+    if (!month || typeof month !== 'object') return null;
+    const id = sanitizeString(month.id, 40);
+    if (!id) return null;
+    const year = parseInt(month.year, 10);
+    return {
+        id,
+        year: Number.isInteger(year) ? year : null,
+        month: sanitizeString(month.month, 20),
+        display: sanitizeString(month.display, 50),
+        income: sanitizeNumber(month.income, 0, 1000000000),
+        expenses: sanitizeNumber(month.expenses, 0, 1000000000),
+        isLocked: month.isLocked === true,
+    };
+}
+
+function normalizeTimelineData(timelineData) {
+    if (!timelineData || typeof timelineData !== 'object') return null;
+    const startingBalance = parseFloat(timelineData.startingBalance);
+    return {
+        startingBalance: Number.isNaN(startingBalance)
+            ? 0
+            : sanitizeNumber(startingBalance, -1000000000, 1000000000),
+        months: Array.isArray(timelineData.months)
+            ? timelineData.months.map(normalizeTimelineMonth).filter(Boolean)
+            : [],
     };
 }
 
+const SETTINGS_LISTS = ['categories', 'statuses', 'criticalities'];
+const MAX_SETTINGS_LIST_ITEMS = 200;
+
+// Only known keys are kept; the client fills the rest from DEFAULT_SETTINGS
+function normalizeSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    const result = {};
+
+    if (settings.theme === 'light' || settings.theme === 'dark') result.theme = settings.theme;
+    if (/^#[0-9a-fA-F]{6}$/.test(settings.primaryColor)) {
+        result.primaryColor = settings.primaryColor;
+    }
+    if (settings.currency !== undefined) {
+        result.currency = sanitizeString(settings.currency, 8);
+    }
+    if (settings.heartbeatTimeout !== undefined) {
+        result.heartbeatTimeout = Math.round(sanitizeNumber(settings.heartbeatTimeout, 10, 1800));
+    }
+    if (typeof settings.autoShutdown === 'boolean') result.autoShutdown = settings.autoShutdown;
+    if (settings.autoLockMinutes !== undefined) {
+        result.autoLockMinutes = Math.round(sanitizeNumber(settings.autoLockMinutes, 0, 1440));
+    }
+    SETTINGS_LISTS.forEach((list) => {
+        if (!Array.isArray(settings[list])) return;
+        const items = settings[list].map((item) => sanitizeString(item, 100)).filter(Boolean);
+        result[list] = [...new Set(items)].slice(0, MAX_SETTINGS_LIST_ITEMS);
+    });
+
+    return result;
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
 function normalizeData(input) {
     const data = input && typeof input === 'object' ? input : {};
     const accounts = Array.isArray(data.accounts)
         ? data.accounts.map(normalizeAccount).filter(Boolean)
         : [];
+    const transactions = Array.isArray(data.transactions)
+        ? uniqueTransactionIds(data.transactions.map(normalizeTransaction).filter(Boolean))
+        : [];
+
+    const schemaVersion = parseInt(data.schemaVersion, 10);
+
+    // Missing sub-keys stay missing: the client seeds defaults for them on first run
+    const profile = {};
+    if (isObject(data.profile) && Array.isArray(data.profile.cards)) {
+        profile.cards = data.profile.cards.map(normalizeCard).filter(Boolean);
+    }
+    const timeline = {};
+    const timelineData = isObject(data.timeline)
+        ? normalizeTimelineData(data.timeline.timelineData)
+        : null;
+    if (timelineData) timeline.timelineData = timelineData;
+    if (isObject(data.timeline) && Array.isArray(data.timeline.archivedMonths)) {
+        timeline.archivedMonths = data.timeline.archivedMonths
+            .map(normalizeTimelineMonth)
+            .filter(Boolean);
+    }
+    const settings = {};
+    const appSettings = isObject(data.settings)
+        ? normalizeSettings(data.settings.appSettings)
+        : null;
+    if (appSettings) settings.appSettings = appSettings;
+
+    // Missing plugin stores read as empty, like the core ones
+    const extraStores = [...pluginStores].map(([name, { list, normalize }]) => {
+        if (list) {
+            const items = Array.isArray(data[name]) ? data[name] : [];
+            return [name, items.map(normalize).filter(Boolean)];
+        }
+        return [name, (isObject(data[name]) && normalize(data[name])) || {}];
+    });
 
     return {
+        schemaVersion: Number.isInteger(schemaVersion) && schemaVersion > 0 ? schemaVersion : 0,
         accounts,
-        profile: data.profile && typeof data.profile === 'object' ? data.profile : {},
-        timeline: data.timeline && typeof data.timeline === 'object' ? data.timeline : {},
-        goals: Array.isArray(data.goals) ? data.goals : [],
-        settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+        transactions,
+        profile,
+        timeline,
+        goals: Array.isArray(data.goals) ? data.goals.map(normalizeGoal).filter(Boolean) : [],
+        settings,
+        ...Object.fromEntries(extraStores),
     };
 }
 
 module.exports = {
+    BILLING_FREQUENCIES,
+    MAX_INTERVAL_MONTHS,
     sanitizeString,
     sanitizeNumber,
+    sanitizeDate,
     normalizeAccount,
+    normalizeTransaction,
+    normalizeCard,
+    normalizeGoal,
+    normalizeTimelineMonth,
+    normalizeTimelineData,
+    normalizeSettings,
     normalizeData,
+    registerStore,
+    registerAccountField,
+    pluginStoreNames,
 };
@@ -0,0 +1,278 @@
+const { RESOURCES } = require('./resources');
+
+/**
+ * Data health check: finds inconsistencies that the write endpoints cannot
+ * prevent on their own (whole-store saves, imports, older app versions) and
+ * repairs them one at a time.
+ *
+ *   orphan-reference  - an account or transaction points at a card or account
+ *                       that no longer exists; fixed by reassigning it
+ *   duplicate-id      - several records of one kind share an id; the later
+ *                       ones get new ids (references keep pointing at the first)
+ *   missing-metadata  - an account uses a category, status or criticality that
+ *                       is not in the Settings lists; fixed by adding it
+ *   stale-timeline    - saved timeline months of a year the Timeline no longer
+ *                       shows; fixed by moving them to `timeline.archivedMonths`
+ *
+ * Problem ids are derived from the data, so the same data yields the same ids
+ * and a fix can be requested by id.
+ */
+
+// Reference fields checked for dangling ids: field -> the kind it points at
+const REFERENCES = {
+    accounts: { ownerId: 'cards' },
+    transactions: { ownerId: 'cards', accountId: 'accounts' },
+};
+
+// Settings list -> the account field whose values must appear in it
+const METADATA_FIELDS = {
+    categories: { field: 'category', label: 'Category' },
+    statuses: { field: 'status', label: 'Status' },
+    criticalities: { field: 'priority', label: 'Criticality' },
+};
+
+const RECORD_LABELS = {
+    accounts: (record) => record.name,
+    cards: (record) => record.displayName,
+    goals: (record) => record.name,
+    transactions: (record) => `${record.date} ${record.memo || ''}`.trim(),
+};
+
+function recordLabel(kind, record) {
+    return RECORD_LABELS[kind](record) || String(record.id);
+}
+
+function getAppSettings(db) {
+    const settings = db.settings && typeof db.settings === 'object' ? db.settings : {};
+    return settings.appSettings && typeof settings.appSettings === 'object'
+        ? settings.appSettings
+        : {};
+}
+
+function getTimelineData(db) {
+    const timeline = db.timeline && typeof db.timeline === 'object' ? db.timeline : {};
+    return timeline.timelineData && typeof timeline.timelineData === 'object'
+        ? timeline.timelineData
+        : {};
+}
+
+// Years shown on the Timeline tab: last year, this year and next year
+function shownYears(now) {
+    const year = now.getFullYear();
+    return [year - 1, year, year + 1];
+}
+
+// Month ids look like `2026-March`; older saves may lack the year field
+function monthYear(month) {
+    const year = parseInt(month.year, 10);
+    return Number.isInteger(year) ? year : parseInt(String(month.id), 10);
+}
+
+function findOrphans(db) {
+    const problems = [];
+    Object.entries(REFERENCES).forEach(([kind, fields]) => {
+        RESOURCES[kind].getList(db).forEach((record, index) => {
+            Object.entries(fields).forEach(([field, target]) => {
+                const value = record[field];
+                if (value === null || value === undefined || value === '') return;
+                const exists = RESOURCES[target]
+                    .getList(db)
+                    .some((item) => String(item.id) === String(value));
+                if (exists) return;
+
+                problems.push({
+                    id: `orphan-reference:${kind}:${index}:${field}`,
+                    type: 'orphan-reference',
+                    kind,
+                    recordId: record.id,
+                    message: `${recordLabel(kind, record)} points at a deleted ${target === 'cards' ? 'card' : 'account'} (${value})`,
+                    fix: { action: 'reassign', label: 'Reassign', target },
+                });
+            });
+        });
+    });
+    return problems;
+}
+
+function findDuplicateIds(db) {
+    const problems = [];
+    Object.keys(RECORD_LABELS).forEach((kind) => {
+        const groups = new Map();
+        RESOURCES[kind].getList(db).forEach((record) => {
+            const key = String(record.id);
+            groups.set(key, [...(groups.get(key) || []), record]);
+        });
+
+        groups.forEach((records, key) => {
+            if (records.length < 2) return;
+            problems.push({
+                id: `duplicate-id:${kind}:${key}`,
+                type: 'duplicate-id',
+                kind,
+                recordId: records[0].id,
+                message: `${records.length} ${kind} share the id ${key}: ${records
+                    .map((record) => recordLabel(kind, record))
+                    .join(', ')}`,
+                fix: { action: 're-id', label: 'Give new ids' },
+            });
+        });
+    });
+    return problems;
+}
+
+function findMissingMetadata(db) {
+    const settings = getAppSettings(db);
+    const accounts = RESOURCES.accounts.getList(db);
+    const problems = [];
+
+    // A list that was never saved means the app still uses its built-in defaults
+    Object.entries(METADATA_FIELDS).forEach(([list, { field, label }]) => {
+        if (!Array.isArray(settings[list])) return;
+        const known = new Set(settings[list]);
+        const counts = new Map();
+        accounts.forEach((account) => {
+            const value = account[field];
+            if (typeof value !== 'string' || value === '' || known.has(value)) return;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        counts.forEach((count, value) => {
+            problems.push({
+                id: `missing-metadata:${list}:${value}`,
+                type: 'missing-metadata',
+                list,
+                value,
+                message: `${label} "${value}" is used by ${count} account${count > 1 ? 's' : ''} but is missing from the Settings list`,
+                fix: { action: 'add-metadata', label: `Add to ${list}` },
+            });
+        });
+    });
+    return problems;
+}
+
+function findStaleMonths(db, now) {
+    const { months } = getTimelineData(db);
+    if (!Array.isArray(months)) return [];
+    const shown = shownYears(now);
+    const counts = new Map();
+    months.forEach((month) => {
+        const year = monthYear(month || {});
+        if (shown.includes(year)) return;
+        const key = Number.isInteger(year) ? String(year) : 'unknown';
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return [...counts].map(([year, count]) => ({
+        id: `stale-timeline:${year}`,
+        type: 'stale-timeline',
+        year,
+        message: `${count} saved timeline month${count > 1 ? 's' : ''} from ${year === 'unknown' ? 'an unknown year' : year} ${count > 1 ? 'are' : 'is'} no longer shown on the Timeline`,
+        fix: { action: 'archive', label: 'Archive' },
+    }));
+}
+
+/**
+ * Lists every problem in the database.
+ * @param {Object} db - Raw database.
+ * @param {Date} [now] - Decides which timeline years are shown.
+ * @returns {Array<Object>} {id, type, message, fix: {action, label, target}} plus
+ *     type-specific details; `target` names the kind a reassignment picks from.
+ */
+function findProblems(db, now = new Date()) {
+    return [
+        ...findOrphans(db),
+        ...findDuplicateIds(db),
+        ...findMissingMetadata(db),
+        ...findStaleMonths(db, now),
+    ];
+}
+
+function reassign(db, problem, value) {
+    const [, kind, index, field] = problem.id.split(':');
+    const target = problem.fix.target;
+    if (value !== null && value !== undefined && value !== '') {
+        const record = RESOURCES[target]
+            .getList(db)
+            .find((item) => String(item.id) === String(value));
+        if (!record) return { error: `No ${target === 'cards' ? 'card' : 'account'} ${value}` };
+        RESOURCES[kind].getList(db)[index][field] = record.id;
+    } else {
+        RESOURCES[kind].getList(db)[index][field] = null;
+    }
+    return {};
+}
+
+function renumber(db, problem) {
+    const resource = RESOURCES[problem.kind];
+    const key = problem.id.slice(`duplicate-id:${problem.kind}:`.length);
+    let seen = false;
+    resource.getList(db).forEach((record) => {
+        if (String(record.id) !== key) return;
+        if (seen) record.id = resource.nextId(resource.getList(db));
+        seen = true;
+    });
+    return {};
+}
+
+function addMetadata(db, problem) {
+    const settings = getAppSettings(db);
+    settings[problem.list] = [...settings[problem.list], problem.value];
+    db.settings = { ...(db.settings || {}), appSettings: settings };
+    return {};
+}
+
+function archiveMonths(db, problem, value, now) {
+    const timeline = db.timeline && typeof db.timeline === 'object' ? db.timeline : {};
+    const timelineData = getTimelineData(db);
+    const shown = shownYears(now);
+    const isStale = (month) => {
+        const year = monthYear(month || {});
+        if (shown.includes(year)) return false;
+        return (Number.isInteger(year) ? String(year) : 'unknown') === problem.year;
+    };
+
+    const moved = timelineData.months.filter(isStale);
+    const movedIds = new Set(moved.map((month) => String(month.id)));
+    const archived = (Array.isArray(timeline.archivedMonths) ? timeline.archivedMonths : [])
+        .filter((month) => !movedIds.has(String(month.id)))
+        .concat(moved);
+
+    db.timeline = {
+        ...timeline,
+        timelineData: {
+            ...timelineData,
+            months: timelineData.months.filter((month) => !isStale(month)),
+        },
+        archivedMonths: archived,
+    };
+    return {};
+}
+
+const FIXES = {
+    reassign,
+    're-id': renumber,
+    'add-metadata': addMetadata,
+    archive: archiveMonths,
+};
+
+/**
+ * Applies the fix of one problem. Mutates `db`.
+ * @param {Object} db - Raw database.
+ * @param {string} id - Problem id from findProblems().
+ * @param {*} [value] - For `reassign`: the card or account id to use, or null
+ *     to clear the reference.
+ * @returns {Object} {problem} or {error}; `notFound` is set when the problem
+ *     no longer exists.
+ */
+function fixProblem(db, id, value, now = new Date()) {
+    const problem = findProblems(db, now).find((item) => item.id === id);
+    if (!problem) return { error: 'This problem no longer exists', notFound: true };
+
+    const result = FIXES[problem.fix.action](db, problem, value, now);
+    return result.error ? result : { problem };
+}
+
+module.exports = {
+    findProblems,
+    fixProblem,
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+
+/**
+ * Optional passphrase encryption for data.json and its backups.
+ * Files are wrapped in a JSON envelope holding AES-256-GCM ciphertext; the key
+ * is derived from the passphrase with scrypt. The KDF parameters (including the
+ * salt) travel with every file, so any file can be unlocked on its own.
+ * Reads and writes go through a codec ({encode, decode}) so callers do not care
+ * whether encryption is on.
+ */
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KDF_DEFAULTS = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+const KDF_MAX_MEMORY = 256 * 1024 * 1024;
+
+const PLAIN_CODEC = {
+    encrypted: false,
+    encode: (text) => text,
+    decode(raw) {
+        if (parseEnvelope(raw)) throw new Error('File is encrypted; unlock it first');
+        return raw;
+    },
+};
+
+function parseEnvelope(raw) {
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && parsed.encrypted === true && parsed.version === ENVELOPE_VERSION
+            ? parsed
+            : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function isEncrypted(raw) {
+    return parseEnvelope(raw) !== null;
+}
+
+/**
+ * Returns the KDF parameters stored in an encrypted file, or null.
+ */
+function readKdfParams(raw) {
+    const envelope = parseEnvelope(raw);
+    return envelope ? envelope.kdf : null;
+}
+
+function createKdfParams() {
+    return { ...KDF_DEFAULTS, salt: crypto.randomBytes(16).toString('base64') };
+}
+
+/**
+ * Derives the file key from a passphrase.
+ * @param {string} passphrase
+ * @param {Object} kdf - Parameters from createKdfParams() or readKdfParams().
+ * @returns {Buffer}
+ * @throws {Error} On unsupported or unreasonably expensive parameters.
+ */
+function deriveKey(passphrase, kdf) {
+    const { name, salt, N, r, p } = kdf || {};
+    if (name !== 'scrypt' || typeof salt !== 'string' || 128 * N * r * p > KDF_MAX_MEMORY) {
+        throw new Error('Unsupported key derivation parameters');
+    }
+    return crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), KEY_LENGTH, {
+        N,
+        r,
+        p,
+        maxmem: KDF_MAX_MEMORY,
+    });
+}
+
+function encrypt(plaintext, key, kdf) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+        encrypted: true,
+        version: ENVELOPE_VERSION,
+        cipher: CIPHER,
+        kdf,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    });
+}
+
+/**
+ * Decrypts an envelope produced by encrypt().
+ * @throws {Error} When the key is wrong or the file was modified.
+ */
+function decrypt(raw, key) {
+    const envelope = parseEnvelope(raw);
+    if (!envelope) throw new Error('File is not encrypted');
+
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+    } catch (err) {
+        throw new Error('Wrong passphrase or damaged file');
+    }
+}
+
+/**
+ * Creates a codec that encrypts everything it writes with `key`.
+ * Plain files are still readable, so data written before encryption was
+ * enabled is not lost.
+ */
+function createCodec(key, kdf) {
+    return {
+        encrypted: true,
+        kdf,
+        encode: (text) => encrypt(text, key, kdf),
+        decode: (raw) => (isEncrypted(raw) ? decrypt(raw, key) : raw),
+    };
+}
+
+/**
+ * Derives the key for an encrypted file and checks it by decrypting the file.
+ * @returns {Object} A codec for that key.
+ * @throws {Error} When the passphrase is wrong.
+ */
+function unlockCodec(passphrase, raw) {
+    const kdf = readKdfParams(raw);
+    if (!kdf) throw new Error('File is not encrypted');
+
+    const codec = createCodec(deriveKey(passphrase, kdf), kdf);
+    codec.decode(raw);
+    return codec;
+}
+
+/**
+ * Creates a codec for a new passphrase with a fresh salt.
+ * @throws {Error} When the passphrase is too short.
+ */
+function newCodec(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const kdf = createKdfParams();
+    return createCodec(deriveKey(passphrase, kdf), kdf);
+}
+
+module.exports = {
+    MIN_PASSPHRASE_LENGTH,
+    PLAIN_CODEC,
+    isEncrypted,
+    readKdfParams,
+    deriveKey,
+    encrypt,
+    decrypt,
+    createCodec,
+    unlockCodec,
+    newCodec,
+};
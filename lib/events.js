@@ -0,0 +1,82 @@
+const { pluginStoreNames } = require('./data-utils');
+
+/**
+ * Server-sent events used to push data changes to every open tab.
+ */
+
+const SYNC_STORES = ['accounts', 'transactions', 'profile', 'timeline', 'goals', 'settings'];
+
+/**
+ * Serializes one SSE frame.
+ * @param {string} event - Event name (`change`, `hello`, ...).
+ * @param {Object} data - JSON payload.
+ * @returns {string}
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Compares two normalized snapshots store by store.
+ * @returns {Object} The stores whose content differs, keyed by name, with their new value.
+ */
+function changedStores(before, after) {
+    const changes = {};
+    [...SYNC_STORES, ...pluginStoreNames()].forEach((store) => {
+        const next = after ? after[store] : undefined;
+        const prev = before ? before[store] : undefined;
+        if (JSON.stringify(next) !== JSON.stringify(prev)) changes[store] = next;
+    });
+    return changes;
+}
+
+/**
+ * Creates a registry of open event streams.
+ * @returns {Object} {add, broadcast, ping, disconnect, size}. `add(res)` returns a
+ *     function that unregisters the stream.
+ */
+function createEventHub() {
+    const clients = new Set();
+
+    function send(frame) {
+        clients.forEach((res) => {
+            try {
+                res.write(frame);
+            } catch (err) {
+                clients.delete(res);
+            }
+        });
+    }
+
+    return {
+        add(res) {
+            clients.add(res);
+            return () => clients.delete(res);
+        },
+        broadcast(event, data) {
+            send(formatEvent(event, data));
+        },
+        // SSE comment line; keeps idle connections from being closed by proxies
+        ping() {
+            send(': ping\n\n');
+        },
+        // Ends and unregisters every stream matching `predicate(res)`
+        disconnect(predicate) {
+            clients.forEach((res) => {
+                if (!predicate(res)) return;
+                clients.delete(res);
+                res.end();
+            });
+        },
+        size() {
+            return clients.size;
+        },
+    };
+}
+
+module.exports = {
+    SYNC_STORES,
+    formatEvent,
+    changedStores,
+    createEventHub,
+};
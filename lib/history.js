@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { PLAIN_CODEC } = require('./encryption');
+const { writeFileAtomicSync } = require('./atomic-write');
+const { RESOURCES, deleteRecord } = require('./resources');
+
+/**
+ * Append-only change history.
+ * Every write is compared record by record with the previous snapshot and each
+ * changed record is logged with its full before/after version, one JSON line
+ * per entry. Lines go through the storage codec, so the history is encrypted
+ * together with data.json. Once the file grows past MAX_HISTORY_BYTES it is
+ * renamed to history.1.jsonl, replacing the oldest entries.
+ */
+
+const DEFAULT_LIMIT = 200;
+const MAX_HISTORY_BYTES = 2 * 1024 * 1024;
+
+function rotatedFile(file) {
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}.1${ext}`);
+}
+
+function getTimelineMonths(db) {
+    const timelineData = db.timeline && db.timeline.timelineData;
+    return timelineData && Array.isArray(timelineData.months) ? timelineData.months : [];
+}
+
+/**
+ * Record collections that are tracked. `label` picks a readable name for the
+ * History view; `normalize` (optional) cleans a version before it is restored.
+ */
+const HISTORY_KINDS = {
+    accounts: {
+        getList: RESOURCES.accounts.getList,
+        normalize: RESOURCES.accounts.normalize,
+        label: (record) => record.name,
+    },
+    cards: {
+        getList: RESOURCES.cards.getList,
+        normalize: RESOURCES.cards.normalize,
+        label: (record) => record.displayName,
+    },
+    goals: {
+        getList: RESOURCES.goals.getList,
+        normalize: RESOURCES.goals.normalize,
+        label: (record) => record.name,
+    },
+    transactions: {
+        getList: RESOURCES.transactions.getList,
+        normalize: RESOURCES.transactions.normalize,
+        label: (record) => `${record.date} ${record.memo || ''}`.trim(),
+    },
+    timeline: {
+        getList: getTimelineMonths,
+        setList: (db, months) => {
+            const timeline = db.timeline && typeof db.timeline === 'object' ? db.timeline : {};
+            db.timeline = { ...timeline, timelineData: { ...timeline.timelineData, months } };
+        },
+        label: (record) => record.display || String(record.id),
+    },
+};
+
+function indexById(list) {
+    const map = new Map();
+    list.forEach((record) => {
+        if (record && record.id !== undefined && record.id !== null) {
+            map.set(String(record.id), record);
+        }
+    });
+    return map;
+}
+
+/**
+ * Compares two snapshots record by record.
+ * @returns {Array<Object>} {kind, recordId, label, action, before, after} for
+ *     every created, updated or deleted record.
+ */
+function diffSnapshots(before, after) {
+    const changes = [];
+
+    Object.entries(HISTORY_KINDS).forEach(([kind, definition]) => {
+        const prev = indexById(definition.getList(before || {}));
+        const next = indexById(definition.getList(after || {}));
+        const ids = new Set([...prev.keys(), ...next.keys()]);
+
+        ids.forEach((recordId) => {
+            const old = prev.get(recordId) || null;
+            const current = next.get(recordId) || null;
+            if (JSON.stringify(old) === JSON.stringify(current)) return;
+
+            changes.push({
+                kind,
+                recordId,
+                label: definition.label(current || old) || recordId,
+                action: !old ? 'create' : !current ? 'delete' : 'update',
+                before: old,
+                after: current,
+            });
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Turns the changes of one write into log entries.
+ * @param {Array<Object>} changes - Output of diffSnapshots().
+ * @param {Object} meta - {revision, source, at}.
+ */
+function createEntries(changes, { revision, source, at = new Date().toISOString() }) {
+    return changes.map((change, index) => ({
+        id: `${revision}-${index + 1}`,
+        revision,
+        at,
+        source: source || 'unknown',
+        ...change,
+    }));
+}
+
+/**
+ * Appends entries to the log, rotating it once it is larger than `maxBytes`.
+ */
+function appendEntries(file, entries, codec = PLAIN_CODEC, maxBytes = MAX_HISTORY_BYTES) {
+    if (entries.length === 0) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(
+        file,
+        entries.map((entry) => `${codec.encode(JSON.stringify(entry))}\n`).join('')
+    );
+    if (fs.statSync(file).size > maxBytes) fs.renameSync(file, rotatedFile(file));
+}
+
+// Lines that cannot be decoded (e.g. cut off by a crash) are skipped
+function readAllEntries(file, codec) {
+    if (!fs.existsSync(file)) return [];
+
+    return fs
+        .readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            try {
+                return JSON.parse(codec.decode(line));
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Newest first; the rotated file is only read when the current one has too few matches
+function readNewest(file, codec, matches, limit) {
+    const found = [];
+    for (const part of [file, rotatedFile(file)]) {
+        found.push(...readAllEntries(part, codec).filter(matches).reverse());
+        if (found.length >= limit) break;
+    }
+    return found.slice(0, limit);
+}
+
+/**
+ * Reads log entries, newest first.
+ * @param {Object} [filter] - {kind, recordId, limit}.
+ * @returns {Array<Object>}
+ */
+function readEntries(file, codec = PLAIN_CODEC, filter = {}) {
+    const { kind, recordId, limit = DEFAULT_LIMIT } = filter;
+    const matches = (entry) =>
+        (!kind || entry.kind === kind) &&
+        (recordId === undefined || entry.recordId === String(recordId));
+
+    return readNewest(file, codec, matches, limit);
+}
+
+// Newest match wins: ids repeat if data.json was recreated and revisions restarted
+function findEntry(file, codec, id) {
+    return readNewest(file, codec, (entry) => entry.id === String(id), 1)[0] || null;
+}
+
+/**
+ * Puts a logged version of a record back into `db`. Restoring the missing
+ * side of a create or delete removes the record. Mutates `db`.
+ * @param {Object} entry - A log entry.
+ * @param {string} [version] - 'before' (undo the change) or 'after'.
+ * @returns {Object} {record} (null when removed) or {error}.
+ */
+function restoreVersion(db, entry, version = 'before') {
+    const definition = HISTORY_KINDS[entry && entry.kind];
+    if (!definition) return { error: 'Unknown record type' };
+    if (version !== 'before' && version !== 'after') return { error: 'Invalid version' };
+
+    const list = definition.getList(db);
+    const exists = list.some((record) => String(record.id) === entry.recordId);
+    const target = entry[version];
+
+    if (!target) {
+        if (!exists) return { record: null };
+        if (RESOURCES[entry.kind]) {
+            deleteRecord(db, entry.kind, entry.recordId);
+        } else {
+            definition.setList(
+                db,
+                list.filter((record) => String(record.id) !== entry.recordId)
+            );
+        }
+        return { record: null };
+    }
+
+    const record = definition.normalize ? definition.normalize(target) : target;
+    if (!record) return { error: 'Logged version is no longer valid' };
+
+    const updated = exists
+        ? list.map((item) => (String(item.id) === entry.recordId ? record : item))
+        : [...list, record];
+    (RESOURCES[entry.kind] || definition).setList(db, updated);
+    return { record };
+}
+
+/**
+ * Re-encodes every line of the history files, e.g. when the passphrase changes.
+ * @returns {number} Number of entries written.
+ */
+function reencodeHistory(file, fromCodec, toCodec) {
+    return [file, rotatedFile(file)].reduce((written, part) => {
+        if (!fs.existsSync(part)) return written;
+        const entries = readAllEntries(part, fromCodec);
+        writeFileAtomicSync(
+            part,
+            entries.map((entry) => `${toCodec.encode(JSON.stringify(entry))}\n`).join('')
+        );
+        return written + entries.length;
+    }, 0);
+}
+
+module.exports = {
+    MAX_HISTORY_BYTES,
+    HISTORY_KINDS,
+    diffSnapshots,
+    createEntries,
+    appendEntries,
+    readEntries,
+    findEntry,
+    restoreVersion,
+    reencodeHistory,
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeFileAtomicSync } = require('./atomic-write');
+
+/**
+ * Marks a data folder as in use by a running server. The server keeps its
+ * revision in memory, so anything else that writes to the folder (the CLI)
+ * checks this file first. The file names the server's process and when it
+ * started; a file left behind by a crashed server is ignored once that
+ * process is gone, or once its pid belongs to a process that started later.
+ */
+
+const INSTANCE_FILE = 'server.pid';
+// `ps` reports whole seconds, and the clock may have moved a little since the claim
+const START_TOLERANCE = 5000;
+
+// Signal 0 only checks that the process exists; EPERM means it does
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * When a running process started, from its elapsed time (`[[dd-]hh:]mm:ss`).
+ * @returns {number|null} Milliseconds since the epoch; null where `ps` is unavailable.
+ */
+function processStartTime(pid) {
+    if (process.platform === 'win32') return null;
+    const result = spawnSync('ps', ['-o', 'etime=', '-p', String(pid)], { encoding: 'utf8' });
+    const match = /^\s*(?:(\d+)-)?(?:(\d+):)?(\d+):(\d+)\s*$/.exec(result.stdout || '');
+    if (!match) return null;
+
+    const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+    return Date.now() - (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Records a server as the one using `dataDir`. Defaults to this process.
+ * @param {Object} [owner] - {pid, startedAt}; `startedAt` is when that process started (ms).
+ * @returns {Function} Removes the file again, unless another server has taken it over.
+ */
+function claimDataDir(
+    dataDir,
+    { pid = process.pid, startedAt = Date.now() - process.uptime() * 1000 } = {}
+) {
+    const file = path.join(dataDir, INSTANCE_FILE);
+    fs.mkdirSync(dataDir, { recursive: true });
+    writeFileAtomicSync(
+        file,
+        JSON.stringify({ pid, startedAt: new Date(Math.round(startedAt)).toISOString() })
+    );
+
+    return () => {
+        const current = readInstance(dataDir);
+        if (current && current.pid === pid) fs.rmSync(file, { force: true });
+    };
+}
+
+function readInstance(dataDir) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(path.join(dataDir, INSTANCE_FILE), 'utf8'));
+        return Number.isInteger(parsed && parsed.pid) && parsed.pid > 0 ? parsed : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// A pid is reused after a crash or a reboot: it only counts while it is the process that claimed the folder
+function isClaimCurrent(instance) {
+    if (!isProcessAlive(instance.pid)) return false;
+
+    const claimedStart = Date.parse(instance.startedAt);
+    if (Number.isNaN(claimedStart)) return false;
+    const bootedAt = Date.now() - os.uptime() * 1000;
+    if (claimedStart < bootedAt - START_TOLERANCE) return false;
+
+    const actualStart = processStartTime(instance.pid);
+    return actualStart === null || Math.abs(actualStart - claimedStart) <= START_TOLERANCE;
+}
+
+/**
+ * Finds the server that is using `dataDir`.
+ * @returns {number|null} Process id of a live server other than this process, or null.
+ */
+function findRunningServer(dataDir) {
+    const instance = readInstance(dataDir);
+    if (!instance || instance.pid === process.pid || !isClaimCurrent(instance)) return null;
+    return instance.pid;
+}
+
+module.exports = {
+    INSTANCE_FILE,
+    claimDataDir,
+    findRunningServer,
+};
@@ -0,0 +1,193 @@
+const { RESOURCES } = require('./resources');
+const { normalizeData } = require('./data-utils');
+const { migrate } = require('./migrations');
+const { validateData, summarizeErrors } = require('./schema');
+
+/**
+ * Merge-mode import: folds another export into the current database instead
+ * of replacing it. Incoming cards, accounts and goals are matched to existing
+ * records by id or name and turned into a list of changes the user accepts or
+ * rejects one by one. Other stores are left as they are.
+ *
+ *   add      - no matching record; accepting appends it, under a new id when
+ *              its id is taken
+ *   update   - one clear match with different content; accepting replaces it
+ *   conflict - the match is uncertain (the id and the name point at different
+ *              records, or the name at several records); accepting replaces the
+ *              record shown as `before`
+ */
+
+/**
+ * Kinds that are merged, in order: cards come first so accounts can point
+ * their `ownerId` at the merged cards. `localIds` marks kinds whose ids are
+ * per-installation counters: another household's account 1 is unrelated to
+ * this one's, so these kinds are matched by name only.
+ */
+const MERGE_KINDS = {
+    cards: { label: (record) => record.displayName },
+    accounts: {
+        label: (record) => record.name,
+        localIds: true,
+        references: { ownerId: 'cards' },
+    },
+    goals: { label: (record) => record.name },
+};
+
+function nameKey(definition, record) {
+    return String(definition.label(record) || '')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Finds the existing record an incoming one corresponds to.
+ * @returns {Object} {record} (null when there is none) or {record, conflict}.
+ */
+function findMatch(definition, list, incoming) {
+    const key = nameKey(definition, incoming);
+    const byName = key ? list.filter((item) => nameKey(definition, item) === key) : [];
+    const byId = list.find((item) => String(item.id) === String(incoming.id)) || null;
+
+    if (byId && byName.includes(byId)) return { record: byId };
+    if (byId && !definition.localIds) {
+        if (byName.length === 0) return { record: byId };
+        return { record: byId, conflict: 'Its id and its name belong to different records' };
+    }
+    if (byName.length > 1) {
+        return { record: byName[0], conflict: 'Several records have this name' };
+    }
+    return { record: byName[0] || null };
+}
+
+// Points references (e.g. an account's ownerId) at the ids the referenced records got
+function remapReferences(definition, record, idMaps, db) {
+    const result = { ...record };
+    Object.entries(definition.references || {}).forEach(([field, kind]) => {
+        const value = result[field];
+        if (value === null || value === undefined) return;
+
+        const mapped = idMaps[kind].get(String(value));
+        if (mapped !== undefined) {
+            result[field] = mapped;
+        } else {
+            // Not part of the import: keep it only if it exists here
+            const exists = RESOURCES[kind].getList(db).some((item) => item.id === value);
+            result[field] = exists ? value : null;
+        }
+    });
+    return result;
+}
+
+/**
+ * Compares an incoming snapshot with `db` and applies the accepted changes.
+ * Mutates `db`. Both snapshots must already be migrated; records are
+ * normalized here.
+ * @param {Object} db - Current (raw) database.
+ * @param {Object} incoming - Imported snapshot.
+ * @param {Set<string>|null} accepted - Ids of the changes to apply; null
+ *     applies all of them, which is what a dry run on a copy uses.
+ * @returns {Object} {changes, applied}. Each change is {id, kind, action,
+ *     label, reason, before, after}; `id` stays the same for the same file.
+ */
+function mergeData(db, incoming, accepted) {
+    const changes = [];
+    const idMaps = {};
+    let applied = 0;
+
+    Object.entries(MERGE_KINDS).forEach(([kind, definition]) => {
+        const resource = RESOURCES[kind];
+        const idMap = new Map();
+        idMaps[kind] = idMap;
+        // Matches use the records from before the merge, so every change can be
+        // accepted or rejected on its own
+        const existing = [...resource.getList(db)];
+
+        resource.getList(incoming || {}).forEach((raw, index) => {
+            const record = resource.normalize(remapReferences(definition, raw, idMaps, db));
+            if (!record) return;
+
+            const match = findMatch(definition, existing, record);
+            const current = match.record ? resource.normalize(match.record) : null;
+            const action = match.conflict ? 'conflict' : current ? 'update' : 'add';
+            const after = current ? { ...record, id: current.id } : record;
+            const id = `${kind}:${index}`;
+            const isAccepted = !accepted || accepted.has(id);
+
+            if (action === 'update' && JSON.stringify(after) === JSON.stringify(current)) {
+                idMap.set(String(raw.id), current.id);
+                return;
+            }
+
+            changes.push({
+                id,
+                kind,
+                action,
+                label: definition.label(record) || String(record.id),
+                reason: match.conflict || null,
+                before: current,
+                after,
+            });
+
+            if (!isAccepted) {
+                idMap.set(String(raw.id), action === 'update' ? current.id : null);
+                return;
+            }
+
+            const list = resource.getList(db);
+            if (action === 'add') {
+                const taken =
+                    !record.id || list.some((item) => String(item.id) === String(record.id));
+                const added = taken ? { ...record, id: resource.nextId(list) } : record;
+                resource.setList(db, [...list, added]);
+                idMap.set(String(raw.id), added.id);
+            } else {
+                resource.setList(
+                    db,
+                    list.map((item) => (String(item.id) === String(current.id) ? after : item))
+                );
+                idMap.set(String(raw.id), current.id);
+            }
+            applied += 1;
+        });
+    });
+
+    return { changes, applied };
+}
+
+/**
+ * Lists what merging `incoming` would change, without touching `db`.
+ * @returns {Array<Object>} The changes, see mergeData().
+ */
+function planMerge(db, incoming) {
+    return mergeData(JSON.parse(JSON.stringify(db)), incoming, null).changes;
+}
+
+/**
+ * Upgrades and validates an uploaded snapshot (import or merge).
+ * @returns {Object} {data} (normalized) or {error, fields}.
+ */
+function readImportSnapshot(snapshot) {
+    // Basic validation to ensure it's a valid finance app snapshot
+    if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+        return { error: 'Invalid JSON data' };
+    }
+
+    // Upgrade older exports before normalizing so no fields are lost
+    let migrated;
+    try {
+        migrated = migrate(snapshot).data;
+    } catch (migrationErr) {
+        return { error: migrationErr.message };
+    }
+
+    const fields = validateData(migrated);
+    if (fields.length > 0) return { error: summarizeErrors(fields), fields };
+    return { data: normalizeData(migrated) };
+}
+
+module.exports = {
+    MERGE_KINDS,
+    mergeData,
+    planMerge,
+    readImportSnapshot,
+};
@@ -0,0 +1,103 @@
+/**
+ * Schema migrations for data.json.
+ * Each entry upgrades a snapshot from `version - 1` to `version`. Migrations run
+ * before normalizeData, so fields that a newer model renames or restructures are
+ * carried over instead of being dropped by the normalizers.
+ * Never edit a released migration; append a new one instead.
+ */
+
+const LEGACY_ACCOUNT_FIELDS = [
+    'id',
+    'name',
+    'category',
+    'type',
+    'monthlyPayment',
+    'annualPayment',
+    'hasReminder',
+    'status',
+    'priority',
+];
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Convert positional account rows to objects and add the transactions store',
+        up(data) {
+            const accounts = Array.isArray(data.accounts)
+                ? data.accounts.map((row) =>
+                      Array.isArray(row)
+                          ? Object.fromEntries(
+                                LEGACY_ACCOUNT_FIELDS.map((field, i) => [field, row[i]])
+                            )
+                          : row
+                  )
+                : [];
+            return {
+                ...data,
+                accounts,
+                transactions: Array.isArray(data.transactions) ? data.transactions : [],
+            };
+        },
+    },
+    {
+        version: 2,
+        description: 'Give accounts a billing frequency and a per-payment amount',
+        up(data) {
+            // The totals only counted monthlyPayment; annualPayment was used on
+            // its own for accounts without a monthly amount
+            const accounts = Array.isArray(data.accounts)
+                ? data.accounts.map((account) => {
+                      if (!account || typeof account !== 'object' || account.frequency) {
+                          return account;
+                      }
+                      const monthly = Number(account.monthlyPayment) || 0;
+                      const annual = Number(account.annualPayment) || 0;
+                      return monthly === 0 && annual > 0
+                          ? { ...account, frequency: 'annual', amount: annual }
+                          : { ...account, frequency: 'monthly', amount: monthly };
+                  })
+                : data.accounts;
+            return { ...data, accounts };
+        },
+    },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(data) {
+    const version = parseInt(data && data.schemaVersion, 10);
+    return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+/**
+ * Upgrades a raw snapshot to CURRENT_SCHEMA_VERSION.
+ * @param {Object} input - Parsed data.json content, export or backup.
+ * @returns {Object} {data, fromVersion, toVersion, applied} where `applied` lists the
+ *     versions that ran. The input object is never mutated.
+ * @throws {Error} When the snapshot was written by a newer version of the app.
+ */
+function migrate(input) {
+    const fromVersion = getSchemaVersion(input);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(
+            `Data schema version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`
+        );
+    }
+
+    let data = input && typeof input === 'object' ? structuredClone(input) : {};
+    const applied = [];
+
+    MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach((migration) => {
+        data = { ...migration.up(data), schemaVersion: migration.version };
+        applied.push(migration.version);
+    });
+
+    return { data, fromVersion, toVersion: CURRENT_SCHEMA_VERSION, applied };
+}
+
+module.exports = {
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrate,
+};
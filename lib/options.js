@@ -0,0 +1,160 @@
+const http = require('http');
+const path = require('path');
+
+/**
+ * Startup options: command-line flags, their environment equivalents and
+ * binding the HTTP server. Flags win over environment variables.
+ *
+ *   --port <n>        HAWKWARD_PORT       (default 3000, next free port if taken)
+ *   --host <addr>     HAWKWARD_HOST       (default 127.0.0.1)
+ *   --data-dir <dir>  HAWKWARD_DATA_DIR   (default ./data next to server.js)
+ *   --no-open         HAWKWARD_NO_OPEN=1  (do not launch the browser)
+ */
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_PORT_ATTEMPTS = 20;
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::']);
+
+const USAGE = `Usage: node server.js [options]
+
+Options:
+  --port <n>        Port to listen on (default ${DEFAULT_PORT}; the next free port is used if it is taken)
+  --host <addr>     Address to bind (default ${DEFAULT_HOST}; 0.0.0.0 exposes the app on the network)
+  --data-dir <dir>  Folder for data.json, backups and history (default ./data)
+  --no-open         Do not open the browser
+  --help            Show this help
+
+Environment: HAWKWARD_PORT, HAWKWARD_HOST, HAWKWARD_DATA_DIR, HAWKWARD_NO_OPEN=1`;
+
+const VALUE_FLAGS = {
+    '--port': 'port',
+    '--host': 'host',
+    '--data-dir': 'dataDir',
+};
+
+function parsePort(value, source) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`${source} must be a port number between 1 and 65535`);
+    }
+    return port;
+}
+
+function isTruthy(value) {
+    return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Reads the startup options.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @param {Object} env - Usually process.env.
+ * @param {string} defaultDataDir - Data folder when none is configured.
+ * @returns {Object} {port, host, dataDir, open, portFixed, help}. `portFixed`
+ *     is true when the port was chosen explicitly, which disables the fallback.
+ * @throws {Error} On unknown flags, missing values or an invalid port.
+ */
+function parseOptions(argv, env, defaultDataDir) {
+    const raw = {};
+    let noOpen = isTruthy(env.HAWKWARD_NO_OPEN || '');
+    let help = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        if (flag === '--no-open') {
+            noOpen = true;
+        } else if (flag === '--help' || flag === '-h') {
+            help = true;
+        } else if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') throw new Error(`${flag} needs a value`);
+            raw[VALUE_FLAGS[flag]] = { value, source: flag };
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    const pick = (key, envName) => {
+        if (raw[key]) return raw[key];
+        return env[envName] ? { value: env[envName], source: envName } : null;
+    };
+    const port = pick('port', 'HAWKWARD_PORT');
+    const host = pick('host', 'HAWKWARD_HOST');
+    const dataDir = pick('dataDir', 'HAWKWARD_DATA_DIR');
+
+    return {
+        port: port ? parsePort(port.value, port.source) : DEFAULT_PORT,
+        portFixed: Boolean(port),
+        host: host ? host.value : DEFAULT_HOST,
+        dataDir: dataDir ? path.resolve(dataDir.value) : defaultDataDir,
+        open: !noOpen,
+        help,
+    };
+}
+
+/**
+ * Starts an HTTP server for `handler`. When `fallback` is set and the port
+ * is in use, the following ports are tried.
+ * @returns {Promise<http.Server>} The listening server; `server.address().port` is the real port.
+ */
+function listenWithFallback(handler, { host, port, fallback, attempts = MAX_PORT_ATTEMPTS }) {
+    return new Promise((resolve, reject) => {
+        const tryPort = (candidate, remaining) => {
+            const server = http.createServer(handler);
+            server.once('listening', () => resolve(server));
+            server.once('error', (err) => {
+                if (err.code === 'EADDRINUSE' && fallback && remaining > 1 && candidate < 65535) {
+                    tryPort(candidate + 1, remaining - 1);
+                } else {
+                    reject(err);
+                }
+            });
+            server.listen(candidate, host);
+        };
+        tryPort(port, attempts);
+    });
+}
+
+/**
+ * Origins the browser UI may be served from once the server listens on `host:port`.
+ * @param {string} [networkIp] - LAN address, included when bound to all interfaces.
+ * @returns {Set<string>}
+ */
+function buildAllowedOrigins(host, port, networkIp) {
+    const hosts = ['localhost', '127.0.0.1'];
+    if (WILDCARD_HOSTS.has(host)) {
+        if (networkIp) hosts.push(networkIp);
+    } else if (!hosts.includes(host)) {
+        hosts.push(urlHost(host));
+    }
+    return new Set(hosts.map((name) => `http://${name}:${port}`));
+}
+
+function isLoopbackHost(host) {
+    return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+// IPv6 addresses need brackets inside a URL
+function urlHost(host) {
+    return host.includes(':') ? `[${host}]` : host;
+}
+
+/**
+ * URL to open in the browser. Loopback and all-interface bindings are reached
+ * through localhost; a specific address only through itself.
+ */
+function browserUrl(host, port) {
+    if (isLoopbackHost(host) || WILDCARD_HOSTS.has(host)) return `http://localhost:${port}`;
+    return `http://${urlHost(host)}:${port}`;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    USAGE,
+    parseOptions,
+    listenWithFallback,
+    buildAllowedOrigins,
+    isLoopbackHost,
+    browserUrl,
+};
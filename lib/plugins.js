@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    sanitizeString,
+    sanitizeNumber,
+    sanitizeDate,
+    registerStore,
+    registerAccountField,
+} = require('./data-utils');
+const { DATA_SCHEMA, registerStoreSchema, registerAccountFieldSchema } = require('./schema');
+
+/**
+ * Local plugins. Every folder in <data folder>/plugins is one plugin; its
+ * index.js exports the definition:
+ *
+ *   module.exports = {
+ *       name: 'Vet visits',
+ *       version: '1.0.0',
+ *       stores: { vetVisits: { list: true, schema: { ... }, normalize(item, helpers) {} } },
+ *       accountFields: [{ id: 'contractEnd', label: 'Contract end', type: 'date' }],
+ *       tabs: [{ id: 'visits', title: '🩺 Vet Visits' }],
+ *       reports: [{ id: 'costs', title: 'Vet costs' }],
+ *       scripts: ['client.js'],
+ *       styles: ['client.css'],
+ *   };
+ *
+ * The server stores, validates and normalizes the plugin's stores and account
+ * fields. Tabs and report widgets are drawn in the browser by the plugin's
+ * scripts (files in its public/ folder, served at /plugins/<id>/), which
+ * register their render functions with window.HawkwardPlugins.
+ */
+
+const PLUGINS_DIR = 'plugins';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const STORE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{0,39}$/;
+const FIELD_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const FILE_PATTERN = /^[\w-]+(\.[\w-]+)*\.(js|css)$/;
+const ACCOUNT_FIELD_TYPES = ['text', 'number', 'date'];
+
+// Captured before any plugin registers, so plugins cannot replace core data
+const CORE_STORES = new Set([...Object.keys(DATA_SCHEMA.properties), 'revision']);
+const CORE_ACCOUNT_FIELDS = new Set(Object.keys(DATA_SCHEMA.$defs.account.properties));
+
+// Passed to plugin normalizers so they clean values the way the core stores do
+const HELPERS = { sanitizeString, sanitizeNumber, sanitizeDate };
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readList(value, label) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) throw new Error(`${label} must be a list`);
+    return value;
+}
+
+function readStores(stores, taken) {
+    if (stores === undefined) return [];
+    if (!isPlainObject(stores)) throw new Error('stores must be an object');
+
+    return Object.entries(stores).map(([name, store]) => {
+        if (!STORE_NAME_PATTERN.test(name)) throw new Error(`Invalid store name "${name}"`);
+        if (CORE_STORES.has(name) || taken.has(name)) {
+            throw new Error(`Store "${name}" already exists`);
+        }
+        if (!isPlainObject(store)) throw new Error(`Store "${name}" must be an object`);
+        if (store.normalize !== undefined && typeof store.normalize !== 'function') {
+            throw new Error(`normalize of store "${name}" must be a function`);
+        }
+        return {
+            name,
+            list: Boolean(store.list),
+            schema: isPlainObject(store.schema) ? store.schema : { type: 'object' },
+            normalize: store.normalize || null,
+        };
+    });
+}
+
+function readAccountFields(fields, taken) {
+    return readList(fields, 'accountFields').map((field) => {
+        const { id, label, type = 'text' } = isPlainObject(field) ? field : {};
+        if (!FIELD_ID_PATTERN.test(id)) throw new Error(`Invalid account field id "${id}"`);
+        if (CORE_ACCOUNT_FIELDS.has(id) || taken.has(id)) {
+            throw new Error(`Account field "${id}" already exists`);
+        }
+        if (!ACCOUNT_FIELD_TYPES.includes(type)) {
+            throw new Error(
+                `Account field "${id}" must be one of: ${ACCOUNT_FIELD_TYPES.join(', ')}`
+            );
+        }
+        return { id, label: sanitizeString(label, 50) || id, type };
+    });
+}
+
+// Tabs and report widgets: [{ id, title }]
+function readViews(views, label) {
+    return readList(views, label).map((view) => {
+        const { id, title } = isPlainObject(view) ? view : {};
+        if (!ID_PATTERN.test(id)) throw new Error(`Invalid ${label} id "${id}"`);
+        return { id, title: sanitizeString(title, 50) || id };
+    });
+}
+
+// Browser files must sit directly in the plugin's public/ folder
+function readFiles(files, label, publicDir) {
+    return readList(files, label).map((file) => {
+        if (typeof file !== 'string' || !FILE_PATTERN.test(file)) {
+            throw new Error(`Invalid ${label} file "${file}"`);
+        }
+        if (!fs.existsSync(path.join(publicDir, file))) {
+            throw new Error(`${label} file public/${file} not found`);
+        }
+        return file;
+    });
+}
+
+function readPlugin(id, dir, definition, taken) {
+    if (!isPlainObject(definition)) throw new Error('index.js must export an object');
+    const publicDir = path.join(dir, 'public');
+
+    return {
+        id,
+        dir,
+        name: sanitizeString(definition.name, 50) || id,
+        version: sanitizeString(definition.version, 20),
+        stores: readStores(definition.stores, taken.stores),
+        accountFields: readAccountFields(definition.accountFields, taken.fields),
+        tabs: readViews(definition.tabs, 'tabs'),
+        reports: readViews(definition.reports, 'reports'),
+        scripts: readFiles(definition.scripts, 'scripts', publicDir),
+        styles: readFiles(definition.styles, 'styles', publicDir),
+    };
+}
+
+/**
+ * Loads the plugins of a data folder, in folder-name order. A plugin that
+ * fails to load or clashes with the core or an earlier plugin is skipped.
+ * @param {string} dataDir - Data folder holding plugins/.
+ * @returns {Object} {plugins, errors: [{plugin, error}]}
+ */
+function loadPlugins(dataDir) {
+    const dir = path.join(dataDir, PLUGINS_DIR);
+    const result = { plugins: [], errors: [] };
+    let folders;
+    try {
+        folders = fs
+            .readdirSync(dir, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => entry.name)
+            .sort();
+    } catch (err) {
+        return result;
+    }
+
+    const taken = { stores: new Set(), fields: new Set() };
+    folders.forEach((id) => {
+        if (!ID_PATTERN.test(id)) {
+            result.errors.push({
+                plugin: id,
+                error: 'Folder name must use lowercase letters, digits and dashes',
+            });
+            return;
+        }
+        try {
+            const pluginDir = path.join(dir, id);
+            const plugin = readPlugin(id, pluginDir, require(pluginDir), taken);
+            plugin.stores.forEach((store) => taken.stores.add(store.name));
+            plugin.accountFields.forEach((field) => taken.fields.add(field.id));
+            result.plugins.push(plugin);
+        } catch (err) {
+            result.errors.push({ plugin: id, error: err.message });
+        }
+    });
+    return result;
+}
+
+// A failing plugin normalizer keeps the value as stored instead of breaking
+// every read; dropping it would erase the plugin's data on the next save
+function guardNormalize(plugin, store) {
+    const normalize = store.normalize || ((value) => value);
+    return (value) => {
+        try {
+            return normalize(value, HELPERS);
+        } catch (err) {
+            console.warn(
+                `⚠️ Plugin ${plugin.id}: normalizing ${store.name} failed: ${err.message}`
+            );
+            return value;
+        }
+    };
+}
+
+/**
+ * Registers the stores and account fields of loaded plugins with the
+ * normalizers and the schema. Registering the same plugins again is harmless.
+ * @param {Object} loaded - Result of loadPlugins().
+ */
+function installPlugins(loaded) {
+    loaded.plugins.forEach((plugin) => {
+        plugin.stores.forEach((store) => {
+            registerStore(store.name, {
+                list: store.list,
+                normalize: guardNormalize(plugin, store),
+            });
+            registerStoreSchema(store.name, store.schema, store.list);
+        });
+        plugin.accountFields.forEach((field) => {
+            registerAccountField(field.id, field.type);
+            registerAccountFieldSchema(field.id, field.type);
+        });
+    });
+}
+
+/**
+ * The manifest sent to the browser (GET /api/plugins).
+ * @param {Object} loaded - Result of loadPlugins().
+ * @returns {Object} {plugins, errors}; script and style paths are URLs.
+ */
+function describePlugins(loaded) {
+    return {
+        plugins: loaded.plugins.map((plugin) => ({
+            id: plugin.id,
+            name: plugin.name,
+            version: plugin.version,
+            stores: plugin.stores.map(({ name, list }) => ({ name, list })),
+            accountFields: plugin.accountFields,
+            tabs: plugin.tabs,
+            reports: plugin.reports,
+            scripts: plugin.scripts.map((file) => `/plugins/${plugin.id}/${file}`),
+            styles: plugin.styles.map((file) => `/plugins/${plugin.id}/${file}`),
+        })),
+        errors: loaded.errors,
+    };
+}
+
+module.exports = {
+    loadPlugins,
+    installPlugins,
+    describePlugins,
+};
@@ -0,0 +1,175 @@
+const {
+    normalizeAccount,
+    normalizeTransaction,
+    normalizeCard,
+    normalizeGoal,
+} = require('./data-utils');
+const { validateRecord, summarizeErrors } = require('./schema');
+
+function nextNumericId(list) {
+    return list.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+}
+
+function uniquePrefixedId(prefix) {
+    return (list) => {
+        const taken = new Set(list.map((item) => String(item.id)));
+        let stamp = Date.now();
+        while (taken.has(`${prefix}_${stamp}`)) stamp += 1;
+        return `${prefix}_${stamp}`;
+    };
+}
+
+// A patch that only sets the monthly or annual equivalent re-bills the account
+// from it, as monthly or annual (see normalizeBilling in lib/data-utils.js)
+function mergeAccount(record, patch) {
+    const billing = ['frequency', 'amount', 'intervalMonths'].some((field) => field in patch);
+    const equivalents = ['monthlyPayment', 'annualPayment'].some((field) => field in patch);
+    if (billing || !equivalents) return { ...record, ...patch };
+
+    const { frequency, amount, intervalMonths, ...rest } = record;
+    return { ...rest, monthlyPayment: 0, annualPayment: 0, ...patch };
+}
+
+function clearReferences(list, field, id) {
+    (list || []).forEach((item) => {
+        if (String(item[field]) === String(id)) item[field] = null;
+    });
+}
+
+/**
+ * Record collections exposed as REST resources (/api/<name>/:id).
+ * `getList`/`setList` locate the collection inside the raw database object,
+ * `schema` names the definition in lib/schema.js that input must match,
+ * `merge` (optional) combines a stored record with a partial update, and
+ * `onDelete` cleans up references held by other stores.
+ */
+const RESOURCES = {
+    accounts: {
+        getList: (db) => (Array.isArray(db.accounts) ? db.accounts : []),
+        setList: (db, list) => {
+            db.accounts = list;
+        },
+        normalize: normalizeAccount,
+        schema: 'account',
+        merge: mergeAccount,
+        nextId: nextNumericId,
+        onDelete: (db, id) => clearReferences(db.transactions, 'accountId', id),
+    },
+    cards: {
+        getList: (db) => (db.profile && Array.isArray(db.profile.cards) ? db.profile.cards : []),
+        setList: (db, list) => {
+            db.profile = { ...(db.profile || {}), cards: list };
+        },
+        normalize: normalizeCard,
+        schema: 'card',
+        nextId: uniquePrefixedId('card'),
+        onDelete: (db, id) => {
+            clearReferences(db.accounts, 'ownerId', id);
+            clearReferences(db.transactions, 'ownerId', id);
+        },
+    },
+    goals: {
+        getList: (db) => (Array.isArray(db.goals) ? db.goals : []),
+        setList: (db, list) => {
+            db.goals = list;
+        },
+        normalize: normalizeGoal,
+        schema: 'goal',
+        nextId: uniquePrefixedId('goal'),
+    },
+    transactions: {
+        getList: (db) => (Array.isArray(db.transactions) ? db.transactions : []),
+        setList: (db, list) => {
+            db.transactions = list;
+        },
+        normalize: normalizeTransaction,
+        schema: 'transaction',
+        nextId: uniquePrefixedId('txn'),
+    },
+};
+
+function sameId(record, id) {
+    return String(record.id) === String(id);
+}
+
+// Input is checked against the schema first, so bad values are reported instead of
+// being silently sanitized away
+function buildRecord(definition, input) {
+    const fields = validateRecord(definition.schema, input);
+    if (fields.length > 0) return { error: summarizeErrors(fields), fields };
+
+    const record = definition.normalize(input);
+    if (!record) return { error: 'Invalid record' };
+    return { record };
+}
+
+function findRecord(db, name, id) {
+    return RESOURCES[name].getList(db).find((record) => sameId(record, id)) || null;
+}
+
+/**
+ * Validates input and appends it as a new record with a server-assigned id.
+ * Mutates `db` on success.
+ * @returns {Object} {record} or {error, fields}.
+ */
+function createRecord(db, name, input) {
+    const definition = RESOURCES[name];
+    const list = definition.getList(db);
+    const id = definition.nextId(list);
+
+    const result = buildRecord(definition, { ...(input || {}), id });
+    if (result.error) return result;
+
+    definition.setList(db, [...list, result.record]);
+    return result;
+}
+
+/**
+ * Merges a partial update into an existing record and re-validates it.
+ * The id can never be changed. Mutates `db` on success.
+ * @returns {Object|null} {record} or {error, fields}, or null if the record does not exist.
+ */
+function updateRecord(db, name, id, patch) {
+    const definition = RESOURCES[name];
+    const list = definition.getList(db);
+    const index = list.findIndex((record) => sameId(record, id));
+    if (index === -1) return null;
+
+    const merged = definition.merge
+        ? definition.merge(list[index], patch || {})
+        : { ...list[index], ...(patch || {}) };
+    const result = buildRecord(definition, { ...merged, id: list[index].id });
+    if (result.error) return result;
+
+    const updated = [...list];
+    updated[index] = result.record;
+    definition.setList(db, updated);
+    return result;
+}
+
+/**
+ * Removes a record and clears references to it in other stores.
+ * Mutates `db` on success.
+ * @returns {Object|null} The removed record, or null if it does not exist.
+ */
+function deleteRecord(db, name, id) {
+    const definition = RESOURCES[name];
+    const list = definition.getList(db);
+    const record = list.find((item) => sameId(item, id));
+    if (!record) return null;
+
+    definition.setList(
+        db,
+        list.filter((item) => !sameId(item, id))
+    );
+    if (definition.onDelete) definition.onDelete(db, record.id);
+    return record;
+}
+
+module.exports = {
+    RESOURCES,
+    findRecord,
+    createRecord,
+    updateRecord,
+    deleteRecord,
+};
@@ -0,0 +1,31 @@
+/**
+ * Revision tracking for optimistic concurrency.
+ * Every write to data.json increments its `revision`. The server sends it as an
+ * ETag and clients echo it back in If-Match, so a write based on stale data is
+ * rejected instead of silently overwriting another tab's changes.
+ */
+
+function getRevision(data) {
+    const revision = parseInt(data && data.revision, 10);
+    return Number.isInteger(revision) && revision > 0 ? revision : 0;
+}
+
+function toETag(revision) {
+    return `"${revision}"`;
+}
+
+/**
+ * Reads the revision from an If-Match header.
+ * Accepts strong (`"3"`) and weak (`W/"3"`) tags as well as a bare number.
+ * @returns {number|null} The revision, or null when the header is missing or malformed.
+ */
+function parseIfMatch(header) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(header || '').trim());
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+    getRevision,
+    toETag,
+    parseIfMatch,
+};
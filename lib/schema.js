@@ -0,0 +1,362 @@
+const { BILLING_FREQUENCIES, MAX_INTERVAL_MONTHS, sanitizeDate } = require('./data-utils');
+
+/**
+ * JSON Schema (draft 2020-12) for every store in data.json, published at
+ * GET /api/schema, plus a small validator for the keywords used here.
+ * Validation errors are field-level ({field, message}) so the UI can show them.
+ */
+
+const MAX_AMOUNT = 1000000000;
+const nullableString = (maxLength) => ({ type: ['string', 'null'], maxLength });
+const amount = { type: 'number', minimum: 0, maximum: MAX_AMOUNT };
+const date = { type: 'string', format: 'date' };
+
+const DEFINITIONS = {
+    account: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            id: { type: 'integer', minimum: 0 },
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            category: { type: 'string', maxLength: 100 },
+            type: { type: 'string', maxLength: 20 },
+            frequency: { enum: Object.keys(BILLING_FREQUENCIES) },
+            // Amount of each payment
+            amount,
+            // Months between payments of a `custom` frequency
+            intervalMonths: { type: ['integer', 'null'], minimum: 1, maximum: MAX_INTERVAL_MONTHS },
+            // Monthly and annual equivalents, derived from amount and frequency on save
+            monthlyPayment: amount,
+            annualPayment: amount,
+            hasReminder: { type: 'string', maxLength: 10 },
+            status: { type: 'string', maxLength: 30 },
+            priority: { type: 'string', maxLength: 30 },
+            ownerId: nullableString(100),
+            // Any due date of the bill: the anchor its frequency repeats from
+            dueDate: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2})?$' },
+        },
+    },
+    transaction: {
+        type: 'object',
+        required: ['date', 'amount'],
+        properties: {
+            id: { type: 'string', maxLength: 100 },
+            date,
+            amount,
+            type: { enum: ['expense', 'income'] },
+            accountId: { type: ['integer', 'null'], minimum: 1 },
+            ownerId: nullableString(100),
+            memo: { type: 'string', maxLength: 200 },
+        },
+    },
+    card: {
+        type: 'object',
+        required: ['displayName', 'fullName'],
+        properties: {
+            id: { type: 'string', maxLength: 100 },
+            type: { type: 'string', maxLength: 20 },
+            emoji: { type: 'string', maxLength: 16 },
+            displayName: { type: 'string', minLength: 1, maxLength: 50 },
+            fullName: { type: 'string', minLength: 1, maxLength: 100 },
+            dateOfBirth: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2})?$' },
+        },
+        // Template-specific fields (job, school, ...) are free-form scalars
+        additionalProperties: { type: ['string', 'number'] },
+    },
+    goal: {
+        type: 'object',
+        required: ['name', 'target'],
+        properties: {
+            id: { type: 'string', maxLength: 100 },
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            target: { type: 'number', exclusiveMinimum: 0, maximum: MAX_AMOUNT },
+            current: amount,
+            createdAt: { type: 'string', maxLength: 40 },
+        },
+    },
+    timelineMonth: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', minLength: 1, maxLength: 40 },
+            year: { type: 'integer' },
+            month: { type: 'string', maxLength: 20 },
+            display: { type: 'string', maxLength: 50 },
+            income: amount,
+            expenses: amount,
+            isLocked: { type: 'boolean' },
+        },
+    },
+    timelineData: {
+        type: 'object',
+        properties: {
+            startingBalance: { type: 'number', minimum: -MAX_AMOUNT, maximum: MAX_AMOUNT },
+            months: { type: 'array', items: { $ref: '#/$defs/timelineMonth' } },
+        },
+    },
+    settings: {
+        type: 'object',
+        properties: {
+            theme: { enum: ['light', 'dark'] },
+            primaryColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+            currency: { type: 'string', maxLength: 8 },
+            heartbeatTimeout: { type: 'integer', minimum: 10, maximum: 1800 },
+            autoShutdown: { type: 'boolean' },
+            autoLockMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
+            categories: { $ref: '#/$defs/labelList' },
+            statuses: { $ref: '#/$defs/labelList' },
+            criticalities: { $ref: '#/$defs/labelList' },
+        },
+    },
+    labelList: {
+        type: 'array',
+        maxItems: 200,
+        items: { type: 'string', minLength: 1, maxLength: 100 },
+    },
+};
+
+const listOf = (name) => ({ type: 'array', items: { $ref: `#/$defs/${name}` } });
+
+// Top-level layout of data.json; the write endpoints validate one store (or store key) of it
+const DATA_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: '/api/schema',
+    title: 'HawkwardFinances data',
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'integer', minimum: 0 },
+        accounts: listOf('account'),
+        transactions: listOf('transaction'),
+        goals: listOf('goal'),
+        profile: { type: 'object', properties: { cards: listOf('card') } },
+        timeline: {
+            type: 'object',
+            properties: {
+                timelineData: { $ref: '#/$defs/timelineData' },
+                // Months of years the Timeline no longer shows (see lib/diagnostics.js)
+                archivedMonths: listOf('timelineMonth'),
+            },
+        },
+        settings: {
+            type: 'object',
+            properties: { appSettings: { $ref: '#/$defs/settings' } },
+        },
+    },
+    $defs: DEFINITIONS,
+};
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+    null: 'empty',
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return true;
+    }
+}
+
+function resolve(schema) {
+    if (!schema || !schema.$ref) return schema;
+    return DEFINITIONS[schema.$ref.replace('#/$defs/', '')];
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value against one of the schemas above.
+ * @param {Object} schema - A schema or `{ $ref }`.
+ * @param {*} value - The value to check.
+ * @param {string} [path] - Field path of `value`, used in the errors.
+ * @returns {Array<Object>} {field, message} per problem; empty when valid.
+ */
+function validateValue(schema, value, path = '') {
+    const rules = resolve(schema);
+    if (!rules) return [];
+    const field = path || '(root)';
+    const fail = (message) => [{ field, message }];
+
+    if (rules.type) {
+        const types = [].concat(rules.type);
+        if (!types.some((type) => matchesType(value, type))) {
+            return fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+        }
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return fail(`must be one of: ${rules.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (rules.minLength === 1 && value.trim() === '') return fail('is required');
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            return fail(`must be at least ${rules.minLength} characters`);
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return fail(`must be at most ${rules.maxLength} characters`);
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            return fail('has an invalid format');
+        }
+        if (rules.format === 'date' && sanitizeDate(value) !== value) {
+            return fail('must be a valid date (YYYY-MM-DD)');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (rules.minimum !== undefined && value < rules.minimum) {
+            return fail(`must be at least ${rules.minimum}`);
+        }
+        if (rules.exclusiveMinimum !== undefined && value <= rules.exclusiveMinimum) {
+            return fail(`must be greater than ${rules.exclusiveMinimum}`);
+        }
+        if (rules.maximum !== undefined && value > rules.maximum) {
+            return fail(`must be at most ${rules.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+            return fail(`must have at most ${rules.maxItems} items`);
+        }
+        if (!rules.items) return [];
+        return value.flatMap((item, index) =>
+            validateValue(rules.items, item, joinPath(path, index))
+        );
+    }
+
+    if (matchesType(value, 'object')) {
+        const properties = rules.properties || {};
+        const missing = (rules.required || [])
+            .filter((key) => value[key] === undefined || value[key] === null)
+            .map((key) => ({ field: joinPath(path, key), message: 'is required' }));
+
+        const nested = Object.entries(value).flatMap(([key, child]) => {
+            if (properties[key]) return validateValue(properties[key], child, joinPath(path, key));
+            if (rules.additionalProperties && typeof rules.additionalProperties === 'object') {
+                return validateValue(rules.additionalProperties, child, joinPath(path, key));
+            }
+            return [];
+        });
+        return [...missing, ...nested];
+    }
+
+    return [];
+}
+
+// Schemas of the field types a plugin can add to accounts
+const ACCOUNT_FIELD_SCHEMAS = {
+    text: { type: 'string', maxLength: 200 },
+    number: { type: ['number', 'null'], minimum: -MAX_AMOUNT, maximum: MAX_AMOUNT },
+    date: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2})?$' },
+};
+
+/**
+ * Adds a plugin store to DATA_SCHEMA (and so to GET /api/schema and the validators).
+ * @param {string} name - Top-level key in data.json.
+ * @param {Object} schema - Schema of one item for a list store, of the whole store otherwise.
+ * @param {boolean} list - Whether the store is a list.
+ */
+function registerStoreSchema(name, schema, list) {
+    DATA_SCHEMA.properties[name] = list ? { type: 'array', items: schema } : schema;
+}
+
+/**
+ * Adds a plugin field to the account definition.
+ * @param {string} id - Property name on the account.
+ * @param {string} type - 'text', 'number' or 'date'.
+ */
+function registerAccountFieldSchema(id, type) {
+    DEFINITIONS.account.properties[id] = ACCOUNT_FIELD_SCHEMAS[type];
+}
+
+/**
+ * Validates one record against its definition (account, card, goal, ...).
+ * @returns {Array<Object>} Field errors.
+ */
+function validateRecord(definition, value) {
+    return validateValue({ $ref: `#/$defs/${definition}` }, value);
+}
+
+/**
+ * Validates the payload of a store write (POST /api/data).
+ * @param {string} storeName - Store, e.g. 'goals' or 'settings'.
+ * @param {*} data - The new content.
+ * @param {string} [key] - Key inside an object store, e.g. 'appSettings'.
+ * @returns {Array<Object>} Field errors, e.g. `{ field: 'goals[0].target', ... }`.
+ */
+function validateStore(storeName, data, key) {
+    const store = DATA_SCHEMA.properties[storeName];
+    if (!store) return [{ field: 'storeName', message: 'is not a known store' }];
+
+    // List stores are replaced as a whole; their key (e.g. 'allAccounts') is only a label
+    if (!key || store.type === 'array') return validateValue(store, data, storeName);
+
+    // Keys the schema does not name fall back to additionalProperties, as in a
+    // whole-store write; a plugin store without `properties` takes any key
+    const path = `${storeName}.${key}`;
+    const properties = store.properties || {};
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        return validateValue(properties[key], data, path);
+    }
+    const rest = store.additionalProperties;
+    if (rest && typeof rest === 'object') return validateValue(rest, data, path);
+    if (store.properties || rest === false) {
+        return [{ field: 'key', message: `is not a known key of ${storeName}` }];
+    }
+    return [];
+}
+
+/**
+ * Validates a whole database snapshot, e.g. an import.
+ * @returns {Array<Object>} Field errors.
+ */
+function validateData(data) {
+    return validateValue(DATA_SCHEMA, data);
+}
+
+const MAX_SUMMARIZED_ERRORS = 5;
+
+/**
+ * Joins field errors into one sentence for the `error` property of a response.
+ */
+function summarizeErrors(errors) {
+    const shown = errors
+        .slice(0, MAX_SUMMARIZED_ERRORS)
+        .map(({ field, message }) => `${field} ${message}`);
+    const hidden = errors.length - shown.length;
+    return hidden > 0 ? `${shown.join('; ')} (and ${hidden} more)` : shown.join('; ');
+}
+
+module.exports = {
+    DATA_SCHEMA,
+    validateValue,
+    validateRecord,
+    validateStore,
+    validateData,
+    summarizeErrors,
+    registerStoreSchema,
+    registerAccountFieldSchema,
+};
@@ -0,0 +1,550 @@
+const { sanitizeDate, BILLING_FREQUENCIES, MAX_INTERVAL_MONTHS } = require('./data-utils');
+const { detectDecimal, parseAmount } = require('./csv-import');
+const { RESOURCES, createRecord, updateRecord } = require('./resources');
+
+/**
+ * Bank statement import: OFX (SGML or XML), QIF and ISO 20022 CAMT.053 files
+ * become dated transactions. Payees that come back on a regular schedule
+ * (weekly, every two weeks, monthly, quarterly, yearly, every N months) are suggested as recurring
+ * accounts (new ones, or an updated amount for an account that already
+ * exists), which the user accepts one by one.
+ *
+ * Every parser returns {entries, rejected}: an entry is {date, amount, payee,
+ * memo} with a signed amount (negative = money out), and a rejected entry is
+ * {entry, error} with its 1-based position in the file.
+ */
+
+const MAX_ENTRIES = 5000;
+const MIN_RECURRING_MONTHS = 2;
+// For a monthly or slower schedule, more hits per month than this is everyday
+// spending (groceries, fuel), not a bill
+const MAX_HITS_PER_MONTH = 1.5;
+// Gaps between payments (in months) that have a frequency of their own
+const CADENCES = { 1: 'monthly', 3: 'quarterly', 6: 'semiannual', 12: 'annual' };
+// Gaps between payments (in days) of schedules shorter than a month
+const WEEKLY_CADENCES = { 7: 'weekly', 14: 'biweekly' };
+// How far a weekly or biweekly payment may drift (weekends, bank holidays)
+const MAX_DAY_DRIFT = 3;
+// A typical gap shorter than this (in days) is checked for a weekly schedule
+const MIN_MONTHLY_GAP = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+    return String(value || '')
+        .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toEntry(position, { date, amount, payee, memo }) {
+    if (!sanitizeDate(date)) return { rejected: { entry: position, error: 'Invalid date' } };
+    if (amount === null || !Number.isFinite(amount)) {
+        return { rejected: { entry: position, error: 'Invalid amount' } };
+    }
+    return { entry: { date, amount, payee: payee || memo || '', memo: payee ? memo : '' } };
+}
+
+function collect(items) {
+    const entries = [];
+    const rejected = [];
+    items.forEach((item, index) => {
+        const result = toEntry(index + 1, item);
+        if (result.rejected) rejected.push(result.rejected);
+        // No money moved, nothing to record
+        else if (result.entry.amount !== 0) entries.push(result.entry);
+    });
+    return { entries, rejected };
+}
+
+// A single amount whose decimal separator is unknown ("-12,50" or "1,234.00")
+function readAmount(value) {
+    return parseAmount(value, detectDecimal([value], null));
+}
+
+// ==================== OFX ====================
+
+// Leaf values in SGML OFX have no closing tag, so a value ends at the next tag or line
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeXml(match[1]) : '';
+}
+
+function parseOfx(text) {
+    const blocks = String(text).match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    return collect(
+        blocks.map((block) => {
+            const posted = ofxValue(block, 'DTPOSTED');
+            return {
+                date: /^\d{8}/.test(posted)
+                    ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`
+                    : '',
+                amount: readAmount(ofxValue(block, 'TRNAMT')),
+                payee: ofxValue(block, 'NAME') || ofxValue(block, 'PAYEEID'),
+                memo: ofxValue(block, 'MEMO'),
+            };
+        })
+    );
+}
+
+// ==================== QIF ====================
+
+function expandYear(year) {
+    if (year.length === 4) return year;
+    const value = Number(year);
+    return String(value < 70 ? 2000 + value : 1900 + value);
+}
+
+function splitQifDate(value) {
+    return value.replace(/'/g, '/').replace(/\s/g, '').split(/[/.-]/);
+}
+
+/**
+ * QIF dates have no fixed order. "2025-01-31" is read as year first;
+ * otherwise the file is read day first when any first part is above 12 or
+ * the parts are separated by dots, and month first (Quicken's default)
+ * otherwise.
+ */
+function qifDateReader(values) {
+    const parts = values.map(splitQifDate).filter((p) => p.length === 3 && p[0].length < 4);
+    const dayFirst =
+        parts.some((p) => Number(p[0]) > 12) ||
+        (!parts.some((p) => Number(p[1]) > 12) && values.some((value) => value.includes('.')));
+
+    return (value) => {
+        const p = splitQifDate(value);
+        if (p.length !== 3 || p.some((part) => !/^\d+$/.test(part))) return '';
+        const [year, month, day] =
+            p[0].length === 4 ? p : dayFirst ? [p[2], p[1], p[0]] : [p[2], p[0], p[1]];
+        return `${expandYear(year)}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    };
+}
+
+function parseQif(text) {
+    const records = [];
+    let record = {};
+
+    String(text)
+        .split(/\r?\n/)
+        .forEach((rawLine) => {
+            const line = rawLine.trim();
+            if (line === '^') {
+                if (Object.keys(record).length > 0) records.push(record);
+                record = {};
+            } else if (line && !line.startsWith('!')) {
+                const code = line[0];
+                // Split lines (S, E, $) repeat codes; only the first of each is kept
+                if (record[code] === undefined) record[code] = line.slice(1).trim();
+            }
+        });
+    if (Object.keys(record).length > 0) records.push(record);
+
+    const readDate = qifDateReader(records.map((item) => item.D || ''));
+    const amounts = records.map((item) => item.T || item.U || '');
+    const decimal = detectDecimal(amounts, null);
+
+    return collect(
+        records.map((item, index) => ({
+            date: readDate(item.D || ''),
+            amount: amounts[index] ? parseAmount(amounts[index], decimal) : null,
+            payee: item.P || '',
+            memo: item.M || '',
+        }))
+    );
+}
+
+// ==================== CAMT.053 ====================
+
+// Inner XML of the first element with this name, with or without a namespace prefix
+function xmlElement(xml, name) {
+    if (!xml) return '';
+    const match = xml.match(
+        new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`)
+    );
+    return match ? match[1] : '';
+}
+
+function xmlElements(xml, name) {
+    const pattern = new RegExp(
+        `<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>[\\s\\S]*?</(?:[\\w-]+:)?${name}>`,
+        'g'
+    );
+    return String(xml).match(pattern) || [];
+}
+
+function xmlText(xml, ...path) {
+    return decodeXml(path.reduce((inner, name) => xmlElement(inner, name), xml));
+}
+
+function camtDate(entry, name) {
+    const element = xmlElement(entry, name);
+    return xmlText(element, 'Dt') || xmlText(element, 'DtTm').slice(0, 10);
+}
+
+function parseCamt053(text) {
+    return collect(
+        xmlElements(text, 'Ntry').map((entry) => {
+            const amount = Number(xmlText(entry, 'Amt'));
+            const debit = xmlText(entry, 'CdtDbtInd') === 'DBIT';
+            // Money out goes to the creditor, money in comes from the debtor
+            const party = xmlElement(entry, debit ? 'Cdtr' : 'Dbtr');
+            return {
+                date: camtDate(entry, 'BookgDt') || camtDate(entry, 'ValDt'),
+                amount:
+                    xmlText(entry, 'Amt') && Number.isFinite(amount)
+                        ? debit
+                            ? -amount
+                            : amount
+                        : null,
+                payee: xmlText(party, 'Nm'),
+                memo: xmlText(entry, 'Ustrd') || xmlText(entry, 'AddtlNtryInf'),
+            };
+        })
+    );
+}
+
+// ==================== Formats ====================
+
+const FORMATS = {
+    ofx: { label: 'OFX', parse: parseOfx },
+    qif: { label: 'QIF', parse: parseQif },
+    camt053: { label: 'CAMT.053', parse: parseCamt053 },
+};
+
+function detectFormat(text) {
+    const head = String(text).slice(0, 2000);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/camt\.053|<(?:[\w-]+:)?BkToCstmrStmt/.test(head)) return 'camt053';
+    if (/^\s*!Type:/im.test(head) || /^\^\s*$/m.test(text)) return 'qif';
+    return null;
+}
+
+/**
+ * Parses a statement file of any supported format.
+ * @param {string} text - File content.
+ * @returns {Object} {format, entries, rejected} or {error}.
+ */
+function parseStatement(text) {
+    const format = detectFormat(text || '');
+    if (!format) return { error: 'Unrecognized file: expected OFX, QIF or CAMT.053' };
+
+    const { entries, rejected } = FORMATS[format].parse(text);
+    if (entries.length === 0 && rejected.length === 0) {
+        return { error: `The ${FORMATS[format].label} file has no transactions` };
+    }
+    if (entries.length > MAX_ENTRIES) {
+        return { error: `At most ${MAX_ENTRIES} transactions can be imported` };
+    }
+    return { format, entries, rejected };
+}
+
+// ==================== Recurring payees ====================
+
+/**
+ * Reduces a payee to what stays the same from one month to the next:
+ * lowercase, no accents, and no digits (dates, card and reference numbers).
+ */
+function payeeKey(payee) {
+    return String(payee || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+}
+
+// Payee as shown and used for a new account, without the changing numbers
+function displayName(payee) {
+    return String(payee)
+        .replace(/[\d#*]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Months since year 0 of a YYYY-MM key
+function monthIndex(month) {
+    return Number(month.slice(0, 4)) * 12 + Number(month.slice(5, 7)) - 1;
+}
+
+function gapsBetween(indexes) {
+    const sorted = [...indexes].sort((a, b) => a - b);
+    return sorted.slice(1).map((index, position) => index - sorted[position]);
+}
+
+// Weekly or biweekly when every gap between payment days is close to 7 or 14 days
+function detectWeeklyCadence(gaps) {
+    const typical = median(gaps);
+    const days = Object.keys(WEEKLY_CADENCES)
+        .map(Number)
+        .find((cadence) => Math.abs(typical - cadence) <= MAX_DAY_DRIFT);
+    if (!days || gaps.some((gap) => Math.abs(gap - days) > MAX_DAY_DRIFT)) return null;
+    return { frequency: WEEKLY_CADENCES[days], intervalMonths: null };
+}
+
+/**
+ * How often a payee is paid. Payments days apart are checked for a weekly or
+ * biweekly schedule; otherwise the typical gap between the months they fall
+ * in decides, and more than MAX_HITS_PER_MONTH payments in those months is
+ * everyday spending. Null when the gaps are irregular (a month off the typical
+ * one, or days off a weekly schedule), which is occasional spending.
+ * @param {Map<string, number>} byDate - Total paid per YYYY-MM-DD, at least two months.
+ * @param {Map<string, number>} byMonth - Total paid per YYYY-MM.
+ * @param {number} hits - Number of payments.
+ * @returns {Object|null} {frequency, intervalMonths, amounts}: `amounts` are
+ *     the totals per payment (per day or per month).
+ */
+function detectCadence(byDate, byMonth, hits) {
+    const dayGaps = gapsBetween([...byDate.keys()].map((date) => Date.parse(date) / DAY_MS));
+    if (median(dayGaps) < MIN_MONTHLY_GAP) {
+        const weekly = detectWeeklyCadence(dayGaps);
+        return weekly && { ...weekly, amounts: [...byDate.values()] };
+    }
+
+    if (hits / byMonth.size > MAX_HITS_PER_MONTH) return null;
+    const gaps = gapsBetween([...byMonth.keys()].map(monthIndex));
+    const interval = Math.round(median(gaps));
+    if (interval > MAX_INTERVAL_MONTHS) return null;
+    if (gaps.some((gap) => Math.abs(gap - interval) > 1)) return null;
+
+    const frequency = CADENCES[interval] || 'custom';
+    return {
+        frequency,
+        intervalMonths: frequency === 'custom' ? interval : null,
+        amounts: [...byMonth.values()],
+    };
+}
+
+// Payments per year of a frequency; custom ones are every `intervalMonths` months
+function paymentsPerYear(frequency, intervalMonths) {
+    return BILLING_FREQUENCIES[frequency] || 12 / (intervalMonths || 1);
+}
+
+function findAccount(accounts, key, type) {
+    const candidates = accounts
+        .filter((account) => (account.type || 'expense') === type)
+        .map((account) => ({ account, key: payeeKey(account.name) }))
+        .filter((item) => item.key.length >= 3);
+
+    const exact = candidates.find((item) => item.key === key);
+    if (exact) return exact.account;
+    const partial = candidates.find(
+        (item) => ` ${key} `.includes(` ${item.key} `) || ` ${item.key} `.includes(` ${key} `)
+    );
+    return partial ? partial.account : null;
+}
+
+/**
+ * Groups entries by payee and direction and keeps the groups that look like a
+ * recurring bill or income: seen in at least two different months, at regular
+ * gaps (see detectCadence()). The amount is the median of the totals per
+ * payment; monthlyPayment is what that comes to per month.
+ * @param {Array<Object>} entries - Parsed entries.
+ * @param {Array<Object>} accounts - Existing accounts, to suggest updates.
+ * @returns {Array<Object>} {id, payee, type, frequency, intervalMonths, amount,
+ *     monthlyPayment, occurrences, months, lastDate, action, account}. `action`
+ *     is 'create', 'update' (the monthly amount differs from `account`) or
+ *     'link' (it already matches).
+ */
+function detectRecurring(entries, accounts) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const key = payeeKey(entry.payee);
+        if (key.length < 3) return;
+        const type = entry.amount < 0 ? 'expense' : 'income';
+        const id = `${type}:${key}`;
+        if (!groups.has(id)) groups.set(id, { id, key, type, entries: [] });
+        groups.get(id).entries.push(entry);
+    });
+
+    const suggestions = [];
+    groups.forEach((group) => {
+        const byDate = new Map();
+        const byMonth = new Map();
+        group.entries.forEach((entry) => {
+            const month = entry.date.slice(0, 7);
+            byDate.set(entry.date, (byDate.get(entry.date) || 0) + Math.abs(entry.amount));
+            byMonth.set(month, (byMonth.get(month) || 0) + Math.abs(entry.amount));
+        });
+        if (byMonth.size < MIN_RECURRING_MONTHS) return;
+        const cadence = detectCadence(byDate, byMonth, group.entries.length);
+        if (!cadence) return;
+
+        const amount = Math.round(median(cadence.amounts) * 100) / 100;
+        const perYear = paymentsPerYear(cadence.frequency, cadence.intervalMonths);
+        const monthlyPayment = Math.round(((amount * perYear) / 12) * 100) / 100;
+        const account = findAccount(accounts, group.key, group.type);
+        const action = !account
+            ? 'create'
+            : account.monthlyPayment === monthlyPayment
+              ? 'link'
+              : 'update';
+
+        suggestions.push({
+            id: group.id,
+            payee: mostCommon(group.entries.map((entry) => displayName(entry.payee))),
+            type: group.type,
+            frequency: cadence.frequency,
+            intervalMonths: cadence.intervalMonths,
+            amount,
+            monthlyPayment,
+            occurrences: group.entries.length,
+            months: byMonth.size,
+            lastDate: group.entries.map((entry) => entry.date).sort()[group.entries.length - 1],
+            action,
+            account: account
+                ? {
+                      id: account.id,
+                      name: account.name,
+                      frequency: account.frequency,
+                      intervalMonths: account.intervalMonths,
+                      monthlyPayment: account.monthlyPayment,
+                  }
+                : null,
+        });
+    });
+
+    return suggestions.sort((a, b) => b.monthlyPayment - a.monthlyPayment);
+}
+
+// ==================== Import ====================
+
+// The amount per payment, at the account's own frequency, that comes to `monthlyPayment`
+function rescaleAmount(account, monthlyPayment) {
+    const perYear = paymentsPerYear(account.frequency, account.intervalMonths);
+    return Math.round(((monthlyPayment * 12) / perYear) * 100) / 100;
+}
+
+function signature({ date, amount, type, memo }) {
+    return `${date}|${amount}|${type}|${memo}`;
+}
+
+function toTransaction(entry, accountId) {
+    const memo = [entry.payee, entry.memo].filter(Boolean).join(' · ');
+    return {
+        date: entry.date,
+        amount: Math.abs(entry.amount),
+        type: entry.amount < 0 ? 'expense' : 'income',
+        accountId,
+        ownerId: null,
+        memo: memo.slice(0, 200),
+    };
+}
+
+/**
+ * Imports a statement into `db`: applies the accepted recurring suggestions
+ * (new accounts get the detected frequency; updated ones keep their own and
+ * get the amount that matches the detected monthly cost), then adds the transactions, linked to the account of their payee. Entries
+ * already in `db` (same date, amount, type and memo) are skipped, so importing
+ * an overlapping statement again is safe. Mutates `db`; see planStatement()
+ * for a dry run.
+ * @param {Object} db - Raw database.
+ * @param {string} text - Statement file content.
+ * @param {Set<string>|null} accepted - Ids of the suggestions to apply; null applies all.
+ * @returns {Object} {format, created, duplicates, rejected, suggestions, accounts:
+ *     {created, updated}} or {error}.
+ */
+function importStatement(db, text, accepted) {
+    const statement = parseStatement(text);
+    if (statement.error) return statement;
+
+    const suggestions = detectRecurring(statement.entries, RESOURCES.accounts.getList(db));
+    const accountIds = new Map();
+    const accounts = { created: 0, updated: 0 };
+
+    suggestions.forEach((suggestion) => {
+        if (suggestion.action === 'link') {
+            accountIds.set(suggestion.id, suggestion.account.id);
+            return;
+        }
+        if (accepted && !accepted.has(suggestion.id)) return;
+
+        if (suggestion.action === 'create') {
+            const result = createRecord(db, 'accounts', {
+                name: suggestion.payee.slice(0, 100),
+                type: suggestion.type,
+                frequency: suggestion.frequency,
+                intervalMonths: suggestion.intervalMonths,
+                amount: suggestion.amount,
+            });
+            if (result.error) return;
+            accountIds.set(suggestion.id, result.record.id);
+            accounts.created += 1;
+        } else {
+            const result = updateRecord(db, 'accounts', suggestion.account.id, {
+                amount: rescaleAmount(suggestion.account, suggestion.monthlyPayment),
+            });
+            if (!result || result.error) return;
+            accountIds.set(suggestion.id, suggestion.account.id);
+            accounts.updated += 1;
+        }
+    });
+
+    // Each existing transaction can only stand in for one imported entry
+    const existing = new Map();
+    RESOURCES.transactions.getList(db).forEach((transaction) => {
+        const key = signature(transaction);
+        existing.set(key, (existing.get(key) || 0) + 1);
+    });
+
+    const created = [];
+    let duplicates = 0;
+    statement.entries.forEach((entry) => {
+        const type = entry.amount < 0 ? 'expense' : 'income';
+        const accountId = accountIds.get(`${type}:${payeeKey(entry.payee)}`) || null;
+        const transaction = toTransaction(entry, accountId);
+        const key = signature(transaction);
+
+        if (existing.get(key) > 0) {
+            existing.set(key, existing.get(key) - 1);
+            duplicates += 1;
+            return;
+        }
+        const result = createRecord(db, 'transactions', transaction);
+        if (result.record) created.push(result.record);
+    });
+
+    return {
+        format: statement.format,
+        created,
+        duplicates,
+        rejected: statement.rejected,
+        suggestions,
+        accounts,
+    };
+}
+
+/**
+ * What importing a statement would do, without touching `db` and without
+ * applying any suggestion.
+ * @returns {Object} See importStatement().
+ */
+function planStatement(db, text) {
+    return importStatement(JSON.parse(JSON.stringify(db)), text, new Set());
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parseStatement,
+    parseOfx,
+    parseQif,
+    parseCamt053,
+    payeeKey,
+    detectRecurring,
+    importStatement,
+    planStatement,
+};
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    serializeWithChecksum,
+    parseVerified,
+    writeFileAtomic,
+    writeFileAtomicSync,
+} = require('./atomic-write');
+const { CURRENT_SCHEMA_VERSION } = require('./migrations');
+
+/**
+ * Storage backends for a workspace's database. Each backend is an adapter
+ * with the same methods, so the server and the CLI do not care where the
+ * data lives:
+ *
+ *   kind                 'json', 'sqlite' or 'memory'
+ *   location             Where the data is, for messages
+ *   exists()             Whether anything was stored yet
+ *   peek()               One stored (encoded) value, for encryption checks; null when empty
+ *   read(codec)          The stored database; throws when it is damaged
+ *   write(data, codec)   Replaces the database (Promise)
+ *   writeSync(data, codec)
+ *   close()
+ *
+ * Values go through the codec (lib/encryption.js), so encryption at rest works
+ * with every backend. Backups and the change history stay JSON files in the
+ * workspace folder whatever the backend.
+ */
+
+const STORAGE_KINDS = ['json', 'sqlite'];
+
+// What a new workspace starts with
+function emptyData() {
+    return {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        accounts: [],
+        transactions: [],
+        profile: {},
+        timeline: {},
+        goals: [],
+        settings: {},
+    };
+}
+
+/**
+ * The original backend: the whole database in one data.json with an embedded
+ * checksum, replaced atomically on every write.
+ * @param {string} file - Path of data.json.
+ * @returns {Object} Storage adapter.
+ */
+function createJsonStorage(file) {
+    const exists = () => fs.existsSync(file);
+
+    return {
+        kind: 'json',
+        location: file,
+        exists,
+        peek: () => (exists() ? fs.readFileSync(file, 'utf8') : null),
+        read: (codec) => parseVerified(codec.decode(fs.readFileSync(file, 'utf8'))),
+        async write(data, codec) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await writeFileAtomic(file, codec.encode(serializeWithChecksum(data)));
+        },
+        writeSync(data, codec) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            writeFileAtomicSync(file, codec.encode(serializeWithChecksum(data)));
+        },
+        close() {},
+    };
+}
+
+/**
+ * Keeps the database in memory only, for tests.
+ * @param {Object} [data] - Initial content; without it the storage is empty.
+ * @returns {Object} Storage adapter.
+ */
+function createMemoryStorage(data) {
+    let raw = data === undefined ? null : JSON.stringify(data);
+
+    const writeSync = (next, codec) => {
+        raw = codec.encode(JSON.stringify(next));
+    };
+
+    return {
+        kind: 'memory',
+        location: ':memory:',
+        exists: () => raw !== null,
+        peek: () => raw,
+        read(codec) {
+            if (raw === null) throw new Error('Nothing stored yet');
+            return JSON.parse(codec.decode(raw));
+        },
+        write: async (next, codec) => writeSync(next, codec),
+        writeSync,
+        close() {},
+    };
+}
+
+function loadSqlite() {
+    try {
+        return require('node:sqlite');
+    } catch (err) {
+        throw new Error(
+            `SQLite storage needs Node.js 22.13 or newer with node:sqlite (this is ${process.version})`
+        );
+    }
+}
+
+function isSqliteAvailable() {
+    try {
+        loadSqlite();
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+const SQLITE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS stores (
+    name TEXT PRIMARY KEY,
+    list INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS items (
+    store TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    PRIMARY KEY (store, position)
+);`;
+
+// A list store is one row per item; any other value is a single row
+function toBodies(value) {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item) => JSON.stringify(item === undefined ? null : item));
+}
+
+/**
+ * Stores the database in SQLite (node:sqlite): one row per list item (account,
+ * transaction, goal, plugin record) and one row per other top-level value.
+ * A write only touches the rows whose content changed, inside one
+ * transaction, so adding a transaction no longer rewrites years of them.
+ * Reads are served from memory until another process changes the file.
+ * @param {string} file - Path of data.sqlite.
+ * @returns {Object} Storage adapter.
+ * @throws {Error} When this Node.js has no node:sqlite.
+ */
+function createSqliteStorage(file) {
+    const { DatabaseSync } = loadSqlite();
+    let db = null;
+    // What the rows hold, decoded: Map(store -> {list, bodies}); null when unknown
+    let cache = null;
+    let cacheCodec = null;
+    let cacheVersion = null;
+
+    function open() {
+        if (db) return db;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        db = new DatabaseSync(file);
+        db.exec(SQLITE_SCHEMA);
+        return db;
+    }
+
+    // Changes whenever another connection commits to the file
+    function dataVersion() {
+        return open().prepare('PRAGMA data_version').get().data_version;
+    }
+
+    function load(codec) {
+        const stores = new Map();
+        open()
+            .prepare('SELECT name, list FROM stores ORDER BY rowid')
+            .all()
+            .forEach(({ name, list }) => stores.set(name, { list: list === 1, bodies: [] }));
+        open()
+            .prepare('SELECT store, body FROM items ORDER BY store, position')
+            .all()
+            .forEach(({ store, body }) => {
+                if (stores.has(store)) stores.get(store).bodies.push(codec.decode(body));
+            });
+        return stores;
+    }
+
+    function read(codec) {
+        if (!cache || cacheCodec !== codec || cacheVersion !== dataVersion()) {
+            cache = null; // A failed load must not leave stale rows behind
+            cache = load(codec);
+            cacheCodec = codec;
+            cacheVersion = dataVersion();
+        }
+
+        const data = {};
+        cache.forEach(({ list, bodies }, name) => {
+            const values = bodies.map((body) => JSON.parse(body));
+            data[name] = list ? values : values[0];
+        });
+        return data;
+    }
+
+    function writeSync(data, codec) {
+        const database = open();
+        // Rows encoded with another codec (or unknown rows) are all rewritten
+        const previous =
+            cache && cacheCodec === codec && cacheVersion === dataVersion() ? cache : new Map();
+        const next = new Map();
+        const upsertStore = database.prepare(
+            'INSERT INTO stores (name, list) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET list = excluded.list'
+        );
+        const upsertItem = database.prepare(
+            'INSERT INTO items (store, position, body) VALUES (?, ?, ?) ON CONFLICT(store, position) DO UPDATE SET body = excluded.body'
+        );
+        const trimItems = database.prepare('DELETE FROM items WHERE store = ? AND position >= ?');
+
+        database.exec('BEGIN');
+        try {
+            database
+                .prepare('SELECT name FROM stores')
+                .all()
+                .filter(({ name }) => data[name] === undefined)
+                .forEach(({ name }) => {
+                    database.prepare('DELETE FROM items WHERE store = ?').run(name);
+                    database.prepare('DELETE FROM stores WHERE name = ?').run(name);
+                });
+
+            Object.entries(data).forEach(([name, value]) => {
+                if (value === undefined) return;
+                const list = Array.isArray(value);
+                const bodies = toBodies(value);
+                const before = previous.get(name);
+                if (!before || before.list !== list) upsertStore.run(name, list ? 1 : 0);
+                bodies.forEach((body, position) => {
+                    if (before && before.bodies[position] === body) return;
+                    upsertItem.run(name, position, codec.encode(body));
+                });
+                if (!before || before.bodies.length > bodies.length) {
+                    trimItems.run(name, bodies.length);
+                }
+                next.set(name, { list, bodies });
+            });
+            database.exec('COMMIT');
+        } catch (err) {
+            database.exec('ROLLBACK');
+            cache = null;
+            throw err;
+        }
+
+        cache = next;
+        cacheCodec = codec;
+        cacheVersion = dataVersion();
+    }
+
+    return {
+        kind: 'sqlite',
+        location: file,
+        exists: () => fs.existsSync(file),
+        peek() {
+            if (!fs.existsSync(file)) return null;
+            const row = open().prepare('SELECT body FROM items LIMIT 1').get();
+            return row ? row.body : null;
+        },
+        read,
+        write: async (data, codec) => writeSync(data, codec),
+        writeSync,
+        close() {
+            if (db) db.close();
+            db = null;
+            cache = null;
+        },
+    };
+}
+
+/**
+ * Creates the adapter of one backend for a workspace.
+ * @param {string} kind - 'json' or 'sqlite'.
+ * @param {Object} paths - Result of getWorkspacePaths().
+ * @returns {Object} Storage adapter.
+ */
+function createStorage(kind, paths) {
+    if (kind === 'json') return createJsonStorage(paths.dataFile);
+    if (kind === 'sqlite') return createSqliteStorage(paths.sqliteFile);
+    throw new Error(`Unknown storage: ${kind}. Use one of: ${STORAGE_KINDS.join(', ')}`);
+}
+
+/**
+ * Opens the storage a workspace uses: SQLite once it has a data.sqlite,
+ * otherwise data.json (also for a workspace that has no data yet).
+ * @param {Object} paths - Result of getWorkspacePaths().
+ * @returns {Object} Storage adapter.
+ */
+function openStorage(paths) {
+    return createStorage(fs.existsSync(paths.sqliteFile) ? 'sqlite' : 'json', paths);
+}
+
+/**
+ * Moves a workspace's data to another backend, keeping its revision and
+ * encryption. The copy is read back and compared before the old file is
+ * removed, so a failure leaves the workspace on its old backend.
+ * @param {Object} paths - Result of getWorkspacePaths().
+ * @param {string} kind - Target backend.
+ * @param {Object} codec - Codec the data is stored with.
+ * @returns {Object} The adapter of the new backend.
+ * @throws {Error} When the workspace already uses that backend, or the copy differs.
+ */
+function migrateStorage(paths, kind, codec) {
+    const source = openStorage(paths);
+    if (source.kind === kind) throw new Error(`Data is already stored as ${kind}`);
+    const target = createStorage(kind, paths);
+
+    try {
+        const data = source.read(codec);
+        target.writeSync(data, codec);
+        if (JSON.stringify(target.read(codec)) !== JSON.stringify(data)) {
+            throw new Error(`The ${kind} copy does not match the original data`);
+        }
+    } catch (err) {
+        target.close();
+        fs.rmSync(target.location, { force: true });
+        throw err;
+    } finally {
+        source.close();
+    }
+
+    fs.rmSync(source.location, { force: true });
+    return target;
+}
+
+module.exports = {
+    STORAGE_KINDS,
+    emptyData,
+    createJsonStorage,
+    createMemoryStorage,
+    createSqliteStorage,
+    isSqliteAvailable,
+    createStorage,
+    openStorage,
+    migrateStorage,
+};
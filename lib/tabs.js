@@ -0,0 +1,66 @@
+/**
+ * Open-tab tracking for auto-shutdown. Every page load picks a random tab id
+ * and sends it with each heartbeat; a tab is open until it says goodbye
+ * (`/api/tab-closed`) or stops sending heartbeats (crashed, asleep). Browsers
+ * throttle the timers of background tabs, so a tab whose live-sync stream is
+ * still connected stays open without heartbeats.
+ */
+
+const TAB_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function isTabId(id) {
+    return typeof id === 'string' && TAB_ID_PATTERN.test(id);
+}
+
+/**
+ * Creates an in-memory registry of open tabs.
+ * @param {Function} [now] - Clock, for tests.
+ * @returns {Object} {touch, connect, close, prune, count}. `touch(id)` records a
+ *     heartbeat and returns false for a malformed id; `connect(id)` keeps the tab
+ *     open until the returned function is called when its stream closes;
+ *     `prune(maxAge)` drops tabs without a stream whose last sign of life is
+ *     older than `maxAge` ms and returns how many are left.
+ */
+function createTabTracker(now = Date.now) {
+    // id -> {seenAt, streams}
+    const open = new Map();
+
+    function touch(id) {
+        if (!isTabId(id)) return false;
+        const tab = open.get(id) || { seenAt: 0, streams: 0 };
+        tab.seenAt = now();
+        open.set(id, tab);
+        return true;
+    }
+
+    return {
+        touch,
+        connect(id) {
+            if (!touch(id)) return () => {};
+            const tab = open.get(id);
+            tab.streams += 1;
+            let connected = true;
+            // The timeout starts over when the stream closes; a closed tab stays closed
+            return () => {
+                if (!connected) return;
+                connected = false;
+                tab.streams -= 1;
+                if (open.get(id) === tab) tab.seenAt = now();
+            };
+        },
+        close: (id) => open.delete(id),
+        prune(maxAge) {
+            const cutoff = now() - maxAge;
+            open.forEach((tab, id) => {
+                if (tab.streams === 0 && tab.seenAt < cutoff) open.delete(id);
+            });
+            return open.size;
+        },
+        count: () => open.size,
+    };
+}
+
+module.exports = {
+    isTabId,
+    createTabTracker,
+};
@@ -0,0 +1,488 @@
+const { normalizeData } = require('./data-utils');
+const { createZip } = require('./zip');
+
+/**
+ * Spreadsheet workbook export. buildSheets() turns the database into plain
+ * sheets (columns and rows); toXlsx() and toOds() write them as an Office
+ * Open XML or OpenDocument spreadsheet. Amounts are numeric cells with a
+ * currency format, so they can be summed and charted in the spreadsheet.
+ *
+ * Column types: 'text', 'integer', 'money' and 'percent' (0.25 = 25%).
+ */
+
+const FORMATS = {
+    xlsx: {
+        extension: 'xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    },
+    ods: {
+        extension: 'ods',
+        mimeType: 'application/vnd.oasis.opendocument.spreadsheet',
+    },
+};
+
+const MONTH_NAMES = [
+    'January',
+    'February',
+    'March',
+    'April',
+    'May',
+    'June',
+    'July',
+    'August',
+    'September',
+    'October',
+    'November',
+    'December',
+];
+
+const DEFAULT_CURRENCY = '€';
+const UNCATEGORIZED = 'Uncategorized';
+
+function isActive(account) {
+    return account.status === 'Active';
+}
+
+function monthlyTotal(accounts, type) {
+    return accounts
+        .filter((account) => isActive(account) && (account.type || 'expense') === type)
+        .reduce((sum, account) => sum + account.monthlyPayment, 0);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * The 36 months shown on the Timeline tab (last, current and next year):
+ * income and expenses default to the active accounts' monthly totals unless
+ * the month was saved, and the balance runs from the starting balance.
+ */
+function buildTimeline(data, now) {
+    const saved = (data.timeline && data.timeline.timelineData) || {
+        startingBalance: 0,
+        months: [],
+    };
+    const savedById = new Map(saved.months.map((month) => [month.id, month]));
+    const income = round(monthlyTotal(data.accounts, 'income'));
+    const expenses = round(monthlyTotal(data.accounts, 'expense'));
+    const year = now.getFullYear();
+
+    let balance = saved.startingBalance;
+    return [year - 1, year, year + 1].flatMap((y) =>
+        MONTH_NAMES.map((name) => {
+            const month = savedById.get(`${y}-${name}`) || { income, expenses, isLocked: false };
+            balance += month.income - month.expenses;
+            return [
+                `${y} - ${name}`,
+                month.income,
+                month.expenses,
+                round(month.income - month.expenses),
+                round(balance),
+                month.isLocked ? 'Yes' : 'No',
+            ];
+        })
+    );
+}
+
+function buildCategoryTotals(accounts) {
+    const totals = new Map();
+    accounts.filter(isActive).forEach((account) => {
+        const category = account.category || UNCATEGORIZED;
+        if (!totals.has(category)) totals.set(category, [category, 0, 0, 0, 0]);
+        const row = totals.get(category);
+        row[1] += 1;
+        row[(account.type || 'expense') === 'income' ? 2 : 3] += account.monthlyPayment;
+        row[4] += account.annualPayment;
+    });
+    return [...totals.values()]
+        .map(([category, count, income, expenses, annual]) => [
+            category,
+            count,
+            round(income),
+            round(expenses),
+            round(annual),
+        ])
+        .sort((a, b) => b[3] - a[3] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Sheets of the workbook export.
+ * @param {Object} db - Raw database.
+ * @param {Date} [now] - Decides which three years the timeline covers.
+ * @returns {Object} {currency, sheets}; each sheet is {name, columns: [{header,
+ *     type, width}], rows}.
+ */
+function buildSheets(db, now = new Date()) {
+    const data = normalizeData(db);
+    const cards = data.profile.cards || [];
+    const cardName = (id) => {
+        const card = cards.find((item) => item.id === id);
+        return card ? card.displayName : 'Unassigned';
+    };
+    const appSettings = data.settings.appSettings || {};
+
+    const column = (header, type, width) => ({ header, type, width });
+
+    return {
+        currency: appSettings.currency || DEFAULT_CURRENCY,
+        sheets: [
+            {
+                name: 'Accounts',
+                columns: [
+                    column('ID', 'integer', 6),
+                    column('Name', 'text', 30),
+                    column('Category', 'text', 24),
+                    column('Type', 'text', 10),
+                    column('Frequency', 'text', 16),
+                    column('Amount', 'money', 14),
+                    column('Monthly Amount', 'money', 16),
+                    column('Annual Amount', 'money', 16),
+                    column('Reminder', 'text', 10),
+                    column('Status', 'text', 12),
+                    column('Criticality', 'text', 14),
+                    column('Owner', 'text', 18),
+                    column('Due Date', 'text', 12),
+                ],
+                rows: data.accounts.map((account) => [
+                    account.id,
+                    account.name,
+                    account.category,
+                    account.type,
+                    account.frequency === 'custom'
+                        ? `every ${account.intervalMonths} months`
+                        : account.frequency,
+                    account.amount,
+                    account.monthlyPayment,
+                    account.annualPayment,
+                    account.hasReminder,
+                    account.status,
+                    account.priority,
+                    cardName(account.ownerId),
+                    account.dueDate,
+                ]),
+            },
+            {
+                name: 'Cards',
+                columns: [
+                    column('Name', 'text', 18),
+                    column('Full Name', 'text', 28),
+                    column('Type', 'text', 10),
+                    column('Date of Birth', 'text', 14),
+                    column('Accounts', 'integer', 10),
+                    column('Monthly Income', 'money', 16),
+                    column('Monthly Expenses', 'money', 16),
+                ],
+                rows: cards.map((card) => {
+                    const owned = data.accounts.filter((account) => account.ownerId === card.id);
+                    return [
+                        card.displayName,
+                        card.fullName,
+                        card.type,
+                        card.dateOfBirth,
+                        owned.length,
+                        round(monthlyTotal(owned, 'income')),
+                        round(monthlyTotal(owned, 'expense')),
+                    ];
+                }),
+            },
+            {
+                name: 'Timeline',
+                columns: [
+                    column('Month', 'text', 20),
+                    column('Income', 'money', 14),
+                    column('Expenses', 'money', 14),
+                    column('Net', 'money', 14),
+                    column('Balance', 'money', 16),
+                    column('Locked', 'text', 8),
+                ],
+                rows: buildTimeline(data, now),
+            },
+            {
+                name: 'Goals',
+                columns: [
+                    column('Goal', 'text', 28),
+                    column('Target', 'money', 16),
+                    column('Saved', 'money', 16),
+                    column('Remaining', 'money', 16),
+                    column('Progress', 'percent', 10),
+                    column('Created', 'text', 22),
+                ],
+                rows: data.goals.map((goal) => [
+                    goal.name,
+                    goal.target,
+                    goal.current,
+                    round(Math.max(0, goal.target - goal.current)),
+                    goal.target > 0 ? Math.min(1, goal.current / goal.target) : 0,
+                    goal.createdAt,
+                ]),
+            },
+            {
+                name: 'Categories',
+                columns: [
+                    column('Category', 'text', 28),
+                    column('Active Accounts', 'integer', 16),
+                    column('Monthly Income', 'money', 16),
+                    column('Monthly Expenses', 'money', 16),
+                    column('Annual Amounts', 'money', 16),
+                ],
+                rows: buildCategoryTotals(data.accounts),
+            },
+        ],
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function isNumeric(type, value) {
+    return type !== 'text' && typeof value === 'number' && Number.isFinite(value);
+}
+
+// ==================== XLSX ====================
+
+// Style indexes in styles.xml: 0 text, 1 header, 2 money, 3 percent, 4 integer
+const XLSX_STYLES = { text: 0, header: 1, money: 2, percent: 3, integer: 4 };
+
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function xlsxCell(ref, type, value) {
+    if (isNumeric(type, value)) return `<c r="${ref}" s="${XLSX_STYLES[type]}"><v>${value}</v></c>`;
+    const style = type === 'header' ? ` s="${XLSX_STYLES.header}"` : '';
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+}
+
+function xlsxSheet(sheet) {
+    const header = sheet.columns.map((column, i) =>
+        xlsxCell(`${columnLetter(i)}1`, 'header', column.header)
+    );
+    const rows = sheet.rows.map(
+        (row, r) =>
+            `<row r="${r + 2}">${row
+                .map((value, i) =>
+                    xlsxCell(`${columnLetter(i)}${r + 2}`, sheet.columns[i].type, value)
+                )
+                .join('')}</row>`
+    );
+    const cols = sheet.columns
+        .map(
+            (column, i) =>
+                `<col min="${i + 1}" max="${i + 1}" width="${column.width}" customWidth="1"/>`
+        )
+        .join('');
+
+    return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${cols}</cols>` +
+        `<sheetData><row r="1">${header.join('')}</row>${rows.join('')}</sheetData>` +
+        '</worksheet>'
+    );
+}
+
+function xlsxStyles(currency) {
+    const symbol = escapeXml(`"${currency.replace(/"/g, '')}"`);
+    return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<numFmts count="1"><numFmt numFmtId="164" formatCode="${symbol}#,##0.00;-${symbol}#,##0.00"/></numFmts>` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="5">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs>' +
+        '</styleSheet>'
+    );
+}
+
+/**
+ * Writes sheets as an Office Open XML workbook (.xlsx).
+ * @param {Object} workbook - {currency, sheets} from buildSheets().
+ * @returns {Buffer}
+ */
+function toXlsx({ currency, sheets }) {
+    const sheetEntries = sheets.map((sheet, i) => ({
+        name: `xl/worksheets/sheet${i + 1}.xml`,
+        data: xlsxSheet(sheet),
+    }));
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data:
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets
+                    .map(
+                        (sheet, i) =>
+                            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+                    )
+                    .join('') +
+                '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            data:
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            data:
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheets
+                    .map(
+                        (sheet, i) =>
+                            `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+                    )
+                    .join('')}</sheets>` +
+                '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data:
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets
+                    .map(
+                        (sheet, i) =>
+                            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+                    )
+                    .join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>',
+        },
+        { name: 'xl/styles.xml', data: xlsxStyles(currency) },
+        ...sheetEntries,
+    ]);
+}
+
+// ==================== ODS ====================
+
+const ODS_CELL_STYLES = { header: 'ceHeader', money: 'ceMoney', percent: 'cePercent' };
+
+function odsCell(type, value) {
+    if (isNumeric(type, value)) {
+        const valueType = type === 'percent' ? 'percentage' : 'float';
+        const style = ODS_CELL_STYLES[type] ? ` table:style-name="${ODS_CELL_STYLES[type]}"` : '';
+        return `<table:table-cell office:value-type="${valueType}" office:value="${value}"${style}><text:p>${value}</text:p></table:table-cell>`;
+    }
+    const style = type === 'header' ? ` table:style-name="${ODS_CELL_STYLES.header}"` : '';
+    return `<table:table-cell office:value-type="string"${style}><text:p>${escapeXml(value ?? '')}</text:p></table:table-cell>`;
+}
+
+function odsTable(sheet, index) {
+    const columns = sheet.columns
+        .map((column, i) => `<table:table-column table:style-name="co${index}_${i}"/>`)
+        .join('');
+    const header = sheet.columns.map((column) => odsCell('header', column.header)).join('');
+    const rows = sheet.rows
+        .map(
+            (row) =>
+                `<table:table-row>${row.map((value, i) => odsCell(sheet.columns[i].type, value)).join('')}</table:table-row>`
+        )
+        .join('');
+    return `<table:table table:name="${escapeXml(sheet.name)}">${columns}<table:table-row>${header}</table:table-row>${rows}</table:table>`;
+}
+
+/**
+ * Writes sheets as an OpenDocument spreadsheet (.ods).
+ * @param {Object} workbook - {currency, sheets} from buildSheets().
+ * @returns {Buffer}
+ */
+function toOds({ currency, sheets }) {
+    // Spreadsheet column widths are in characters; ODS wants a length
+    const columnStyles = sheets
+        .flatMap((sheet, index) =>
+            sheet.columns.map(
+                (column, i) =>
+                    `<style:style style:name="co${index}_${i}" style:family="table-column"><style:table-column-properties style:column-width="${(column.width * 0.21).toFixed(2)}cm"/></style:style>`
+            )
+        )
+        .join('');
+
+    const content =
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+        'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" ' +
+        'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" office:version="1.2">' +
+        '<office:automatic-styles>' +
+        '<number:currency-style style:name="NMoney">' +
+        `<number:currency-symbol>${escapeXml(currency)}</number:currency-symbol>` +
+        '<number:number number:decimal-places="2" number:min-decimal-places="2" number:min-integer-digits="1" number:grouping="true"/>' +
+        '</number:currency-style>' +
+        '<number:percentage-style style:name="NPercent">' +
+        '<number:number number:decimal-places="2" number:min-decimal-places="2" number:min-integer-digits="1"/>' +
+        '<number:text>%</number:text>' +
+        '</number:percentage-style>' +
+        '<style:style style:name="ceHeader" style:family="table-cell"><style:text-properties fo:font-weight="bold"/></style:style>' +
+        '<style:style style:name="ceMoney" style:family="table-cell" style:data-style-name="NMoney"/>' +
+        '<style:style style:name="cePercent" style:family="table-cell" style:data-style-name="NPercent"/>' +
+        columnStyles +
+        '</office:automatic-styles>' +
+        `<office:body><office:spreadsheet>${sheets.map(odsTable).join('')}</office:spreadsheet></office:body>` +
+        '</office:document-content>';
+
+    return createZip([
+        { name: 'mimetype', data: FORMATS.ods.mimeType, store: true },
+        {
+            name: 'META-INF/manifest.xml',
+            data:
+                '<?xml version="1.0" encoding="UTF-8"?>' +
+                '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+                `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${FORMATS.ods.mimeType}"/>` +
+                '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+                '</manifest:manifest>',
+        },
+        { name: 'content.xml', data: content },
+    ]);
+}
+
+/**
+ * Builds the workbook export of a database.
+ * @param {Object} db - Raw database.
+ * @param {string} format - 'xlsx' or 'ods'.
+ * @param {Date} [now]
+ * @returns {Buffer}
+ */
+function exportWorkbook(db, format, now = new Date()) {
+    const workbook = buildSheets(db, now);
+    return format === 'ods' ? toOds(workbook) : toXlsx(workbook);
+}
+
+module.exports = {
+    FORMATS,
+    buildSheets,
+    toXlsx,
+    toOds,
+    exportWorkbook,
+};
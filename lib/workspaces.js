@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./atomic-write');
+
+/**
+ * Named workspaces (households), each with its own data.json, backups and
+ * history. The list and the active workspace are kept in workspaces.json in
+ * the data folder. The default workspace lives in the data folder itself, so
+ * installations from before workspaces keep their data where it was; every
+ * other workspace gets a folder under workspaces/<id>.
+ */
+
+const REGISTRY_FILE = 'workspaces.json';
+const WORKSPACES_DIR = 'workspaces';
+const DEFAULT_WORKSPACE_ID = 'default';
+const DEFAULT_WORKSPACE_NAME = 'My Household';
+const MAX_NAME_LENGTH = 50;
+const MAX_WORKSPACES = 50;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function defaultRegistry() {
+    return {
+        active: DEFAULT_WORKSPACE_ID,
+        workspaces: [{ id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME, createdAt: null }],
+    };
+}
+
+/**
+ * Files of one workspace.
+ * @returns {Object} {dir, dataFile, sqliteFile, backupDir, historyFile}
+ */
+function getWorkspacePaths(dataDir, id) {
+    const dir = id === DEFAULT_WORKSPACE_ID ? dataDir : path.join(dataDir, WORKSPACES_DIR, id);
+    return {
+        dir,
+        dataFile: path.join(dir, 'data.json'),
+        sqliteFile: path.join(dir, 'data.sqlite'),
+        backupDir: path.join(dir, 'backups'),
+        historyFile: path.join(dir, 'history.jsonl'),
+    };
+}
+
+function findWorkspace(registry, id) {
+    return registry.workspaces.find((workspace) => workspace.id === id) || null;
+}
+
+/**
+ * Reads workspaces.json. A missing or damaged file yields a registry holding
+ * only the default workspace; entries with unusable ids are dropped.
+ * @returns {Object} {active, workspaces: [{id, name, createdAt}]}
+ */
+function readRegistry(dataDir) {
+    const registry = defaultRegistry();
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(path.join(dataDir, REGISTRY_FILE), 'utf8'));
+    } catch (err) {
+        return registry;
+    }
+
+    (Array.isArray(parsed && parsed.workspaces) ? parsed.workspaces : []).forEach((item) => {
+        if (!item || !ID_PATTERN.test(item.id) || typeof item.name !== 'string') return;
+        const existing = findWorkspace(registry, item.id);
+        if (existing) {
+            existing.name = item.name;
+        } else {
+            registry.workspaces.push({
+                id: item.id,
+                name: item.name,
+                createdAt: item.createdAt || null,
+            });
+        }
+    });
+    if (parsed && findWorkspace(registry, parsed.active)) registry.active = parsed.active;
+    return registry;
+}
+
+function writeRegistry(dataDir, registry) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    writeFileAtomicSync(path.join(dataDir, REGISTRY_FILE), JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Checks a workspace name. Names must be unique, ignoring case.
+ * @param {string} [exceptId] - Workspace being renamed.
+ * @returns {string|null} An error message, or null when the name can be used.
+ */
+function validateWorkspaceName(registry, name, exceptId) {
+    if (typeof name !== 'string' || name.trim() === '') return 'Workspace name is required';
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `Workspace name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    const taken = registry.workspaces.some(
+        (workspace) =>
+            workspace.id !== exceptId && workspace.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    return taken ? 'A workspace with this name already exists' : null;
+}
+
+// Folder-safe id derived from the name, e.g. "Mum & Dad" -> "mum-dad", "mum-dad-2"
+function uniqueId(registry, name) {
+    const base =
+        name
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 30) || 'workspace';
+    let id = base;
+    for (let n = 2; findWorkspace(registry, id) || id === WORKSPACES_DIR; n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * Adds a workspace to the registry. Mutates `registry` on success; the
+ * caller creates its files.
+ * @returns {Object} {workspace} or {error}.
+ */
+function addWorkspace(registry, name, now = new Date()) {
+    if (registry.workspaces.length >= MAX_WORKSPACES) {
+        return { error: `At most ${MAX_WORKSPACES} workspaces are supported` };
+    }
+    const error = validateWorkspaceName(registry, name);
+    if (error) return { error };
+
+    const workspace = {
+        id: uniqueId(registry, name),
+        name: name.trim(),
+        createdAt: now.toISOString(),
+    };
+    registry.workspaces.push(workspace);
+    return { workspace };
+}
+
+/**
+ * Renames a workspace. Its id, and so its folder, stays the same.
+ * Mutates `registry` on success.
+ * @returns {Object|null} {workspace} or {error}, or null if it does not exist.
+ */
+function renameWorkspace(registry, id, name) {
+    const workspace = findWorkspace(registry, id);
+    if (!workspace) return null;
+
+    const error = validateWorkspaceName(registry, name, id);
+    if (error) return { error };
+
+    workspace.name = name.trim();
+    return { workspace };
+}
+
+/**
+ * Copies the data file (data.sqlite or data.json) of one workspace into
+ * another, so the duplicate uses the same storage. Backups and history are
+ * not copied: the duplicate starts its own. An encrypted file stays encrypted
+ * with the same passphrase.
+ * @returns {boolean} False when the source has no data file yet.
+ */
+function copyWorkspaceData(dataDir, fromId, toId) {
+    const from = getWorkspacePaths(dataDir, fromId);
+    const to = getWorkspacePaths(dataDir, toId);
+    if (fs.existsSync(from.sqliteFile)) {
+        fs.mkdirSync(to.dir, { recursive: true });
+        fs.copyFileSync(from.sqliteFile, to.sqliteFile);
+        return true;
+    }
+    if (!fs.existsSync(from.dataFile)) return false;
+
+    fs.mkdirSync(to.dir, { recursive: true });
+    writeFileAtomicSync(to.dataFile, fs.readFileSync(from.dataFile, 'utf8'));
+    return true;
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE_ID,
+    MAX_WORKSPACES,
+    getWorkspacePaths,
+    findWorkspace,
+    readRegistry,
+    writeRegistry,
+    validateWorkspaceName,
+    addWorkspace,
+    renameWorkspace,
+    copyWorkspaceData,
+};
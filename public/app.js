@@ -21,12 +21,69 @@ let accounts = [];
 // Financial Goals
 let goals = [];
 
+// Transactions Ledger - dated money movements
+let transactions = [];
+let editingTransactionId = null;
+
+// Optimistic concurrency: revision of the data this tab last saw (sent as If-Match)
+let dataRevision = null;
+let writeChain = Promise.resolve();
+let resolvePendingConflict = null;
+
+// Encryption at rest
+let encryptionEnabled = false;
+let passphraseMode = null;
+let resolveUnlock = null;
+
+// App lock: per-tab session token issued by the server after the PIN is entered
+const SESSION_STORAGE_KEY = 'hawkwardSession';
+let sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+let appLockEnabled = false;
+let appUnlockPromise = null;
+let resolveAppUnlock = null;
+let lastActivityAt = Date.now();
+let liveSyncSource = null;
+
+// Plugins: manifest from GET /api/plugins and the content of their stores
+let pluginManifest = { plugins: [], errors: [] };
+let pluginData = {};
+
+// Auto-shutdown: random id of this page load, sent with every heartbeat
+const TAB_ID = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+).join('');
+const HEARTBEAT_INTERVAL = 5000;
+let shutdownCountdownTimer = null;
+
+// Workspaces: the household this tab shows (sent as X-Workspace)
+let workspaceId = null;
+let workspaceList = [];
+let workspaceMode = null;
+
 // ==================== INDEXEDDB MANAGEMENT ====================
 
 // ==================== LOCAL FILE STORAGE MANAGEMENT ====================
 
 const API_URL = `${window.location.origin}/api/data`;
 
+/**
+ * fetch() for the /api routes: adds the session token and shows the lock
+ * screen when the server reports that the session is gone.
+ * @param {string} url - Endpoint URL.
+ * @param {Object} [options] - fetch() options.
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (sessionToken) headers['X-Session-Token'] = sessionToken;
+    if (workspaceId) headers['X-Workspace'] = workspaceId;
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && appLockEnabled) handleSessionLost();
+    checkWorkspace(response.headers.get('X-Workspace'));
+    return response;
+}
+
 /**
  * Initializes the storage system and starts the application heartbeat.
  * Checks server availability before resolving.
@@ -38,9 +95,12 @@ function initIndexedDB() {
 
     // We check if server is reachable and load initial data
     return new Promise((resolve, reject) => {
-        fetch(API_URL, { cache: 'no-store' })
+        apiFetch(API_URL, { cache: 'no-store' })
             .then((response) => {
-                if (!response.ok) throw new Error('Server not reachable');
+                // 423/401: reachable, but the data or the app is still locked
+                if (!response.ok && response.status !== 423 && response.status !== 401) {
+                    throw new Error('Server not reachable');
+                }
                 resolve();
             })
             .catch((err) => {
@@ -63,15 +123,20 @@ function initIndexedDB() {
  */
 function saveToIndexedDB(storeName, data, key = null) {
     return new Promise((resolve, reject) => {
-        fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
+        // A whole store (or key) sent again would overwrite the other tab's change
+        sendWrite(
+            API_URL,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ storeName, data, key }),
             },
-            body: JSON.stringify({ storeName, data, key }),
-        })
-            .then((response) => {
-                if (!response.ok) throw new Error('Save failed');
+            false
+        )
+            .then(async (response) => {
+                if (!response.ok) throw await toApiError(response);
                 return response.json();
             })
             .then(() => resolve())
@@ -80,22 +145,236 @@ function saveToIndexedDB(storeName, data, key = null) {
 }
 
 /**
- * Starts a periodic heartbeat to notify the server that the application is active.
- * Prevents auto-shutdown while the tab is open.
+ * Sends a single-record request to one of the resource routes
+ * (e.g. `POST /api/accounts`, `PATCH /api/goals/:id`).
+ * @param {string} method - HTTP method.
+ * @param {string} path - Path below `/api`, e.g. `accounts/3`.
+ * @param {Object} [body] - JSON payload.
+ * @returns {Promise<Object>} The parsed response (the saved record for POST/PATCH).
+ */
+async function apiRequest(method, path, body) {
+    const response = await sendWrite(`${window.location.origin}/api/${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) throw await toApiError(response);
+    return response.json().catch(() => ({}));
+}
+
+/**
+ * Builds an Error from a failed API response. Schema validation failures
+ * carry `fields` ([{field, message}]) so forms can mark the inputs.
+ * @param {Response} response - A non-OK response.
+ * @returns {Promise<Error>}
+ */
+async function toApiError(response) {
+    const result = await response.json().catch(() => ({}));
+    const error = new Error(result.error || `HTTP Error: ${response.status}`);
+    error.fields = Array.isArray(result.fields) ? result.fields : [];
+    return error;
+}
+
+// Form inputs for the field names reported by the server's validation
+const FIELD_INPUTS = {
+    accounts: {
+        name: 'formService',
+        category: 'formCategory',
+        type: 'formType',
+        frequency: 'formFrequency',
+        amount: 'formAmount',
+        intervalMonths: 'formIntervalMonths',
+        hasReminder: 'formPaid',
+        status: 'formStatus',
+        priority: 'formCriticality',
+        ownerId: 'formOwner',
+        dueDate: 'formDueDate',
+    },
+    cards: {
+        displayName: 'cardDisplayName',
+        fullName: 'cardFullName',
+        dateOfBirth: 'cardDateOfBirth',
+    },
+    goals: { name: 'goalName', target: 'goalTarget', current: 'goalCurrent' },
+    transactions: {
+        date: 'txnDate',
+        amount: 'txnAmount',
+        type: 'txnType',
+        accountId: 'txnAccount',
+        ownerId: 'txnOwner',
+        memo: 'txnMemo',
+    },
+};
+
+/**
+ * Reports a failed save. Validation errors are shown as sent by the server
+ * and the matching inputs are marked until they are edited.
+ * @param {Error} err - Error from apiRequest() or saveToIndexedDB().
+ * @param {string} resource - Key of FIELD_INPUTS, e.g. 'accounts'.
+ */
+function showSaveError(err, resource) {
+    console.error('Save error:', err);
+    if (!err.fields || err.fields.length === 0) {
+        notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
+        return;
+    }
+
+    notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+    const inputs = FIELD_INPUTS[resource] || {};
+    err.fields.forEach(({ field }) => {
+        // Card template fields (job, school, ...) use card_<field> inputs
+        const id = inputs[field] || (resource === 'cards' ? `card_${field}` : null);
+        const input = id ? document.getElementById(id) : null;
+        if (!input) return;
+        input.classList.add('input-invalid');
+        input.addEventListener('input', () => input.classList.remove('input-invalid'), {
+            once: true,
+        });
+    });
+}
+
+/**
+ * Stores the revision from a response's ETag header.
+ * @param {Response} response - Any response from the data endpoints.
+ */
+function rememberRevision(response) {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(response.headers.get('ETag') || '');
+    if (match) dataRevision = Number(match[1]);
+}
+
+/**
+ * Sends a data write tagged with the revision this tab last saw.
+ * Writes from one tab run one at a time, so each carries the revision returned
+ * by the previous one. On a 409 the user decides whether to reload or to
+ * re-send the change on top of the latest data. Only single-record writes can
+ * be re-sent: they touch just that record, so other changes survive.
+ * @param {string} url - Endpoint URL.
+ * @param {Object} options - fetch() options.
+ * @param {boolean} [canMerge=true] - Whether re-sending is offered.
+ * @returns {Promise<Response>}
+ */
+function sendWrite(url, options, canMerge = true) {
+    const send = () =>
+        apiFetch(url, {
+            ...options,
+            headers: { ...options.headers, 'If-Match': `"${dataRevision ?? 0}"` },
+        });
+
+    const run = writeChain
+        .catch(() => {})
+        .then(async () => {
+            let response = await send();
+
+            if (response.status === 409) {
+                const { revision } = await response.json().catch(() => ({}));
+                if ((await showConflictModal(canMerge)) === 'reload') {
+                    window.location.reload();
+                    throw new Error('Reloading after a conflicting change');
+                }
+
+                dataRevision = revision;
+                response = await send();
+                // Pick up what the other tab changed once our write is in
+                if (response.ok) setTimeout(loadAppData, 0);
+            }
+
+            rememberRevision(response);
+            return response;
+        });
+
+    writeChain = run;
+    return run;
+}
+
+/**
+ * Opens the conflict dialog and waits for the user's choice.
+ * @param {boolean} canMerge - Whether to offer re-sending the change.
+ * @returns {Promise<string>} 'reload' or 'merge'.
+ */
+function showConflictModal(canMerge) {
+    const modal = document.getElementById('conflictModal');
+    ['conflictMergeHint', 'conflictMergeBtn'].forEach((id) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = canMerge ? '' : 'none';
+    });
+    const reloadHint = document.getElementById('conflictReloadHint');
+    if (reloadHint) reloadHint.style.display = canMerge ? 'none' : '';
+    if (modal) modal.classList.add('active');
+    return new Promise((resolve) => {
+        resolvePendingConflict = resolve;
+    });
+}
+
+function resolveConflict(choice) {
+    const modal = document.getElementById('conflictModal');
+    if (modal) modal.classList.remove('active');
+    if (resolvePendingConflict) resolvePendingConflict(choice);
+    resolvePendingConflict = null;
+}
+
+function sendHeartbeat() {
+    return fetch(`${window.location.origin}/api/heartbeat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tabId: TAB_ID }),
+    }).catch(() => console.debug('Heartbeat failed (server likely closed)'));
+}
+
+/**
+ * Starts a periodic heartbeat so the server counts this tab as open, and says
+ * goodbye when the tab closes. The server stops once no tab is left.
  */
 function startHeartbeat() {
-    // Ping every 5 seconds
-    setInterval(() => {
-        fetch(`${window.location.origin}/api/heartbeat`, {
-            method: 'POST',
-            keepalive: true, // Ensure request completes even if tab is closing
-        }).catch((err) => console.debug('Heartbeat failed (server likely closed)'));
-    }, 5000);
+    sendHeartbeat();
+    setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+
+    // A beacon still goes out while the page unloads; a reload registers a new tab
+    window.addEventListener('pagehide', () => {
+        const body = new Blob([JSON.stringify({ tabId: TAB_ID })], { type: 'application/json' });
+        navigator.sendBeacon(`${window.location.origin}/api/tab-closed`, body);
+    });
+}
+
+/**
+ * Shows the server's shutdown countdown, sent to tabs that still listen for
+ * changes but no longer count as open (e.g. throttled in the background).
+ * @param {number} seconds - Time left before the server exits.
+ */
+function showShutdownCountdown(seconds) {
+    const modal = document.getElementById('shutdownModal');
+    const label = document.getElementById('shutdownSeconds');
+    if (!modal || !label) return;
+
+    const stopsAt = Date.now() + seconds * 1000;
+    const tick = () => {
+        const left = Math.max(0, Math.ceil((stopsAt - Date.now()) / 1000));
+        label.textContent = left;
+        if (left > 0) return;
+        hideShutdownCountdown();
+        notify(MESSAGES.serverStopped, NOTIFICATION_TYPES.WARNING);
+    };
+
+    clearInterval(shutdownCountdownTimer);
+    shutdownCountdownTimer = setInterval(tick, 1000);
+    tick();
+    modal.classList.add('active');
+}
+
+function hideShutdownCountdown() {
+    clearInterval(shutdownCountdownTimer);
+    shutdownCountdownTimer = null;
+    document.getElementById('shutdownModal')?.classList.remove('active');
+}
+
+// A heartbeat counts this tab as open again, which cancels the shutdown
+async function keepServerAlive() {
+    hideShutdownCountdown();
+    await sendHeartbeat();
 }
 
 function loadFromIndexedDB(storeName, key = null) {
     return new Promise((resolve, reject) => {
-        fetch(API_URL, { cache: 'no-store' })
+        apiFetch(API_URL, { cache: 'no-store' })
             .then((response) => {
                 if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
                 return response.json();
@@ -122,108 +401,1666 @@ function loadFromIndexedDB(storeName, key = null) {
     });
 }
 
-// ==================== DATA IMPORT/EXPORT ====================
-
+// ==================== DATA IMPORT/EXPORT ====================
+
+/**
+ * Export all data from server as a JSON file
+ */
+async function exportData() {
+    // Encrypted data is only exported after the passphrase is confirmed again
+    if (encryptionEnabled) {
+        showPassphraseModal('export');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(API_URL);
+        if (!response.ok) throw new Error('Failed to fetch data');
+
+        downloadJsonBackup(await response.json());
+        notify('✅ Data exported successfully!', NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('Export Error:', err);
+        notify('❌ Export failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+/**
+ * Saves a database snapshot as a dated JSON download.
+ * @param {Object} data - Snapshot as returned by GET /api/data.
+ */
+function downloadJsonBackup(data) {
+    const dataStr = JSON.stringify(data, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `financial_backup_${new Date().toISOString().split('T')[0]}.json`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// ==================== IMPORT ====================
+
+// File being imported: {data, changes, revision} from the merge dry run
+let pendingImport = null;
+
+/**
+ * Reads a JSON export and shows what merging it would change. The user then
+ * merges the selected changes or replaces all data with the file.
+ */
+async function importData(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const importContent = JSON.parse(e.target.result);
+
+            // Basic validation
+            if (!importContent.accounts || !importContent.profile || !importContent.timeline) {
+                throw new Error('Invalid backup file format. Missing required data sections.');
+            }
+
+            await previewImport(importContent);
+        } catch (err) {
+            console.error('Import Error:', err);
+            notify('❌ Import failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+        } finally {
+            event.target.value = ''; // Reset file input
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Asks the server for a dry-run merge report and opens the import dialog.
+ * @param {Object} importContent - Parsed export file.
+ */
+async function previewImport(importContent) {
+    notify('⌛ Comparing with your data...', NOTIFICATION_TYPES.INFO);
+
+    const response = await apiFetch(`${window.location.origin}/api/import/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(importContent),
+    });
+    if (!response.ok) throw await toApiError(response);
+
+    const { changes, revision } = await response.json();
+    pendingImport = { data: importContent, changes, revision };
+    renderImportChanges();
+    document.getElementById('importModal')?.classList.add('active');
+}
+
+function renderImportChanges() {
+    const summary = document.getElementById('importSummary');
+    const list = document.getElementById('importChanges');
+    if (!summary || !list || !pendingImport) return;
+
+    const { changes } = pendingImport;
+    const count = (action) => changes.filter((change) => change.action === action).length;
+    summary.textContent =
+        changes.length === 0
+            ? 'Every card, account and goal in this file already matches your data. There is nothing to merge.'
+            : `Merging adds ${count('add')}, changes ${count('update')} and has ${count('conflict')} conflicting record(s). ` +
+              'Conflicts are not selected by default; selecting one replaces the record it collides with. Transactions, timeline and settings are only imported by Replace Everything.';
+    document.getElementById('btnMergeImport').disabled = changes.length === 0;
+
+    list.innerHTML = changes
+        .map((change) => {
+            const kindLabel = HISTORY_KIND_LABELS[change.kind] || change.kind;
+            const details =
+                change.action === 'add'
+                    ? 'New record'
+                    : describeHistoryChange({ ...change, action: 'update' });
+            const reason = change.reason
+                ? `<div class="text-xs">⚠️ ${escapeHtml(change.reason)}: replaces “${escapeHtml(toSafeString(change.before?.name || change.before?.displayName))}”</div>`
+                : '';
+            return `
+            <label class="import-change ${toCssToken(change.action)}">
+                <input type="checkbox" value="${escapeHtml(change.id)}" ${change.action === 'conflict' ? '' : 'checked'} />
+                <div>
+                    <strong>${escapeHtml(IMPORT_ACTION_LABELS[change.action] || change.action)}</strong>
+                    ${escapeHtml(toSafeString(kindLabel))}: ${escapeHtml(toSafeString(change.label))}
+                    ${reason}
+                    <div class="text-xs">${details}</div>
+                </div>
+            </label>
+        `;
+        })
+        .join('');
+}
+
+function closeImportModal() {
+    document.getElementById('importModal')?.classList.remove('active');
+    pendingImport = null;
+}
+
+async function mergeSelectedImport() {
+    if (!pendingImport) return;
+
+    const accept = [...document.querySelectorAll('#importChanges input:checked')].map(
+        (input) => input.value
+    );
+    if (accept.length === 0) {
+        notify(MESSAGES.importNothingSelected, NOTIFICATION_TYPES.WARNING);
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/import/merge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${pendingImport.revision}"`,
+            },
+            body: JSON.stringify({ data: pendingImport.data, accept }),
+        });
+
+        // The comparison is stale: show the user a fresh one instead of guessing
+        if (response.status === 409) {
+            notify(MESSAGES.importOutdated, NOTIFICATION_TYPES.WARNING);
+            await previewImport(pendingImport.data);
+            return;
+        }
+        if (!response.ok) throw await toApiError(response);
+
+        const { applied } = await response.json();
+        closeImportModal();
+        await loadAppData();
+        notify(MESSAGES.importMerged(applied), NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('Import Merge Error:', err);
+        notify('❌ Import failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+/**
+ * Overwrites all data with the file in the import dialog (after a backup).
+ */
+async function replaceAllFromImport() {
+    if (!pendingImport) return;
+
+    const confirmImport = confirm(
+        '🚨 WARNING: Importing will OVERWRITE all current data. Are you sure you want to proceed?'
+    );
+    if (!confirmImport) return;
+
+    try {
+        notify('⌛ Importing data...', NOTIFICATION_TYPES.INFO);
+
+        const response = await sendWrite(
+            `${window.location.origin}/api/import`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(pendingImport.data),
+            },
+            false
+        );
+
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || 'Server import failed');
+        }
+
+        const result = await response.json();
+        closeImportModal();
+        notify('✅ Success: ' + result.message, NOTIFICATION_TYPES.SUCCESS);
+
+        // Reload page to show new data
+        setTimeout(() => {
+            window.location.reload();
+        }, UI_CONSTANTS.RELOAD_DELAY);
+    } catch (err) {
+        console.error('Import Error:', err);
+        notify('❌ Import failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== CSV IMPORT ====================
+
+// CSV file in the import wizard: {text, headers}
+let csvImport = null;
+
+function importAccountsCsvFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        csvImport = { text: e.target.result, headers: null };
+        event.target.value = ''; // Reset file input
+        await previewCsvImport();
+        if (csvImport) document.getElementById('csvImportModal')?.classList.add('active');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Delimiter, decimal separator and column mapping chosen in the wizard.
+ * Empty on the first preview, so the server detects them.
+ * @returns {Object}
+ */
+function readCsvOptions() {
+    if (!csvImport.headers) return {};
+
+    const mapping = {};
+    Object.keys(CSV_ACCOUNT_FIELDS).forEach((field) => {
+        const value = document.getElementById(`csvMap-${field}`)?.value;
+        mapping[field] = value === '' || value === undefined ? null : Number(value);
+    });
+    return {
+        delimiter: document.getElementById('csvDelimiter')?.value,
+        decimal: document.getElementById('csvDecimal')?.value,
+        mapping,
+    };
+}
+
+/**
+ * Asks the server to parse the file with the current options and shows the
+ * accounts it would create and the rows it would reject.
+ */
+async function previewCsvImport() {
+    if (!csvImport) return;
+
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/import/csv/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: csvImport.text, ...readCsvOptions() }),
+        });
+        if (!response.ok) throw await toApiError(response);
+        renderCsvPreview(await response.json());
+    } catch (err) {
+        console.error('CSV Import Error:', err);
+        notify('❌ CSV import: ' + err.message, NOTIFICATION_TYPES.ERROR);
+        // A bad first read leaves nothing to adjust; later ones keep the wizard open
+        if (!csvImport.headers) closeCsvImportModal();
+    }
+}
+
+function renderCsvPreview({ delimiter, decimal, headers, mapping, created, rejected }) {
+    const headersChanged = JSON.stringify(headers) !== JSON.stringify(csvImport.headers);
+    csvImport.headers = headers;
+    document.getElementById('csvDelimiter').value = delimiter;
+    document.getElementById('csvDecimal').value = decimal;
+
+    const mappingEl = document.getElementById('csvMapping');
+    if (mappingEl && headersChanged) {
+        const columnOptions = headers
+            .map(
+                (header, index) =>
+                    `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`
+            )
+            .join('');
+        mappingEl.innerHTML = Object.entries(CSV_ACCOUNT_FIELDS)
+            .map(
+                ([field, label]) => `
+            <div class="form-group">
+                <label for="csvMap-${field}">${escapeHtml(label)}</label>
+                <select id="csvMap-${field}" onchange="previewCsvImport()">
+                    <option value="">— Not imported —</option>
+                    ${columnOptions}
+                </select>
+            </div>
+        `
+            )
+            .join('');
+    }
+    Object.entries(mapping).forEach(([field, index]) => {
+        const select = document.getElementById(`csvMap-${field}`);
+        if (select) select.value = index === null ? '' : String(index);
+    });
+
+    const ownerName = (ownerId) =>
+        cards.find((card) => card.id === ownerId)?.displayName || 'Unassigned';
+    document.getElementById('csvPreview').innerHTML = created
+        .map(
+            ({ line, record }) => `
+            <tr>
+                <td>${line}</td>
+                <td>${escapeHtml(toSafeString(record.name))}</td>
+                <td>${escapeHtml(toSafeString(record.category))}</td>
+                <td>${escapeHtml(toSafeString(record.type))}</td>
+                <td>${formatMoney(record.monthlyPayment)}</td>
+                <td>${formatMoney(record.annualPayment)}</td>
+                <td>${escapeHtml(toSafeString(record.status))}</td>
+                <td>${escapeHtml(toSafeString(record.priority))}</td>
+                <td>${escapeHtml(ownerName(record.ownerId))}</td>
+            </tr>
+        `
+        )
+        .join('');
+    document.getElementById('csvRejected').innerHTML = rejected
+        .map(({ line, error }) => `<li>Line ${line}: ${escapeHtml(error)}</li>`)
+        .join('');
+
+    document.getElementById('csvSummary').textContent =
+        `${created.length} account(s) ready to import, ${rejected.length} row(s) rejected.`;
+    const button = document.getElementById('btnCsvImport');
+    button.textContent = `📄 Import ${created.length} Account${created.length === 1 ? '' : 's'}`;
+    button.disabled = created.length === 0;
+}
+
+function closeCsvImportModal() {
+    document.getElementById('csvImportModal')?.classList.remove('active');
+    csvImport = null;
+}
+
+async function confirmCsvImport() {
+    if (!csvImport) return;
+
+    try {
+        const result = await apiRequest('POST', 'import/csv', {
+            text: csvImport.text,
+            ...readCsvOptions(),
+        });
+        closeCsvImportModal();
+        await loadAppData();
+        notify(
+            MESSAGES.csvImported(result.created, result.rejected.length),
+            NOTIFICATION_TYPES.SUCCESS
+        );
+    } catch (err) {
+        console.error('CSV Import Error:', err);
+        notify('❌ CSV import: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== BANK STATEMENT IMPORT ====================
+
+// Statement in the import dialog: {text, revision, suggestions}
+let pendingStatement = null;
+
+function importStatementFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        event.target.value = ''; // Reset file input
+        try {
+            await previewStatement(e.target.result);
+        } catch (err) {
+            console.error('Statement Import Error:', err);
+            notify('❌ Statement import: ' + err.message, NOTIFICATION_TYPES.ERROR);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Asks the server what the statement contains: new transactions, ones that
+ * are already recorded, and payees that look like recurring accounts.
+ * @param {string} text - Statement file content.
+ */
+async function previewStatement(text) {
+    const response = await apiFetch(`${window.location.origin}/api/import/statement/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text }),
+    });
+    if (!response.ok) throw await toApiError(response);
+
+    const preview = await response.json();
+    pendingStatement = { text, revision: preview.revision, suggestions: preview.suggestions };
+    renderStatementPreview(preview);
+    document.getElementById('statementModal')?.classList.add('active');
+}
+
+function renderStatementPreview({ format, created, duplicates, rejected, suggestions }) {
+    const formatLabel = { ofx: 'OFX', qif: 'QIF', camt053: 'CAMT.053' }[format] || format;
+    document.getElementById('statementSummary').textContent =
+        `${formatLabel} statement: ${created.length} new transaction(s), ` +
+        `${duplicates} already recorded, ${rejected.length} unreadable.`;
+
+    document.getElementById('statementSuggestions').innerHTML =
+        suggestions.length === 0
+            ? '<div class="empty-state">No payee is paid on a regular schedule in this statement.</div>'
+            : suggestions
+                  .map((suggestion) => {
+                      const current = suggestion.account
+                          ? ` (“${escapeHtml(toSafeString(suggestion.account.name))}”, now ${formatMoney(suggestion.account.monthlyPayment)})`
+                          : '';
+                      const checkbox =
+                          suggestion.action === 'link'
+                              ? ''
+                              : `<input type="checkbox" value="${escapeHtml(suggestion.id)}" checked />`;
+                      return `
+            <label class="import-change">
+                ${checkbox}
+                <div>
+                    <strong>${escapeHtml(STATEMENT_ACTION_LABELS[suggestion.action] || suggestion.action)}</strong>
+                    ${escapeHtml(toSafeString(suggestion.payee))}${current}
+                    <div class="text-xs">
+                        ${escapeHtml(suggestion.type)} · ${escapeHtml(describeBilling(suggestion))}
+                        (${formatMoney(suggestion.monthlyPayment)} a month) ·
+                        seen ${suggestion.occurrences} time(s) in ${suggestion.months} months, last on ${escapeHtml(suggestion.lastDate)}
+                    </div>
+                </div>
+            </label>
+        `;
+                  })
+                  .join('');
+
+    document.getElementById('statementPreview').innerHTML = created
+        .map(
+            (txn) => `
+            <tr>
+                <td>${escapeHtml(txn.date)}</td>
+                <td>${escapeHtml(toSafeString(txn.memo))}</td>
+                <td>${escapeHtml(txn.type)}</td>
+                <td>${formatMoney(txn.amount)}</td>
+            </tr>
+        `
+        )
+        .join('');
+    document.getElementById('statementRejected').innerHTML = rejected
+        .map(({ entry, error }) => `<li>Entry ${entry}: ${escapeHtml(error)}</li>`)
+        .join('');
+
+    const button = document.getElementById('btnStatementImport');
+    const actionable = suggestions.some((suggestion) => suggestion.action !== 'link');
+    button.textContent = `🏦 Import ${created.length} Transaction${created.length === 1 ? '' : 's'}`;
+    button.disabled = created.length === 0 && !actionable;
+}
+
+function closeStatementModal() {
+    document.getElementById('statementModal')?.classList.remove('active');
+    pendingStatement = null;
+}
+
+async function confirmStatementImport() {
+    if (!pendingStatement) return;
+
+    const accept = [...document.querySelectorAll('#statementSuggestions input:checked')].map(
+        (input) => input.value
+    );
+
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/import/statement`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${pendingStatement.revision}"`,
+            },
+            body: JSON.stringify({ text: pendingStatement.text, accept }),
+        });
+
+        // The suggestions were worked out on older data: show fresh ones
+        if (response.status === 409) {
+            notify(MESSAGES.importOutdated, NOTIFICATION_TYPES.WARNING);
+            await previewStatement(pendingStatement.text);
+            return;
+        }
+        if (!response.ok) throw await toApiError(response);
+
+        const { created, duplicates } = await response.json();
+        closeStatementModal();
+        await loadAppData();
+        notify(MESSAGES.statementImported(created, duplicates), NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('Statement Import Error:', err);
+        notify('❌ Statement import: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== BACKUPS ====================
+
+const BACKUP_REASON_LABELS = {
+    startup: '🚀 Startup',
+    import: '📥 Before import',
+    auto: '⏱️ Automatic',
+    'pre-restore': '↩️ Before restore',
+    'pre-migration': '🔧 Before upgrade',
+};
+
+/**
+ * Fetches the versioned backups from the server and lists them in Settings.
+ */
+async function renderBackups() {
+    const container = document.getElementById('backupList');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/backups`, {
+            cache: 'no-store',
+        });
+        if (!response.ok) throw new Error('Failed to load backups');
+        const { backups } = await response.json();
+
+        if (backups.length === 0) {
+            container.innerHTML = '<div class="empty-state">No backups yet.</div>';
+            return;
+        }
+
+        container.innerHTML = backups
+            .map((backup) => {
+                const label = BACKUP_REASON_LABELS[backup.reason] || backup.reason;
+                const when = new Date(backup.createdAt).toLocaleString();
+                const sizeKb = (backup.size / 1024).toFixed(1);
+                const safeId = escapeHtml(toSafeString(backup.id));
+                return `
+            <div class="metadata-item">
+                <span>${escapeHtml(when)} · ${escapeHtml(toSafeString(label))} · ${sizeKb} KB</span>
+                <div class="metadata-item-actions">
+                    <button class="btn-tiny" onclick="restoreBackup('${safeId}')" title="Restore this backup">↩️ Restore</button>
+                </div>
+            </div>
+        `;
+            })
+            .join('');
+    } catch (err) {
+        console.error('Backup list error:', err);
+        container.innerHTML = '<div class="empty-state">Backups unavailable.</div>';
+    }
+}
+
+/**
+ * Restores a backup after confirmation and reloads the page to show it.
+ * @param {string} id - The backup id as returned by GET /api/backups.
+ */
+async function restoreBackup(id) {
+    const confirmRestore = confirm(
+        '🚨 WARNING: Restoring will OVERWRITE all current data with this backup. The current data is backed up first. Proceed?'
+    );
+    if (!confirmRestore) return;
+
+    try {
+        const response = await sendWrite(
+            `${window.location.origin}/api/backups/${encodeURIComponent(id)}/restore`,
+            { method: 'POST' },
+            false
+        );
+        if (!response.ok) throw new Error('Server restore failed');
+
+        const result = await response.json();
+        notify('✅ Success: ' + result.message, NOTIFICATION_TYPES.SUCCESS);
+
+        setTimeout(() => {
+            window.location.reload();
+        }, UI_CONSTANTS.RELOAD_DELAY);
+    } catch (err) {
+        console.error('Restore Error:', err);
+        notify('❌ Restore failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== ENCRYPTION ====================
+
+const PASSPHRASE_MODES = {
+    enable: {
+        title: '🔒 Encrypt Data',
+        hint: 'data.json and all backups will be encrypted with this passphrase. There is no way to recover the data without it.',
+        askCurrent: false,
+        askNew: true,
+    },
+    change: {
+        title: '🔑 Change Passphrase',
+        hint: 'data.json and all backups will be re-encrypted with the new passphrase.',
+        askCurrent: true,
+        askNew: true,
+    },
+    disable: {
+        title: '🔓 Remove Encryption',
+        hint: 'data.json and all backups will be stored as plain, readable JSON again.',
+        askCurrent: true,
+        askNew: false,
+    },
+    export: {
+        title: '📤 Export Decrypted Copy',
+        hint: 'The exported file is NOT encrypted. Enter your passphrase to confirm.',
+        askCurrent: true,
+        askNew: false,
+    },
+    // App lock modes reuse the same dialog with PIN labels
+    setPin: {
+        title: '🔑 Set App Lock PIN',
+        hint: 'The app will ask for this PIN when it is opened and after being idle.',
+        secret: 'PIN',
+        askCurrent: false,
+        askNew: true,
+    },
+    changePin: {
+        title: '🔑 Change PIN',
+        hint: 'Other open tabs will have to enter the new PIN.',
+        secret: 'PIN',
+        askCurrent: true,
+        askNew: true,
+    },
+    removePin: {
+        title: '🔓 Remove App Lock',
+        hint: 'The app will open without asking for a PIN.',
+        secret: 'PIN',
+        askCurrent: true,
+        askNew: false,
+    },
+};
+
+/**
+ * Calls one of the /api/security endpoints.
+ * @param {string} action - Endpoint name, e.g. 'status' or 'unlock'.
+ * @param {Object} [body] - JSON payload; sent as POST when present.
+ * @returns {Promise<Object>}
+ */
+async function securityRequest(action, body) {
+    const response = await apiFetch(`${window.location.origin}/api/security/${action}`, {
+        method: body ? 'POST' : 'GET',
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        cache: 'no-store',
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP Error: ${response.status}`);
+    return result;
+}
+
+/**
+ * Shows the unlock screen while the server holds encrypted, locked data and
+ * resolves once the right passphrase has been entered.
+ * @returns {Promise<void>}
+ */
+async function ensureUnlocked() {
+    const { encrypted, locked } = await securityRequest('status');
+    encryptionEnabled = encrypted;
+    if (!locked) return;
+
+    loadWorkspaces();
+    document.getElementById('unlockModal')?.classList.add('active');
+    document.getElementById('unlockPassphrase')?.focus();
+    await new Promise((resolve) => {
+        resolveUnlock = resolve;
+    });
+}
+
+async function unlockData() {
+    const input = document.getElementById('unlockPassphrase');
+    if (!input) return;
+
+    try {
+        await securityRequest('unlock', { passphrase: input.value });
+        input.value = '';
+        document.getElementById('unlockModal')?.classList.remove('active');
+        if (resolveUnlock) resolveUnlock();
+        resolveUnlock = null;
+    } catch (err) {
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+        input.select();
+    }
+}
+
+function renderEncryptionStatus() {
+    const statusEl = document.getElementById('encryptionStatus');
+    if (statusEl) {
+        statusEl.textContent = encryptionEnabled
+            ? '🔒 data.json and its backups are encrypted with your passphrase.'
+            : 'Data is stored as plain JSON. Encrypt it to protect it if the drive is lost.';
+    }
+
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('btnEnableEncryption', !encryptionEnabled);
+    show('btnChangePassphrase', encryptionEnabled);
+    show('btnDisableEncryption', encryptionEnabled);
+}
+
+/**
+ * Opens the passphrase dialog for one of the PASSPHRASE_MODES.
+ * @param {string} mode - 'enable', 'change', 'disable', 'export' or one of the PIN modes.
+ */
+function showPassphraseModal(mode) {
+    const config = PASSPHRASE_MODES[mode];
+    if (!config) return;
+    passphraseMode = mode;
+
+    const secret = config.secret || 'Passphrase';
+    document.getElementById('passphraseModalTitle').textContent = config.title;
+    document.getElementById('passphraseModalHint').textContent = config.hint;
+    document.getElementById('passphraseCurrentLabel').textContent = `Current ${secret}`;
+    document.getElementById('passphraseNewLabel').textContent = `New ${secret}`;
+    document.getElementById('passphraseConfirmLabel').textContent = `Confirm New ${secret}`;
+    document.getElementById('passphraseCurrentGroup').style.display = config.askCurrent
+        ? ''
+        : 'none';
+    document.getElementById('passphraseNewGroup').style.display = config.askNew ? '' : 'none';
+    document.getElementById('passphraseConfirmGroup').style.display = config.askNew ? '' : 'none';
+
+    document.getElementById('passphraseModal').classList.add('active');
+}
+
+function closePassphraseModal() {
+    ['passphraseCurrent', 'passphraseNew', 'passphraseConfirm'].forEach((id) => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    document.getElementById('passphraseModal')?.classList.remove('active');
+    passphraseMode = null;
+}
+
+async function submitPassphraseModal() {
+    const current = document.getElementById('passphraseCurrent')?.value || '';
+    const next = document.getElementById('passphraseNew')?.value || '';
+    const confirmation = document.getElementById('passphraseConfirm')?.value || '';
+
+    if (PASSPHRASE_MODES[passphraseMode]?.askNew && next !== confirmation) {
+        notify(MESSAGES.passphraseMismatch, NOTIFICATION_TYPES.WARNING);
+        return;
+    }
+
+    try {
+        if (passphraseMode === 'enable') {
+            await securityRequest('enable', { passphrase: next });
+            encryptionEnabled = true;
+            notify(MESSAGES.encryptionEnabled, NOTIFICATION_TYPES.SUCCESS);
+        } else if (passphraseMode === 'change') {
+            await securityRequest('change', { currentPassphrase: current, newPassphrase: next });
+            notify(MESSAGES.passphraseChanged, NOTIFICATION_TYPES.SUCCESS);
+        } else if (passphraseMode === 'disable') {
+            await securityRequest('disable', { passphrase: current });
+            encryptionEnabled = false;
+            notify(MESSAGES.encryptionDisabled, NOTIFICATION_TYPES.SUCCESS);
+        } else if (passphraseMode === 'export') {
+            downloadJsonBackup(await securityRequest('export', { passphrase: current }));
+            notify('✅ Data exported successfully!', NOTIFICATION_TYPES.SUCCESS);
+        } else if (passphraseMode === 'setPin' || passphraseMode === 'changePin') {
+            const { token } = await pinRequest('PUT', { currentPin: current, newPin: next });
+            setSessionToken(token);
+            appLockEnabled = true;
+            notify(MESSAGES.pinSaved, NOTIFICATION_TYPES.SUCCESS);
+        } else if (passphraseMode === 'removePin') {
+            await pinRequest('DELETE', { currentPin: current });
+            appLockEnabled = false;
+            setSessionToken(null);
+            notify(MESSAGES.pinRemoved, NOTIFICATION_TYPES.SUCCESS);
+        }
+
+        closePassphraseModal();
+        renderEncryptionStatus();
+        renderAppLockStatus();
+        renderBackups();
+    } catch (err) {
+        console.error('Encryption Error:', err);
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== CALENDAR ====================
+
+async function calendarFeedRequest(method, path) {
+    const response = await apiFetch(`${window.location.origin}/api/calendar/${path}`, { method });
+    if (!response.ok) throw await toApiError(response);
+    const { path: feedPath } = await response.json();
+    return `${window.location.origin}${feedPath}`;
+}
+
+/**
+ * Shows the calendar subscription link in Settings.
+ */
+async function renderCalendarFeed() {
+    const input = document.getElementById('calendarFeedUrl');
+    if (!input) return;
+
+    try {
+        input.value = await calendarFeedRequest('GET', 'feed');
+    } catch (err) {
+        console.error('Calendar link error:', err);
+        input.value = '';
+        input.placeholder = 'Calendar link unavailable';
+    }
+}
+
+async function copyCalendarFeed() {
+    const input = document.getElementById('calendarFeedUrl');
+    if (!input?.value) return;
+
+    try {
+        await navigator.clipboard.writeText(input.value);
+        notify(MESSAGES.calendarLinkCopied, NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        // Clipboard access can be denied; the link stays selected for a manual copy
+        input.select();
+        notify(MESSAGES.calendarLinkCopyManually, NOTIFICATION_TYPES.INFO);
+    }
+}
+
+async function resetCalendarFeed() {
+    if (!confirm(MESSAGES.calendarLinkResetConfirm)) return;
+
+    try {
+        document.getElementById('calendarFeedUrl').value = await calendarFeedRequest(
+            'POST',
+            'feed/reset'
+        );
+        notify(MESSAGES.calendarLinkReset, NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('Calendar link error:', err);
+        notify('❌ ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+async function downloadCalendar() {
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/calendar.ics`, {
+            cache: 'no-store',
+        });
+        if (!response.ok) throw await toApiError(response);
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'hawkward_bills.ics';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        console.error('Calendar Export Error:', err);
+        notify('❌ Calendar export failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== HEALTH CHECK ====================
+
+// Problems last listed by renderHealthCheck(); the fix buttons refer to them by index
+let healthProblems = [];
+
+function healthFixControl(problem, index) {
+    const button = `<button class="btn-tiny" onclick="fixHealthProblem(${index})">🛠️ ${escapeHtml(toSafeString(problem.fix.label))}</button>`;
+    if (problem.fix.action !== 'reassign') return button;
+
+    const choices =
+        problem.fix.target === 'cards'
+            ? [['', 'Shared / Unassigned'], ...cards.map((card) => [card.id, card.displayName])]
+            : [['', 'No account'], ...accounts.map((account) => [account.id, account.name])];
+    const options = choices
+        .map(
+            ([value, label]) =>
+                `<option value="${escapeHtml(toSafeString(value))}">${escapeHtml(toSafeString(label, String(value)))}</option>`
+        )
+        .join('');
+    return `<select id="healthFixValue${index}" aria-label="Reassign to">${options}</select>${button}`;
+}
+
+function renderHealthProblems(problems) {
+    const container = document.getElementById('healthCheckList');
+    if (!container) return;
+    healthProblems = problems;
+
+    if (problems.length === 0) {
+        container.innerHTML = '<div class="empty-state">✅ No problems found.</div>';
+        return;
+    }
+
+    container.innerHTML = problems
+        .map(
+            (problem, index) => `
+            <div class="metadata-item">
+                <span>${escapeHtml(toSafeString(problem.message))}</span>
+                <div class="metadata-item-actions">${healthFixControl(problem, index)}</div>
+            </div>
+        `
+        )
+        .join('');
+}
+
+/**
+ * Runs the server's data health check and lists the problems in Settings.
+ */
+async function renderHealthCheck() {
+    const container = document.getElementById('healthCheckList');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch(`${window.location.origin}/api/diagnostics`, {
+            cache: 'no-store',
+        });
+        if (!response.ok) throw await toApiError(response);
+        renderHealthProblems((await response.json()).problems);
+    } catch (err) {
+        console.error('Health check error:', err);
+        container.innerHTML = '<div class="empty-state">Health check unavailable.</div>';
+    }
+}
+
+/**
+ * Applies the one-click fix of a listed problem and reloads the data.
+ * @param {number} index - Position in the last listed problems.
+ */
+async function fixHealthProblem(index) {
+    const problem = healthProblems[index];
+    if (!problem) return;
+    const select = document.getElementById(`healthFixValue${index}`);
+    const value = select && select.value !== '' ? select.value : null;
+
+    try {
+        const { problems } = await apiRequest('POST', 'diagnostics/fix', { id: problem.id, value });
+        await loadAppData();
+        renderMetadataManagers();
+        renderHealthProblems(problems);
+        notify(MESSAGES.problemFixed, NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('Health fix error:', err);
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+        renderHealthCheck();
+    }
+}
+
+// ==================== WORKSPACES ====================
+
+const WORKSPACE_MODES = {
+    create: {
+        title: '🏠 New Workspace',
+        hint: 'Starts empty, with its own backups and change history.',
+        action: 'Create',
+    },
+    rename: {
+        title: '✏️ Rename Workspace',
+        hint: 'Only the name changes; the data stays where it is.',
+        action: 'Rename',
+    },
+    duplicate: {
+        title: '📑 Duplicate Workspace',
+        hint: 'Copies the current data into a new workspace. Backups and history are not copied.',
+        action: 'Duplicate',
+    },
+};
+
+/**
+ * Calls one of the /api/workspaces endpoints.
+ * @param {string} method - HTTP method.
+ * @param {string} [path] - Path below /api/workspaces, e.g. '/default/switch'.
+ * @param {Object} [body] - JSON payload.
+ * @returns {Promise<Object>}
+ */
+async function workspaceRequest(method, path = '', body) {
+    const response = await apiFetch(`${window.location.origin}/api/workspaces${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        cache: 'no-store',
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP Error: ${response.status}`);
+    return result;
+}
+
+/**
+ * Remembers the workspace the server reports, or reloads the page when the
+ * server has switched to another one (from this or another tab).
+ * @param {string|null} active - Workspace id from the server.
+ */
+function checkWorkspace(active) {
+    if (!active) return;
+    if (!workspaceId) workspaceId = active;
+    else if (active !== workspaceId) window.location.reload();
+}
+
+async function loadWorkspaces() {
+    try {
+        renderWorkspaceSwitcher(await workspaceRequest('GET'));
+    } catch (err) {
+        console.warn('Failed to load workspaces:', err);
+    }
+}
+
+function renderWorkspaceSwitcher({ active, workspaces }) {
+    workspaceList = workspaces || [];
+
+    ['workspaceSelect', 'unlockWorkspace'].forEach((id) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = '';
+        workspaceList.forEach((workspace) => {
+            const option = document.createElement('option');
+            option.value = workspace.id;
+            option.textContent = workspace.name;
+            option.selected = workspace.id === active;
+            select.appendChild(option);
+        });
+    });
+
+    const unlockGroup = document.getElementById('unlockWorkspaceGroup');
+    if (unlockGroup) unlockGroup.style.display = workspaceList.length > 1 ? '' : 'none';
+}
+
+/**
+ * Opens another workspace. Every open tab reloads with its data.
+ * @param {string} id - Workspace id.
+ */
+async function switchWorkspace(id) {
+    if (!id || id === workspaceId) return;
+
+    try {
+        await workspaceRequest('POST', `/${encodeURIComponent(id)}/switch`);
+        window.location.reload();
+    } catch (err) {
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+        loadWorkspaces();
+    }
+}
+
+/**
+ * Opens the workspace dialog for one of the WORKSPACE_MODES.
+ * @param {string} mode - 'create', 'rename' or 'duplicate'.
+ */
+function showWorkspaceModal(mode) {
+    const config = WORKSPACE_MODES[mode];
+    if (!config) return;
+    workspaceMode = mode;
+
+    const current = workspaceList.find((workspace) => workspace.id === workspaceId);
+    const input = document.getElementById('workspaceName');
+    if (mode === 'rename') input.value = current ? current.name : '';
+    else if (mode === 'duplicate') input.value = current ? `${current.name} (copy)` : '';
+    else input.value = '';
+
+    document.getElementById('workspaceModalTitle').textContent = config.title;
+    document.getElementById('workspaceModalHint').textContent = config.hint;
+    document.getElementById('workspaceModalSubmit').textContent = config.action;
+    document.getElementById('workspaceModal').classList.add('active');
+    input.focus();
+}
+
+function closeWorkspaceModal() {
+    document.getElementById('workspaceModal')?.classList.remove('active');
+    workspaceMode = null;
+}
+
+async function submitWorkspaceModal() {
+    const name = document.getElementById('workspaceName')?.value || '';
+    const id = encodeURIComponent(workspaceId);
+
+    try {
+        if (workspaceMode === 'rename') {
+            await workspaceRequest('PATCH', `/${id}`, { name });
+            closeWorkspaceModal();
+            loadWorkspaces();
+            notify(MESSAGES.workspaceRenamed, NOTIFICATION_TYPES.SUCCESS);
+            return;
+        }
+
+        const path = workspaceMode === 'duplicate' ? `/${id}/duplicate` : '';
+        const workspace = await workspaceRequest('POST', path, { name });
+        closeWorkspaceModal();
+        await switchWorkspace(workspace.id);
+    } catch (err) {
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
+// ==================== APP LOCK ====================
+
+const IDLE_CHECK_INTERVAL = 15000;
+
+function setSessionToken(token) {
+    sessionToken = token || null;
+    if (sessionToken) sessionStorage.setItem(SESSION_STORAGE_KEY, sessionToken);
+    else sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Calls PUT/DELETE /api/lock/pin.
+ * @returns {Promise<Object>}
+ */
+async function pinRequest(method, body) {
+    const response = await apiFetch(`${window.location.origin}/api/lock/pin`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP Error: ${response.status}`);
+    return result;
+}
+
+/**
+ * Shows the PIN screen when an app lock is set and this tab has no valid
+ * session, and resolves once the right PIN has been entered.
+ * @returns {Promise<void>}
+ */
+async function ensureSession() {
+    const response = await apiFetch(`${window.location.origin}/api/lock/status`, {
+        cache: 'no-store',
+    });
+    const { enabled, authenticated } = await response.json();
+    appLockEnabled = enabled;
+    if (!authenticated) await showLockScreen();
+}
+
+/**
+ * Shows the PIN screen. Every caller waiting for the app to be unlocked gets
+ * the same promise.
+ * @returns {Promise<void>}
+ */
+function showLockScreen() {
+    if (appUnlockPromise) return appUnlockPromise;
+
+    document.querySelectorAll('.modal.active:not(.lock-screen)').forEach((modal) => {
+        modal.classList.remove('active');
+    });
+    document.getElementById('lockModal')?.classList.add('active');
+    document.getElementById('lockPin')?.focus();
+
+    appUnlockPromise = new Promise((resolve) => {
+        resolveAppUnlock = resolve;
+    });
+    return appUnlockPromise;
+}
+
+async function unlockApp() {
+    const input = document.getElementById('lockPin');
+    if (!input) return;
+
+    try {
+        const response = await fetch(`${window.location.origin}/api/lock/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: input.value }),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `HTTP Error: ${response.status}`);
+
+        setSessionToken(result.token);
+        input.value = '';
+        lastActivityAt = Date.now();
+        document.getElementById('lockModal')?.classList.remove('active');
+        if (resolveAppUnlock) resolveAppUnlock();
+        appUnlockPromise = null;
+        resolveAppUnlock = null;
+    } catch (err) {
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
+        input.select();
+    }
+}
+
+/**
+ * Ends this tab's session and shows the PIN screen.
+ */
+async function lockApp() {
+    if (!appLockEnabled) return;
+
+    await apiFetch(`${window.location.origin}/api/lock/lock`, { method: 'POST' }).catch((err) =>
+        console.warn('Lock request failed:', err)
+    );
+    handleSessionLost();
+}
+
+/**
+ * Called when the server no longer accepts this tab's session (PIN entered
+ * elsewhere was changed, server restarted, idle lock). Reloads the data once
+ * the PIN has been entered again.
+ */
+function handleSessionLost() {
+    if (appUnlockPromise) return;
+
+    setSessionToken(null);
+    stopLiveSync();
+    showLockScreen().then(() => {
+        loadAppData();
+        startLiveSync();
+    });
+}
+
+function renderAppLockStatus() {
+    const statusEl = document.getElementById('appLockStatus');
+    if (statusEl) {
+        statusEl.textContent = appLockEnabled
+            ? '🔒 A PIN is required to open the app.'
+            : 'Anyone who can open this page can see your data. Set a PIN to lock it.';
+    }
+
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('btnSetPin', !appLockEnabled);
+    show('btnLockNow', appLockEnabled);
+    show('btnChangePin', appLockEnabled);
+    show('btnRemovePin', appLockEnabled);
+}
+
+/**
+ * Locks the app after `appSettings.autoLockMinutes` without user input.
+ */
+function startIdleLock() {
+    ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach((type) => {
+        window.addEventListener(
+            type,
+            () => {
+                lastActivityAt = Date.now();
+            },
+            { passive: true }
+        );
+    });
+
+    setInterval(() => {
+        const minutes = Number(appSettings.autoLockMinutes) || 0;
+        if (!appLockEnabled || appUnlockPromise || minutes <= 0) return;
+        if (Date.now() - lastActivityAt >= minutes * 60 * 1000) lockApp();
+    }, IDLE_CHECK_INTERVAL);
+}
+
+// ==================== LIVE SYNC ====================
+
+/**
+ * Subscribes to the server's change stream so edits made in other tabs or
+ * windows show up here without a reload.
+ */
+function startLiveSync() {
+    if (typeof EventSource === 'undefined') return;
+    stopLiveSync();
+
+    // EventSource cannot send headers, so the session token goes in the query string.
+    // The tab id keeps this tab counted as open while the stream is connected.
+    const query = new URLSearchParams({ tabId: TAB_ID });
+    if (sessionToken) query.set('token', sessionToken);
+    const source = new EventSource(`${window.location.origin}/api/events?${query}`);
+    liveSyncSource = source;
+
+    // The server ends the stream when the session is revoked
+    source.addEventListener('error', () => {
+        if (appLockEnabled && source.readyState === EventSource.CLOSED) handleSessionLost();
+    });
+
+    // Sent on every (re)connect: anything missed while disconnected means a full reload
+    source.addEventListener('hello', (event) => {
+        const { revision, workspace } = JSON.parse(event.data);
+        checkWorkspace(workspace);
+        if (dataRevision !== null && revision !== dataRevision) loadAppData();
+    });
+
+    // Workspace created, renamed or switched
+    source.addEventListener('workspaces', (event) => {
+        const registry = JSON.parse(event.data);
+        checkWorkspace(registry.active);
+        renderWorkspaceSwitcher(registry);
+    });
+
+    // No tab counts as open any more; the server exits unless one keeps it alive
+    source.addEventListener('shutdown', (event) => {
+        showShutdownCountdown(JSON.parse(event.data).seconds);
+    });
+    source.addEventListener('shutdown-cancelled', hideShutdownCountdown);
+
+    source.addEventListener('change', (event) => {
+        const { revision, stores } = JSON.parse(event.data);
+        // Our own writes are already applied once their response arrives
+        if (dataRevision !== null && revision <= dataRevision) return;
+        dataRevision = revision;
+        applyRemoteStores(stores || {});
+    });
+}
+
+function stopLiveSync() {
+    if (liveSyncSource) liveSyncSource.close();
+    liveSyncSource = null;
+}
+
+/**
+ * Replaces the in-memory stores pushed by the server and re-renders what they affect.
+ * @param {Object} stores - Changed stores keyed by store name.
+ */
+function applyRemoteStores(stores) {
+    const has = (store) => Object.prototype.hasOwnProperty.call(stores, store);
+    if (Object.keys(stores).length === 0) return;
+
+    if (has(DB_CONFIG.stores.profile)) {
+        cards = stores[DB_CONFIG.stores.profile]?.cards || [];
+        renderCards();
+    }
+    if (has(DB_CONFIG.stores.accounts)) {
+        accounts = stores[DB_CONFIG.stores.accounts] || [];
+        renderAccounts();
+    }
+    if (has(DB_CONFIG.stores.transactions)) {
+        transactions = stores[DB_CONFIG.stores.transactions] || [];
+        renderTransactions();
+    }
+    if (has(DB_CONFIG.stores.goals)) {
+        goals = stores[DB_CONFIG.stores.goals] || [];
+        renderGoals();
+    }
+    if (has(DB_CONFIG.stores.settings)) {
+        appSettings = { ...DEFAULT_SETTINGS, ...stores[DB_CONFIG.stores.settings]?.appSettings };
+        applySettings();
+        if (document.getElementById('settings')?.classList.contains('active')) syncSettingsUI();
+    }
+    if (has(DB_CONFIG.stores.timeline)) {
+        window.timelineOverrides = stores[DB_CONFIG.stores.timeline]?.timelineData;
+    }
+
+    pluginStoreNames()
+        .filter(has)
+        .forEach((store) => {
+            pluginData[store] = stores[store];
+        });
+
+    // The projection and the charts are derived from several stores
+    initializeTimelineData();
+    updateStats();
+    if (document.getElementById('analytics')?.classList.contains('active')) {
+        initCharts();
+        renderPluginReports();
+    }
+    const activeTab = document.querySelector('.tab-content.active')?.id;
+    if (activeTab?.startsWith('plugin-')) renderPluginTab(activeTab);
+    if (document.getElementById('history')?.classList.contains('active')) renderHistory();
+}
+
+// ==================== PLUGINS ====================
+
+// Render functions registered by the plugins' browser scripts
+const pluginViews = { tabs: {}, reports: {} };
+
+/**
+ * API for plugin scripts (served from /plugins/<id>/). Tab renderers get the
+ * tab's element and pluginContext(); report renderers get pluginContext()
+ * and return HTML, so they must escape what they show.
+ */
+window.HawkwardPlugins = {
+    registerTab(pluginId, tabId, render) {
+        pluginViews.tabs[pluginTabName(pluginId, tabId)] = render;
+    },
+    registerReport(pluginId, reportId, render) {
+        pluginViews.reports[`${pluginId}/${reportId}`] = render;
+    },
+};
+
+function pluginTabName(pluginId, tabId) {
+    return `plugin-${pluginId}-${tabId}`;
+}
+
+function pluginStoreNames() {
+    return pluginManifest.plugins.flatMap((plugin) => plugin.stores.map((store) => store.name));
+}
+
+function pluginAccountFields() {
+    return pluginManifest.plugins.flatMap((plugin) => plugin.accountFields);
+}
+
+/**
+ * What plugin tabs and report widgets draw with. `data` holds the plugin
+ * stores by name; `save(store, value)` replaces one on the server.
+ * @param {Object} [extra] - E.g. `{ period }` when rendering the printed report.
+ */
+function pluginContext(extra = {}) {
+    return {
+        accounts,
+        cards,
+        goals,
+        transactions,
+        settings: appSettings,
+        data: pluginData,
+        formatMoney,
+        escapeHtml,
+        notify,
+        save: savePluginStore,
+        ...extra,
+    };
+}
+
+async function savePluginStore(store, value) {
+    if (!pluginStoreNames().includes(store)) throw new Error(`Unknown plugin store: ${store}`);
+    await saveToIndexedDB(store, value);
+    pluginData[store] = value;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.body.appendChild(script);
+    });
+}
+
+function addPluginTab(plugin, tab) {
+    const tabName = pluginTabName(plugin.id, tab.id);
+    TAB_TITLES[tabName] = tab.title;
+
+    const button = document.createElement('button');
+    button.className = 'nav-btn';
+    button.dataset.tab = tabName;
+    button.textContent = tab.title;
+    button.addEventListener('click', () => switchTab(tabName));
+    const item = document.createElement('li');
+    item.appendChild(button);
+    // Plugin tabs go above Settings
+    const settingsItem = document.querySelector('.nav-btn[data-tab="settings"]')?.closest('li');
+    settingsItem?.parentNode.insertBefore(item, settingsItem);
+
+    const section = document.createElement('div');
+    section.id = tabName;
+    section.className = 'tab-content';
+    document.querySelector('.content-area')?.appendChild(section);
+}
+
+function renderPluginAccountFields() {
+    const container = document.getElementById('pluginAccountFields');
+    if (!container) return;
+
+    container.innerHTML = pluginAccountFields()
+        .map((field) => {
+            const inputId = `accountField_${escapeHtml(field.id)}`;
+            const step = field.type === 'number' ? ' step="0.01"' : '';
+            return `
+            <div class="form-group">
+                <label for="${inputId}">${escapeHtml(field.label)}</label>
+                <input type="${escapeHtml(field.type)}" id="${inputId}"${step} aria-label="${escapeHtml(field.label)}" />
+            </div>
+        `;
+        })
+        .join('');
+}
+
+// Fills the plugin inputs of the account form; pass {} to clear them
+function fillPluginAccountFields(account) {
+    pluginAccountFields().forEach((field) => {
+        const input = document.getElementById(`accountField_${field.id}`);
+        if (input) input.value = toSafeString(account[field.id]);
+    });
+}
+
+function readPluginAccountFields() {
+    const values = {};
+    pluginAccountFields().forEach((field) => {
+        const value = document.getElementById(`accountField_${field.id}`)?.value || '';
+        if (field.type === 'number') {
+            values[field.id] = value === '' ? null : parseFloat(value);
+        } else {
+            values[field.id] = field.type === 'date' ? value : sanitizeInput(value, 200);
+        }
+    });
+    return values;
+}
+
 /**
- * Export all data from server as a JSON file
+ * Reads the plugin manifest and sets up what the plugins add: styles, sidebar
+ * tabs and account fields. Then loads their scripts, which register the
+ * render functions. A broken plugin is logged and skipped.
  */
-async function exportData() {
+async function loadPlugins() {
     try {
-        const response = await fetch(API_URL);
-        if (!response.ok) throw new Error('Failed to fetch data');
+        const response = await apiFetch(`${window.location.origin}/api/plugins`, {
+            cache: 'no-store',
+        });
+        if (!response.ok) throw await toApiError(response);
+        pluginManifest = await response.json();
+    } catch (err) {
+        console.error('Plugin manifest error:', err);
+        return;
+    }
 
-        const data = await response.json();
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    pluginManifest.errors.forEach(({ plugin, error }) =>
+        console.warn(`Plugin ${plugin} not loaded: ${error}`)
+    );
+    pluginManifest.plugins.forEach((plugin) => {
+        plugin.styles.forEach((href) => {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = href;
+            document.head.appendChild(link);
+        });
+        plugin.tabs.forEach((tab) => addPluginTab(plugin, tab));
+        plugin.accountFields.forEach((field) => {
+            FIELD_INPUTS.accounts[field.id] = `accountField_${field.id}`;
+        });
+    });
+    renderPluginAccountFields();
 
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `financial_backup_${new Date().toISOString().split('T')[0]}.json`;
+    for (const plugin of pluginManifest.plugins) {
+        for (const src of plugin.scripts) {
+            await loadScript(src).catch((err) => console.error(`Plugin ${plugin.id}:`, err));
+        }
+    }
+}
 
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+function renderPluginTab(tabName) {
+    const container = document.getElementById(tabName);
+    const render = pluginViews.tabs[tabName];
+    if (!container) return;
+    if (!render) {
+        container.innerHTML = '<div class="empty-state">This plugin tab is not available.</div>';
+        return;
+    }
 
-        notify('✅ Data exported successfully!', NOTIFICATION_TYPES.SUCCESS);
+    try {
+        render(container, pluginContext());
     } catch (err) {
-        console.error('Export Error:', err);
-        notify('❌ Export failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+        console.error(`Plugin tab ${tabName} failed:`, err);
+        container.innerHTML = '<div class="empty-state">This plugin tab failed to load.</div>';
     }
 }
 
 /**
- * Import data from a JSON file and overwrite current data
+ * Runs the report widgets of all plugins.
+ * @param {Object} [extra] - Passed on to pluginContext().
+ * @returns {Array<Object>} {title, html} per widget that rendered.
  */
-async function importData(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-        try {
-            const importContent = JSON.parse(e.target.result);
+function pluginReportWidgets(extra) {
+    return pluginManifest.plugins.flatMap((plugin) =>
+        plugin.reports
+            .map((report) => {
+                const render = pluginViews.reports[`${plugin.id}/${report.id}`];
+                if (!render) return null;
+                try {
+                    return {
+                        title: report.title,
+                        html: toSafeString(render(pluginContext(extra))),
+                    };
+                } catch (err) {
+                    console.error(`Plugin report ${plugin.id}/${report.id} failed:`, err);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+    );
+}
 
-            // Basic validation
-            if (!importContent.accounts || !importContent.profile || !importContent.timeline) {
-                throw new Error('Invalid backup file format. Missing required data sections.');
-            }
+function renderPluginReports() {
+    const container = document.getElementById('pluginReports');
+    if (!container) return;
 
-            const confirmImport = confirm(
-                '🚨 WARNING: Importing will OVERWRITE all current data. Are you sure you want to proceed?'
-            );
-            if (!confirmImport) {
-                event.target.value = ''; // Reset file input
-                return;
-            }
+    container.innerHTML = pluginReportWidgets()
+        .map(
+            (widget) => `
+            <div class="chart-container">
+                <h3>${escapeHtml(widget.title)}</h3>
+                ${widget.html}
+            </div>
+        `
+        )
+        .join('');
+}
 
-            notify('⌛ Importing data...', NOTIFICATION_TYPES.INFO);
+// Loaded plugins and the ones that failed, in Settings
+function renderPluginList() {
+    const container = document.getElementById('pluginList');
+    if (!container) return;
 
-            const response = await fetch(`${window.location.origin}/api/import`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(importContent),
-            });
+    const { plugins, errors } = pluginManifest;
+    if (plugins.length === 0 && errors.length === 0) {
+        container.innerHTML = '<div class="empty-state">No plugins installed.</div>';
+        return;
+    }
 
-            if (!response.ok) throw new Error('Server import failed');
+    const loaded = plugins.map((plugin) => {
+        const parts = [
+            plugin.stores.length && `${plugin.stores.length} store(s)`,
+            plugin.tabs.length && `${plugin.tabs.length} tab(s)`,
+            plugin.accountFields.length && `${plugin.accountFields.length} account field(s)`,
+            plugin.reports.length && `${plugin.reports.length} report widget(s)`,
+        ].filter(Boolean);
+        const version = plugin.version ? ` ${plugin.version}` : '';
+        return `<div class="metadata-item"><span>🧩 ${escapeHtml(plugin.name + version)} · ${escapeHtml(parts.join(', ') || 'nothing registered')}</span></div>`;
+    });
+    const failed = errors.map(
+        ({ plugin, error }) =>
+            `<div class="metadata-item"><span>⚠️ ${escapeHtml(plugin)}: ${escapeHtml(error)}</span></div>`
+    );
+    container.innerHTML = [...loaded, ...failed].join('');
+}
 
-            const result = await response.json();
-            notify('✅ Success: ' + result.message, NOTIFICATION_TYPES.SUCCESS);
+// ==================== UTILITY FUNCTIONS ====================
 
-            // Reload page to show new data
-            setTimeout(() => {
-                window.location.reload();
-            }, UI_CONSTANTS.RELOAD_DELAY);
-        } catch (err) {
-            console.error('Import Error:', err);
-            notify('❌ Import failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
-            event.target.value = ''; // Reset file input
-        }
+/**
+ * Monthly and annual equivalents of a payment schedule, rounded to cents the
+ * way the server derives an account's monthlyPayment and annualPayment.
+ * @param {string} frequency - Key of BILLING_FREQUENCIES.
+ * @param {number} amount - Amount of each payment.
+ * @param {number} [intervalMonths] - Months between payments for 'custom'.
+ * @returns {Object} {monthly, annual}
+ */
+function billingEquivalents(frequency, amount, intervalMonths) {
+    const billing = BILLING_FREQUENCIES[frequency] || BILLING_FREQUENCIES.monthly;
+    const perYear = billing.perYear || 12 / (parseInt(intervalMonths, 10) || 1);
+    const value = parseFloat(amount) || 0;
+    return {
+        monthly: Math.round(((value * perYear) / 12) * 100) / 100,
+        annual: Math.round(value * perYear * 100) / 100,
     };
-    reader.readAsText(file);
 }
 
-// ==================== UTILITY FUNCTIONS ====================
+/**
+ * What an account comes to per month, e.g. €90 a quarter is €30. Accounts
+ * without a frequency use their stored monthly amount.
+ * @param {Object} account
+ * @returns {number}
+ */
+function monthlyAmount(account) {
+    if (!BILLING_FREQUENCIES[account.frequency]) return parseFloat(account.monthlyPayment) || 0;
+    return billingEquivalents(account.frequency, account.amount, account.intervalMonths).monthly;
+}
 
 /**
  * Calculates current monthly income and expense totals from active accounts.
  * Includes profile-level income distribution as requested.
+ * @param {Object[]} [list] - Accounts to total; defaults to the loaded ones.
  * @returns {Object} An object containing {totalIncome, totalExpense}.
  */
-function calculateBaseMonthlyValues() {
-    const accountMonthlyIncome = accounts
+function calculateBaseMonthlyValues(list = accounts) {
+    const accountMonthlyIncome = list
         .filter((acc) => acc.type === 'income' && acc.status === 'Active')
-        .reduce((sum, acc) => sum + (parseFloat(acc.monthlyPayment) || 0), 0);
+        .reduce((sum, acc) => sum + monthlyAmount(acc), 0);
 
     // Profile-level income is now removed from global totals per user request
     const totalIncome = accountMonthlyIncome;
 
-    const totalExpense = accounts
+    const totalExpense = list
         .filter((acc) => (acc.type === 'expense' || !acc.type) && acc.status === 'Active')
-        .reduce((sum, acc) => sum + (parseFloat(acc.monthlyPayment) || 0), 0);
+        .reduce((sum, acc) => sum + monthlyAmount(acc), 0);
 
     return { totalIncome, totalExpense };
 }
@@ -415,7 +2252,6 @@ function getCriticalityColor(criticality) {
 
 // Cache DOM elements
 const navButtons = document.querySelectorAll('.nav-btn');
-const tabContents = document.querySelectorAll('.tab-content');
 const pageTitle = document.getElementById('pageTitle');
 const accountsBody = document.getElementById('accountsBody');
 const accountModal = document.getElementById('accountModal');
@@ -511,8 +2347,9 @@ function switchTab(tabName) {
     if (!tabName) return;
 
     // Remove active class from all buttons and tabs
-    navButtons.forEach((btn) => btn.classList.remove('active'));
-    tabContents.forEach((tab) => tab.classList.remove('active'));
+    // Queried again: plugin tabs are added after startup
+    document.querySelectorAll('.nav-btn').forEach((btn) => btn.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach((tab) => tab.classList.remove('active'));
 
     // Add active class to selected button and tab
     const activeBtn = document.querySelector(`.nav-btn[data-tab="${tabName}"]`);
@@ -532,14 +2369,22 @@ function switchTab(tabName) {
     // Special handling for specific tabs
     if (tabName === 'analytics') {
         initCharts();
+        renderPluginReports();
     } else if (tabName === 'timeline') {
         initializeTimelineData();
     } else if (tabName === 'accounts') {
         renderAccounts();
+    } else if (tabName === 'transactions') {
+        renderTransactions();
+    } else if (tabName === 'history') {
+        populateHistoryKinds();
+        renderHistory();
     } else if (tabName === 'settings') {
         syncSettingsUI();
     } else if (tabName === 'profile') {
         renderCards();
+    } else if (tabName.startsWith('plugin-')) {
+        renderPluginTab(tabName);
     }
 }
 
@@ -695,11 +2540,11 @@ function renderCards() {
 
         const cardMonthlySpend = assignedAccounts
             .filter((a) => a.type === 'expense' || !a.type)
-            .reduce((sum, a) => sum + (parseFloat(a.monthlyPayment) || 0), 0);
+            .reduce((sum, a) => sum + monthlyAmount(a), 0);
 
         const cardAccountIncome = assignedAccounts
             .filter((a) => a.type === 'income')
-            .reduce((sum, a) => sum + (parseFloat(a.monthlyPayment) || 0), 0);
+            .reduce((sum, a) => sum + monthlyAmount(a), 0);
 
         // Total Monthly Income only includes assigned income accounts
         const totalCardIncome = cardAccountIncome;
@@ -729,9 +2574,7 @@ function renderCards() {
 
         // Add Birthday if present
         if (card.dateOfBirth) {
-            const safeBirthday = escapeHtml(
-                new Date(card.dateOfBirth).toLocaleDateString()
-            );
+            const safeBirthday = escapeHtml(new Date(card.dateOfBirth).toLocaleDateString());
             fieldsHTML += `
                 <div class="family-field">
                     <label>Birthday</label>
@@ -843,12 +2686,8 @@ function renderFormFields() {
     const displayValue = editingCardId
         ? document.getElementById('cardDisplayName')?.value || ''
         : '';
-    const fullNameValue = editingCardId
-        ? document.getElementById('cardFullName')?.value || ''
-        : '';
-    const dobValue = editingCardId
-        ? document.getElementById('cardDateOfBirth')?.value || ''
-        : '';
+    const fullNameValue = editingCardId ? document.getElementById('cardFullName')?.value || '' : '';
+    const dobValue = editingCardId ? document.getElementById('cardDateOfBirth')?.value || '' : '';
 
     // Base Fields
     let html = `
@@ -965,11 +2804,13 @@ function saveCard() {
             } else {
                 templateFields[field.id] = sanitizeInput(val, 200);
             }
+        } else {
+            // PATCH merges, so a cleared field has to be sent explicitly
+            templateFields[field.id] = '';
         }
     });
 
-    const newCardData = {
-        id: editingCardId || `card_${Date.now()}`,
+    const cardData = {
         type: selectedTemplate,
         emoji: selectedEmoji,
         displayName,
@@ -978,17 +2819,19 @@ function saveCard() {
         ...templateFields,
     };
 
-    if (editingCardId) {
-        const index = cards.findIndex((c) => c.id === editingCardId);
-        if (index !== -1) {
-            cards[index] = newCardData;
-        }
-    } else {
-        cards.push(newCardData);
-    }
+    const request = editingCardId
+        ? apiRequest('PATCH', `cards/${encodeURIComponent(editingCardId)}`, cardData)
+        : apiRequest('POST', 'cards', cardData);
+
+    request
+        .then((saved) => {
+            const index = cards.findIndex((c) => c.id === saved.id);
+            if (index !== -1) {
+                cards[index] = saved;
+            } else {
+                cards.push(saved);
+            }
 
-    saveToIndexedDB(DB_CONFIG.stores.profile, cards, 'cards')
-        .then(() => {
             closeCardModal();
             renderCards();
             updateStats(); // Refresh stats in case income changed
@@ -997,10 +2840,7 @@ function saveCard() {
                 NOTIFICATION_TYPES.SUCCESS
             );
         })
-        .catch((err) => {
-            console.error('Save error:', err);
-            notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
-        });
+        .catch((err) => showSaveError(err, 'cards'));
 }
 
 /**
@@ -1013,25 +2853,17 @@ function deleteCard(cardId) {
     if (!card) return;
 
     if (confirm(`Delete profile for "${card.displayName}"?`)) {
-        cards = cards.filter((c) => c.id !== cardId);
-
-        // Disassociate assigned accounts
-        let accountsUpdated = false;
-        accounts.forEach((acc) => {
-            if (acc.ownerId === cardId) {
-                acc.ownerId = null;
-                accountsUpdated = true;
-            }
-        });
-
-        const promises = [saveToIndexedDB(DB_CONFIG.stores.profile, cards, 'cards')];
-
-        if (accountsUpdated) {
-            promises.push(saveToIndexedDB(DB_CONFIG.stores.accounts, accounts, 'allAccounts'));
-        }
-
-        Promise.all(promises)
+        // The server unassigns accounts and transactions; mirror that locally
+        apiRequest('DELETE', `cards/${encodeURIComponent(cardId)}`)
             .then(() => {
+                cards = cards.filter((c) => c.id !== cardId);
+                accounts.forEach((acc) => {
+                    if (acc.ownerId === cardId) acc.ownerId = null;
+                });
+                transactions.forEach((txn) => {
+                    if (txn.ownerId === cardId) txn.ownerId = null;
+                });
+
                 renderCards();
                 // Re-render accounts table if it's visible, as ownership changed (though not visible in table yet, good for consistency)
                 // If we added owner column to table, this would be crucial.
@@ -1056,11 +2888,12 @@ function createAccountRow(row) {
         name,
         category,
         type,
-        monthlyPayment,
+        frequency,
         annualPayment,
         hasReminder,
         status,
         priority,
+        dueDate,
     } = row;
     const tr = document.createElement('tr');
 
@@ -1086,6 +2919,8 @@ function createAccountRow(row) {
         <td class="col-service">
             <div class="service-info">
                 <span class="service-name">${safeName}</span>
+                ${frequency && frequency !== 'monthly' ? `<span class="text-xs">🔁 ${escapeHtml(describeBilling(row))}</span>` : ''}
+                ${dueDate ? `<span class="text-xs">📅 ${escapeHtml(describeDueDate(row))}</span>` : ''}
             </div>
         </td>
         <td class="col-category">
@@ -1094,7 +2929,7 @@ function createAccountRow(row) {
         <td class="col-type">
             <span class="badge ${typeClass}">${typeLabel}</span>
         </td>
-        <td class="col-cost tabular ${isIncome ? 'type-income' : ''}">${safeCurrency}${monthlyPayment.toLocaleString(undefined, { minimumFractionDigits: 2 })}</td>
+        <td class="col-cost tabular ${isIncome ? 'type-income' : ''}">${safeCurrency}${monthlyAmount(row).toLocaleString(undefined, { minimumFractionDigits: 2 })}</td>
         <td class="col-cost tabular ${isIncome ? 'type-income' : ''}">${safeCurrency}${annualPayment.toLocaleString(undefined, { minimumFractionDigits: 2 })}</td>
         <td class="col-paid">
             <span class="badge ${paidClass}">${paid ? 'PAID' : 'UNPAID'}</span>
@@ -1115,6 +2950,55 @@ function createAccountRow(row) {
     return tr;
 }
 
+/**
+ * Short label for an account's payment schedule, e.g. "€90.00 a quarter".
+ * @param {Object} account - Account with `frequency` and `amount`.
+ * @returns {string}
+ */
+function describeBilling({ frequency, amount, intervalMonths }) {
+    const billing = BILLING_FREQUENCIES[frequency] || BILLING_FREQUENCIES.monthly;
+    return `${formatMoney(amount)} ${billing.every || `every ${intervalMonths} months`}`;
+}
+
+/**
+ * Short label for an account's due date following its frequency, e.g.
+ * "Due on day 5", "Due every Friday" or "Due every 15 Mar".
+ * @param {Object} account - Account with a `dueDate`.
+ * @returns {string}
+ */
+function describeDueDate({ dueDate, frequency, intervalMonths }) {
+    const date = new Date(`${dueDate}T00:00:00`);
+    const dayMonth = date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    const weekday = date.toLocaleDateString(undefined, { weekday: 'long' });
+    const months = { quarterly: 3, semiannual: 6, custom: intervalMonths }[frequency];
+
+    if (frequency === 'weekly') return `Due every ${weekday}`;
+    if (frequency === 'biweekly') return `Due every other ${weekday} from ${dayMonth}`;
+    if (frequency === 'annual') return `Due every ${dayMonth}`;
+    if (months > 1) return `Due every ${months} months from ${dayMonth}`;
+    return date.getDate() === 31 ? 'Due on the last day' : `Due on day ${date.getDate()}`;
+}
+
+/**
+ * Shows the months field for custom frequencies and previews what the
+ * entered amount comes to per month and per year.
+ */
+function updateBillingFields() {
+    const frequency = formFrequency.value;
+    document.getElementById('intervalMonthsGroup').style.display =
+        frequency === 'custom' ? '' : 'none';
+
+    const { monthly, annual } = billingEquivalents(
+        frequency,
+        formAmount.value,
+        formIntervalMonths.value
+    );
+    document.getElementById('billingEquivalents').textContent =
+        frequency === 'monthly'
+            ? `${formatMoney(annual)} a year`
+            : `${formatMoney(monthly)} a month · ${formatMoney(annual)} a year`;
+}
+
 /**
  * Renders the accounts table based on the current filtering and sorting state.
  * Uses current filter values to determine what to show.
@@ -1152,8 +3036,12 @@ function toggleAddForm() {
     formCategory.value = '';
     if (formType) formType.value = 'expense';
     if (ownerSelect) ownerSelect.value = '';
-    formMonthlyCost.value = '0';
-    formAnnualCost.value = '0';
+    formFrequency.value = 'monthly';
+    formAmount.value = '0';
+    formIntervalMonths.value = '1';
+    updateBillingFields();
+    if (formDueDate) formDueDate.value = '';
+    fillPluginAccountFields({});
     formPaid.value = '';
     formStatus.value = '';
     formCriticality.value = '';
@@ -1170,20 +3058,24 @@ function editAccount(id) {
         name: service,
         category,
         type,
-        monthlyPayment: monthlyCost,
-        annualPayment: annualCost,
+        frequency,
+        amount,
+        intervalMonths,
         hasReminder: paid,
         status,
         priority: criticality,
         ownerId,
+        dueDate,
     } = account;
 
     modalTitle.textContent = `✏️ Edit Account: ${service}`;
     formService.value = service;
     formCategory.value = category;
     if (formType) formType.value = type || 'expense';
-    formMonthlyCost.value = monthlyCost;
-    formAnnualCost.value = annualCost;
+    formAmount.value = amount ?? account.monthlyPayment;
+    formIntervalMonths.value = intervalMonths || 1;
+    if (formDueDate) formDueDate.value = dueDate || '';
+    fillPluginAccountFields(account);
     formPaid.value = paid;
     formStatus.value = status;
     formCriticality.value = criticality;
@@ -1195,6 +3087,8 @@ function editAccount(id) {
     formCategory.value = category;
     formStatus.value = status;
     formCriticality.value = criticality;
+    formFrequency.value = frequency || 'monthly';
+    updateBillingFields();
 
     // Populate Owner Dropdown and Value
     const ownerSelect = document.getElementById('formOwner');
@@ -1220,19 +3114,22 @@ function saveAccount() {
     const serviceRaw = formService?.value.trim();
     const category = formCategory?.value;
     const type = formType?.value || 'expense';
-    const monthlyCostRaw = formMonthlyCost?.value;
-    const annualCostRaw = formAnnualCost?.value;
+    const frequency = formFrequency?.value || 'monthly';
+    const amountRaw = formAmount?.value;
+    const intervalMonthsRaw = formIntervalMonths?.value;
     const paid = formPaid?.value;
     const status = formStatus?.value;
     const criticality = formCriticality?.value;
     const ownerId = document.getElementById('formOwner')?.value || null;
+    const dueDate = formDueDate?.value || '';
 
     // Sanitize service name
     const service = sanitizeInput(serviceRaw, 100);
 
     // Sanitize and validate numeric inputs
-    const monthlyCost = sanitizeNumber(monthlyCostRaw, 0, 1000000);
-    const annualCost = sanitizeNumber(annualCostRaw, 0, 10000000);
+    const amount = sanitizeNumber(amountRaw, 0, 10000000);
+    const intervalMonths =
+        frequency === 'custom' ? Math.round(sanitizeNumber(intervalMonthsRaw, 1, 120)) : null;
 
     if (!service || !category || !paid || !status || !criticality) {
         notify(MESSAGES.fillRequired, NOTIFICATION_TYPES.ERROR);
@@ -1244,42 +3141,36 @@ function saveAccount() {
         return;
     }
 
-    if (editingAccountId !== null) {
-        // Edit existing
-        const index = accounts.findIndex((a) => a.id === editingAccountId);
-        if (index === -1) return;
+    const accountData = {
+        name: service,
+        category,
+        type,
+        frequency,
+        amount,
+        intervalMonths,
+        hasReminder: paid,
+        status,
+        priority: criticality,
+        ownerId,
+        dueDate,
+        ...readPluginAccountFields(),
+    };
 
-        accounts[index] = {
-            ...accounts[index],
-            name: service,
-            category,
-            type,
-            monthlyPayment: monthlyCost,
-            annualPayment: annualCost,
-            hasReminder: paid,
-            status,
-            priority: criticality,
-            ownerId,
-        };
-    } else {
-        // Add new
-        const newId = Math.max(...accounts.map((a) => a.id), 0) + 1;
-        accounts.push({
-            id: newId,
-            name: service,
-            category,
-            type,
-            monthlyPayment: monthlyCost,
-            annualPayment: annualCost,
-            hasReminder: paid,
-            status,
-            priority: criticality,
-            ownerId,
-        });
-    }
+    // New accounts get their id from the server
+    const request =
+        editingAccountId !== null
+            ? apiRequest('PATCH', `accounts/${editingAccountId}`, accountData)
+            : apiRequest('POST', 'accounts', accountData);
+
+    request
+        .then((saved) => {
+            const index = accounts.findIndex((a) => a.id === saved.id);
+            if (index !== -1) {
+                accounts[index] = saved;
+            } else {
+                accounts.push(saved);
+            }
 
-    saveToIndexedDB(DB_CONFIG.stores.accounts, accounts, 'allAccounts')
-        .then(() => {
             closeAccountModal();
             renderAccounts();
 
@@ -1292,13 +3183,8 @@ function saveAccount() {
             initCharts();
             notify('✅ Account saved!', NOTIFICATION_TYPES.SUCCESS);
         })
-        .catch((err) => {
-            console.error('Save error:', err);
-            notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
-            closeAccountModal();
-            renderAccounts();
-            updateStats();
-        });
+        // Nothing was stored; keep the modal open so the entry can be retried
+        .catch((err) => showSaveError(err, 'accounts'));
 }
 
 function deleteAccount(id) {
@@ -1307,10 +3193,14 @@ function deleteAccount(id) {
 
     const accountName = accounts[index].name;
     if (confirm(MESSAGES.deleteConfirm(accountName))) {
-        accounts.splice(index, 1);
-
-        saveToIndexedDB(DB_CONFIG.stores.accounts, accounts, 'allAccounts')
+        // Ledger entries are kept; the server drops their link to the removed account
+        apiRequest('DELETE', `accounts/${id}`)
             .then(() => {
+                accounts = accounts.filter((a) => a.id !== id);
+                transactions.forEach((txn) => {
+                    if (txn.accountId === id) txn.accountId = null;
+                });
+
                 renderAccounts();
                 updateStats();
                 initCharts();
@@ -1318,8 +3208,7 @@ function deleteAccount(id) {
             })
             .catch((err) => {
                 console.error('Delete error:', err);
-                renderAccounts();
-                updateStats();
+                notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
             });
     }
 }
@@ -1411,26 +3300,320 @@ function sortTable(column) {
             // Let's assume standard keys.
         }
 
-        // Handle numeric/string types
-        if (typeof valueA === 'string' && typeof valueB === 'string') {
-            valueA = valueA.toLowerCase();
-            valueB = valueB.toLowerCase();
-        }
+        // Handle numeric/string types
+        if (typeof valueA === 'string' && typeof valueB === 'string') {
+            valueA = valueA.toLowerCase();
+            valueB = valueB.toLowerCase();
+        }
+
+        // Compare values
+        let comparison = 0;
+        if (valueA > valueB) {
+            comparison = 1;
+        } else if (valueA < valueB) {
+            comparison = -1;
+        }
+
+        // Apply sort direction
+        return currentSortDirection === 'asc' ? comparison : -comparison;
+    });
+
+    // Re-render the table
+    renderAccounts();
+}
+
+// ==================== TRANSACTIONS LEDGER ====================
+
+const filterTxnMonth = document.getElementById('filterTxnMonth');
+const filterTxnAccount = document.getElementById('filterTxnAccount');
+const filterTxnOwner = document.getElementById('filterTxnOwner');
+const filterTxnType = document.getElementById('filterTxnType');
+
+function formatMoney(value) {
+    return `${TIMELINE_CONFIG.currency}${(parseFloat(value) || 0).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+}
+
+/**
+ * Fills a select element with one option per account, keeping its current value.
+ * @param {HTMLSelectElement} select - Target dropdown.
+ * @param {string} emptyLabel - Label of the leading "no selection" option.
+ */
+function populateAccountOptions(select, emptyLabel) {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${escapeHtml(emptyLabel)}</option>`;
+    accounts.forEach((acc) => {
+        const opt = document.createElement('option');
+        opt.value = acc.id;
+        opt.textContent = `${acc.type === 'income' ? '📈' : '📉'} ${acc.name}`;
+        select.appendChild(opt);
+    });
+    select.value = current;
+}
+
+function populateOwnerOptions(select, emptyLabel) {
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${escapeHtml(emptyLabel)}</option>`;
+    cards.forEach((c) => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = `${c.emoji} ${c.displayName}`;
+        select.appendChild(opt);
+    });
+    select.value = current;
+}
+
+/**
+ * Sums the recurring plan for the accounts matching the ledger filters, so the
+ * actual totals can be compared against what was expected for one month.
+ * @returns {Object} An object containing {plannedIncome, plannedExpense}.
+ */
+function calculatePlannedForFilters(accountVal, ownerVal) {
+    let plannedIncome = 0;
+    let plannedExpense = 0;
+
+    accounts
+        .filter((acc) => acc.status === 'Active')
+        .filter((acc) => accountVal === '' || String(acc.id) === accountVal)
+        .filter((acc) => ownerVal === '' || acc.ownerId === ownerVal)
+        .forEach((acc) => {
+            const amount = monthlyAmount(acc);
+            if (acc.type === 'income') plannedIncome += amount;
+            else plannedExpense += amount;
+        });
+
+    return { plannedIncome, plannedExpense };
+}
+
+function createTransactionRow(txn) {
+    const tr = document.createElement('tr');
+    const account = accounts.find((a) => a.id === txn.accountId);
+    const owner = cards.find((c) => c.id === txn.ownerId);
+    const isIncome = txn.type === 'income';
+    const safeId = escapeHtml(toSafeString(txn.id));
+
+    tr.innerHTML = `
+        <td class="tabular">${escapeHtml(toSafeString(txn.date))}</td>
+        <td class="col-service">${escapeHtml(toSafeString(txn.memo)) || '—'}</td>
+        <td>${account ? escapeHtml(toSafeString(account.name)) : '—'}</td>
+        <td>${owner ? `${escapeHtml(toSafeString(owner.emoji))} ${escapeHtml(toSafeString(owner.displayName))}` : '—'}</td>
+        <td class="col-type">
+            <span class="badge ${isIncome ? 'type-income' : 'type-expense'}">${isIncome ? 'INCOME' : 'EXPENSE'}</span>
+        </td>
+        <td class="col-cost tabular ${isIncome ? 'type-income' : ''}">${escapeHtml(formatMoney(txn.amount))}</td>
+        <td class="col-actions">
+            <div class="table-actions">
+                <button class="btn-icon edit" onclick="editTransaction('${safeId}')" title="Edit">✏️</button>
+                <button class="btn-icon delete" onclick="deleteTransaction('${safeId}')" title="Delete">🗑️</button>
+            </div>
+        </td>
+    `;
+    return tr;
+}
+
+/**
+ * Renders the ledger table and the actual vs planned summary.
+ */
+function renderTransactions() {
+    populateAccountOptions(filterTxnAccount, 'All Accounts');
+    populateOwnerOptions(filterTxnOwner, 'All Owners');
+    filterTransactions();
+}
+
+/**
+ * Filters the ledger by month, account, owner and type, newest first.
+ * Updates the table and the actual vs planned summary cards.
+ */
+function filterTransactions() {
+    const monthVal = filterTxnMonth ? filterTxnMonth.value : '';
+    const accountVal = filterTxnAccount ? filterTxnAccount.value : '';
+    const ownerVal = filterTxnOwner ? filterTxnOwner.value : '';
+    const typeVal = filterTxnType ? filterTxnType.value : '';
+
+    const filtered = transactions
+        .filter((txn) => {
+            const matchMonth = monthVal === '' || txn.date.startsWith(monthVal);
+            const matchAccount = accountVal === '' || String(txn.accountId) === accountVal;
+            const matchOwner = ownerVal === '' || txn.ownerId === ownerVal;
+            const matchType = typeVal === '' || txn.type === typeVal;
+            return matchMonth && matchAccount && matchOwner && matchType;
+        })
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    // Actual vs planned: the plan is per month, so scale it by the months covered
+    const actualIncome = filtered
+        .filter((txn) => txn.type === 'income')
+        .reduce((sum, txn) => sum + txn.amount, 0);
+    const actualExpense = filtered
+        .filter((txn) => txn.type !== 'income')
+        .reduce((sum, txn) => sum + txn.amount, 0);
+    const monthsCovered = monthVal
+        ? 1
+        : Math.max(1, new Set(filtered.map((txn) => txn.date.slice(0, 7))).size);
+    const { plannedIncome, plannedExpense } = calculatePlannedForFilters(accountVal, ownerVal);
+
+    const stats = {
+        txnActualIncome: typeVal === 'expense' ? 0 : actualIncome,
+        txnActualExpense: typeVal === 'income' ? 0 : actualExpense,
+        txnPlannedIncome: typeVal === 'expense' ? 0 : plannedIncome * monthsCovered,
+        txnPlannedExpense: typeVal === 'income' ? 0 : plannedExpense * monthsCovered,
+    };
+    Object.entries(stats).forEach(([elId, value]) => {
+        const el = document.getElementById(elId);
+        if (el) el.textContent = formatMoney(value);
+    });
+
+    const tbody = document.getElementById('transactionsBody');
+    if (!tbody) return;
+
+    if (filtered.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7">
+                    <div class="empty-state-row">
+                        <div class="empty-state-content">
+                            <div class="empty-state-icon">🧾</div>
+                            <div class="empty-state-text">No transactions found</div>
+                            <button class="btn-secondary btn-tiny" onclick="showTransactionModal()">Add Transaction</button>
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    filtered.forEach((txn) => fragment.appendChild(createTransactionRow(txn)));
+    tbody.innerHTML = '';
+    tbody.appendChild(fragment);
+}
+
+function clearTransactionFilters() {
+    if (filterTxnMonth) filterTxnMonth.value = '';
+    if (filterTxnAccount) filterTxnAccount.value = '';
+    if (filterTxnOwner) filterTxnOwner.value = '';
+    if (filterTxnType) filterTxnType.value = '';
+    filterTransactions();
+}
+
+function showTransactionModal() {
+    editingTransactionId = null;
+    document.getElementById('transactionModalTitle').textContent = '➕ Add Transaction';
+
+    const accountSelect = document.getElementById('txnAccount');
+    const ownerSelect = document.getElementById('txnOwner');
+    populateAccountOptions(accountSelect, '(None)');
+    populateOwnerOptions(ownerSelect, '(Unassigned)');
+
+    document.getElementById('txnDate').value = new Date().toISOString().split('T')[0];
+    accountSelect.value = filterTxnAccount?.value || '';
+    document.getElementById('txnType').value = 'expense';
+    document.getElementById('txnAmount').value = '';
+    ownerSelect.value = '';
+    document.getElementById('txnMemo').value = '';
+    applyTransactionAccount();
+
+    document.getElementById('transactionModal').classList.add('active');
+}
+
+/**
+ * Pre-fills type, owner and amount from the linked recurring account.
+ * Amount is only suggested when the field is still empty.
+ */
+function applyTransactionAccount() {
+    const accountId = parseInt(document.getElementById('txnAccount').value, 10);
+    const account = accounts.find((a) => a.id === accountId);
+    if (!account) return;
+
+    document.getElementById('txnType').value = account.type || 'expense';
+    if (account.ownerId) document.getElementById('txnOwner').value = account.ownerId;
+
+    const amountInput = document.getElementById('txnAmount');
+    if (!amountInput.value) amountInput.value = account.amount ?? account.monthlyPayment;
+}
+
+function editTransaction(id) {
+    const txn = transactions.find((t) => t.id === id);
+    if (!txn) return;
+
+    editingTransactionId = id;
+    document.getElementById('transactionModalTitle').textContent = '✏️ Edit Transaction';
+
+    populateAccountOptions(document.getElementById('txnAccount'), '(None)');
+    populateOwnerOptions(document.getElementById('txnOwner'), '(Unassigned)');
+
+    document.getElementById('txnDate').value = txn.date;
+    document.getElementById('txnAccount').value = txn.accountId || '';
+    document.getElementById('txnType').value = txn.type;
+    document.getElementById('txnAmount').value = txn.amount;
+    document.getElementById('txnOwner').value = txn.ownerId || '';
+    document.getElementById('txnMemo').value = txn.memo || '';
+
+    document.getElementById('transactionModal').classList.add('active');
+}
+
+function closeTransactionModal() {
+    document.getElementById('transactionModal').classList.remove('active');
+    editingTransactionId = null;
+}
+
+/**
+ * Sanitizes input and saves a new or existing ledger entry.
+ */
+function saveTransaction() {
+    const date = document.getElementById('txnDate')?.value;
+    const amountRaw = document.getElementById('txnAmount')?.value;
+    const accountId = parseInt(document.getElementById('txnAccount')?.value, 10) || null;
+
+    if (!date || !validateInput(amountRaw, 'number', true)) {
+        notify(MESSAGES.invalidTransaction, NOTIFICATION_TYPES.ERROR);
+        return;
+    }
+
+    const txnData = {
+        date,
+        amount: sanitizeNumber(amountRaw, 0, 1000000000),
+        type: document.getElementById('txnType')?.value === 'income' ? 'income' : 'expense',
+        accountId,
+        ownerId: document.getElementById('txnOwner')?.value || null,
+        memo: sanitizeInput(document.getElementById('txnMemo')?.value, 200),
+    };
 
-        // Compare values
-        let comparison = 0;
-        if (valueA > valueB) {
-            comparison = 1;
-        } else if (valueA < valueB) {
-            comparison = -1;
-        }
+    const request = editingTransactionId
+        ? apiRequest('PATCH', `transactions/${encodeURIComponent(editingTransactionId)}`, txnData)
+        : apiRequest('POST', 'transactions', txnData);
 
-        // Apply sort direction
-        return currentSortDirection === 'asc' ? comparison : -comparison;
-    });
+    request
+        .then((saved) => {
+            const index = transactions.findIndex((t) => t.id === saved.id);
+            if (index !== -1) transactions[index] = saved;
+            else transactions.push(saved);
 
-    // Re-render the table
-    renderAccounts();
+            closeTransactionModal();
+            renderTransactions();
+            notify(MESSAGES.transactionSaved, NOTIFICATION_TYPES.SUCCESS);
+        })
+        .catch((err) => showSaveError(err, 'transactions'));
+}
+
+function deleteTransaction(id) {
+    const txn = transactions.find((t) => t.id === id);
+    if (!txn) return;
+
+    if (confirm(MESSAGES.deleteConfirm(txn.memo || txn.date))) {
+        apiRequest('DELETE', `transactions/${encodeURIComponent(id)}`)
+            .then(() => {
+                transactions = transactions.filter((t) => t.id !== id);
+                renderTransactions();
+                notify(MESSAGES.transactionDeleted, NOTIFICATION_TYPES.SUCCESS);
+            })
+            .catch((err) => {
+                console.error('Delete error:', err);
+                notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
+            });
+    }
 }
 
 // ==================== STATS UPDATE ====================
@@ -1541,9 +3724,10 @@ function initCharts() {
     let chartAccountExpense = 0;
 
     accounts.forEach((acc) => {
-        const { category, monthlyPayment, status, priority, type } = acc;
+        const { category, status, priority, type } = acc;
         const isIncome = type === 'income';
         const isActive = status === 'Active';
+        const monthly = monthlyAmount(acc);
 
         // 1. Category Count (All accounts - Inventory mode)
         categoryCounts[category] = (categoryCounts[category] || 0) + 1;
@@ -1551,11 +3735,10 @@ function initCharts() {
         // 2. Financial Totals (Active items only - Reality mode)
         if (isActive) {
             if (isIncome) {
-                chartAccountIncome += parseFloat(monthlyPayment) || 0;
+                chartAccountIncome += monthly;
             } else {
-                chartAccountExpense += parseFloat(monthlyPayment) || 0;
-                categoryExpenseCosts[category] =
-                    (categoryExpenseCosts[category] || 0) + (parseFloat(monthlyPayment) || 0);
+                chartAccountExpense += monthly;
+                categoryExpenseCosts[category] = (categoryExpenseCosts[category] || 0) + monthly;
             }
         }
 
@@ -1893,19 +4076,12 @@ function generateMonthData(years) {
 }
 
 /**
- * Initializes the financial timeline using in-memory data and saved overrides.
- * Updates the 3-year projection grid without re-fetching from server.
+ * Builds the 3-year projection from in-memory data and saved overrides.
+ * Also picks up the saved starting balance.
+ * @returns {Object[]} One entry per month, oldest first.
  */
-function initializeTimelineData() {
-    const years = getTimelineYears();
-    let timelineData = generateMonthData(years);
-
-    // Update titles
-    const titleEl = document.getElementById('timelineTitle');
-    if (titleEl) titleEl.textContent = `${years[0]} - ${years[2]} Financial Timeline`;
-
-    const chartTitleEl = document.getElementById('chartTitle');
-    if (chartTitleEl) chartTitleEl.textContent = `${years[0]} - ${years[2]} Balance Projection`;
+function buildTimelineData() {
+    let timelineData = generateMonthData(getTimelineYears());
 
     // Use global timeline overrides if they exist
     if (window.timelineOverrides) {
@@ -1930,6 +4106,24 @@ function initializeTimelineData() {
         }
     }
 
+    return timelineData;
+}
+
+/**
+ * Initializes the financial timeline using in-memory data and saved overrides.
+ * Updates the 3-year projection grid without re-fetching from server.
+ */
+function initializeTimelineData() {
+    const years = getTimelineYears();
+    const timelineData = buildTimelineData();
+
+    // Update titles
+    const titleEl = document.getElementById('timelineTitle');
+    if (titleEl) titleEl.textContent = `${years[0]} - ${years[2]} Financial Timeline`;
+
+    const chartTitleEl = document.getElementById('chartTitle');
+    if (chartTitleEl) chartTitleEl.textContent = `${years[0]} - ${years[2]} Balance Projection`;
+
     // Set input value
     const balanceInput = document.getElementById('startingBalanceInput');
     if (balanceInput) balanceInput.value = currentStartingBalance;
@@ -2083,10 +4277,7 @@ function saveTimelineData() {
             renderTimelineTable(currentData);
             renderBalanceChart(currentData);
         })
-        .catch((err) => {
-            console.error('Error saving timeline:', err);
-            notify(MESSAGES.saveError, NOTIFICATION_TYPES.ERROR);
-        });
+        .catch((err) => showSaveError(err, 'timeline'));
 }
 
 /**
@@ -2215,6 +4406,233 @@ function renderBalanceChart(timelineData) {
     });
 }
 
+// ==================== PRINTABLE REPORT ====================
+
+// Chart canvases copied into the report as images (only those drawn so far)
+const REPORT_CHARTS = [
+    { id: 'categoryChart', title: 'Accounts by Category' },
+    { id: 'costChart', title: 'Monthly Spend Distribution' },
+    { id: 'criticalityChart', title: 'Criticality Levels' },
+    { id: 'statusChart', title: 'Account Status' },
+    { id: 'balanceChart', title: 'Balance Projection' },
+];
+
+/**
+ * Builds an HTML table for the report. Cell values must already be escaped.
+ * @param {string[]} headers - Column headings.
+ * @param {Array<string[]>} rows - Body rows.
+ * @param {string[]} [footer] - Optional totals row.
+ */
+function reportTable(headers, rows, footer) {
+    const cells = (values, tag) => values.map((value) => `<${tag}>${value}</${tag}>`).join('');
+    return `
+        <table class="report-table">
+            <thead><tr>${cells(headers, 'th')}</tr></thead>
+            <tbody>${rows.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody>
+            ${footer ? `<tfoot><tr>${cells(footer, 'td')}</tr></tfoot>` : ''}
+        </table>
+    `;
+}
+
+function reportSection(title, body) {
+    return `<section class="report-section"><h2>${escapeHtml(title)}</h2>${body}</section>`;
+}
+
+// Monthly total of the income or expense accounts in a list
+function sumMonthly(list, type) {
+    return list
+        .filter((a) => (type === 'income' ? a.type === 'income' : a.type !== 'income'))
+        .reduce((sum, a) => sum + monthlyAmount(a), 0);
+}
+
+/**
+ * Renders the print-only household report for the current month or year.
+ * Figures come from the timeline (so saved month overrides count), the
+ * transaction ledger, active accounts, goals and the drawn charts.
+ * @param {string} period - 'month' or 'year'.
+ */
+function renderPrintReport(period) {
+    const report = document.getElementById('printReport');
+    if (!report) return;
+
+    const now = new Date();
+    const money = (value) => escapeHtml(formatMoney(value));
+    const isYear = period === 'year';
+    const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const prefix = isYear ? String(now.getFullYear()) : monthKey;
+    const periodLabel = isYear
+        ? String(now.getFullYear())
+        : now.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+    // Timeline months are [last year, this year, next year], January first
+    const timeline = calculateBalances(buildTimelineData());
+    const first = isYear ? 12 : 12 + now.getMonth();
+    const covered = timeline.slice(first, isYear ? 24 : first + 1);
+    const excerpt = timeline.slice(first, isYear ? 24 : first + 6);
+    const openingBalance = timeline[first - 1].balance;
+    const plannedIncome = covered.reduce((sum, m) => sum + m.income, 0);
+    const plannedExpense = covered.reduce((sum, m) => sum + m.expenses, 0);
+
+    const recorded = transactions.filter((txn) => (txn.date || '').startsWith(prefix));
+    const recordedIncome = recorded
+        .filter((txn) => txn.type === 'income')
+        .reduce((sum, txn) => sum + txn.amount, 0);
+    const recordedExpense = recorded
+        .filter((txn) => txn.type !== 'income')
+        .reduce((sum, txn) => sum + txn.amount, 0);
+
+    const active = accounts.filter((a) => a.status === 'Active');
+    const stats = [
+        ['Planned Income', money(plannedIncome)],
+        ['Planned Expense', money(plannedExpense)],
+        ['Net Flow', money(plannedIncome - plannedExpense)],
+        ['Closing Balance', money(covered[covered.length - 1].balance)],
+        ['Recorded Income', money(recordedIncome)],
+        ['Recorded Expense', money(recordedExpense)],
+        ['Active Accounts', String(active.length)],
+        ['Opening Balance', money(openingBalance)],
+    ];
+
+    const accountRows = (list) =>
+        list.map((a) => [
+            escapeHtml(toSafeString(a.name)),
+            escapeHtml(a.category || 'Uncategorized'),
+            a.type === 'income' ? money(monthlyAmount(a)) : '',
+            a.type === 'income' ? '' : money(monthlyAmount(a)),
+            money(a.annualPayment),
+        ]);
+    const owners = [
+        ...cards.map((card) => ({
+            title: `${toSafeString(card.emoji)} ${toSafeString(card.displayName)}`,
+            list: active.filter((a) => a.ownerId === card.id),
+        })),
+        {
+            title: 'Shared / Unassigned',
+            list: active.filter((a) => !cards.some((card) => card.id === a.ownerId)),
+        },
+    ].filter(({ list }) => list.length > 0);
+    const cardTables = owners
+        .map(
+            ({ title, list }) => `
+                <h3>${escapeHtml(title)}</h3>
+                ${reportTable(
+                    ['Account', 'Category', 'Monthly Income', 'Monthly Expense', 'Annual'],
+                    accountRows(list),
+                    [
+                        'Total',
+                        '',
+                        money(sumMonthly(list, 'income')),
+                        money(sumMonthly(list, 'expense')),
+                        money(list.reduce((sum, a) => sum + (parseFloat(a.annualPayment) || 0), 0)),
+                    ]
+                )}
+            `
+        )
+        .join('');
+
+    const categories = {};
+    active.forEach((a) => {
+        const name = a.category || 'Uncategorized';
+        const row = categories[name] || (categories[name] = { count: 0, expense: 0, income: 0 });
+        row.count++;
+        row[a.type === 'income' ? 'income' : 'expense'] += monthlyAmount(a);
+    });
+    const totalExpense = sumMonthly(active, 'expense');
+    const categoryRows = Object.entries(categories)
+        .sort((a, b) => b[1].expense - a[1].expense)
+        .map(([name, row]) => [
+            escapeHtml(name),
+            String(row.count),
+            money(row.expense),
+            totalExpense > 0 ? `${((row.expense / totalExpense) * 100).toFixed(1)}%` : '—',
+            money(row.income),
+        ]);
+
+    const timelineRows = excerpt.map((m) => [
+        escapeHtml(m.display),
+        money(m.income),
+        money(m.expenses),
+        money(m.income - m.expenses),
+        money(m.balance),
+        m.isLocked ? '🔒' : '',
+    ]);
+
+    const goalRows = goals.map((goal) => {
+        const percentage = Math.min(100, Math.max(0, (goal.current / goal.target) * 100 || 0));
+        return [
+            escapeHtml(toSafeString(goal.name)),
+            money(goal.current),
+            money(goal.target),
+            `<div class="report-progress"><div style="width: ${percentage}%"></div></div>${percentage.toFixed(1)}%`,
+        ];
+    });
+
+    const charts = REPORT_CHARTS.map(({ id, title }) => ({
+        title,
+        canvas: document.getElementById(id),
+    }))
+        .filter(({ canvas }) => canvas && canvas.width > 0 && canvas.height > 0)
+        .map(
+            ({ title, canvas }) => `
+                <figure class="report-chart">
+                    <img src="${canvas.toDataURL('image/png')}" alt="${escapeHtml(title)}" />
+                    <figcaption>${escapeHtml(title)}</figcaption>
+                </figure>
+            `
+        )
+        .join('');
+
+    const empty = (text) => `<p class="report-empty">${escapeHtml(text)}</p>`;
+
+    report.innerHTML = `
+        <header class="report-header">
+            <h1>${isYear ? 'Annual' : 'Monthly'} Household Report</h1>
+            <p>${escapeHtml(periodLabel)} · Generated ${escapeHtml(now.toLocaleString())}</p>
+        </header>
+        <div class="report-stats">
+            ${stats
+                .map(
+                    ([label, value]) =>
+                        `<div><span>${escapeHtml(label)}</span><strong>${value}</strong></div>`
+                )
+                .join('')}
+        </div>
+        ${reportSection('Per-Card Breakdown', cardTables || empty('No active accounts.'))}
+        ${reportSection(
+            'Categories',
+            categoryRows.length
+                ? reportTable(
+                      ['Category', 'Accounts', 'Monthly Expense', 'Share', 'Monthly Income'],
+                      categoryRows
+                  )
+                : empty('No active accounts.')
+        )}
+        ${reportSection(
+            'Timeline',
+            reportTable(['Month', 'Income', 'Expenses', 'Net', 'Balance', 'Locked'], timelineRows)
+        )}
+        ${reportSection(
+            'Goals',
+            goalRows.length
+                ? reportTable(['Goal', 'Saved', 'Target', 'Progress'], goalRows)
+                : empty('No goals set.')
+        )}
+        ${charts ? reportSection('Charts', `<div class="report-charts">${charts}</div>`) : ''}
+        ${pluginReportWidgets({ period })
+            .map((widget) => reportSection(widget.title, widget.html))
+            .join('')}
+    `;
+}
+
+/**
+ * Fills the report for the period chosen on the Reports tab and opens the
+ * browser's print dialog, where it can also be saved as PDF.
+ */
+function printReport() {
+    renderPrintReport(document.getElementById('reportPeriod')?.value || 'month');
+    window.print();
+}
+
 // ==================== SETTINGS LOGIC ====================
 
 /**
@@ -2227,6 +4645,7 @@ function syncSettingsUI() {
     const currencyInput = document.getElementById('settingCurrency');
     const timeoutInput = document.getElementById('settingTimeout');
     const autoShutdownInput = document.getElementById('settingAutoShutdown');
+    const autoLockInput = document.getElementById('settingAutoLock');
     const timeoutDisplay = document.getElementById('timeoutDisplay');
 
     if (colorInput) colorInput.value = appSettings.primaryColor;
@@ -2234,6 +4653,7 @@ function syncSettingsUI() {
     if (currencyInput) currencyInput.value = appSettings.currency;
     if (timeoutInput) timeoutInput.value = appSettings.heartbeatTimeout;
     if (autoShutdownInput) autoShutdownInput.checked = appSettings.autoShutdown;
+    if (autoLockInput) autoLockInput.value = String(appSettings.autoLockMinutes);
 
     if (timeoutDisplay) {
         const val = appSettings.heartbeatTimeout;
@@ -2291,9 +4711,22 @@ function syncSettingsUI() {
                 saveSettings();
             });
         }
+
+        if (autoLockInput) {
+            autoLockInput.addEventListener('change', (e) => {
+                appSettings.autoLockMinutes = parseInt(e.target.value, 10);
+                saveSettings();
+            });
+        }
     }
 
     renderMetadataManagers();
+    renderBackups();
+    renderHealthCheck();
+    renderPluginList();
+    renderCalendarFeed();
+    renderEncryptionStatus();
+    renderAppLockStatus();
 }
 
 function renderMetadataManagers() {
@@ -2445,11 +4878,17 @@ function editMetadataItem(type, index) {
                     renderAccounts();
                     updateStats();
                     initCharts();
-                    notify('✅ Item updated and propagated to accounts', NOTIFICATION_TYPES.SUCCESS);
+                    notify(
+                        '✅ Item updated and propagated to accounts',
+                        NOTIFICATION_TYPES.SUCCESS
+                    );
                 })
                 .catch((err) => {
                     console.error('Error propagating metadata change:', err);
-                    notify('⚠️ Item updated, but failed to update accounts', NOTIFICATION_TYPES.WARNING);
+                    notify(
+                        '⚠️ Item updated, but failed to update accounts',
+                        NOTIFICATION_TYPES.WARNING
+                    );
                 });
         } else {
             notify('✅ Item updated', NOTIFICATION_TYPES.SUCCESS);
@@ -2458,10 +4897,18 @@ function editMetadataItem(type, index) {
 }
 
 function populateAccountFormDropdowns() {
+    const frequencySelect = document.getElementById('formFrequency');
     const catSelect = document.getElementById('formCategory');
     const statusSelect = document.getElementById('formStatus');
     const critSelect = document.getElementById('formCriticality');
 
+    if (frequencySelect) {
+        const current = frequencySelect.value;
+        frequencySelect.innerHTML = Object.entries(BILLING_FREQUENCIES)
+            .map(([value, { label }]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+            .join('');
+        frequencySelect.value = current || 'monthly';
+    }
     if (catSelect) {
         const current = catSelect.value;
         catSelect.innerHTML =
@@ -2579,7 +5026,7 @@ function applySettings() {
     populateAccountFormDropdowns();
 
     // 5. Sync with Server
-    fetch(`${window.location.origin}/api/settings/system`, {
+    apiFetch(`${window.location.origin}/api/settings/system`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -2618,7 +5065,7 @@ function confirmFactoryReset() {
     if (includeSeed) {
         const years = getTimelineYears();
         const baseData = generateMonthData(years);
-        const { totalIncome, totalExpense } = calculateBaseMonthlyValuesFromData(accountsToSave);
+        const { totalIncome, totalExpense } = calculateBaseMonthlyValues(accountsToSave);
 
         baseData.forEach((m) => {
             m.income = totalIncome;
@@ -2633,6 +5080,7 @@ function confirmFactoryReset() {
 
     Promise.all([
         saveToIndexedDB(DB_CONFIG.stores.accounts, accountsToSave, 'allAccounts'),
+        saveToIndexedDB(DB_CONFIG.stores.transactions, []),
         saveToIndexedDB(DB_CONFIG.stores.profile, cardsToSave, 'cards'),
         saveToIndexedDB(DB_CONFIG.stores.timeline, timelineToSave, 'timelineData'),
         saveToIndexedDB(DB_CONFIG.stores.goals, [], 'goals'),
@@ -2649,6 +5097,8 @@ function downloadCSV() {
         'Service',
         'Category',
         'Type',
+        'Frequency',
+        'Amount',
         'MonthlyAmount',
         'AnnualAmount',
         'Status',
@@ -2667,6 +5117,8 @@ function downloadCSV() {
             `"${a.name}"`,
             `"${a.category}"`,
             `"${a.type || 'expense'}"`,
+            `"${a.frequency === 'custom' ? `every ${a.intervalMonths} months` : a.frequency || 'monthly'}"`,
+            a.amount ?? a.monthlyPayment,
             a.monthlyPayment,
             a.annualPayment,
             a.status,
@@ -2690,6 +5142,35 @@ function downloadCSV() {
     document.body.removeChild(link);
 }
 
+/**
+ * Downloads the spreadsheet workbook built by the server.
+ * @param {string} format - 'xlsx' or 'ods'.
+ */
+async function downloadWorkbook(format) {
+    try {
+        const response = await apiFetch(
+            `${window.location.origin}/api/export/workbook?format=${encodeURIComponent(format)}`,
+            { cache: 'no-store' }
+        );
+        if (!response.ok) throw await toApiError(response);
+
+        const fileName =
+            /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] ||
+            `financial_report.${format}`;
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        console.error('Workbook Export Error:', err);
+        notify('❌ Workbook export failed: ' + err.message, NOTIFICATION_TYPES.ERROR);
+    }
+}
+
 // ==================== GOALS MANAGEMENT ====================
 
 function renderGoals() {
@@ -2814,35 +5295,210 @@ function saveGoal() {
         return;
     }
 
-    if (editingGoalId) {
-        const index = goals.findIndex((g) => g.id === editingGoalId);
-        if (index !== -1) {
-            goals[index] = { ...goals[index], name, target, current };
-        }
-    } else {
-        goals.push({
-            id: 'goal_' + Date.now(),
-            name,
-            target,
-            current,
-            createdAt: new Date().toISOString(),
-        });
+    const request = editingGoalId
+        ? apiRequest('PATCH', `goals/${encodeURIComponent(editingGoalId)}`, {
+              name,
+              target,
+              current,
+          })
+        : apiRequest('POST', 'goals', {
+              name,
+              target,
+              current,
+              createdAt: new Date().toISOString(),
+          });
+
+    request
+        .then((saved) => {
+            const index = goals.findIndex((g) => g.id === saved.id);
+            if (index !== -1) goals[index] = saved;
+            else goals.push(saved);
+
+            closeGoalModal();
+            renderGoals();
+            notify('✅ Goal saved successfully!', NOTIFICATION_TYPES.SUCCESS);
+        })
+        .catch((err) => showSaveError(err, 'goals'));
+}
+
+function deleteGoal(id) {
+    if (confirm('Delete this financial goal?')) {
+        apiRequest('DELETE', `goals/${encodeURIComponent(id)}`)
+            .then(() => {
+                goals = goals.filter((g) => g.id !== id);
+                renderGoals();
+                notify('🗑️ Goal deleted.', NOTIFICATION_TYPES.SUCCESS);
+            })
+            .catch((err) => {
+                console.error('Delete error:', err);
+                notify(MESSAGES.saveError, NOTIFICATION_TYPES.WARNING);
+            });
     }
+}
 
-    saveToIndexedDB(DB_CONFIG.stores.goals, goals, 'goals').then(() => {
-        closeGoalModal();
-        renderGoals();
-        notify('✅ Goal saved successfully!', NOTIFICATION_TYPES.SUCCESS);
+// ==================== HISTORY ====================
+
+/**
+ * Fetches change history entries from the server, newest first.
+ * @param {Object} [filter] - {kind, recordId}.
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchHistory(filter = {}) {
+    const params = new URLSearchParams();
+    if (filter.kind) params.set('kind', filter.kind);
+    if (filter.recordId) params.set('recordId', filter.recordId);
+
+    const response = await apiFetch(`${window.location.origin}/api/history?${params}`, {
+        cache: 'no-store',
     });
+    if (!response.ok) throw new Error('Failed to load history');
+    const { entries } = await response.json();
+    return entries;
 }
 
-function deleteGoal(id) {
-    if (confirm('Delete this financial goal?')) {
-        goals = goals.filter((g) => g.id !== id);
-        saveToIndexedDB(DB_CONFIG.stores.goals, goals, 'goals').then(() => {
-            renderGoals();
-            notify('🗑️ Goal deleted.', NOTIFICATION_TYPES.SUCCESS);
-        });
+function populateHistoryKinds() {
+    const select = document.getElementById('filterHistoryKind');
+    if (!select || select.options.length > 1) return;
+
+    select.innerHTML =
+        '<option value="">All Types</option>' +
+        Object.entries(HISTORY_KIND_LABELS)
+            .map(([kind, label]) => `<option value="${kind}">${escapeHtml(label)}</option>`)
+            .join('');
+}
+
+/**
+ * Fills the record filter with every record of the selected type that has
+ * history, including deleted ones.
+ */
+async function filterHistoryKind() {
+    const kind = document.getElementById('filterHistoryKind')?.value || '';
+    const recordSelect = document.getElementById('filterHistoryRecord');
+
+    if (recordSelect) {
+        recordSelect.innerHTML = '<option value="">All Records</option>';
+        if (kind) {
+            try {
+                const labels = new Map();
+                (await fetchHistory({ kind })).forEach((entry) => {
+                    if (!labels.has(entry.recordId)) labels.set(entry.recordId, entry.label);
+                });
+                labels.forEach((label, recordId) => {
+                    const option = document.createElement('option');
+                    option.value = recordId;
+                    option.textContent = label;
+                    recordSelect.appendChild(option);
+                });
+            } catch (err) {
+                console.error('History error:', err);
+            }
+        }
+    }
+
+    renderHistory();
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Lists the fields an update changed as "field: old → new" lines.
+ * @returns {string} Escaped HTML.
+ */
+function describeHistoryChange(entry) {
+    if (entry.action === 'create') return 'Created';
+    if (entry.action === 'delete') return 'Deleted';
+
+    const before = entry.before || {};
+    const after = entry.after || {};
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(
+            (field) =>
+                `${escapeHtml(field)}: ${escapeHtml(formatHistoryValue(before[field]))} → ${escapeHtml(formatHistoryValue(after[field]))}`
+        )
+        .join('<br>');
+}
+
+async function renderHistory() {
+    const tbody = document.getElementById('historyBody');
+    if (!tbody) return;
+
+    const kind = document.getElementById('filterHistoryKind')?.value || '';
+    const recordId = document.getElementById('filterHistoryRecord')?.value || '';
+
+    let entries;
+    try {
+        entries = await fetchHistory({ kind, recordId });
+    } catch (err) {
+        console.error('History error:', err);
+        tbody.innerHTML = '<tr><td colspan="6">History unavailable.</td></tr>';
+        return;
+    }
+
+    if (entries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6">
+                    <div class="empty-state-row">
+                        <div class="empty-state-content">
+                            <div class="empty-state-icon">🕘</div>
+                            <div class="empty-state-text">No changes recorded yet</div>
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = entries
+        .map((entry) => {
+            const safeId = escapeHtml(toSafeString(entry.id));
+            const kindLabel = HISTORY_KIND_LABELS[entry.kind] || entry.kind;
+            const restoreAfter =
+                entry.action === 'delete'
+                    ? ''
+                    : `<button class="btn-tiny" onclick="restoreHistoryEntry('${safeId}', 'after')" title="Restore the version saved by this change">⏩ Restore</button>`;
+            return `
+            <tr>
+                <td>${escapeHtml(new Date(entry.at).toLocaleString())}</td>
+                <td>${escapeHtml(toSafeString(kindLabel))}</td>
+                <td>${escapeHtml(toSafeString(entry.label))}</td>
+                <td>${escapeHtml(toSafeString(entry.action))}</td>
+                <td class="text-xs">${describeHistoryChange(entry)}</td>
+                <td>
+                    <button class="btn-tiny" onclick="restoreHistoryEntry('${safeId}', 'before')" title="Put back the version from before this change">↩️ Undo</button>
+                    ${restoreAfter}
+                </td>
+            </tr>
+        `;
+        })
+        .join('');
+}
+
+/**
+ * Puts one side of a logged change back and reloads the affected data.
+ * @param {string} id - History entry id.
+ * @param {string} version - 'before' (undo) or 'after'.
+ */
+async function restoreHistoryEntry(id, version) {
+    const question =
+        version === 'before'
+            ? 'Undo this change? The record goes back to how it was before it.'
+            : 'Restore the record to the version saved by this change?';
+    if (!confirm(question)) return;
+
+    try {
+        await apiRequest('POST', `history/${encodeURIComponent(id)}/restore`, { version });
+        await loadAppData();
+        renderHistory();
+        notify(MESSAGES.versionRestored, NOTIFICATION_TYPES.SUCCESS);
+    } catch (err) {
+        console.error('History restore error:', err);
+        notify(`❌ ${err.message}`, NOTIFICATION_TYPES.ERROR);
     }
 }
 
@@ -2852,19 +5508,11 @@ if (saveTimelineBtn) {
     saveTimelineBtn.addEventListener('click', saveTimelineData);
 }
 
-// Auto-update Paid status based on costs
-if (formMonthlyCost) {
-    formMonthlyCost.addEventListener('input', (e) => {
-        const val = parseFloat(e.target.value);
-        if (val > 0) formPaid.value = 'Yes';
-        else if (formAnnualCost && parseFloat(formAnnualCost.value) === 0) formPaid.value = 'No';
-    });
-}
-if (formAnnualCost) {
-    formAnnualCost.addEventListener('input', (e) => {
-        const val = parseFloat(e.target.value);
-        if (val > 0) formPaid.value = 'Yes';
-        else if (formMonthlyCost && parseFloat(formMonthlyCost.value) === 0) formPaid.value = 'No';
+// Auto-update Paid status based on the amount
+if (formAmount) {
+    formAmount.addEventListener('input', (e) => {
+        formPaid.value = parseFloat(e.target.value) > 0 ? 'Yes' : 'No';
+        updateBillingFields();
     });
 }
 
@@ -2876,64 +5524,88 @@ if (typeof DB_CONFIG === 'undefined') {
     throw new Error('Config missing');
 }
 
-initIndexedDB()
-    .then(async () => {
-        // Load ALL data once at startup to establish authoritative memory state
-        try {
-            const response = await fetch(API_URL, { cache: 'no-store' });
-            if (!response.ok) throw new Error('Failed to load initial data');
-            const fullData = await response.json();
-
-            // 1. Process Cards
-            const savedCards = fullData[DB_CONFIG.stores.profile]?.cards;
-            if (savedCards !== undefined && savedCards !== null) {
-                cards = savedCards;
-            } else {
-                // Load defaults if empty (First run only)
-                cards = GENERIC_SEED_CARDS;
-                await saveToIndexedDB(DB_CONFIG.stores.profile, cards, 'cards');
-            }
+/**
+ * Loads every store from the server into memory and re-renders the UI.
+ * Seeds default profiles and accounts on first run.
+ */
+async function loadAppData() {
+    // Load ALL data at once to establish authoritative memory state
+    try {
+        const response = await apiFetch(API_URL, { cache: 'no-store' });
+        if (!response.ok) throw new Error('Failed to load initial data');
+        const fullData = await response.json();
+        rememberRevision(response);
+
+        // 1. Process Cards
+        const savedCards = fullData[DB_CONFIG.stores.profile]?.cards;
+        if (savedCards !== undefined && savedCards !== null) {
+            cards = savedCards;
+        } else {
+            // Load defaults if empty (First run only)
+            cards = GENERIC_SEED_CARDS;
+            await saveToIndexedDB(DB_CONFIG.stores.profile, cards, 'cards');
+        }
 
-            // 2. Process Accounts
-            const savedAccounts = fullData[DB_CONFIG.stores.accounts];
-            if (savedAccounts !== undefined && savedAccounts !== null) {
-                accounts = savedAccounts;
-            } else {
-                // Load defaults if missing (First run only)
-                accounts = convertAccountsToObjects(GENERIC_SEED_ACCOUNTS);
-                await saveToIndexedDB(DB_CONFIG.stores.accounts, accounts, 'allAccounts');
-            }
+        // 2. Process Accounts
+        const savedAccounts = fullData[DB_CONFIG.stores.accounts];
+        if (savedAccounts !== undefined && savedAccounts !== null) {
+            accounts = savedAccounts;
+        } else {
+            // Load defaults if missing (First run only)
+            accounts = convertAccountsToObjects(GENERIC_SEED_ACCOUNTS);
+            await saveToIndexedDB(DB_CONFIG.stores.accounts, accounts, 'allAccounts');
+        }
 
-            // 3. Process Timeline Overrides
-            window.timelineOverrides = fullData[DB_CONFIG.stores.timeline]?.timelineData;
+        // 2.5 Process Transactions
+        const savedTransactions = fullData[DB_CONFIG.stores.transactions];
+        if (Array.isArray(savedTransactions)) {
+            transactions = savedTransactions;
+        }
 
-            // 4. Process Goals
-            const savedGoals = fullData[DB_CONFIG.stores.goals];
-            if (savedGoals && Array.isArray(savedGoals)) {
-                goals = savedGoals;
-            }
+        // 3. Process Timeline Overrides
+        window.timelineOverrides = fullData[DB_CONFIG.stores.timeline]?.timelineData;
 
-            // 5. Process Settings
-            const savedSettings = fullData[DB_CONFIG.stores.settings]?.appSettings;
-            if (savedSettings) {
-                appSettings = { ...DEFAULT_SETTINGS, ...savedSettings };
-            }
+        // 4. Process Goals
+        const savedGoals = fullData[DB_CONFIG.stores.goals];
+        if (savedGoals && Array.isArray(savedGoals)) {
+            goals = savedGoals;
+        }
 
-            // Establish UI
-            renderCards();
-            renderAccounts();
-            renderGoals();
-            updateStats();
-            initializeTimelineData();
-            applySettings();
-        } catch (err) {
-            console.error('Initialization error:', err);
-            // Re-render empty UI as fallback
-            renderCards();
-            renderAccounts();
-            updateStats();
+        // 5. Process Settings
+        const savedSettings = fullData[DB_CONFIG.stores.settings]?.appSettings;
+        if (savedSettings) {
+            appSettings = { ...DEFAULT_SETTINGS, ...savedSettings };
         }
-    })
+
+        // 6. Plugin stores
+        pluginStoreNames().forEach((store) => {
+            pluginData[store] = fullData[store];
+        });
+
+        // Establish UI
+        renderCards();
+        renderAccounts();
+        renderGoals();
+        renderTransactions();
+        updateStats();
+        initializeTimelineData();
+        applySettings();
+    } catch (err) {
+        console.error('Initialization error:', err);
+        // Re-render empty UI as fallback
+        renderCards();
+        renderAccounts();
+        updateStats();
+    }
+}
+
+initIndexedDB()
+    .then(ensureUnlocked)
+    .then(ensureSession)
+    .then(loadWorkspaces)
+    .then(loadPlugins)
+    .then(loadAppData)
+    .then(startLiveSync)
     .catch((err) => {
         console.error('IndexedDB initialization error:', err);
         // Fallback: use in-memory data
@@ -2942,41 +5614,4 @@ initIndexedDB()
         updateStats();
     });
 
-// ==================== HEARTBEAT ====================
-(function initHeartbeat() {
-    const HEARTBEAT_INTERVAL = 5000; // 5 seconds
-
-    // Send heartbeat to server
-    function sendHeartbeat() {
-        fetch('/api/heartbeat', { method: 'POST' }).catch((err) =>
-            console.warn('Heartbeat failed:', err)
-        );
-    }
-
-    // Notify server when tab closes
-    function notifyTabClose() {
-        fetch('/api/tab-closed', { method: 'POST' }).catch((err) =>
-            console.warn('Tab-close notification failed:', err)
-        );
-    }
-
-    // Start heartbeat loop
-    const heartbeatInterval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
-
-    // Listen for tab/window close
-    window.addEventListener('beforeunload', () => {
-        clearInterval(heartbeatInterval);
-        notifyTabClose();
-    });
-
-    // Initial heartbeat
-    sendHeartbeat();
-
-    console.log('Heartbeat initialized: sending every ' + HEARTBEAT_INTERVAL / 1000 + 's');
-})();
-
-
-
-
-
-
+startIdleLock();
@@ -9,6 +9,7 @@ const DB_CONFIG = {
     version: 42,
     stores: {
         accounts: 'accounts',
+        transactions: 'transactions',
         profile: 'profile',
         timeline: 'timeline',
         goals: 'goals',
@@ -23,6 +24,7 @@ const DEFAULT_SETTINGS = {
     currency: '€',
     heartbeatTimeout: 10, // seconds until auto-shutdown warning
     autoShutdown: true,
+    autoLockMinutes: 5, // idle minutes before the PIN lock engages (0 = never)
     categories: [
         'Productivity & Work',
         'Household & Home',
@@ -113,7 +115,17 @@ const GENERIC_SEED_ACCOUNTS = [
     [2, 'Apartment Rent', 'Household & Home', 'expense', 1000, 0, 'Yes', 'Active', 'Critical'],
     [3, 'Utility Bundle', 'Utilities & Bills', 'expense', 150, 0, 'Yes', 'Active', 'Important'],
     [4, 'Grocery Budget', 'Food & Dining', 'expense', 400, 0, 'Yes', 'Active', 'Critical'],
-    [5, 'Personal Streaming', 'Entertainment & Streaming', 'expense', 15, 0, 'Yes', 'Active', 'Optional'],
+    [
+        5,
+        'Personal Streaming',
+        'Entertainment & Streaming',
+        'expense',
+        15,
+        0,
+        'Yes',
+        'Active',
+        'Optional',
+    ],
 ];
 
 const GENERIC_SEED_CARDS = [
@@ -134,7 +146,7 @@ const GENERIC_SEED_CARDS = [
         fullName: 'Alex Doe',
         dateOfBirth: '2015-06-15',
         interests: 'Gaming, Science',
-    }
+    },
 ];
 
 // Timeline Configuration
@@ -158,6 +170,33 @@ const MESSAGES = {
     heartbeatWarning: '⚠️ Connection lost! Server may be offline.',
     accountDeleted: '🗑️ Account deleted.',
     accountSaved: '✅ Account saved!',
+    transactionSaved: '✅ Transaction saved!',
+    transactionDeleted: '🗑️ Transaction deleted.',
+    invalidTransaction: '⚠️ Please enter a valid date and amount.',
+    passphraseMismatch: '⚠️ The new passphrases do not match.',
+    encryptionEnabled: '🔒 Data encrypted. Keep your passphrase safe: it cannot be recovered.',
+    passphraseChanged: '🔑 Passphrase changed.',
+    encryptionDisabled: '🔓 Encryption removed. Data is stored as plain JSON.',
+    pinSaved: '🔑 PIN saved. The app locks when idle and on every restart.',
+    pinRemoved: '🔓 PIN removed. The app no longer locks.',
+    versionRestored: '↩️ Version restored.',
+    workspaceRenamed: '✏️ Workspace renamed.',
+    importNothingSelected: '⚠️ Select at least one change to merge.',
+    importOutdated: '⚠️ Your data changed since the comparison. Please review the import again.',
+    csvImported: (created, rejected) =>
+        `✅ ${created} account${created === 1 ? '' : 's'} imported` +
+        (rejected ? `, ${rejected} row${rejected === 1 ? '' : 's'} skipped.` : '.'),
+    importMerged: (count) => `✅ ${count} change${count === 1 ? '' : 's'} merged.`,
+    calendarLinkCopied: '📋 Calendar link copied. Add it as a subscription in your calendar app.',
+    calendarLinkCopyManually: 'ℹ️ Copy the selected link with Ctrl+C.',
+    calendarLinkResetConfirm:
+        'Create a new calendar link? Calendars subscribed with the current link will stop updating.',
+    calendarLinkReset: '✅ New calendar link created.',
+    problemFixed: '🩺 Problem fixed.',
+    serverStopped: '⏻ The server has stopped. Start the app again to keep working.',
+    statementImported: (created, duplicates) =>
+        `✅ ${created} transaction${created === 1 ? '' : 's'} imported` +
+        (duplicates ? `, ${duplicates} already recorded.` : '.'),
 };
 
 // UI Colors (Chart Use)
@@ -190,11 +229,62 @@ const COLORS = {
 const TAB_TITLES = {
     profile: '👤 My Cards',
     accounts: '📋 Balance',
+    transactions: '🧾 Transactions',
     timeline: '📅 Timeline',
     analytics: '📊 Reports',
+    history: '🕘 History',
     settings: '⚙️ Settings',
 };
 
+// Record types tracked by the server's change history
+const HISTORY_KIND_LABELS = {
+    accounts: '📋 Account',
+    cards: '👤 Card',
+    goals: '🎯 Goal',
+    transactions: '🧾 Transaction',
+    timeline: '📅 Timeline month',
+};
+
+// How often an account is paid: label and payments per year (custom: every N months)
+const BILLING_FREQUENCIES = {
+    weekly: { label: 'Weekly', perYear: 52, every: 'a week' },
+    biweekly: { label: 'Every 2 weeks', perYear: 26, every: 'every two weeks' },
+    monthly: { label: 'Monthly', perYear: 12, every: 'a month' },
+    quarterly: { label: 'Quarterly', perYear: 4, every: 'a quarter' },
+    semiannual: { label: 'Every 6 months', perYear: 2, every: 'every six months' },
+    annual: { label: 'Yearly', perYear: 1, every: 'a year' },
+    custom: { label: 'Every N months', perYear: null, every: null },
+};
+
+// CSV account import: fields a column can be mapped to
+const CSV_ACCOUNT_FIELDS = {
+    name: 'Name',
+    category: 'Category',
+    type: 'Type (income/expense)',
+    frequency: 'Billing Frequency',
+    intervalMonths: 'Every N Months (custom)',
+    amount: 'Amount per Payment',
+    monthlyPayment: 'Monthly Amount',
+    annualPayment: 'Annual Amount',
+    status: 'Status',
+    priority: 'Criticality',
+    owner: 'Owner (card name)',
+};
+
+// Merge import (dry-run report)
+const IMPORT_ACTION_LABELS = {
+    add: '➕ New',
+    update: '✏️ Changed',
+    conflict: '⚠️ Conflict',
+};
+
+// Bank statement import: what accepting a recurring-payee suggestion does
+const STATEMENT_ACTION_LABELS = {
+    create: '➕ New account',
+    update: '✏️ Update amount',
+    link: '🔗 Already up to date',
+};
+
 // Notification Types
 const NOTIFICATION_TYPES = {
     SUCCESS: 'success',
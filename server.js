@@ -4,7 +4,74 @@ const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { normalizeAccount, normalizeData } = require('./lib/data-utils');
+const { normalizeData } = require('./lib/data-utils');
+const {
+    MAX_BACKUPS,
+    LEGACY_BACKUP_FILE,
+    listBackups,
+    createBackup,
+    adoptLegacyBackup,
+    readBackup,
+    readLatestValidBackup,
+    reencodeBackups,
+} = require('./lib/backups');
+const { writeFileAtomicSync } = require('./lib/atomic-write');
+const { migrate } = require('./lib/migrations');
+const { emptyData, openStorage } = require('./lib/storage');
+const {
+    RESOURCES,
+    findRecord,
+    createRecord,
+    updateRecord,
+    deleteRecord,
+} = require('./lib/resources');
+const { getRevision, toETag, parseIfMatch } = require('./lib/revisions');
+const { formatEvent, changedStores, createEventHub } = require('./lib/events');
+const { createTabTracker } = require('./lib/tabs');
+const { claimDataDir, findRunningServer } = require('./lib/instance');
+const { PLAIN_CODEC, isEncrypted, unlockCodec, newCodec } = require('./lib/encryption');
+const {
+    validatePin,
+    hashPin,
+    verifyPin,
+    createSessionStore,
+    createAttemptLimiter,
+} = require('./lib/app-lock');
+const {
+    diffSnapshots,
+    createEntries,
+    appendEntries,
+    readEntries,
+    findEntry,
+    restoreVersion,
+    reencodeHistory,
+    HISTORY_KINDS,
+} = require('./lib/history');
+const { planMerge, mergeData, readImportSnapshot } = require('./lib/merge');
+const { importAccountsCsv } = require('./lib/csv-import');
+const { importStatement, planStatement } = require('./lib/statements');
+const { FORMATS: WORKBOOK_FORMATS, exportWorkbook } = require('./lib/workbook');
+const { buildCalendar, createFeedKey, isFeedKey } = require('./lib/calendar');
+const { DATA_SCHEMA, validateStore, summarizeErrors } = require('./lib/schema');
+const { findProblems, fixProblem } = require('./lib/diagnostics');
+const { loadPlugins, installPlugins, describePlugins } = require('./lib/plugins');
+const {
+    USAGE,
+    parseOptions,
+    listenWithFallback,
+    buildAllowedOrigins,
+    isLoopbackHost,
+    browserUrl,
+} = require('./lib/options');
+const {
+    getWorkspacePaths,
+    findWorkspace,
+    readRegistry,
+    writeRegistry,
+    addWorkspace,
+    renameWorkspace,
+    copyWorkspaceData,
+} = require('./lib/workspaces');
 // const open = require('open'); // Removed to use dynamic import
 
 function getLocalIp() {
@@ -20,53 +87,333 @@ function getLocalIp() {
 }
 const LOCAL_IP = getLocalIp();
 
+let options;
+try {
+    options = parseOptions(process.argv.slice(2), process.env, path.join(__dirname, 'data'));
+} catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
 const app = express();
-const PORT = 3000;
-const HOST = '127.0.0.1';
+const HOST = options.host;
 const PUBLIC_DIR = path.join(__dirname, 'public');
-const DATA_DIR = path.join(__dirname, 'data');
-const DATA_FILE = path.join(DATA_DIR, 'data.json');
-const BACKUP_FILE = path.join(DATA_DIR, 'data.backup.json');
-const IMPORT_SAFETY_FILE = path.join(DATA_DIR, 'data.import_safety.json');
-const ALLOWED_STORES = new Set(['accounts', 'profile', 'timeline', 'goals', 'settings']);
+const DATA_DIR = options.dataDir;
+const LOCK_FILE = path.join(DATA_DIR, 'app-lock.json'); // The PIN covers every workspace
+const CALENDAR_FILE = path.join(DATA_DIR, 'calendar-feed.json'); // Key of the calendar feed URL
+// Storage and files of the active workspace, set by openWorkspace()
+let storage;
+let BACKUP_DIR;
+let HISTORY_FILE;
+const AUTO_BACKUP_INTERVAL = 15 * 60 * 1000; // At most one post-write snapshot per 15 minutes
+const EVENT_PING_INTERVAL = 25 * 1000; // Keeps idle /api/events streams open
+const ALLOWED_STORES = new Set([
+    'accounts',
+    'transactions',
+    'profile',
+    'timeline',
+    'goals',
+    'settings',
+]);
+const LIST_STORES = new Set(['accounts', 'transactions', 'goals']);
+
+// Plugins (<data folder>/plugins) add stores, account fields, tabs and report widgets
+const plugins = loadPlugins(DATA_DIR);
+installPlugins(plugins);
+plugins.plugins.forEach((plugin) => {
+    plugin.stores.forEach(({ name, list }) => {
+        ALLOWED_STORES.add(name);
+        if (list) LIST_STORES.add(name);
+    });
+    console.log(`🧩 Plugin loaded: ${plugin.name}`);
+});
+plugins.errors.forEach(({ plugin, error }) => {
+    console.warn(`⚠️ Plugin ${plugin} not loaded: ${error}`);
+});
 
 let writeQueue = Promise.resolve();
+let lastAutoBackupAt = Date.now();
+let currentRevision = 0; // Revision of the stored data as last written by this process
+const events = createEventHub();
+
+// --- ENCRYPTION AT REST ---
+let codec = PLAIN_CODEC; // Encodes the stored data and the backups on disk
+let locked = false; // Encrypted data on disk and no passphrase entered yet
+
+// Runs a task in the write queue without writing a new revision
+function queueTask(task) {
+    const run = writeQueue.catch(() => {}).then(task);
+    writeQueue = run;
+    return run;
+}
+
+// Re-encodes the stored data and every backup, e.g. when the passphrase changes
+function reencodeStorage(nextCodec) {
+    const data = storage.read(codec);
+    const count = reencodeBackups(BACKUP_DIR, codec, nextCodec);
+    reencodeHistory(HISTORY_FILE, codec, nextCodec);
+    storage.writeSync(data, nextCodec);
+    codec = nextCodec;
+    return count;
+}
+
+// Checks a passphrase against the encrypted data
+function verifyPassphrase(passphrase) {
+    return unlockCodec(passphrase, storage.peek());
+}
+
+function readSnapshotForSync() {
+    try {
+        return normalizeData(storage.read(codec));
+    } catch (err) {
+        return {};
+    }
+}
+
+// Tells every open tab which stores changed. Sent for every revision, even an
+// empty one, so the tabs' If-Match revision never falls behind.
+function broadcastChanges(before, after, revision) {
+    events.broadcast('change', { revision, stores: changedStores(before, normalizeData(after)) });
+}
+
+// Appends one history entry per changed record. The write itself already
+// succeeded, so a failure here is only logged.
+function recordHistory(before, after, revision, source) {
+    try {
+        const changes = diffSnapshots(before, normalizeData(after));
+        appendEntries(HISTORY_FILE, createEntries(changes, { revision, source }), codec);
+    } catch (err) {
+        console.warn('⚠️ Failed to write change history:', err.message);
+    }
+}
+
+// Short description of the request that caused a write, stored in the history
+function describeRequest(req) {
+    return `${req.method} ${req.path}`;
+}
+
+// Writes the next revision of the database. Only call from inside the write queue.
+async function persist(data, source) {
+    const before = readSnapshotForSync();
+    const revision = currentRevision + 1;
+    const payload = { ...data, revision };
+    await storage.write(payload, codec);
+    currentRevision = revision;
+    maybeAutoBackup(payload);
+    recordHistory(before, data, revision, source);
+    broadcastChanges(before, data, revision);
+}
+
+/**
+ * Replaces the whole database inside the write queue (imports, backup restores).
+ * @param {Object} data - The new database.
+ * @param {number} expectedRevision - As for queueUpdate(): when it is stale
+ *     nothing is written and `{ conflict: true }` is returned.
+ * @param {string} [source] - What caused the write, for the change history.
+ * @returns {Promise<Object>} {revision} or {conflict, revision}.
+ */
+function queueWrite(data, expectedRevision, source) {
+    // A failed write must not block the ones queued after it
+    const run = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            if (expectedRevision !== currentRevision) {
+                return { conflict: true, revision: currentRevision };
+            }
+            await persist(data, source);
+            return { revision: currentRevision };
+        });
+    writeQueue = run;
+    return run;
+}
+
+/**
+ * Runs a read-modify-write cycle inside the write queue, so concurrent
+ * requests always see each other's changes instead of overwriting them.
+ * @param {Function} mutator - Receives the raw database; returns a result,
+ *     or `{ skipWrite: true, ... }` to leave the file untouched.
+ * @param {number} [expectedRevision] - Revision the client based its change on.
+ *     When it is stale the mutator is not run and `{ conflict: true }` is returned.
+ * @param {string} [source] - What caused the write, for the change history.
+ * @returns {Promise<Object>} The mutator's result plus the resulting `revision`.
+ */
+function queueUpdate(mutator, expectedRevision, source) {
+    const run = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+                return { conflict: true, revision: currentRevision };
+            }
+
+            const dbData = readDatabase();
+            const result = mutator(dbData) || {};
+            if (!result.skipWrite) await persist(dbData, source);
+            return { ...result, revision: currentRevision };
+        });
+    writeQueue = run;
+    return run;
+}
+
+/**
+ * Middleware for data writes: requires an If-Match header carrying the
+ * revision the client last read, exposed as `req.expectedRevision`.
+ */
+function requireRevision(req, res, next) {
+    const expected = parseIfMatch(req.get('If-Match'));
+    if (expected === null) {
+        return res.status(428).json({
+            error: 'If-Match header with the current data revision is required',
+            revision: currentRevision,
+        });
+    }
+    req.expectedRevision = expected;
+    next();
+}
+
+// Answers a write that ran through queueUpdate. Returns true when it was a conflict.
+function sendConflict(res, result) {
+    res.set('ETag', toETag(result.revision));
+    if (!result.conflict) return false;
+    res.status(409).json({
+        error: 'Data was changed in another tab or window',
+        revision: result.revision,
+    });
+    return true;
+}
+
+/**
+ * Reads and verifies the stored data and upgrades it to the current schema.
+ * On a parse error or checksum mismatch the newest valid backup is restored
+ * to disk and returned instead.
+ * @returns {Object} The raw (not normalized) database content.
+ * @throws {Error} When the file is damaged and no valid backup exists.
+ */
+function readDatabase() {
+    // Never treat a locked file as damaged: that would restore a backup over it
+    if (locked) throw new Error('Data is encrypted and locked');
+
+    let parsed;
+    try {
+        parsed = storage.read(codec);
+    } catch (err) {
+        console.error('Error reading/parsing data:', err.message);
+
+        const latest = readLatestValidBackup(BACKUP_DIR, codec);
+        if (!latest) {
+            throw new Error(`Data corrupted and no backup available: ${err.message}`);
+        }
+
+        console.log('⚠️ Data corrupted. Attempting to restore from backup...');
+        // The content changed under every open tab, so it gets a new revision
+        currentRevision += 1;
+        storage.writeSync({ ...latest.data, revision: currentRevision }, codec);
+        broadcastChanges({}, latest.data, currentRevision);
+        console.log(`✅ Successfully restored from backup ${latest.id}`);
+        return latest.data;
+    }
+
+    const { data, fromVersion, toVersion, applied } = migrate(parsed);
+    if (applied.length > 0) {
+        backupDataFile('pre-migration');
+        storage.writeSync(data, codec);
+        console.log(`🔧 Data schema migrated from v${fromVersion} to v${toVersion}`);
+    }
+    return data;
+}
+
+// --- VERSIONED BACKUPS ---
+function backupDataFile(reason) {
+    try {
+        if (!storage.exists() || locked) return null;
+        const backup = createBackup(BACKUP_DIR, storage.read(codec), reason, MAX_BACKUPS, codec);
+        if (backup) {
+            console.log(`✅ Data backup created: ${path.join(BACKUP_DIR, `${backup.id}.json`)}`);
+        } else {
+            console.warn(`⚠️ Skipped ${reason} backup: the stored data failed validation`);
+        }
+        return backup;
+    } catch (err) {
+        console.warn(`⚠️ Failed to create ${reason} backup:`, err.message);
+        return null;
+    }
+}
 
-function queueWrite(data) {
-    const payload = JSON.stringify(data, null, 2);
-    writeQueue = writeQueue.then(() => fs.promises.writeFile(DATA_FILE, payload));
-    return writeQueue;
+// Once the data is readable (opened or unlocked): keeps a copy of what is about to be used
+function backupOnOpen() {
+    try {
+        const legacy = adoptLegacyBackup(path.dirname(BACKUP_DIR), BACKUP_DIR, codec);
+        if (legacy) console.log(`✅ Moved ${LEGACY_BACKUP_FILE} into the backups as ${legacy.id}`);
+    } catch (err) {
+        console.warn(`⚠️ Failed to move ${LEGACY_BACKUP_FILE} into the backups:`, err.message);
+    }
+    backupDataFile('startup');
+}
+
+function maybeAutoBackup(payload) {
+    if (Date.now() - lastAutoBackupAt < AUTO_BACKUP_INTERVAL) return;
+    lastAutoBackupAt = Date.now();
+    try {
+        createBackup(BACKUP_DIR, payload, 'auto', MAX_BACKUPS, codec);
+    } catch (err) {
+        console.warn('⚠️ Failed to create auto backup:', err.message);
+    }
 }
 
 // --- AUTO-SHUTDOWN LOGIC ---
-let shutdownTimer;
-let SHUTDOWN_TIMEOUT = 10000; // 10 seconds after last heartbeat (Standardized)
+// Each tab sends heartbeats with its own id (lib/tabs.js). Once none is left open,
+// tabs still listening on /api/events get SHUTDOWN_TIMEOUT to keep the server alive.
+const tabs = createTabTracker();
+let shutdownTimer = null;
+let SHUTDOWN_TIMEOUT = 10000; // 10 seconds without an open tab (Standardized)
 let AUTO_SHUTDOWN_ENABLED = true;
+const TAB_CHECK_INTERVAL = 1000;
 
 const IS_CI = process.env.CI === 'true';
 
-function resetShutdownTimer() {
-    if (shutdownTimer) clearTimeout(shutdownTimer);
-    if (!AUTO_SHUTDOWN_ENABLED || IS_CI) return;
+function cancelShutdown() {
+    if (!shutdownTimer) return;
+    clearTimeout(shutdownTimer);
+    shutdownTimer = null;
+    console.log('Shutdown cancelled: a tab is open again.');
+    events.broadcast('shutdown-cancelled', {});
+}
+
+// Starts the countdown when the last tab is gone, cancels it when one is back
+function checkTabs() {
+    const open = tabs.prune(SHUTDOWN_TIMEOUT);
+    if (open > 0 || !AUTO_SHUTDOWN_ENABLED || IS_CI) {
+        cancelShutdown();
+        return;
+    }
+    if (shutdownTimer) return;
 
-    shutdownTimer = setTimeout(() => {
-        console.log('No active tab detected. Shutting down...');
-        process.exit(0);
-    }, SHUTDOWN_TIMEOUT);
+    console.log(`No open tab left. Shutting down in ${SHUTDOWN_TIMEOUT / 1000}s...`);
+    events.broadcast('shutdown', { seconds: SHUTDOWN_TIMEOUT / 1000 });
+    shutdownTimer = setTimeout(shutdown, SHUTDOWN_TIMEOUT);
 }
 
-// Start the timer immediately (unless in CI)
-if (!IS_CI) {
-    resetShutdownTimer();
+// Exit only once every queued write has reached the disk
+function shutdown() {
+    writeQueue
+        .catch((err) => console.error('Pending write failed during shutdown:', err))
+        .finally(() => process.exit(0));
 }
 
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Also covers a browser that never opens: the countdown starts before any heartbeat
+setInterval(checkTabs, TAB_CHECK_INTERVAL).unref();
+
 // ---------------------------
 
 // Middleware
-const ALLOWED_ORIGINS = new Set([
-    `http://localhost:${PORT}`,
-    `http://127.0.0.1:${PORT}`,
-]);
+// Filled in once the server listens and the real port is known
+let ALLOWED_ORIGINS = new Set();
 
 app.use(
     cors({
@@ -91,76 +438,226 @@ app.use((req, res, next) => {
 
 app.use(bodyParser.json({ limit: '50mb' })); // Increased limit just in case
 app.use(express.static(PUBLIC_DIR)); // Serve static files from public directory
+plugins.plugins.forEach((plugin) => {
+    app.use(`/plugins/${plugin.id}`, express.static(path.join(plugin.dir, 'public')));
+});
 
-// Initialize data.json if it doesn't exist
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+// --- DATA FOLDER ---
+// The revision lives in memory, so only one server may write to a data folder;
+// the CLI refuses to write while this file names a running server
+const otherServer = findRunningServer(DATA_DIR);
+if (otherServer) {
+    console.error(`❌ Another server (pid ${otherServer}) is already using ${DATA_DIR}`);
+    process.exit(1);
 }
-if (!fs.existsSync(DATA_FILE)) {
-    const initialData = {
-        accounts: [],
-        profile: {},
-        timeline: {},
-        goals: [],
-        settings: {},
-    };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(initialData, null, 2));
+process.on('exit', claimDataDir(DATA_DIR));
+
+// --- WORKSPACES ---
+let workspaces = readRegistry(DATA_DIR);
+
+// New workspaces start as data.json; `hawkward storage sqlite` moves them
+function createDataFile(paths) {
+    const created = openStorage(paths);
+    created.writeSync(emptyData(), PLAIN_CODEC);
+    created.close();
 }
 
-// --- AUTO-BACKUP ON STARTUP ---
-try {
-    if (fs.existsSync(DATA_FILE)) {
-        const backupPath = BACKUP_FILE;
-        fs.copyFileSync(DATA_FILE, backupPath);
-        console.log('✅ Data backup created: data/data.backup.json');
+function loadRevision() {
+    try {
+        currentRevision = getRevision(storage.read(codec));
+    } catch (err) {
+        // Damaged file: readDatabase() restores a backup on first access
+    }
+}
+
+/**
+ * Makes a workspace the active one: opens its storage, points the paths at
+ * its files and creates its data if needed. An encrypted workspace starts locked.
+ * Call from inside the write queue (or at startup) so no write lands in the
+ * wrong workspace.
+ */
+function openWorkspace(id) {
+    const paths = getWorkspacePaths(DATA_DIR, id);
+    const next = openStorage(paths);
+    if (storage) storage.close();
+    storage = next;
+    ({ backupDir: BACKUP_DIR, historyFile: HISTORY_FILE } = paths);
+    if (!storage.exists()) createDataFile(paths);
+
+    codec = PLAIN_CODEC;
+    currentRevision = 0;
+    lastAutoBackupAt = Date.now();
+    locked = isEncrypted(storage.peek());
+    if (locked) {
+        console.log('🔒 Data is encrypted. Unlock it in the browser to continue.');
+    } else {
+        loadRevision();
+
+        // --- AUTO-BACKUP ON OPEN ---
+        backupOnOpen();
     }
+}
+
+function describeWorkspaces() {
+    return { active: workspaces.active, workspaces: workspaces.workspaces };
+}
+
+// Saves the registry and tells every open tab; tabs showing another workspace reload
+function saveWorkspaces() {
+    writeRegistry(DATA_DIR, workspaces);
+    events.broadcast('workspaces', describeWorkspaces());
+}
+
+try {
+    openWorkspace(workspaces.active);
 } catch (err) {
-    console.warn('⚠️ Failed to create backup:', err.message);
+    console.error(`❌ Failed to open workspace: ${err.message}`);
+    process.exit(1);
 }
 
+// While locked, only the unlock flow and the lifecycle endpoints answer
+const LOCK_EXEMPT_ROUTES = new Set([
+    '/heartbeat',
+    '/tab-closed',
+    '/settings/system',
+    '/security/status',
+    '/security/unlock',
+]);
+
+app.use('/api', (req, res, next) => {
+    // Switching away from a locked workspace is always possible
+    if (!locked || LOCK_EXEMPT_ROUTES.has(req.path) || req.path.startsWith('/workspaces')) {
+        return next();
+    }
+    res.status(423).json({ error: 'Data is encrypted. Enter the passphrase to unlock.' });
+});
+
+// --- PIN LOCK & SESSIONS ---
+const sessions = createSessionStore();
+const pinAttempts = createAttemptLimiter();
+const passphraseAttempts = createAttemptLimiter();
+let pinRecord = readPinRecord();
+
+function readPinRecord() {
+    try {
+        return JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// EventSource cannot send headers, so the stream passes the token in the query string
+function getSessionToken(req) {
+    return req.get('X-Session-Token') || req.query.token;
+}
+
+// Every request made with a session keeps it from expiring
+function hasSession(req) {
+    return !pinRecord || sessions.use(getSessionToken(req));
+}
+
+// Closes live-sync streams whose session was revoked or has expired
+function dropRevokedStreams() {
+    events.disconnect((res) => pinRecord && !sessions.isValid(res.locals.sessionToken));
+}
+
+// Tabs report their lifecycle before the PIN is entered; the rest is the unlock flow
+const SESSION_EXEMPT_ROUTES = new Set([
+    '/heartbeat',
+    '/tab-closed',
+    '/security/status',
+    '/security/unlock',
+    '/lock/status',
+    '/lock/unlock',
+]);
+
+// --- CALENDAR FEED KEY ---
+function readCalendarKey() {
+    try {
+        return JSON.parse(fs.readFileSync(CALENDAR_FILE, 'utf8')).key || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function writeCalendarKey() {
+    const key = createFeedKey();
+    writeFileAtomicSync(CALENDAR_FILE, JSON.stringify({ key }, null, 2));
+    return key;
+}
+
+let calendarKey = readCalendarKey();
+
+// Calendar apps cannot enter a PIN; the feed URL carries its own key instead
+function hasCalendarKey(req) {
+    return req.path === '/calendar.ics' && isFeedKey(req.query.key, calendarKey);
+}
+
+app.use('/api', (req, res, next) => {
+    if (SESSION_EXEMPT_ROUTES.has(req.path) || hasSession(req) || hasCalendarKey(req)) {
+        return next();
+    }
+    res.status(401).json({ error: 'App is locked. Enter your PIN.', pinRequired: true });
+});
+
+// Every response names the active workspace. A tab that still sends another
+// one (it missed a switch) must not write into the wrong household.
+app.use('/api', (req, res, next) => {
+    res.set('X-Workspace', workspaces.active);
+    const expected = req.get('X-Workspace');
+    if (req.method === 'GET' || !expected || expected === workspaces.active) return next();
+    res.status(409).json({
+        error: 'Another workspace was opened in a different tab',
+        workspace: workspaces.active,
+    });
+});
+
 // Routes
 
+// JSON Schema for data.json and the write endpoints
+app.get('/api/schema', (req, res) => {
+    res.json(DATA_SCHEMA);
+});
+
 // Get all data
 app.get('/api/data', (req, res) => {
     try {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        const normalized = normalizeData(parsed);
-        res.json(normalized);
+        const data = normalizeData(readDatabase());
+        res.set('ETag', toETag(currentRevision));
+        res.json({ ...data, revision: currentRevision });
     } catch (err) {
-        console.error('Error reading/parsing data:', err);
+        console.error('❌ Failed to load data:', err);
+        res.status(500).json({
+            error: 'Failed to load data',
+            details: err.message,
+        });
+    }
+});
 
-        // Attempt to restore from backup
-        const backupPath = BACKUP_FILE;
-        if (fs.existsSync(backupPath)) {
-            try {
-                console.log('⚠️ Data corrupted. Attempting to restore from backup...');
-                const backup = fs.readFileSync(backupPath, 'utf8');
-                const backupData = JSON.parse(backup);
-
-                // Restore the backup to main file
-                fs.writeFileSync(DATA_FILE, backup);
-                console.log('✅ Successfully restored from backup');
-
-                res.json(backupData);
-            } catch (backupErr) {
-                console.error('❌ Backup restoration failed:', backupErr);
-                res.status(500).json({
-                    error: 'Data corrupted and backup restoration failed',
-                    details: backupErr.message,
-                });
-            }
-        } else {
-            res.status(500).json({
-                error: 'Data corrupted and no backup available',
-                details: err.message,
-            });
-        }
+// Spreadsheet workbook with accounts, cards, timeline, goals and category totals (?format=xlsx|ods)
+app.get('/api/export/workbook', (req, res) => {
+    const format = req.query.format || 'xlsx';
+    if (!WORKBOOK_FORMATS[format]) {
+        return res.status(400).json({ error: 'format must be xlsx or ods' });
+    }
+
+    try {
+        const workbook = exportWorkbook(readDatabase(), format);
+        const date = new Date().toISOString().split('T')[0];
+        res.set('Content-Type', WORKBOOK_FORMATS[format].mimeType);
+        res.set(
+            'Content-Disposition',
+            `attachment; filename="financial_report_${date}.${WORKBOOK_FORMATS[format].extension}"`
+        );
+        res.send(workbook);
+    } catch (err) {
+        console.error('Workbook Export Error:', err);
+        res.status(500).json({ error: 'Failed to build workbook' });
     }
 });
 
 // Save data (store-based)
-app.post('/api/data', async (req, res) => {
+app.post('/api/data', requireRevision, async (req, res) => {
     const { storeName, data, key } = req.body;
 
     if (!storeName) {
@@ -171,66 +668,138 @@ app.post('/api/data', async (req, res) => {
         return res.status(400).json({ error: 'Invalid storeName' });
     }
 
+    const fields = validateStore(storeName, data, key);
+    if (fields.length > 0) return res.status(400).json({ error: summarizeErrors(fields), fields });
+
+    // List stores are replaced as a whole; object stores per key when one is given
+    const byKey = Boolean(key) && !LIST_STORES.has(storeName);
+    const normalized = normalizeData({ [storeName]: byKey ? { [key]: data } : data })[storeName];
+
     try {
-        const fileContent = fs.readFileSync(DATA_FILE, 'utf8');
-        let dbData;
+        // queueUpdate reads through readDatabase, so a damaged file is never
+        // silently replaced by this single store
+        const result = await queueUpdate(
+            (dbData) => {
+                dbData[storeName] = byKey
+                    ? { ...dbData[storeName], [key]: normalized[key] }
+                    : normalized;
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        res.json({ success: true, revision: result.revision });
+    } catch (err) {
+        console.error('Error saving data:', err);
+        res.status(500).json({ error: 'Failed to save data' });
+    }
+});
+
+// Per-record resource routes (/api/accounts, /api/cards, /api/goals, /api/transactions)
+Object.keys(RESOURCES).forEach((name) => {
+    const base = `/api/${name}`;
+
+    app.get(base, (req, res) => {
         try {
-            dbData = JSON.parse(fileContent);
-        } catch (e) {
-            dbData = {};
+            const list = RESOURCES[name].getList(normalizeData(readDatabase()));
+            res.set('ETag', toETag(currentRevision));
+            res.json(list);
+        } catch (err) {
+            console.error(`Error loading ${name}:`, err);
+            res.status(500).json({ error: `Failed to load ${name}` });
         }
+    });
 
-        // Initialize store if missing
-        if (!dbData[storeName]) {
-            if (storeName === 'accounts') dbData[storeName] = [];
-            else dbData[storeName] = {};
+    app.get(`${base}/:id`, (req, res) => {
+        try {
+            const record = findRecord(normalizeData(readDatabase()), name, req.params.id);
+            if (!record) return res.status(404).json({ error: 'Record not found' });
+            res.set('ETag', toETag(currentRevision));
+            res.json(record);
+        } catch (err) {
+            console.error(`Error loading ${name}:`, err);
+            res.status(500).json({ error: `Failed to load ${name}` });
         }
+    });
 
-        if (storeName === 'accounts') {
-            if (Array.isArray(data)) {
-                dbData[storeName] = data.map(normalizeAccount).filter(Boolean);
-            } else {
-                dbData[storeName] = [];
+    app.post(base, requireRevision, async (req, res) => {
+        try {
+            const result = await queueUpdate(
+                (dbData) => {
+                    const created = createRecord(dbData, name, req.body);
+                    return created.error ? { ...created, skipWrite: true } : created;
+                },
+                req.expectedRevision,
+                describeRequest(req)
+            );
+            if (sendConflict(res, result)) return;
+            if (result.error) {
+                return res.status(400).json({ error: result.error, fields: result.fields });
             }
-        } else if (storeName === 'profile' || storeName === 'timeline') {
-            if (key) {
-                if (!dbData[storeName]) dbData[storeName] = {};
-                dbData[storeName][key] = data;
-            } else {
-                dbData[storeName] = data;
+            res.status(201).json(result.record);
+        } catch (err) {
+            console.error(`Error creating ${name} record:`, err);
+            res.status(500).json({ error: 'Failed to save data' });
+        }
+    });
+
+    app.patch(`${base}/:id`, requireRevision, async (req, res) => {
+        try {
+            const result = await queueUpdate(
+                (dbData) => {
+                    const updated = updateRecord(dbData, name, req.params.id, req.body);
+                    if (!updated) return { notFound: true, skipWrite: true };
+                    return updated.error ? { ...updated, skipWrite: true } : updated;
+                },
+                req.expectedRevision,
+                describeRequest(req)
+            );
+            if (sendConflict(res, result)) return;
+            if (result.notFound) return res.status(404).json({ error: 'Record not found' });
+            if (result.error) {
+                return res.status(400).json({ error: result.error, fields: result.fields });
             }
-        } else {
-            dbData[storeName] = data;
+            res.json(result.record);
+        } catch (err) {
+            console.error(`Error updating ${name} record:`, err);
+            res.status(500).json({ error: 'Failed to save data' });
         }
+    });
 
-        await queueWrite(dbData);
-        res.json({ success: true });
-    } catch (err) {
-        console.error('Error saving data:', err);
-        res.status(500).json({ error: 'Failed to save data' });
-    }
+    app.delete(`${base}/:id`, requireRevision, async (req, res) => {
+        try {
+            const result = await queueUpdate(
+                (dbData) =>
+                    deleteRecord(dbData, name, req.params.id)
+                        ? {}
+                        : { notFound: true, skipWrite: true },
+                req.expectedRevision,
+                describeRequest(req)
+            );
+            if (sendConflict(res, result)) return;
+            if (result.notFound) return res.status(404).json({ error: 'Record not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error(`Error deleting ${name} record:`, err);
+            res.status(500).json({ error: 'Failed to save data' });
+        }
+    });
 });
 
 // Import data (Overwrite entire database)
-app.post('/api/import', async (req, res) => {
+app.post('/api/import', requireRevision, async (req, res) => {
     try {
-        const newData = req.body;
-
-        // Basic validation to ensure it's a valid finance app snapshot
-        if (!newData || typeof newData !== 'object') {
-            return res.status(400).json({ error: 'Invalid JSON data' });
+        const snapshot = readImportSnapshot(req.body);
+        if (snapshot.error) {
+            return res.status(400).json({ error: snapshot.error, fields: snapshot.fields });
         }
 
         // Create safety backup before overwriting
-        const safetyBackupPath = IMPORT_SAFETY_FILE;
-        if (fs.existsSync(DATA_FILE)) {
-            fs.copyFileSync(DATA_FILE, safetyBackupPath);
-            console.log('🛡️ Import safety backup created: data/data.import_safety.json');
-        }
+        backupDataFile('import');
 
         // Write to disk
-        const normalized = normalizeData(newData);
-        await queueWrite(normalized);
+        const result = await queueWrite(snapshot.data, req.expectedRevision, describeRequest(req));
+        if (sendConflict(res, result)) return;
         console.log('🔄 Database restored from import');
 
         res.json({ message: 'Database restored successfully (Safety backup created)' });
@@ -240,15 +809,637 @@ app.post('/api/import', async (req, res) => {
     }
 });
 
-// Heartbeat endpoint
+// Dry run of a merge import: what would be added, changed or is conflicting
+app.post('/api/import/preview', (req, res) => {
+    try {
+        const snapshot = readImportSnapshot(req.body);
+        if (snapshot.error) {
+            return res.status(400).json({ error: snapshot.error, fields: snapshot.fields });
+        }
+
+        res.set('ETag', toETag(currentRevision));
+        res.json({ changes: planMerge(readDatabase(), snapshot.data), revision: currentRevision });
+    } catch (err) {
+        console.error('Import Preview Error:', err);
+        res.status(500).json({ error: 'Failed to compare import' });
+    }
+});
+
+// Merge import: applies the accepted changes of the preview ({ data, accept: [ids] })
+app.post('/api/import/merge', requireRevision, async (req, res) => {
+    const { data, accept } = req.body || {};
+    if (!Array.isArray(accept)) return res.status(400).json({ error: 'accept must be a list' });
+
+    try {
+        const snapshot = readImportSnapshot(data);
+        if (snapshot.error) {
+            return res.status(400).json({ error: snapshot.error, fields: snapshot.fields });
+        }
+
+        backupDataFile('import');
+        const result = await queueUpdate(
+            (dbData) => {
+                const merged = mergeData(dbData, snapshot.data, new Set(accept.map(String)));
+                return { applied: merged.applied, skipWrite: merged.applied === 0 };
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        console.log(`🔀 Import merged (${result.applied} changes)`);
+
+        res.json({ applied: result.applied, revision: result.revision });
+    } catch (err) {
+        console.error('Import Merge Error:', err);
+        res.status(500).json({ error: 'Failed to merge import' });
+    }
+});
+
+// Options of a CSV import: {text, delimiter, decimal, mapping}; missing ones are detected
+function readCsvOptions(body) {
+    const { text, delimiter, decimal, mapping } = body || {};
+    if (typeof text !== 'string') return { error: 'text is required' };
+    return { text, options: { delimiter, decimal, mapping } };
+}
+
+// Dry run of a CSV account import on a copy of the data
+app.post('/api/import/csv/preview', (req, res) => {
+    const csv = readCsvOptions(req.body);
+    if (csv.error) return res.status(400).json({ error: csv.error });
+
+    try {
+        const result = importAccountsCsv(readDatabase(), csv.text, csv.options);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('CSV Preview Error:', err);
+        res.status(500).json({ error: 'Failed to read CSV' });
+    }
+});
+
+// Import the valid rows of a CSV file as new accounts
+app.post('/api/import/csv', requireRevision, async (req, res) => {
+    const csv = readCsvOptions(req.body);
+    if (csv.error) return res.status(400).json({ error: csv.error });
+
+    try {
+        const result = await queueUpdate(
+            (dbData) => {
+                const imported = importAccountsCsv(dbData, csv.text, csv.options);
+                if (imported.error) return { error: imported.error, skipWrite: true };
+                return { ...imported, skipWrite: imported.created.length === 0 };
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        if (result.error) return res.status(400).json({ error: result.error });
+        console.log(`📄 ${result.created.length} accounts imported from CSV`);
+
+        res.json({
+            created: result.created.length,
+            rejected: result.rejected,
+            revision: result.revision,
+        });
+    } catch (err) {
+        console.error('CSV Import Error:', err);
+        res.status(500).json({ error: 'Failed to import CSV' });
+    }
+});
+
+// Dry run of a bank statement import (OFX, QIF or CAMT.053): transactions and
+// recurring payees, nothing applied
+app.post('/api/import/statement/preview', (req, res) => {
+    const { text } = req.body || {};
+    if (typeof text !== 'string') return res.status(400).json({ error: 'text is required' });
+
+    try {
+        const result = planStatement(readDatabase(), text);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.set('ETag', toETag(currentRevision));
+        res.json({ ...result, revision: currentRevision });
+    } catch (err) {
+        console.error('Statement Preview Error:', err);
+        res.status(500).json({ error: 'Failed to read statement' });
+    }
+});
+
+// Import a bank statement, applying the recurring-account suggestions listed in `accept`
+app.post('/api/import/statement', requireRevision, async (req, res) => {
+    const { text, accept } = req.body || {};
+    if (typeof text !== 'string') return res.status(400).json({ error: 'text is required' });
+    if (!Array.isArray(accept)) return res.status(400).json({ error: 'accept must be an array' });
+
+    try {
+        const result = await queueUpdate(
+            (dbData) => {
+                const imported = importStatement(dbData, text, new Set(accept.map(String)));
+                if (imported.error) return { error: imported.error, skipWrite: true };
+                const changed =
+                    imported.created.length + imported.accounts.created + imported.accounts.updated;
+                return { ...imported, skipWrite: changed === 0 };
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        if (result.error) return res.status(400).json({ error: result.error });
+        console.log(
+            `🏦 Statement imported (${result.created.length} transactions, ${result.duplicates} duplicates)`
+        );
+
+        res.json({
+            created: result.created.length,
+            duplicates: result.duplicates,
+            rejected: result.rejected,
+            accounts: result.accounts,
+            revision: result.revision,
+        });
+    } catch (err) {
+        console.error('Statement Import Error:', err);
+        res.status(500).json({ error: 'Failed to import statement' });
+    }
+});
+
+// List versioned backups (newest first)
+app.get('/api/backups', (req, res) => {
+    try {
+        res.json({ backups: listBackups(BACKUP_DIR) });
+    } catch (err) {
+        console.error('Error listing backups:', err);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+// Restore a backup (the current data is backed up first)
+app.post('/api/backups/:id/restore', requireRevision, async (req, res) => {
+    try {
+        const data = readBackup(BACKUP_DIR, req.params.id, codec);
+        if (!data) {
+            return res.status(404).json({ error: 'Backup not found or invalid' });
+        }
+
+        backupDataFile('pre-restore');
+        const result = await queueWrite(data, req.expectedRevision, describeRequest(req));
+        if (sendConflict(res, result)) return;
+        console.log(`🔄 Database restored from backup ${req.params.id}`);
+
+        res.json({ message: 'Backup restored successfully (Safety backup created)' });
+    } catch (err) {
+        console.error('Restore Error:', err);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// Change history, newest first (?kind=accounts&recordId=3&limit=50)
+app.get('/api/history', (req, res) => {
+    const { kind, recordId } = req.query;
+    if (kind && !HISTORY_KINDS[kind]) return res.status(400).json({ error: 'Invalid kind' });
+
+    const limit = parseInt(req.query.limit, 10);
+    try {
+        res.json({
+            entries: readEntries(HISTORY_FILE, codec, {
+                kind,
+                recordId,
+                limit: limit > 0 ? limit : undefined,
+            }),
+        });
+    } catch (err) {
+        console.error('Error reading history:', err);
+        res.status(500).json({ error: 'Failed to read history' });
+    }
+});
+
+// Put a logged version of a record back ('before' undoes the change)
+app.post('/api/history/:id/restore', requireRevision, async (req, res) => {
+    try {
+        const entry = findEntry(HISTORY_FILE, codec, req.params.id);
+        if (!entry) return res.status(404).json({ error: 'History entry not found' });
+
+        const result = await queueUpdate(
+            (dbData) => {
+                const restored = restoreVersion(dbData, entry, (req.body || {}).version);
+                return restored.error ? { ...restored, skipWrite: true } : restored;
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json({ kind: entry.kind, record: result.record });
+    } catch (err) {
+        console.error('History Restore Error:', err);
+        res.status(500).json({ error: 'Failed to restore version' });
+    }
+});
+
+// Manifest of the loaded plugins, read by the browser at startup
+app.get('/api/plugins', (req, res) => {
+    res.json(describePlugins(plugins));
+});
+
+// Data health check: dangling references, duplicate ids, unknown metadata, stale months
+app.get('/api/diagnostics', (req, res) => {
+    try {
+        const problems = findProblems(readDatabase());
+        res.set('ETag', toETag(currentRevision));
+        res.json({ problems, revision: currentRevision });
+    } catch (err) {
+        console.error('Diagnostics Error:', err);
+        res.status(500).json({ error: 'Failed to check data' });
+    }
+});
+
+// Repair one problem from /api/diagnostics ({id, value}; value picks the reassignment target)
+app.post('/api/diagnostics/fix', requireRevision, async (req, res) => {
+    const { id, value } = req.body || {};
+    if (typeof id !== 'string' || !id) return res.status(400).json({ error: 'id is required' });
+
+    try {
+        const result = await queueUpdate(
+            (dbData) => {
+                const fixed = fixProblem(dbData, id, value);
+                if (fixed.error) return { ...fixed, skipWrite: true };
+                return { fixed: fixed.problem, problems: findProblems(dbData) };
+            },
+            req.expectedRevision,
+            describeRequest(req)
+        );
+        if (sendConflict(res, result)) return;
+        if (result.error) {
+            return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+        }
+        console.log(`🩺 Fixed: ${result.fixed.message}`);
+
+        res.json({ fixed: result.fixed, problems: result.problems, revision: result.revision });
+    } catch (err) {
+        console.error('Diagnostics Error:', err);
+        res.status(500).json({ error: 'Failed to fix problem' });
+    }
+});
+
+// Workspaces (households) and which one is open
+app.get('/api/workspaces', (req, res) => {
+    res.json(describeWorkspaces());
+});
+
+// Create an empty workspace
+app.post('/api/workspaces', (req, res) => {
+    const result = addWorkspace(workspaces, (req.body || {}).name);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    try {
+        createDataFile(getWorkspacePaths(DATA_DIR, result.workspace.id));
+        saveWorkspaces();
+        console.log(`🏠 Workspace created: ${result.workspace.name}`);
+        res.status(201).json(result.workspace);
+    } catch (err) {
+        workspaces = readRegistry(DATA_DIR);
+        console.error('Workspace Error:', err);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    }
+});
+
+app.patch('/api/workspaces/:id', (req, res) => {
+    const result = renameWorkspace(workspaces, req.params.id, (req.body || {}).name);
+    if (!result) return res.status(404).json({ error: 'Workspace not found' });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    try {
+        saveWorkspaces();
+        res.json(result.workspace);
+    } catch (err) {
+        workspaces = readRegistry(DATA_DIR);
+        console.error('Workspace Error:', err);
+        res.status(500).json({ error: 'Failed to rename workspace' });
+    }
+});
+
+// Copy a workspace's data into a new workspace (backups and history start empty)
+app.post('/api/workspaces/:id/duplicate', async (req, res) => {
+    const source = findWorkspace(workspaces, req.params.id);
+    if (!source) return res.status(404).json({ error: 'Workspace not found' });
+
+    const result = addWorkspace(workspaces, (req.body || {}).name);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    try {
+        // Queued, so pending writes to the source are part of the copy
+        await queueTask(() => {
+            if (!copyWorkspaceData(DATA_DIR, source.id, result.workspace.id)) {
+                createDataFile(getWorkspacePaths(DATA_DIR, result.workspace.id));
+            }
+        });
+        saveWorkspaces();
+        console.log(`🏠 Workspace ${source.name} duplicated as ${result.workspace.name}`);
+        res.status(201).json(result.workspace);
+    } catch (err) {
+        workspaces = readRegistry(DATA_DIR);
+        console.error('Workspace Error:', err);
+        res.status(500).json({ error: 'Failed to duplicate workspace' });
+    }
+});
+
+// Open another workspace for every tab
+app.post('/api/workspaces/:id/switch', async (req, res) => {
+    const target = findWorkspace(workspaces, req.params.id);
+    if (!target) return res.status(404).json({ error: 'Workspace not found' });
+
+    try {
+        await queueTask(() => {
+            openWorkspace(target.id);
+            workspaces.active = target.id;
+            saveWorkspaces();
+        });
+        console.log(`🏠 Switched to workspace ${target.name}`);
+        res.set('X-Workspace', target.id);
+        res.json({ ...describeWorkspaces(), locked });
+    } catch (err) {
+        console.error('Workspace Switch Error:', err);
+        res.status(500).json({ error: 'Failed to switch workspace' });
+    }
+});
+
+// Encryption status
+app.get('/api/security/status', (req, res) => {
+    res.json({ encrypted: locked || codec.encrypted, locked });
+});
+
+/**
+ * Answers 429 while `limiter` blocks after too many wrong guesses.
+ * @returns {boolean} Whether the request was refused.
+ */
+function refuseWhileBlocked(res, limiter, what) {
+    const retryAfter = limiter.retryAfter();
+    if (retryAfter === 0) return false;
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({
+        error: `Too many wrong ${what}. Try again in ${seconds}s.`,
+        retryAfter,
+    });
+    return true;
+}
+
+/**
+ * Checks a passphrase against the stored data, counting wrong ones so the
+ * passphrase cannot be guessed through the API faster than the PIN.
+ * @returns {Object|null} The unlocked codec; null after answering 401 or 429.
+ */
+function checkPassphrase(res, passphrase) {
+    if (refuseWhileBlocked(res, passphraseAttempts, 'passphrases')) return null;
+    try {
+        const unlocked = verifyPassphrase(passphrase);
+        passphraseAttempts.succeed();
+        return unlocked;
+    } catch (err) {
+        passphraseAttempts.fail();
+        res.status(401).json({ error: 'Wrong passphrase' });
+        return null;
+    }
+}
+
+// Unlock encrypted data for this server session
+app.post('/api/security/unlock', (req, res) => {
+    if (!locked) return res.status(400).json({ error: 'Data is not locked' });
+
+    const unlocked = checkPassphrase(res, (req.body || {}).passphrase);
+    if (!unlocked) return;
+    codec = unlocked;
+
+    locked = false;
+    loadRevision();
+    backupOnOpen();
+    console.log('🔓 Data unlocked');
+    res.json({ success: true });
+});
+
+// Encrypt the stored data and all backups with a new passphrase
+app.post('/api/security/enable', async (req, res) => {
+    if (codec.encrypted) return res.status(400).json({ error: 'Encryption is already enabled' });
+
+    let nextCodec;
+    try {
+        nextCodec = newCodec((req.body || {}).passphrase);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        await queueTask(() => reencodeStorage(nextCodec));
+        console.log('🔒 Encryption enabled');
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Encryption Error:', err);
+        res.status(500).json({ error: 'Failed to encrypt data' });
+    }
+});
+
+// Re-encrypt everything under a new passphrase
+app.post('/api/security/change', async (req, res) => {
+    if (!codec.encrypted) return res.status(400).json({ error: 'Encryption is not enabled' });
+
+    const { currentPassphrase, newPassphrase } = req.body || {};
+    if (!checkPassphrase(res, currentPassphrase)) return;
+
+    let nextCodec;
+    try {
+        nextCodec = newCodec(newPassphrase);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        await queueTask(() => reencodeStorage(nextCodec));
+        console.log('🔑 Passphrase changed');
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Passphrase Change Error:', err);
+        res.status(500).json({ error: 'Failed to change passphrase' });
+    }
+});
+
+// Turn encryption off: the data and backups are stored as plain JSON again
+app.post('/api/security/disable', async (req, res) => {
+    if (!codec.encrypted) return res.status(400).json({ error: 'Encryption is not enabled' });
+
+    if (!checkPassphrase(res, (req.body || {}).passphrase)) return;
+
+    try {
+        await queueTask(() => reencodeStorage(PLAIN_CODEC));
+        console.log('🔓 Encryption disabled');
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Decryption Error:', err);
+        res.status(500).json({ error: 'Failed to decrypt data' });
+    }
+});
+
+// Decrypted snapshot for export; the passphrase is asked again on purpose
+app.post('/api/security/export', (req, res) => {
+    if (!codec.encrypted) return res.status(400).json({ error: 'Encryption is not enabled' });
+
+    if (!checkPassphrase(res, (req.body || {}).passphrase)) return;
+
+    try {
+        res.json({ ...normalizeData(readDatabase()), revision: currentRevision });
+    } catch (err) {
+        console.error('Export Error:', err);
+        res.status(500).json({ error: 'Failed to load data' });
+    }
+});
+
+// PIN lock status for this tab
+app.get('/api/lock/status', (req, res) => {
+    res.json({ enabled: Boolean(pinRecord), authenticated: hasSession(req) });
+});
+
+// Exchange the PIN for a session token
+app.post('/api/lock/unlock', (req, res) => {
+    if (!pinRecord) return res.status(400).json({ error: 'No PIN is set' });
+
+    if (refuseWhileBlocked(res, pinAttempts, 'PINs')) return;
+
+    if (!verifyPin((req.body || {}).pin, pinRecord)) {
+        pinAttempts.fail();
+        return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    pinAttempts.succeed();
+    res.json({ token: sessions.issue() });
+});
+
+// End this tab's session (idle auto-lock or "Lock now")
+app.post('/api/lock/lock', (req, res) => {
+    sessions.revoke(getSessionToken(req));
+    dropRevokedStreams();
+    res.json({ success: true });
+});
+
+// Set or change the PIN. Every other session is signed out.
+app.put('/api/lock/pin', (req, res) => {
+    const { currentPin, newPin } = req.body || {};
+    if (pinRecord && !verifyPin(currentPin, pinRecord)) {
+        return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    const error = validatePin(newPin);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const record = hashPin(newPin);
+        writeFileAtomicSync(LOCK_FILE, JSON.stringify(record, null, 2));
+        pinRecord = record;
+    } catch (err) {
+        console.error('PIN Save Error:', err);
+        return res.status(500).json({ error: 'Failed to save PIN' });
+    }
+
+    sessions.revokeAll();
+    dropRevokedStreams();
+    console.log('🔑 App PIN updated');
+    res.json({ token: sessions.issue() });
+});
+
+// Remove the PIN lock
+app.delete('/api/lock/pin', (req, res) => {
+    if (!pinRecord) return res.status(400).json({ error: 'No PIN is set' });
+    if (!verifyPin((req.body || {}).currentPin, pinRecord)) {
+        return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    try {
+        fs.unlinkSync(LOCK_FILE);
+    } catch (err) {
+        console.error('PIN Remove Error:', err);
+        return res.status(500).json({ error: 'Failed to remove PIN' });
+    }
+
+    pinRecord = null;
+    sessions.revokeAll();
+    console.log('🔓 App PIN removed');
+    res.json({ success: true });
+});
+
+// Bill and income due dates of the active workspace as an iCalendar feed
+app.get('/api/calendar.ics', (req, res) => {
+    try {
+        const workspace = findWorkspace(workspaces, workspaces.active);
+        const calendar = buildCalendar(readDatabase(), {
+            name: `${workspace.name} – Bills`,
+            workspace: workspace.id,
+        });
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.send(calendar);
+    } catch (err) {
+        console.error('Calendar Error:', err);
+        res.status(500).json({ error: 'Failed to build calendar' });
+    }
+});
+
+// Path to subscribe to; the key is created on first use
+app.get('/api/calendar/feed', (req, res) => {
+    try {
+        if (!calendarKey) calendarKey = writeCalendarKey();
+        res.json({ path: `/api/calendar.ics?key=${calendarKey}` });
+    } catch (err) {
+        console.error('Calendar Key Error:', err);
+        res.status(500).json({ error: 'Failed to create the calendar link' });
+    }
+});
+
+// New key: calendars subscribed with the old link stop updating
+app.post('/api/calendar/feed/reset', (req, res) => {
+    try {
+        calendarKey = writeCalendarKey();
+        console.log('📅 Calendar feed link replaced');
+        res.json({ path: `/api/calendar.ics?key=${calendarKey}` });
+    } catch (err) {
+        console.error('Calendar Key Error:', err);
+        res.status(500).json({ error: 'Failed to create the calendar link' });
+    }
+});
+
+// Live sync stream: a `change` event {revision, stores} follows every write
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    res.write(formatEvent('hello', { revision: currentRevision, workspace: workspaces.active }));
+
+    res.locals.sessionToken = getSessionToken(req);
+    const remove = events.add(res);
+    // A background tab may throttle its heartbeats; its open stream keeps it counted
+    const disconnect = tabs.connect(req.query.tabId);
+    req.on('close', () => {
+        remove();
+        disconnect();
+    });
+});
+
+setInterval(() => {
+    dropRevokedStreams();
+    events.ping();
+}, EVENT_PING_INTERVAL).unref();
+
+// Heartbeat endpoint ({ tabId }, sent every few seconds by each open tab)
 app.post('/api/heartbeat', (req, res) => {
-    resetShutdownTimer();
-    res.json({ status: 'alive' });
+    if (!tabs.touch((req.body || {}).tabId)) {
+        return res.status(400).json({ error: 'tabId is required' });
+    }
+    checkTabs();
+    res.json({ status: 'alive', tabs: tabs.count() });
 });
 
 // Settings endpoint
 app.post('/api/settings/system', (req, res) => {
-    const { timeout, enabled } = req.body;
+    const { timeout, enabled } = req.body || {};
 
     if (timeout !== undefined) {
         SHUTDOWN_TIMEOUT = parseInt(timeout) * 1000;
@@ -260,7 +1451,7 @@ app.post('/api/settings/system', (req, res) => {
         console.log(`System: Auto-shutdown ${enabled ? 'ENABLED' : 'DISABLED'}`);
     }
 
-    resetShutdownTimer();
+    checkTabs();
     res.json({
         success: true,
         timeout: SHUTDOWN_TIMEOUT / 1000,
@@ -268,38 +1459,58 @@ app.post('/api/settings/system', (req, res) => {
     });
 });
 
-// Tab closed endpoint (missing!)
+// Sent by a closing tab (navigator.sendBeacon); the last one starts the countdown
 app.post('/api/tab-closed', (req, res) => {
-    console.log(
-        'Tab closed signal received. Server will shutdown in ' + SHUTDOWN_TIMEOUT / 1000 + 's'
-    );
-    // Timer already started by heartbeat stopping
-    res.json({ acknowledged: true });
+    tabs.close((req.body || {}).tabId);
+    checkTabs();
+    res.json({ acknowledged: true, tabs: tabs.count() });
 });
 
 // Server startup
-app.listen(PORT, HOST, async () => {
-    console.log('\x1b[32m%s\x1b[0m', '--------------------------------------------------');
-    console.log('\x1b[32m%s\x1b[0m', '🚀 Hawkward Server is running!');
-    console.log('\x1b[32m%s\x1b[0m', '--------------------------------------------------');
-    console.log(`Local Access:   http://localhost:${PORT}`);
-    console.log(`Network Access: disabled (bound to ${HOST})`);
-    console.log('--------------------------------------------------');
-    console.log(
-        `Auto-shutdown active: Server will exit ${SHUTDOWN_TIMEOUT / 1000}s after tab is closed.`
-    );
-
-    if (!IS_CI) {
-        try {
-            const open = (await import('open')).default;
-            await open(`http://localhost:${PORT}`);
-        } catch (err) {
-            console.error('Failed to open browser:', err);
-            console.log('Please open your browser manually at http://localhost:3000');
-        }
-    } else {
-        console.log('CI environment detected: Skipping browser launch.');
-    }
-});
+listenWithFallback(app, { host: HOST, port: options.port, fallback: !options.portFixed })
+    .then(async (server) => {
+        const { port } = server.address();
+        ALLOWED_ORIGINS = buildAllowedOrigins(HOST, port, LOCAL_IP);
+        const appUrl = browserUrl(HOST, port);
 
+        console.log('\x1b[32m%s\x1b[0m', '--------------------------------------------------');
+        console.log('\x1b[32m%s\x1b[0m', '🚀 Hawkward Server is running!');
+        console.log('\x1b[32m%s\x1b[0m', '--------------------------------------------------');
+        if (port !== options.port) {
+            console.log(`⚠️ Port ${options.port} is in use; using ${port} instead.`);
+        }
+        console.log(`Local Access:   ${appUrl}`);
+        if (isLoopbackHost(HOST)) {
+            console.log(`Network Access: disabled (bound to ${HOST})`);
+        } else {
+            const networkUrl = appUrl.includes('localhost') ? `http://${LOCAL_IP}:${port}` : appUrl;
+            console.log(`Network Access: ${networkUrl} (bound to ${HOST})`);
+        }
+        console.log(`Data Folder:    ${DATA_DIR}`);
+        console.log(`Workspace:      ${findWorkspace(workspaces, workspaces.active).name}`);
+        console.log(`Storage:        ${storage.kind} (${storage.location})`);
+        console.log('--------------------------------------------------');
+        console.log(
+            `Auto-shutdown active: Server will exit ${SHUTDOWN_TIMEOUT / 1000}s after the last tab is closed.`
+        );
 
+        if (IS_CI) {
+            console.log('CI environment detected: Skipping browser launch.');
+        } else if (!options.open) {
+            console.log(`Browser launch disabled. Open ${appUrl} manually.`);
+        } else {
+            try {
+                const open = (await import('open')).default;
+                await open(appUrl);
+            } catch (err) {
+                console.error('Failed to open browser:', err);
+                console.log(`Please open your browser manually at ${appUrl}`);
+            }
+        }
+    })
+    .catch((err) => {
+        const reason =
+            err.code === 'EADDRINUSE' ? `Port ${options.port} is already in use` : err.message;
+        console.error(`❌ Failed to start server: ${reason}`);
+        process.exit(1);
+    });
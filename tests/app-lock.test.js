@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MS,
+    SESSION_IDLE_MS,
+    validatePin,
+    hashPin,
+    verifyPin,
+    createSessionStore,
+    createAttemptLimiter,
+} = require('../lib/app-lock');
+
+test('hashPin stores a salted hash that verifyPin accepts', () => {
+    const record = hashPin('2468');
+
+    assert.ok(!JSON.stringify(record).includes('2468'));
+    assert.notEqual(hashPin('2468').salt, record.salt);
+    assert.equal(verifyPin('2468', record), true);
+    assert.equal(verifyPin('1357', record), false);
+    assert.equal(verifyPin('2468', null), false);
+});
+
+test('validatePin enforces length limits', () => {
+    assert.equal(validatePin('1234'), null);
+    assert.match(validatePin('123'), /4-64/);
+    assert.match(validatePin(1234), /4-64/);
+});
+
+test('session store issues and revokes tokens', () => {
+    const sessions = createSessionStore();
+    const first = sessions.issue();
+    const second = sessions.issue();
+
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.equal(sessions.isValid(first), true);
+    sessions.revoke(first);
+    assert.equal(sessions.isValid(first), false);
+    assert.equal(sessions.isValid(undefined), false);
+    sessions.revokeAll();
+    assert.equal(sessions.isValid(second), false);
+});
+
+test('sessions expire when left unused', () => {
+    let clock = 1000;
+    const sessions = createSessionStore(SESSION_IDLE_MS, () => clock);
+    const used = sessions.issue();
+    const idle = sessions.issue();
+
+    clock += SESSION_IDLE_MS - 1;
+    assert.equal(sessions.use(used), true);
+    // Checking a session does not keep it alive; using it does
+    assert.equal(sessions.isValid(idle), true);
+    clock += 1;
+    assert.equal(sessions.isValid(idle), false);
+    assert.equal(sessions.use(idle), false);
+    assert.equal(sessions.isValid(used), true);
+
+    clock += SESSION_IDLE_MS;
+    assert.equal(sessions.use(used), false);
+});
+
+test('attempt limiter blocks after repeated failures', () => {
+    let clock = 1000;
+    const limiter = createAttemptLimiter(() => clock);
+
+    for (let i = 0; i < MAX_FAILED_ATTEMPTS - 1; i++) limiter.fail();
+    assert.equal(limiter.retryAfter(), 0);
+
+    limiter.fail();
+    assert.equal(limiter.retryAfter(), LOCKOUT_MS);
+
+    clock += LOCKOUT_MS;
+    assert.equal(limiter.retryAfter(), 0);
+});
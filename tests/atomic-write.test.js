@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    serializeWithChecksum,
+    parseVerified,
+    writeFileAtomic,
+    writeFileAtomicSync,
+} = require('../lib/atomic-write');
+
+// Removed again when the test `t` ends
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-atomic-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('serializeWithChecksum round-trips through parseVerified', () => {
+    const data = { accounts: [{ id: 1, name: 'Rent' }], goals: [] };
+    const raw = serializeWithChecksum(data);
+
+    assert.match(JSON.parse(raw).checksum, /^[0-9a-f]{64}$/);
+    assert.deepEqual(parseVerified(raw), data);
+});
+
+test('serializeWithChecksum replaces a stale checksum', () => {
+    const raw = serializeWithChecksum({ checksum: 'stale', goals: [] });
+    assert.deepEqual(parseVerified(raw), { goals: [] });
+});
+
+test('parseVerified detects modified content', () => {
+    const raw = serializeWithChecksum({ accounts: [{ id: 1, monthlyPayment: 100 }] });
+    const tampered = raw.replace('100', '900');
+    assert.throws(() => parseVerified(tampered), /checksum mismatch/);
+});
+
+test('parseVerified accepts legacy files without a checksum', () => {
+    assert.deepEqual(parseVerified('{"accounts": []}'), { accounts: [] });
+});
+
+test('parseVerified rejects truncated or non-object content', () => {
+    const raw = serializeWithChecksum({ accounts: [] });
+    assert.throws(() => parseVerified(raw.slice(0, raw.length / 2)));
+    assert.throws(() => parseVerified('[]'), /JSON object/);
+});
+
+test('writeFileAtomic replaces the target and leaves no temp file', async (t) => {
+    const dir = makeTempDir(t);
+    const file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, 'old');
+
+    await writeFileAtomic(file, 'new');
+
+    assert.equal(fs.readFileSync(file, 'utf8'), 'new');
+    assert.deepEqual(fs.readdirSync(dir), ['data.json']);
+});
+
+test('writeFileAtomicSync writes the target', (t) => {
+    const dir = makeTempDir(t);
+    const file = path.join(dir, 'data.json');
+
+    writeFileAtomicSync(file, 'content');
+
+    assert.equal(fs.readFileSync(file, 'utf8'), 'content');
+    assert.deepEqual(fs.readdirSync(dir), ['data.json']);
+});
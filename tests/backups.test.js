@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    validateSnapshot,
+    listBackups,
+    LEGACY_BACKUP_FILE,
+    createBackup,
+    adoptLegacyBackup,
+    readBackup,
+    readLatestValidBackup,
+    reencodeBackups,
+} = require('../lib/backups');
+const { CURRENT_SCHEMA_VERSION } = require('../lib/migrations');
+const { PLAIN_CODEC, isEncrypted, newCodec } = require('../lib/encryption');
+
+// Removed again when the test `t` ends
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-backups-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('validateSnapshot rejects unparsable or non-object content', () => {
+    assert.equal(validateSnapshot('{"accounts": ['), null);
+    assert.equal(validateSnapshot('[]'), null);
+    assert.equal(validateSnapshot('null'), null);
+    assert.ok(Array.isArray(validateSnapshot('{}').accounts));
+});
+
+test('validateSnapshot upgrades old snapshots and rejects newer ones', () => {
+    const upgraded = validateSnapshot('{"accounts": [[1, "Rent"]]}');
+    assert.equal(upgraded.accounts[0].name, 'Rent');
+    assert.equal(upgraded.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(validateSnapshot({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), null);
+});
+
+test('createBackup stores a snapshot and lists it', (t) => {
+    const dir = makeTempDir(t);
+    const backup = createBackup(
+        dir,
+        JSON.stringify({ accounts: [{ id: 1, name: 'Rent' }] }),
+        'startup'
+    );
+
+    assert.equal(backup.reason, 'startup');
+    const [listed] = listBackups(dir);
+    assert.equal(listed.id, backup.id);
+    assert.ok(!Number.isNaN(Date.parse(listed.createdAt)));
+    assert.equal(readBackup(dir, backup.id).accounts[0].name, 'Rent');
+});
+
+test('createBackup keeps the original schema version', (t) => {
+    const dir = makeTempDir(t);
+    const backup = createBackup(dir, { accounts: [[1, 'Rent']], extra: true }, 'pre-migration');
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, `${backup.id}.json`), 'utf8'));
+
+    assert.equal(stored.schemaVersion, undefined);
+    assert.equal(stored.extra, true);
+    assert.equal(readBackup(dir, backup.id).accounts[0].name, 'Rent');
+});
+
+test('createBackup skips corrupted snapshots', (t) => {
+    const dir = makeTempDir(t);
+    assert.equal(createBackup(dir, '{"accounts": [', 'startup'), null);
+    assert.equal(createBackup(dir, '{"checksum": "0000", "accounts": []}', 'startup'), null);
+    assert.deepEqual(listBackups(dir), []);
+});
+
+test('createBackup keeps only the newest snapshots', (t) => {
+    const dir = makeTempDir(t);
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+        ids.push(createBackup(dir, { accounts: [] }, 'auto', 3).id);
+    }
+
+    const listed = listBackups(dir).map((b) => b.id);
+    assert.deepEqual(listed, ids.slice(-3).reverse());
+});
+
+test('readBackup refuses ids outside the backup naming scheme', (t) => {
+    const dir = makeTempDir(t);
+    assert.equal(readBackup(dir, '../data'), null);
+    assert.equal(readBackup(dir, 'data-2025-01-01T00-00-00-000Z-startup'), null);
+});
+
+test('readLatestValidBackup skips damaged files', (t) => {
+    const dir = makeTempDir(t);
+    const good = createBackup(dir, { goals: [{ id: 'g1' }] }, 'auto');
+    const bad = createBackup(dir, {}, 'auto');
+    fs.writeFileSync(path.join(dir, `${bad.id}.json`), '{ truncated');
+
+    const latest = readLatestValidBackup(dir);
+    assert.equal(latest.id, good.id);
+    assert.equal(latest.data.goals[0].id, 'g1');
+});
+
+test('backups can be encrypted and re-encoded with another codec', (t) => {
+    const dir = makeTempDir(t);
+    const oldCodec = newCodec('first passphrase');
+    const backup = createBackup(dir, { goals: [{ id: 'g1' }] }, 'auto', 10, oldCodec);
+    const file = path.join(dir, `${backup.id}.json`);
+
+    assert.ok(isEncrypted(fs.readFileSync(file, 'utf8')));
+    assert.equal(readBackup(dir, backup.id), null);
+    assert.equal(readBackup(dir, backup.id, oldCodec).goals[0].id, 'g1');
+
+    const nextCodec = newCodec('second passphrase');
+    assert.equal(reencodeBackups(dir, oldCodec, nextCodec), 1);
+    assert.equal(readBackup(dir, backup.id, oldCodec), null);
+    assert.equal(readLatestValidBackup(dir, nextCodec).data.goals[0].id, 'g1');
+
+    reencodeBackups(dir, nextCodec, PLAIN_CODEC);
+    assert.equal(readBackup(dir, backup.id).goals[0].id, 'g1');
+});
+
+test('adoptLegacyBackup moves data.backup.json into the rotation once', (t) => {
+    const dir = makeTempDir(t);
+    const backupDir = path.join(dir, 'backups');
+    const legacyFile = path.join(dir, LEGACY_BACKUP_FILE);
+    assert.equal(adoptLegacyBackup(dir, backupDir), null);
+
+    // Written by an old version: no checksum, accounts still stored as rows
+    fs.writeFileSync(legacyFile, JSON.stringify({ accounts: [[1, 'Rent']], goals: [] }));
+    const writtenAt = new Date('2024-05-01T08:00:00.000Z');
+    fs.utimesSync(legacyFile, writtenAt, writtenAt);
+    const newer = createBackup(backupDir, { goals: [{ id: 'g1' }] }, 'startup');
+
+    const adopted = adoptLegacyBackup(dir, backupDir);
+    assert.equal(adopted.reason, 'legacy');
+    assert.equal(adopted.createdAt, writtenAt.toISOString());
+    assert.equal(fs.existsSync(legacyFile), false);
+    assert.equal(readBackup(backupDir, adopted.id).accounts[0].name, 'Rent');
+    assert.equal(readLatestValidBackup(backupDir).id, newer.id);
+    assert.equal(adoptLegacyBackup(dir, backupDir), null);
+
+    // With no newer copy, a damaged data file is restored from it
+    fs.unlinkSync(path.join(backupDir, `${newer.id}.json`));
+    assert.equal(readLatestValidBackup(backupDir).id, adopted.id);
+
+    fs.writeFileSync(legacyFile, '{"accounts": [');
+    assert.equal(adoptLegacyBackup(dir, backupDir), null);
+    assert.equal(fs.existsSync(legacyFile), true);
+
+    const codec = newCodec('correct horse');
+    fs.writeFileSync(legacyFile, JSON.stringify({ goals: [{ id: 'g2' }] }));
+    const encrypted = adoptLegacyBackup(dir, backupDir, codec);
+    assert.ok(isEncrypted(fs.readFileSync(path.join(backupDir, `${encrypted.id}.json`), 'utf8')));
+    assert.equal(readBackup(backupDir, encrypted.id, codec).goals[0].id, 'g2');
+});
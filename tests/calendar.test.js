@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCalendar, createFeedKey, isFeedKey } = require('../lib/calendar');
+
+function account(fields) {
+    return {
+        category: 'Home',
+        type: 'expense',
+        monthlyPayment: 0,
+        annualPayment: 0,
+        status: 'Active',
+        priority: 'Critical',
+        ...fields,
+    };
+}
+
+function sampleDb() {
+    return {
+        accounts: [
+            account({
+                id: 1,
+                name: 'Rent',
+                monthlyPayment: 900,
+                dueDate: '2026-01-01',
+                ownerId: 'card_1',
+            }),
+            account({
+                id: 2,
+                name: 'Salary',
+                type: 'income',
+                category: 'Work',
+                monthlyPayment: 2500,
+                dueDate: '2026-01-31',
+            }),
+            account({ id: 3, name: 'Car tax', annualPayment: 240, dueDate: '2026-03-15' }),
+            account({ id: 4, name: 'No date', monthlyPayment: 10 }),
+            account({
+                id: 5,
+                name: 'Old',
+                monthlyPayment: 10,
+                dueDate: '2026-01-02',
+                status: 'Cancelled',
+            }),
+            account({
+                id: 6,
+                name: 'Water',
+                frequency: 'quarterly',
+                amount: 90,
+                dueDate: '2026-02-10',
+            }),
+            account({
+                id: 7,
+                name: 'Childcare',
+                frequency: 'biweekly',
+                amount: 200,
+                dueDate: '2026-01-05',
+            }),
+            account({
+                id: 8,
+                name: 'Inspection',
+                frequency: 'custom',
+                intervalMonths: 24,
+                amount: 120,
+                dueDate: '2026-06-30',
+            }),
+        ],
+        profile: { cards: [{ id: 'card_1', displayName: 'Ana', fullName: 'Ana Silva' }] },
+        settings: { appSettings: { currency: '£' } },
+    };
+}
+
+// Unfolds continuation lines and splits the calendar into events
+function readEvents(ics) {
+    return ics
+        .replace(/\r\n /g, '')
+        .split('BEGIN:VEVENT\r\n')
+        .slice(1)
+        .map((block) =>
+            Object.fromEntries(
+                block
+                    .split('\r\n')
+                    .filter((line) => line && line !== 'END:VEVENT' && line !== 'END:VCALENDAR')
+                    .map((line) => {
+                        const index = line.indexOf(':');
+                        return [line.slice(0, index), line.slice(index + 1)];
+                    })
+            )
+        );
+}
+
+test('buildCalendar lists active accounts with a due date as repeating events', () => {
+    const ics = buildCalendar(sampleDb(), {
+        name: 'Our Bills',
+        workspace: 'parents',
+        now: new Date(Date.UTC(2026, 4, 6, 7, 8, 9)),
+    });
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, /\r\nX-WR-CALNAME:Our Bills\r\n/);
+
+    const events = readEvents(ics);
+    assert.deepEqual(
+        events.map((event) => [event.UID, event['DTSTART;VALUE=DATE'], event.RRULE]),
+        [
+            ['account-1.parents@hawkward-finances', '20260101', 'FREQ=MONTHLY;BYMONTHDAY=1'],
+            ['account-2.parents@hawkward-finances', '20260131', 'FREQ=MONTHLY;BYMONTHDAY=-1'],
+            ['account-3.parents@hawkward-finances', '20260315', 'FREQ=YEARLY'],
+            [
+                'account-6.parents@hawkward-finances',
+                '20260210',
+                'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=10',
+            ],
+            ['account-7.parents@hawkward-finances', '20260105', 'FREQ=WEEKLY;INTERVAL=2'],
+            [
+                'account-8.parents@hawkward-finances',
+                '20260630',
+                'FREQ=MONTHLY;INTERVAL=24;BYMONTHDAY=28,29,30;BYSETPOS=-1',
+            ],
+        ]
+    );
+    assert.equal(events[0].DTSTAMP, '20260506T070809Z');
+    assert.equal(events[0].SUMMARY, '💸 Rent (£900.00)');
+    assert.equal(
+        events[0].DESCRIPTION,
+        'Bill\\nAmount: £900.00 a month\\nCategory: Home\\nOwner: Ana\\nCriticality: Critical'
+    );
+    assert.equal(events[1].SUMMARY, '💰 Salary (£2500.00)');
+    assert.equal(
+        events[2].DESCRIPTION,
+        'Bill\\nAmount: £240.00 a year\\nMonthly equivalent: £20.00\\nCategory: Home\\nCriticality: Critical'
+    );
+    assert.equal(events[3].SUMMARY, '💸 Water (£90.00)');
+    assert.match(
+        events[5].DESCRIPTION,
+        /^Bill\\nAmount: £120\.00 every 24 months\\nMonthly equivalent: £5\.00/
+    );
+});
+
+// The day a BYMONTHDAY[;BYSETPOS=-1] rule picks in a month, or null when it skips it
+function dayInMonth(rule, year, month) {
+    const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const days = /BYMONTHDAY=([-\d,]+)/
+        .exec(rule)[1]
+        .split(',')
+        .map(Number)
+        .map((day) => (day < 0 ? length + day + 1 : day))
+        .filter((day) => day <= length);
+    if (days.length === 0) return null;
+    return rule.includes('BYSETPOS=-1') ? days[days.length - 1] : days[0];
+}
+
+test('bills due late in the month still show up in February', () => {
+    const rules = Object.fromEntries(
+        readEvents(
+            buildCalendar({
+                accounts: [28, 29, 30, 31].map((day) =>
+                    account({ id: day, name: `Day ${day}`, dueDate: `2026-01-${day}` })
+                ),
+            })
+        ).map((event) => [event.UID.split('.')[0], event.RRULE])
+    );
+
+    assert.equal(rules['account-29'], 'FREQ=MONTHLY;BYMONTHDAY=28,29;BYSETPOS=-1');
+    assert.deepEqual(
+        [28, 29, 30, 31].map((day) => [
+            dayInMonth(rules[`account-${day}`], 2026, 2),
+            dayInMonth(rules[`account-${day}`], 2028, 2),
+            dayInMonth(rules[`account-${day}`], 2026, 4),
+            dayInMonth(rules[`account-${day}`], 2026, 5),
+        ]),
+        [
+            [28, 28, 28, 28],
+            [28, 29, 29, 29],
+            [28, 29, 30, 30],
+            [28, 29, 30, 31],
+        ]
+    );
+
+    const leapDay = buildCalendar({
+        accounts: [account({ id: 1, name: 'Club', frequency: 'annual', dueDate: '2028-02-29' })],
+    });
+    assert.match(leapDay, /RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1\r\n/);
+});
+
+test('buildCalendar escapes text and folds long lines at 75 octets', () => {
+    const ics = buildCalendar({
+        accounts: [
+            account({
+                id: 7,
+                name: 'Café; water, gas\\power ' + 'é'.repeat(60),
+                monthlyPayment: 5,
+                dueDate: '2026-02-10',
+            }),
+        ],
+    });
+
+    ics.split('\r\n').forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+    const [event] = readEvents(ics);
+    assert.ok(event.SUMMARY.startsWith('💸 Café\\; water\\, gas\\\\power é'));
+    assert.ok(event.SUMMARY.endsWith('é (€5.00)'));
+    assert.equal(event.CATEGORIES, 'Home');
+});
+
+test('feed keys are random and compared exactly', () => {
+    const key = createFeedKey();
+    assert.match(key, /^[0-9a-f]{48}$/);
+    assert.notEqual(createFeedKey(), key);
+    assert.equal(isFeedKey(key, key), true);
+    assert.equal(isFeedKey(key.slice(1), key), false);
+    assert.equal(isFeedKey(undefined, key), false);
+    assert.equal(isFeedKey(key, null), false);
+});
@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { parseArgs, toRecordInput, openStore, summarize, run } = require('../lib/cli');
+const { newCodec } = require('../lib/encryption');
+const { readEntries } = require('../lib/history');
+const { listBackups } = require('../lib/backups');
+const { claimDataDir } = require('../lib/instance');
+
+// Removed again when the test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Runs the CLI against `dataDir` and captures what it prints
+function cli(dataDir, args, env = {}) {
+    let out = '';
+    let err = '';
+    const code = run(['--data-dir', dataDir, ...args], {
+        env,
+        cwd: dataDir,
+        stdout: { write: (text) => (out += text) },
+        stderr: { write: (text) => (err += text) },
+        now: () => new Date('2026-03-15T12:00:00Z'),
+    });
+    return { code, out, err };
+}
+
+function readData(dataDir) {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'data.json'), 'utf8'));
+}
+
+test('parseArgs and toRecordInput turn flags into typed record fields', () => {
+    const { words, flags } = parseArgs([
+        'accounts',
+        'add',
+        '--name=Rent',
+        '--monthly-payment',
+        '950',
+        '--ownerId',
+        '',
+        '--json',
+    ]);
+    assert.deepEqual(words, ['accounts', 'add']);
+    assert.deepEqual(toRecordInput('accounts', flags), {
+        name: 'Rent',
+        monthlyPayment: 950,
+        ownerId: null,
+    });
+    assert.deepEqual(toRecordInput('cards', { displayName: 'Rex', microchip: '0042' }), {
+        displayName: 'Rex',
+        microchip: '0042',
+    });
+    assert.throws(() => parseArgs(['--name']), /--name needs a value/);
+    assert.throws(() => toRecordInput('goals', { id: '1' }), /assigned automatically/);
+});
+
+test('record commands add, edit, list and delete with revisions and history', (t) => {
+    const dir = tempDir(t);
+
+    assert.equal(cli(dir, ['accounts', 'list']).out, 'No accounts yet.\n');
+    assert.equal(
+        cli(dir, ['accounts', 'add', '--name', 'Rent', '--monthlyPayment', '950']).out,
+        'Added account 1 (Rent)\n'
+    );
+    assert.equal(cli(dir, ['accounts', 'edit', '1', '--monthlyPayment', '990']).code, 0);
+
+    const listed = JSON.parse(cli(dir, ['accounts', 'list', '--json']).out);
+    assert.equal(listed[0].monthlyPayment, 990);
+    assert.match(
+        cli(dir, ['accounts', 'list']).out,
+        /^1 +Rent .+€990\.00 monthly +€990\.00 +€11880\.00/m
+    );
+
+    const rejected = cli(dir, ['accounts', 'add', '--name', 'Gym', '--monthlyPayment', 'lots']);
+    assert.equal(rejected.code, 1);
+    assert.match(rejected.err, /monthlyPayment must be a number/);
+    assert.match(cli(dir, ['accounts', 'delete', '9']).err, /No account with id 9/);
+
+    assert.equal(cli(dir, ['accounts', 'delete', '1']).out, 'Deleted account 1 (Rent)\n');
+    assert.equal(readData(dir).revision, 3);
+    assert.deepEqual(
+        readEntries(path.join(dir, 'history.jsonl')).map((entry) => [entry.action, entry.source]),
+        [
+            ['delete', 'cli accounts delete'],
+            ['update', 'cli accounts edit'],
+            ['create', 'cli accounts add'],
+        ]
+    );
+});
+
+test('write commands refuse to run while a server uses the data folder', (t) => {
+    const dir = tempDir(t);
+    cli(dir, ['accounts', 'add', '--name', 'Rent']);
+
+    // A sleeping process stands in for the server
+    const server = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+    t.after(() => server.kill());
+    const release = claimDataDir(dir, { pid: server.pid, startedAt: Date.now() });
+    const refused = cli(dir, ['accounts', 'add', '--name', 'Gym']);
+    assert.equal(refused.code, 1);
+    assert.match(
+        refused.err,
+        new RegExp(`app is running on this data folder \\(pid ${server.pid}\\)`)
+    );
+    assert.match(cli(dir, ['import', 'json', path.join(dir, 'data.json')]).err, /app is running/);
+    assert.match(cli(dir, ['storage', 'sqlite']).err, /app is running/);
+    assert.equal(JSON.parse(cli(dir, ['accounts', 'list', '--json']).out).length, 1);
+    assert.equal(readData(dir).revision, 1);
+    assert.equal(fs.existsSync(path.join(dir, 'backups')), false);
+
+    release();
+    assert.equal(cli(dir, ['accounts', 'add', '--name', 'Gym']).code, 0);
+});
+
+test('summary totals active accounts per card and category', () => {
+    const db = {
+        accounts: [
+            { id: 1, name: 'Salary', type: 'income', monthlyPayment: 3000, ownerId: 'card_1' },
+            { id: 2, name: 'Rent', category: 'Home', monthlyPayment: 900 },
+            { id: 3, name: 'Old gym', category: 'Health', monthlyPayment: 40, status: 'Cancelled' },
+        ],
+        profile: { cards: [{ id: 'card_1', displayName: 'Sam', fullName: 'Sam Doe' }] },
+        settings: { appSettings: { currency: '£' } },
+    };
+
+    assert.deepEqual(summarize(db), {
+        currency: '£',
+        accounts: 2,
+        income: 3000,
+        expenses: 900,
+        net: 2100,
+        cards: [
+            { id: 'card_1', name: 'Sam', income: 3000, expenses: 0, net: 3000 },
+            { id: null, name: 'Shared / Unassigned', income: 0, expenses: 900, net: -900 },
+        ],
+        categories: [
+            { name: 'Home', accounts: 1, income: 0, expenses: 900, net: -900 },
+            { name: 'Uncategorized', accounts: 1, income: 3000, expenses: 0, net: 3000 },
+        ],
+    });
+});
+
+test('imports back up before replacing and support dry runs', (t) => {
+    const dir = tempDir(t);
+    cli(dir, ['goals', 'add', '--name', 'Car', '--target', '5000']);
+
+    fs.writeFileSync(
+        path.join(dir, 'accounts.csv'),
+        'Name;Monthly;Category\nNetflix;12,99;Streaming\nBroken;x;\n'
+    );
+    const dryRun = cli(dir, ['import', 'csv', 'accounts.csv', '--dry-run']);
+    assert.match(dryRun.out, /Line 3: .+\n1 accounts would be imported/);
+    assert.equal(readData(dir).accounts.length, 0);
+    assert.equal(cli(dir, ['import', 'csv', 'accounts.csv']).code, 0);
+    assert.equal(readData(dir).accounts[0].monthlyPayment, 12.99);
+
+    fs.writeFileSync(
+        path.join(dir, 'backup.json'),
+        JSON.stringify({ accounts: [{ id: 7, name: 'Rent', monthlyPayment: 900 }] })
+    );
+    assert.match(
+        cli(dir, ['import', 'json', 'backup.json', '--merge']).out,
+        /add {2}accounts {2}Rent\nMerged 1 of 1 changes/
+    );
+    assert.deepEqual(
+        readData(dir).accounts.map((account) => account.name),
+        ['Netflix', 'Rent']
+    );
+
+    assert.equal(cli(dir, ['import', 'json', 'backup.json']).code, 0);
+    assert.equal(readData(dir).goals.length, 0);
+    assert.deepEqual(
+        listBackups(path.join(dir, 'backups')).map((backup) => backup.reason),
+        ['import', 'import']
+    );
+});
+
+test('exports and encrypted workspaces', (t) => {
+    const dir = tempDir(t);
+    cli(dir, ['accounts', 'add', '--name', 'Rent', '--dueDate', '2026-04-01']);
+
+    const calendar = cli(dir, ['export', 'calendar']).out;
+    assert.match(calendar, /SUMMARY:💸 Rent/);
+    assert.equal(JSON.parse(cli(dir, ['export', 'json']).out).revision, 1);
+    assert.equal(
+        cli(dir, ['export', 'workbook', '--format', 'ods']).out,
+        `Saved ${path.join(dir, 'financial_report_2026-03-15.ods')}\n`
+    );
+    assert.match(cli(dir, ['export', 'workbook', '--format', 'pdf']).err, /xlsx or ods/);
+
+    const file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, newCodec('correct horse').encode(fs.readFileSync(file, 'utf8')));
+    assert.match(cli(dir, ['accounts', 'list']).err, /HAWKWARD_PASSPHRASE/);
+    assert.throws(() => openStore({ dataDir: dir, passphrase: 'wrong horse' }), /Wrong passphrase/);
+
+    const env = { HAWKWARD_PASSPHRASE: 'correct horse' };
+    assert.equal(cli(dir, ['accounts', 'add', '--name', 'Gym'], env).code, 0);
+    assert.match(fs.readFileSync(file, 'utf8'), /"encrypted":true/);
+    assert.equal(JSON.parse(cli(dir, ['accounts', 'list', '--json'], env).out).length, 2);
+    assert.match(cli(dir, ['--workspace', 'attic', 'summary'], env).err, /Unknown workspace/);
+
+    assert.equal(
+        cli(dir, ['storage'], env).out,
+        `Workspace My Household is stored as json in ${file}\n`
+    );
+    assert.match(cli(dir, ['storage', 'csv'], env).err, /Use one of: json, sqlite/);
+});
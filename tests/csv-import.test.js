@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseCsv,
+    detectDelimiter,
+    detectDecimal,
+    parseAmount,
+    detectMapping,
+    importAccountsCsv,
+} = require('../lib/csv-import');
+
+test('parseCsv handles quotes, embedded delimiters, line breaks and blank lines', () => {
+    const rows = parseCsv('\uFEFFName,Memo\r\n"Rent, flat","say ""hi""\nthere"\n\nGym,\n', ',');
+
+    assert.deepEqual(rows, [
+        { line: 1, cells: ['Name', 'Memo'] },
+        { line: 2, cells: ['Rent, flat', 'say "hi"\nthere'] },
+        { line: 5, cells: ['Gym', ''] },
+    ]);
+});
+
+test('detectDelimiter and detectDecimal recognise common spreadsheet exports', () => {
+    assert.equal(detectDelimiter('Name;Amount\nRent;900,50\nGym;30'), ';');
+    assert.equal(detectDelimiter('Name\tAmount\n"A, B"\t1'), '\t');
+    assert.equal(detectDelimiter('Name,Amount\nRent,900'), ',');
+
+    assert.equal(detectDecimal(['1.234,56', '12,5'], ','), ',');
+    assert.equal(detectDecimal(['1,234.56', '€ 12.50'], ';'), '.');
+    assert.equal(detectDecimal(['900', '30'], ';'), ',');
+    assert.equal(detectDecimal([], ','), '.');
+});
+
+test('parseAmount strips currency symbols and thousands separators', () => {
+    assert.equal(parseAmount('€ 1.234,56', ','), 1234.56);
+    assert.equal(parseAmount('$1,234.5', '.'), 1234.5);
+    assert.equal(parseAmount('', '.'), 0);
+    assert.equal(parseAmount('(12.00)', '.'), -12);
+    assert.equal(parseAmount('twelve', '.'), null);
+    assert.equal(parseAmount('1,2,3', ','), null);
+});
+
+test('detectMapping understands the app export headers', () => {
+    const headers = [
+        'ID',
+        'Service',
+        'Category',
+        'Type',
+        'Frequency',
+        'Amount',
+        'MonthlyAmount',
+        'AnnualAmount',
+        'Status',
+        'Criticality',
+        'AssignedTo',
+    ];
+
+    assert.deepEqual(detectMapping(headers), {
+        name: 1,
+        category: 2,
+        type: 3,
+        frequency: 4,
+        intervalMonths: null,
+        amount: 5,
+        monthlyPayment: 6,
+        annualPayment: 7,
+        status: 8,
+        priority: 9,
+        owner: 10,
+    });
+    assert.equal(detectMapping(['Foo', 'Bar']).name, null);
+});
+
+test('importAccountsCsv creates valid rows and reports rejected ones', () => {
+    const db = {
+        accounts: [{ id: 4, name: 'Existing' }],
+        profile: { cards: [{ id: 'card_1', displayName: 'Ana', fullName: 'Ana Silva' }] },
+    };
+    const csv = [
+        'Service;Type;Monthly;Owner',
+        'Rent;Expense;900,50;ana silva',
+        'Salary;income;2.500;Unassigned',
+        ';expense;10;',
+        'Gym;weekly;30;',
+        'Phone;expense;abc;',
+        'Water;expense;-5;',
+        'Pet;expense;20;Bob',
+    ].join('\n');
+
+    const result = importAccountsCsv(db, csv);
+
+    assert.equal(result.delimiter, ';');
+    assert.equal(result.decimal, ',');
+    assert.deepEqual(
+        result.created.map(({ line, record }) => [line, record.id, record.name]),
+        [
+            [2, 5, 'Rent'],
+            [3, 6, 'Salary'],
+        ]
+    );
+    assert.equal(result.created[0].record.monthlyPayment, 900.5);
+    assert.equal(result.created[0].record.ownerId, 'card_1');
+    assert.equal(result.created[1].record.type, 'income');
+    assert.equal(result.created[1].record.monthlyPayment, 2500);
+    assert.deepEqual(
+        result.rejected.map(({ line }) => line),
+        [4, 5, 6, 7, 8]
+    );
+    assert.match(result.rejected[0].error, /name is required/);
+    assert.match(result.rejected[1].error, /income or expense/);
+    assert.match(result.rejected[2].error, /not a number/);
+    assert.match(result.rejected[3].error, /monthlyPayment must be at least 0/);
+    assert.match(result.rejected[4].error, /No card named "Bob"/);
+    assert.equal(db.accounts.length, 3);
+});
+
+test('importAccountsCsv reads billing frequencies back from the app export', () => {
+    const db = { accounts: [] };
+    const csv = [
+        'ID,Service,Type,Frequency,Amount,MonthlyAmount,AnnualAmount,Every Months',
+        '1,Water,expense,quarterly,90,30,360,',
+        '2,Car tax,expense,"every 24 months",120,5,60,',
+        '3,Gym,expense,Fortnightly,,43.33,519.96,',
+        '4,Boat,expense,custom,50,,,5',
+        '5,Rent,expense,,,950,11400,',
+        '6,Phone,expense,daily,3,,,',
+    ].join('\n');
+
+    const result = importAccountsCsv(db, csv);
+
+    assert.deepEqual(
+        result.created.map(({ record }) => [
+            record.name,
+            record.frequency,
+            record.intervalMonths,
+            record.amount,
+            record.monthlyPayment,
+        ]),
+        [
+            ['Water', 'quarterly', null, 90, 30],
+            ['Car tax', 'custom', 24, 120, 5],
+            ['Gym', 'biweekly', null, 20, 43.33],
+            ['Boat', 'custom', 5, 50, 10],
+            ['Rent', 'monthly', null, 950, 950],
+        ]
+    );
+    assert.match(result.rejected[0].error, /"daily" is not a billing frequency/);
+});
+
+test('importAccountsCsv accepts explicit options and refuses unusable files', () => {
+    const db = { accounts: [] };
+    const result = importAccountsCsv(db, 'a|b\nRent|1.5', {
+        delimiter: '|',
+        decimal: '.',
+        mapping: { name: 0, annualPayment: 1, owner: 7 },
+    });
+
+    assert.equal(result.created[0].record.annualPayment, 1.5);
+    assert.equal(result.mapping.owner, null);
+    assert.match(importAccountsCsv(db, '').error, /empty/);
+    assert.match(importAccountsCsv(db, 'Foo,Bar\n1,2').error, /name/);
+});
@@ -4,7 +4,13 @@ const assert = require('node:assert/strict');
 const {
     sanitizeString,
     sanitizeNumber,
+    sanitizeDate,
     normalizeAccount,
+    normalizeTransaction,
+    normalizeCard,
+    normalizeGoal,
+    normalizeTimelineData,
+    normalizeSettings,
     normalizeData,
 } = require('../lib/data-utils');
 
@@ -36,13 +42,214 @@ test('normalizeAccount applies defaults and sanitizes fields', () => {
     assert.equal(account.name, 'badRent');
     assert.equal(account.monthlyPayment, 1200);
     assert.equal(account.hasReminder, 'Yes');
+    assert.equal(account.dueDate, '');
+    assert.equal(normalizeAccount({ name: 'Gym', dueDate: '2026-04-05' }).dueDate, '2026-04-05');
+    assert.equal(normalizeAccount({ name: 'Gym', dueDate: '2026-02-30' }).dueDate, '');
+});
+
+test('normalizeAccount derives monthly and annual equivalents from the billing frequency', () => {
+    const billing = (fields) => {
+        const { frequency, amount, intervalMonths, monthlyPayment, annualPayment } =
+            normalizeAccount({ name: 'Bill', ...fields });
+        return [frequency, amount, intervalMonths, monthlyPayment, annualPayment];
+    };
+
+    assert.deepEqual(billing({ frequency: 'weekly', amount: 60 }), ['weekly', 60, null, 260, 3120]);
+    assert.deepEqual(billing({ frequency: 'biweekly', amount: 100 }), [
+        'biweekly',
+        100,
+        null,
+        216.67,
+        2600,
+    ]);
+    assert.deepEqual(billing({ frequency: 'quarterly', amount: 90 }), [
+        'quarterly',
+        90,
+        null,
+        30,
+        360,
+    ]);
+    assert.deepEqual(billing({ frequency: 'custom', intervalMonths: '24', amount: 120 }), [
+        'custom',
+        120,
+        24,
+        5,
+        60,
+    ]);
+    // Without a frequency the monthly amount wins; annual-only accounts are billed yearly
+    assert.deepEqual(billing({ monthlyPayment: 50, annualPayment: 700 }), [
+        'monthly',
+        50,
+        null,
+        50,
+        600,
+    ]);
+    assert.deepEqual(billing({ annualPayment: 240 }), ['annual', 240, null, 20, 240]);
+    assert.deepEqual(billing({ amount: 12 }), ['monthly', 12, null, 12, 144]);
+});
+
+test('sanitizeDate accepts only real calendar dates', () => {
+    assert.equal(sanitizeDate('2025-03-14'), '2025-03-14');
+    assert.equal(sanitizeDate('2025-02-30'), '');
+    assert.equal(sanitizeDate('14/03/2025'), '');
+    assert.equal(sanitizeDate(null), '');
+});
+
+test('normalizeTransaction sanitizes fields and links', () => {
+    const transaction = normalizeTransaction({
+        id: 'txn_1',
+        date: '2025-03-14',
+        amount: '42.5',
+        type: 'income',
+        accountId: '3',
+        ownerId: 'card_1',
+        memo: '<i>Refund</i>',
+    });
+
+    assert.equal(transaction.id, 'txn_1');
+    assert.equal(transaction.amount, 42.5);
+    assert.equal(transaction.type, 'income');
+    assert.equal(transaction.accountId, 3);
+    assert.equal(transaction.ownerId, 'card_1');
+    assert.equal(transaction.memo, 'Refund');
+});
+
+test('normalizeTransaction rejects entries without a valid date', () => {
+    assert.equal(normalizeTransaction({ amount: 10 }), null);
+    assert.equal(normalizeTransaction({ date: 'yesterday', amount: 10 }), null);
+    assert.equal(normalizeTransaction({ date: '2025-01-01' }).type, 'expense');
+    assert.equal(normalizeTransaction({ date: '2025-01-01' }).accountId, null);
+});
+
+test('normalizeCard sanitizes base fields and keeps template fields', () => {
+    const card = normalizeCard({
+        id: 'card_1',
+        type: 'pet',
+        displayName: '<b>Rex</b>',
+        fullName: 'Rex the Dog',
+        dateOfBirth: 'not a date',
+        breed: 'Beagle',
+        microchip: 12345,
+        nested: { bad: true },
+        'bad key': 'x',
+    });
+
+    assert.equal(card.displayName, 'Rex');
+    assert.equal(card.dateOfBirth, '');
+    assert.equal(card.emoji, '👤');
+    assert.equal(card.breed, 'Beagle');
+    assert.equal(card.microchip, 12345);
+    assert.equal(card.nested, undefined);
+    assert.equal(card['bad key'], undefined);
+});
+
+test('normalizeGoal clamps amounts', () => {
+    const goal = normalizeGoal({ id: 'goal_1', name: 'Car', target: '5000', current: -20 });
+    assert.equal(goal.target, 5000);
+    assert.equal(goal.current, 0);
+    assert.equal(normalizeGoal('nope'), null);
+});
+
+test('normalizeTimelineData sanitizes months and the starting balance', () => {
+    const timeline = normalizeTimelineData({
+        startingBalance: '-250',
+        months: [
+            { id: '2026-May', year: '2026', income: '100', expenses: -5, isLocked: 'yes' },
+            { income: 5 },
+            'junk',
+        ],
+        extra: 'dropped',
+    });
+
+    assert.equal(timeline.startingBalance, -250);
+    assert.deepEqual(timeline.months, [
+        {
+            id: '2026-May',
+            year: 2026,
+            month: '',
+            display: '',
+            income: 100,
+            expenses: 0,
+            isLocked: false,
+        },
+    ]);
+    assert.equal(normalizeTimelineData({}).startingBalance, 0);
+    assert.equal(normalizeTimelineData(null), null);
+});
+
+test('normalizeSettings keeps only known, valid keys', () => {
+    const settings = normalizeSettings({
+        theme: 'neon',
+        primaryColor: '#10b981',
+        heartbeatTimeout: 99999,
+        autoShutdown: 'yes',
+        categories: ['Food', '<i>Food</i>', '', 'Rent'],
+        injected: '<script>',
+    });
+
+    assert.deepEqual(settings, {
+        primaryColor: '#10b981',
+        heartbeatTimeout: 1800,
+        categories: ['Food', 'Rent'],
+    });
+});
+
+test('normalizeData sanitizes cards, goals, timeline and settings', () => {
+    const normalized = normalizeData({
+        profile: { cards: [{ id: 'card_1', displayName: '<b>Ana</b>' }], junk: 1 },
+        goals: [{ id: 'goal_1', name: 'Car', target: '100' }, null],
+        timeline: {
+            timelineData: { months: [] },
+            archivedMonths: [{ id: '2022-May', year: '2022', income: 5 }, { year: 2022 }],
+            junk: 1,
+        },
+        settings: { appSettings: { theme: 'dark' }, junk: 1 },
+    });
+
+    assert.equal(normalized.profile.cards[0].displayName, 'Ana');
+    assert.equal(normalized.profile.junk, undefined);
+    assert.deepEqual(
+        normalized.goals.map((goal) => goal.target),
+        [100]
+    );
+    assert.deepEqual(normalized.timeline.timelineData, { startingBalance: 0, months: [] });
+    assert.deepEqual(
+        normalized.timeline.archivedMonths.map((month) => [month.id, month.year]),
+        [['2022-May', 2022]]
+    );
+    assert.equal(normalized.timeline.junk, undefined);
+    assert.deepEqual(normalized.settings, { appSettings: { theme: 'dark' } });
+    // Absent sections stay absent so the client can seed its defaults
+    assert.deepEqual(normalizeData({}).profile, {});
 });
 
 test('normalizeData fills missing sections', () => {
     const normalized = normalizeData({ accounts: [] });
     assert.ok(Array.isArray(normalized.accounts));
+    assert.ok(Array.isArray(normalized.transactions));
     assert.equal(typeof normalized.profile, 'object');
     assert.equal(typeof normalized.timeline, 'object');
     assert.ok(Array.isArray(normalized.goals));
     assert.equal(typeof normalized.settings, 'object');
+    assert.equal(normalized.schemaVersion, 0);
+});
+
+test('normalizeData gives every transaction its own id', () => {
+    const { transactions } = normalizeData({
+        transactions: [
+            { date: '2026-03-01', amount: 5 },
+            { date: '2026-03-02', amount: 6 },
+            { id: 'txn_1', date: '2026-03-03', amount: 7 },
+            { id: 'txn_1', date: '2026-03-04', amount: 8 },
+        ],
+    });
+    const ids = transactions.map((transaction) => transaction.id);
+    assert.equal(new Set(ids).size, 4);
+    assert.equal(ids[2], 'txn_1');
+    ids.forEach((id) => assert.match(id, /^txn_\d+$/));
+});
+
+test('normalizeData keeps the schema version', () => {
+    assert.equal(normalizeData({ schemaVersion: 3 }).schemaVersion, 3);
+    assert.equal(normalizeData({ schemaVersion: 'x' }).schemaVersion, 0);
 });
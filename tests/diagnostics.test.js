@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findProblems, fixProblem } = require('../lib/diagnostics');
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+function sampleDb() {
+    return {
+        accounts: [
+            { id: 1, name: 'Rent', category: 'Home', ownerId: 'card_1' },
+            { id: 2, name: 'Vet', category: 'Pets', status: 'Active', ownerId: 'card_gone' },
+            { id: 2, name: 'Gym', category: 'Health', priority: 'Maybe' },
+        ],
+        transactions: [{ id: 'tx_1', date: '2026-03-01', memo: 'Rent', accountId: 9 }],
+        goals: [],
+        profile: { cards: [{ id: 'card_1', displayName: 'Sam' }] },
+        timeline: {
+            timelineData: {
+                months: [
+                    { id: '2022-May', year: 2022 },
+                    { id: '2022-June' },
+                    { id: '2026-March', year: 2026 },
+                ],
+            },
+        },
+        settings: { appSettings: { categories: ['Home', 'Health'], statuses: ['Active'] } },
+    };
+}
+
+test('findProblems lists orphans, duplicate ids, unknown metadata and stale months', () => {
+    const problems = findProblems(sampleDb(), NOW);
+
+    assert.deepEqual(
+        problems.map((problem) => problem.id),
+        [
+            'orphan-reference:accounts:1:ownerId',
+            'orphan-reference:transactions:0:accountId',
+            'duplicate-id:accounts:2',
+            'missing-metadata:categories:Pets',
+            'stale-timeline:2022',
+        ]
+    );
+    assert.equal(problems[0].message, 'Vet points at a deleted card (card_gone)');
+    assert.deepEqual(problems[1].fix, {
+        action: 'reassign',
+        label: 'Reassign',
+        target: 'accounts',
+    });
+    assert.equal(problems[2].message, '2 accounts share the id 2: Vet, Gym');
+    // Criticalities were never saved, so the defaults apply and nothing is missing
+    assert.equal(
+        problems[4].message,
+        '2 saved timeline months from 2022 are no longer shown on the Timeline'
+    );
+    assert.deepEqual(findProblems({}, NOW), []);
+});
+
+test('fixProblem reassigns references and gives duplicates new ids', () => {
+    const db = sampleDb();
+
+    assert.match(
+        fixProblem(db, 'orphan-reference:accounts:1:ownerId', 'card_9', NOW).error,
+        /No card card_9/
+    );
+    assert.equal(
+        fixProblem(db, 'orphan-reference:accounts:1:ownerId', 'card_1', NOW).error,
+        undefined
+    );
+    assert.equal(db.accounts[1].ownerId, 'card_1');
+    fixProblem(db, 'orphan-reference:transactions:0:accountId', '1', NOW);
+    assert.equal(db.transactions[0].accountId, 1);
+
+    fixProblem(db, 'duplicate-id:accounts:2', undefined, NOW);
+    assert.deepEqual(
+        db.accounts.map((account) => account.id),
+        [1, 2, 3]
+    );
+    assert.deepEqual(fixProblem(db, 'duplicate-id:accounts:2', undefined, NOW), {
+        error: 'This problem no longer exists',
+        notFound: true,
+    });
+});
+
+test('fixProblem adds missing metadata and archives stale timeline months', () => {
+    const db = sampleDb();
+
+    fixProblem(db, 'missing-metadata:categories:Pets', undefined, NOW);
+    assert.deepEqual(db.settings.appSettings.categories, ['Home', 'Health', 'Pets']);
+
+    db.timeline.archivedMonths = [{ id: '2022-May', year: 2022, income: 1 }];
+    const { problem } = fixProblem(db, 'stale-timeline:2022', undefined, NOW);
+    assert.equal(problem.type, 'stale-timeline');
+    assert.deepEqual(
+        db.timeline.timelineData.months.map((month) => month.id),
+        ['2026-March']
+    );
+    assert.deepEqual(
+        db.timeline.archivedMonths.map((month) => month.id),
+        ['2022-May', '2022-June']
+    );
+    assert.equal(db.timeline.archivedMonths[0].income, undefined);
+    assert.deepEqual(
+        findProblems(db, NOW).map((item) => item.type),
+        ['orphan-reference', 'orphan-reference', 'duplicate-id']
+    );
+});
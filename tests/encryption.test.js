@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PLAIN_CODEC,
+    isEncrypted,
+    readKdfParams,
+    decrypt,
+    unlockCodec,
+    newCodec,
+} = require('../lib/encryption');
+
+test('newCodec encrypts content that unlockCodec can read back', () => {
+    const codec = newCodec('correct horse');
+    const raw = codec.encode('{"accounts":[]}');
+
+    assert.ok(isEncrypted(raw));
+    assert.ok(!raw.includes('accounts'));
+    assert.equal(readKdfParams(raw).salt, codec.kdf.salt);
+    assert.equal(unlockCodec('correct horse', raw).decode(raw), '{"accounts":[]}');
+});
+
+test('unlockCodec rejects a wrong passphrase', () => {
+    const raw = newCodec('correct horse').encode('{}');
+    assert.throws(() => unlockCodec('wrong horse', raw), /Wrong passphrase/);
+});
+
+test('decrypt detects modified ciphertext', () => {
+    const codec = newCodec('correct horse');
+    const envelope = JSON.parse(codec.encode('{"goals":[]}'));
+    envelope.data = Buffer.from('tampered').toString('base64');
+
+    assert.throws(() => codec.decode(JSON.stringify(envelope)), /damaged/);
+    assert.throws(() => decrypt('{}', Buffer.alloc(32)), /not encrypted/);
+});
+
+test('newCodec enforces a minimum passphrase length', () => {
+    assert.throws(() => newCodec('short'), /at least/);
+});
+
+test('codecs handle plain files', () => {
+    const codec = newCodec('correct horse');
+    assert.equal(codec.decode('{"goals":[]}'), '{"goals":[]}');
+    assert.equal(PLAIN_CODEC.decode('{"goals":[]}'), '{"goals":[]}');
+    assert.throws(() => PLAIN_CODEC.decode(codec.encode('{}')), /unlock/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatEvent, changedStores, createEventHub } = require('../lib/events');
+
+function makeStream() {
+    return {
+        frames: [],
+        write(frame) {
+            this.frames.push(frame);
+        },
+    };
+}
+
+test('formatEvent produces a named SSE frame', () => {
+    assert.equal(formatEvent('change', { revision: 2 }), 'event: change\ndata: {"revision":2}\n\n');
+});
+
+test('changedStores returns only the stores that differ', () => {
+    const before = { accounts: [{ id: 1 }], goals: [], settings: {} };
+    const after = { accounts: [{ id: 1 }], goals: [{ id: 'goal_1' }], settings: {}, checksum: 'x' };
+
+    assert.deepEqual(changedStores(before, after), { goals: [{ id: 'goal_1' }] });
+    assert.deepEqual(changedStores(after, after), {});
+});
+
+test('createEventHub broadcasts to registered streams until removed', () => {
+    const hub = createEventHub();
+    const first = makeStream();
+    const second = makeStream();
+    hub.add(first);
+    const removeSecond = hub.add(second);
+
+    hub.broadcast('change', { revision: 1 });
+    removeSecond();
+    hub.ping();
+
+    assert.equal(hub.size(), 1);
+    assert.equal(first.frames.length, 2);
+    assert.deepEqual(second.frames, ['event: change\ndata: {"revision":1}\n\n']);
+});
+
+test('createEventHub drops streams that fail to write', () => {
+    const hub = createEventHub();
+    hub.add({
+        write() {
+            throw new Error('closed');
+        },
+    });
+
+    hub.broadcast('change', {});
+    assert.equal(hub.size(), 0);
+});
+
+test('createEventHub disconnects matching streams', () => {
+    const hub = createEventHub();
+    const stale = {
+        ...makeStream(),
+        token: 'old',
+        ended: false,
+        end() {
+            this.ended = true;
+        },
+    };
+    const fresh = {
+        ...makeStream(),
+        token: 'new',
+        ended: false,
+        end() {
+            this.ended = true;
+        },
+    };
+    hub.add(stale);
+    hub.add(fresh);
+
+    hub.disconnect((res) => res.token === 'old');
+
+    assert.equal(stale.ended, true);
+    assert.equal(fresh.ended, false);
+    assert.equal(hub.size(), 1);
+});
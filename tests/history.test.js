@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    diffSnapshots,
+    createEntries,
+    appendEntries,
+    readEntries,
+    findEntry,
+    restoreVersion,
+    reencodeHistory,
+} = require('../lib/history');
+const { PLAIN_CODEC, isEncrypted, newCodec } = require('../lib/encryption');
+
+// The folder is removed again when the test `t` ends
+function makeHistoryFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'history.jsonl');
+}
+
+function account(id, name, monthlyPayment = 0) {
+    return {
+        id,
+        name,
+        category: '',
+        type: 'expense',
+        monthlyPayment,
+        annualPayment: 0,
+        hasReminder: 'No',
+        status: 'Active',
+        priority: 'Important',
+        ownerId: null,
+    };
+}
+
+test('diffSnapshots reports created, updated and deleted records', () => {
+    const before = {
+        accounts: [account(1, 'Rent', 900), account(2, 'Gym', 30)],
+        timeline: { timelineData: { months: [{ id: '2026-May', income: 10 }] } },
+    };
+    const after = {
+        accounts: [account(1, 'Rent', 950), account(3, 'Phone', 20)],
+        timeline: { timelineData: { months: [{ id: '2026-May', income: 10 }] } },
+    };
+
+    const changes = diffSnapshots(before, after);
+    const byId = Object.fromEntries(changes.map((change) => [change.recordId, change]));
+
+    assert.equal(changes.length, 3);
+    assert.equal(byId['1'].action, 'update');
+    assert.equal(byId['1'].before.monthlyPayment, 900);
+    assert.equal(byId['1'].after.monthlyPayment, 950);
+    assert.equal(byId['2'].action, 'delete');
+    assert.equal(byId['2'].after, null);
+    assert.equal(byId['3'].action, 'create');
+    assert.equal(byId['3'].label, 'Phone');
+});
+
+test('diffSnapshots tracks cards and timeline months', () => {
+    const changes = diffSnapshots(
+        { profile: { cards: [] }, timeline: {} },
+        {
+            profile: { cards: [{ id: 'card_1', displayName: 'Ana' }] },
+            timeline: { timelineData: { months: [{ id: '2026-May', display: '2026 - May' }] } },
+        }
+    );
+
+    assert.deepEqual(
+        changes.map((change) => [change.kind, change.label]),
+        [
+            ['cards', 'Ana'],
+            ['timeline', '2026 - May'],
+        ]
+    );
+});
+
+test('appendEntries and readEntries keep an ordered, filterable log', (t) => {
+    const file = makeHistoryFile(t);
+    const first = diffSnapshots({}, { accounts: [account(1, 'Rent')] });
+    const second = diffSnapshots(
+        { accounts: [account(1, 'Rent')] },
+        { accounts: [account(1, 'Rent', 900)], goals: [{ id: 'goal_1', name: 'Car' }] }
+    );
+    appendEntries(file, createEntries(first, { revision: 1, source: 'POST /api/accounts' }));
+    appendEntries(file, createEntries(second, { revision: 2, source: 'POST /api/data' }));
+    fs.appendFileSync(file, '{"cut off');
+
+    const all = readEntries(file);
+    assert.deepEqual(
+        all.map((entry) => entry.id),
+        ['2-2', '2-1', '1-1']
+    );
+    assert.deepEqual(
+        readEntries(file, PLAIN_CODEC, { kind: 'accounts', recordId: 1 }).map((e) => e.id),
+        ['2-1', '1-1']
+    );
+    assert.equal(readEntries(file, PLAIN_CODEC, { limit: 1 }).length, 1);
+    assert.equal(findEntry(file, PLAIN_CODEC, '1-1').source, 'POST /api/accounts');
+    assert.equal(findEntry(file, PLAIN_CODEC, '9-9'), null);
+});
+
+test('appendEntries rotates a full log and drops the oldest one', (t) => {
+    const file = makeHistoryFile(t);
+    const rent = (revision, monthlyPayment) =>
+        createEntries(diffSnapshots({}, { accounts: [account(1, 'Rent', monthlyPayment)] }), {
+            revision,
+        });
+
+    appendEntries(file, rent(1, 900), PLAIN_CODEC, 1);
+    assert.equal(fs.existsSync(file), false);
+    appendEntries(file, rent(2, 950), PLAIN_CODEC, 1);
+    appendEntries(file, rent(3, 1000));
+    assert.equal(fs.existsSync(path.join(path.dirname(file), 'history.1.jsonl')), true);
+
+    assert.deepEqual(
+        readEntries(file).map((entry) => entry.id),
+        ['3-1', '2-1']
+    );
+    assert.equal(findEntry(file, PLAIN_CODEC, '2-1').after.monthlyPayment, 950);
+    assert.equal(findEntry(file, PLAIN_CODEC, '1-1'), null);
+
+    const codec = newCodec('history passphrase');
+    assert.equal(reencodeHistory(file, PLAIN_CODEC, codec), 2);
+    assert.deepEqual(
+        readEntries(file, codec).map((entry) => entry.id),
+        ['3-1', '2-1']
+    );
+});
+
+test('restoreVersion undoes updates, creates and deletes', () => {
+    const db = {
+        accounts: [account(1, 'Rent', 950)],
+        transactions: [{ id: 'txn_1', date: '2026-05-01', amount: 5, accountId: 1 }],
+    };
+    const [update] = diffSnapshots(
+        { accounts: [account(1, 'Rent', 900)] },
+        { accounts: [account(1, 'Rent', 950)] }
+    );
+    const [create] = diffSnapshots({}, { accounts: [account(2, 'Gym')] });
+    const entry = (change) => ({ ...change, id: '1-1' });
+
+    assert.equal(restoreVersion(db, entry(update)).record.monthlyPayment, 900);
+    assert.equal(db.accounts[0].monthlyPayment, 900);
+
+    // Restoring the "after" side of a create brings the record back...
+    restoreVersion(db, entry(create), 'after');
+    assert.equal(db.accounts.length, 2);
+    // ...and undoing it removes the record again
+    assert.deepEqual(restoreVersion(db, entry(create)), { record: null });
+    assert.deepEqual(
+        db.accounts.map((item) => item.id),
+        [1]
+    );
+
+    // Removing an account still clears the references held by transactions
+    restoreVersion(db, { ...entry(update), before: null });
+    assert.equal(db.transactions[0].accountId, null);
+
+    assert.match(restoreVersion(db, { kind: 'nope' }).error, /Unknown/);
+    assert.match(restoreVersion(db, entry(update), 'latest').error, /Invalid/);
+});
+
+test('restoreVersion restores timeline months', () => {
+    const db = { timeline: { timelineData: { startingBalance: 10, months: [] } } };
+    const month = { id: '2026-May', income: 100, expenses: 50, isLocked: true };
+
+    restoreVersion(db, { kind: 'timeline', recordId: '2026-May', before: month, after: null });
+
+    assert.deepEqual(db.timeline.timelineData, { startingBalance: 10, months: [month] });
+});
+
+test('reencodeHistory encrypts every entry', (t) => {
+    const file = makeHistoryFile(t);
+    const codec = newCodec('history passphrase');
+    appendEntries(
+        file,
+        createEntries(diffSnapshots({}, { accounts: [account(1, 'Rent')] }), { revision: 1 })
+    );
+
+    assert.equal(reencodeHistory(file, PLAIN_CODEC, codec), 1);
+    const [line] = fs.readFileSync(file, 'utf8').split('\n');
+    assert.equal(isEncrypted(line), true);
+    assert.equal(readEntries(file, codec)[0].label, 'Rent');
+    assert.equal(reencodeHistory(makeHistoryFile(t), PLAIN_CODEC, codec), 0);
+});
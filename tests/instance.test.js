@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const { INSTANCE_FILE, claimDataDir, findRunningServer } = require('../lib/instance');
+
+// Removed again when the test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-instance-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A sleeping process that stands in for another server until the test `t` ends
+function otherServer(t) {
+    const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+    t.after(() => child.kill());
+    return { pid: child.pid, startedAt: Date.now() };
+}
+
+test('findRunningServer reports a live server and ignores stale or own files', (t) => {
+    const dir = tempDir(t);
+    assert.equal(findRunningServer(dir), null);
+
+    const other = otherServer(t);
+    const release = claimDataDir(dir, other);
+    assert.equal(findRunningServer(dir), other.pid);
+    release();
+    assert.equal(fs.existsSync(path.join(dir, INSTANCE_FILE)), false);
+
+    const exited = spawnSync(process.execPath, ['-e', '']).pid;
+    claimDataDir(dir, { pid: exited, startedAt: Date.now() });
+    assert.equal(findRunningServer(dir), null);
+
+    const releaseOwn = claimDataDir(dir);
+    assert.equal(findRunningServer(dir), null);
+
+    // A newer server took the folder over: the old one leaves its file alone
+    claimDataDir(dir, other);
+    releaseOwn();
+    assert.equal(findRunningServer(dir), other.pid);
+
+    fs.writeFileSync(path.join(dir, INSTANCE_FILE), 'not json');
+    assert.equal(findRunningServer(dir), null);
+});
+
+test(
+    'findRunningServer ignores a pid that now belongs to another process',
+    { skip: process.platform === 'win32' && 'needs ps' },
+    (t) => {
+        const dir = tempDir(t);
+        const { pid } = otherServer(t);
+
+        // The claim was made a minute before this pid's process started
+        claimDataDir(dir, { pid, startedAt: Date.now() - 60 * 1000 });
+        assert.equal(findRunningServer(dir), null);
+
+        // ... or before the machine last booted
+        const bootedAt = Date.now() - os.uptime() * 1000;
+        claimDataDir(dir, { pid, startedAt: bootedAt - 24 * 60 * 60 * 1000 });
+        assert.equal(findRunningServer(dir), null);
+
+        fs.writeFileSync(path.join(dir, INSTANCE_FILE), JSON.stringify({ pid }));
+        assert.equal(findRunningServer(dir), null);
+    }
+);
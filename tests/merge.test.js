@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeData, planMerge } = require('../lib/merge');
+
+function account(id, name, monthlyPayment = 0, ownerId = null) {
+    return {
+        id,
+        name,
+        category: '',
+        type: 'expense',
+        monthlyPayment,
+        annualPayment: 0,
+        hasReminder: 'No',
+        status: 'Active',
+        priority: 'Important',
+        ownerId,
+    };
+}
+
+function card(id, displayName) {
+    return {
+        id,
+        type: 'adult',
+        emoji: '👤',
+        displayName,
+        fullName: displayName,
+        dateOfBirth: '',
+    };
+}
+
+function currentDb() {
+    return {
+        profile: { cards: [card('card_1', 'Ana')] },
+        accounts: [account(1, 'Rent', 900), account(2, 'Gym', 30)],
+        goals: [{ id: 'goal_1', name: 'Car', target: 5000, current: 100, createdAt: '' }],
+        transactions: [{ id: 'txn_1', date: '2026-05-01', amount: 5, accountId: 1 }],
+    };
+}
+
+test('planMerge reports adds, updates and conflicts without touching the database', () => {
+    const db = currentDb();
+    const snapshot = JSON.stringify(db);
+    const incoming = {
+        profile: { cards: [card('card_1', 'Ana'), card('card_9', 'Ben')] },
+        accounts: [account(7, 'rent', 950), account(2, 'Phone', 20), account(3, 'Gym', 30)],
+        goals: [
+            { id: 'goal_2', name: 'Holiday', target: 800, current: 0, createdAt: '' },
+            { id: 'goal_1', name: 'New car', target: 9000, current: 0, createdAt: '' },
+        ],
+    };
+
+    const changes = planMerge(db, incoming);
+    const byId = Object.fromEntries(changes.map((change) => [change.id, change]));
+
+    assert.equal(JSON.stringify(db), snapshot);
+    assert.deepEqual(
+        changes.map((change) => [change.id, change.action]),
+        [
+            ['cards:1', 'add'],
+            ['accounts:0', 'update'],
+            ['accounts:1', 'add'],
+            ['goals:0', 'add'],
+            ['goals:1', 'update'],
+        ]
+    );
+    // Matched by name, so the existing id is kept
+    assert.equal(byId['accounts:0'].before.monthlyPayment, 900);
+    assert.equal(byId['accounts:0'].after.monthlyPayment, 950);
+    assert.equal(byId['accounts:0'].after.id, 1);
+    // Account ids are per installation: id 2 is this household's Gym, not their Phone
+    assert.equal(byId['accounts:1'].before, null);
+    assert.equal(byId['goals:1'].before.name, 'Car');
+    assert.deepEqual(
+        planMerge(db, { goals: [{ id: 'goal_1', name: 'Holiday', target: 1 }] }).map((change) => [
+            change.action,
+            change.reason,
+        ]),
+        [['update', null]]
+    );
+    const twice = { ...currentDb(), accounts: [account(1, 'Rent'), account(2, 'rent')] };
+    assert.match(planMerge(twice, { accounts: [account(9, 'Rent', 5)] })[0].reason, /Several/);
+});
+
+test('mergeData applies only the accepted changes', () => {
+    const db = currentDb();
+    const incoming = {
+        profile: { cards: [card('card_9', 'Ben')] },
+        accounts: [account(1, 'Rent', 950, 'card_9'), account(5, 'Phone', 20, 'card_9')],
+        goals: [{ id: 'goal_1', name: 'Car', target: 6000, current: 100, createdAt: '' }],
+    };
+
+    const { applied } = mergeData(db, incoming, new Set(['cards:0', 'accounts:1']));
+
+    assert.equal(applied, 2);
+    assert.equal(db.accounts.find((item) => item.id === 1).monthlyPayment, 900);
+    assert.equal(db.goals[0].target, 5000);
+    const phone = db.accounts.find((item) => item.name === 'Phone');
+    assert.equal(phone.id, 5);
+    assert.equal(phone.ownerId, 'card_9');
+    assert.equal(db.transactions.length, 1);
+});
+
+test('mergeData gives added records a free id and drops references to rejected cards', () => {
+    const db = currentDb();
+    const incoming = {
+        profile: { cards: [card('card_7', 'Cleo')] },
+        accounts: [account(2, 'Gym', 30), account(1, 'Water', 15, 'card_7')],
+    };
+
+    // 'Water' reuses the id of 'Rent' but is a different account
+    const changes = planMerge(db, incoming);
+    assert.deepEqual(
+        changes.map((change) => change.action),
+        ['add', 'add']
+    );
+
+    mergeData(db, { accounts: [account(2, 'Parking', 10, 'card_7')] }, new Set(['accounts:0']));
+    assert.deepEqual(
+        db.accounts.map((item) => [item.id, item.name]),
+        [
+            [1, 'Rent'],
+            [2, 'Gym'],
+            [3, 'Parking'],
+        ]
+    );
+    assert.equal(db.accounts[2].ownerId, null);
+
+    const addDb = { accounts: [account(1, 'Rent')] };
+    mergeData(addDb, { accounts: [account(0, 'New')] }, null);
+    assert.deepEqual(
+        addDb.accounts.map((item) => item.id),
+        [1, 2]
+    );
+});
+
+test('identical records produce no changes', () => {
+    const db = currentDb();
+    assert.deepEqual(planMerge(db, currentDb()), []);
+    assert.deepEqual(mergeData(db, {}, null), { changes: [], applied: 0 });
+});
+
+test("merging another household's export keeps both sets of accounts", () => {
+    const db = currentDb();
+    const partner = {
+        profile: { cards: [card('card_2', 'Ben')] },
+        accounts: [
+            account(1, 'Car insurance', 60, 'card_2'),
+            account(2, 'Netflix', 12, 'card_2'),
+            account(3, 'Gym', 45, 'card_2'),
+        ],
+    };
+
+    const changes = planMerge(db, partner);
+    assert.deepEqual(
+        changes.map((change) => [change.id, change.action]),
+        [
+            ['cards:0', 'add'],
+            ['accounts:0', 'add'],
+            ['accounts:1', 'add'],
+            ['accounts:2', 'update'],
+        ]
+    );
+
+    assert.equal(mergeData(db, partner, null).applied, 4);
+    assert.deepEqual(
+        db.profile.cards.map((item) => item.displayName),
+        ['Ana', 'Ben']
+    );
+    assert.deepEqual(
+        db.accounts.map((item) => [item.id, item.name, item.monthlyPayment, item.ownerId]),
+        [
+            [1, 'Rent', 900, null],
+            [2, 'Gym', 45, 'card_2'],
+            [3, 'Car insurance', 60, 'card_2'],
+            [4, 'Netflix', 12, 'card_2'],
+        ]
+    );
+    assert.equal(db.transactions[0].accountId, 1);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrate,
+} = require('../lib/migrations');
+
+test('migrations are ordered and end at the current version', () => {
+    MIGRATIONS.forEach((migration, i) => {
+        assert.equal(migration.version, i + 1);
+    });
+    assert.equal(CURRENT_SCHEMA_VERSION, MIGRATIONS.length);
+});
+
+test('getSchemaVersion treats unversioned files as version 0', () => {
+    assert.equal(getSchemaVersion({}), 0);
+    assert.equal(getSchemaVersion(null), 0);
+    assert.equal(getSchemaVersion({ schemaVersion: '1' }), 1);
+});
+
+test('migrate upgrades legacy positional account rows', () => {
+    const legacy = {
+        accounts: [[7, 'Rent', 'Household & Home', 'expense', 900, 0, 'Yes', 'Active', 'Critical']],
+    };
+    const { data, fromVersion, applied } = migrate(legacy);
+
+    assert.equal(fromVersion, 0);
+    assert.deepEqual(applied, [1, 2]);
+    assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(data.accounts[0].name, 'Rent');
+    assert.equal(data.accounts[0].monthlyPayment, 900);
+    assert.equal(data.accounts[0].frequency, 'monthly');
+    assert.deepEqual(data.transactions, []);
+    assert.ok(Array.isArray(legacy.accounts[0]), 'input must not be mutated');
+});
+
+test('migrate bills annual-only accounts yearly and keeps existing frequencies', () => {
+    const { data } = migrate({
+        schemaVersion: 1,
+        accounts: [
+            { id: 1, monthlyPayment: 0, annualPayment: 240 },
+            { id: 2, monthlyPayment: 50, annualPayment: 600 },
+            { id: 3, frequency: 'weekly', amount: 80 },
+        ],
+    });
+    assert.deepEqual(
+        data.accounts.map(({ frequency, amount }) => [frequency, amount]),
+        [
+            ['annual', 240],
+            ['monthly', 50],
+            ['weekly', 80],
+        ]
+    );
+});
+
+test('migrate keeps unknown fields for later migrations', () => {
+    const { data } = migrate({ accounts: [{ id: 1, dueDay: 5 }], custom: { a: 1 } });
+    assert.equal(data.accounts[0].dueDay, 5);
+    assert.deepEqual(data.custom, { a: 1 });
+});
+
+test('migrate is a no-op for current snapshots', () => {
+    const current = { schemaVersion: CURRENT_SCHEMA_VERSION, accounts: [], transactions: [] };
+    const { data, applied } = migrate(current);
+    assert.deepEqual(applied, []);
+    assert.deepEqual(data, current);
+});
+
+test('migrate refuses snapshots from a newer app version', () => {
+    assert.throws(() => migrate({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), /newer/);
+});
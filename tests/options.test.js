@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+
+const {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    parseOptions,
+    listenWithFallback,
+    buildAllowedOrigins,
+    browserUrl,
+} = require('../lib/options');
+
+const DEFAULT_DIR = '/app/data';
+
+test('parseOptions falls back to the defaults', () => {
+    assert.deepEqual(parseOptions([], {}, DEFAULT_DIR), {
+        port: DEFAULT_PORT,
+        portFixed: false,
+        host: DEFAULT_HOST,
+        dataDir: DEFAULT_DIR,
+        open: true,
+        help: false,
+    });
+});
+
+test('parseOptions reads flags in both forms and lets them win over env', () => {
+    const options = parseOptions(
+        ['--port', '4000', '--host=0.0.0.0', '--data-dir', 'households/b', '--no-open'],
+        { HAWKWARD_PORT: '5000', HAWKWARD_DATA_DIR: '/elsewhere' },
+        DEFAULT_DIR
+    );
+
+    assert.equal(options.port, 4000);
+    assert.equal(options.portFixed, true);
+    assert.equal(options.host, '0.0.0.0');
+    assert.equal(options.dataDir, path.resolve('households/b'));
+    assert.equal(options.open, false);
+});
+
+test('parseOptions reads environment variables', () => {
+    const options = parseOptions(
+        [],
+        { HAWKWARD_PORT: '5000', HAWKWARD_HOST: '::1', HAWKWARD_NO_OPEN: 'true' },
+        DEFAULT_DIR
+    );
+
+    assert.equal(options.port, 5000);
+    assert.equal(options.host, '::1');
+    assert.equal(options.open, false);
+});
+
+test('parseOptions rejects bad input', () => {
+    assert.throws(() => parseOptions(['--port', 'abc'], {}, DEFAULT_DIR), /--port must be/);
+    assert.throws(() => parseOptions([], { HAWKWARD_PORT: '70000' }, DEFAULT_DIR), /HAWKWARD_PORT/);
+    assert.throws(() => parseOptions(['--host'], {}, DEFAULT_DIR), /needs a value/);
+    assert.throws(() => parseOptions(['--verbose'], {}, DEFAULT_DIR), /Unknown option/);
+    assert.equal(parseOptions(['--help'], {}, DEFAULT_DIR).help, true);
+});
+
+function occupyPort() {
+    return new Promise((resolve) => {
+        const blocker = net.createServer();
+        blocker.listen(0, '127.0.0.1', () => resolve(blocker));
+    });
+}
+
+test('listenWithFallback moves to the next port only when allowed', async () => {
+    const blocker = await occupyPort();
+    const taken = blocker.address().port;
+
+    try {
+        await assert.rejects(
+            listenWithFallback(() => {}, { host: '127.0.0.1', port: taken, fallback: false }),
+            { code: 'EADDRINUSE' }
+        );
+
+        const server = await listenWithFallback(() => {}, {
+            host: '127.0.0.1',
+            port: taken,
+            fallback: true,
+        });
+        assert.notEqual(server.address().port, taken);
+        await new Promise((resolve) => server.close(resolve));
+    } finally {
+        await new Promise((resolve) => blocker.close(resolve));
+    }
+});
+
+test('buildAllowedOrigins and browserUrl follow the bound host', () => {
+    assert.deepEqual(
+        [...buildAllowedOrigins('127.0.0.1', 3001)],
+        ['http://localhost:3001', 'http://127.0.0.1:3001']
+    );
+    assert.ok(buildAllowedOrigins('0.0.0.0', 3000, '192.168.1.5').has('http://192.168.1.5:3000'));
+    assert.ok(buildAllowedOrigins('fd00::2', 3000).has('http://[fd00::2]:3000'));
+
+    assert.equal(browserUrl('0.0.0.0', 3002), 'http://localhost:3002');
+    assert.equal(browserUrl('192.168.1.5', 3000), 'http://192.168.1.5:3000');
+});
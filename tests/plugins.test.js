@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPlugins, installPlugins, describePlugins } = require('../lib/plugins');
+const { normalizeData, normalizeAccount } = require('../lib/data-utils');
+const { validateStore, validateRecord } = require('../lib/schema');
+const { changedStores } = require('../lib/events');
+
+// Writes plugins/<id>/index.js (and public/ files) into a fresh data folder,
+// removed again when the test `t` ends
+function dataDirWith(t, plugins) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-plugins-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(plugins).forEach(([id, { source, files = [] }]) => {
+        const pluginDir = path.join(dir, 'plugins', id);
+        fs.mkdirSync(path.join(pluginDir, 'public'), { recursive: true });
+        fs.writeFileSync(path.join(pluginDir, 'index.js'), source);
+        files.forEach((file) => fs.writeFileSync(path.join(pluginDir, 'public', file), ''));
+    });
+    return dir;
+}
+
+const VET_PLUGIN = `module.exports = {
+    name: 'Vet visits',
+    version: '1.2.0',
+    stores: {
+        vetVisits: {
+            list: true,
+            schema: { type: 'object', required: ['date'], properties: { date: { type: 'string', format: 'date' }, cost: { type: 'number' } } },
+            normalize: (visit, { sanitizeDate, sanitizeNumber }) =>
+                visit.date ? { date: sanitizeDate(visit.date), cost: sanitizeNumber(visit.cost) } : null,
+        },
+        vetSettings: { schema: { type: 'object', properties: { clinic: { type: 'string' } } } },
+    },
+    accountFields: [{ id: 'contractEnd', label: 'Contract end', type: 'date' }, { id: 'seats', type: 'number' }],
+    tabs: [{ id: 'visits', title: '🩺 Vet Visits' }],
+    reports: [{ id: 'costs', title: 'Vet costs' }],
+    scripts: ['client.js'],
+};`;
+
+test('loadPlugins skips broken or clashing plugins and reports why', (t) => {
+    const dir = dataDirWith(t, {
+        'a-vet': { source: VET_PLUGIN, files: ['client.js'] },
+        'b-clash': { source: 'module.exports = { stores: { vetVisits: {} } };' },
+        'c-core': { source: "module.exports = { accountFields: [{ id: 'dueDate' }] };" },
+        'd-missing': { source: "module.exports = { scripts: ['../server.js'] };" },
+        'e-throws': { source: "throw new Error('boom');" },
+        Upper: { source: 'module.exports = {};' },
+    });
+
+    const loaded = loadPlugins(dir);
+    assert.deepEqual(
+        loaded.plugins.map((plugin) => plugin.id),
+        ['a-vet']
+    );
+    assert.deepEqual(loaded.errors, [
+        { plugin: 'Upper', error: 'Folder name must use lowercase letters, digits and dashes' },
+        { plugin: 'b-clash', error: 'Store "vetVisits" already exists' },
+        { plugin: 'c-core', error: 'Account field "dueDate" already exists' },
+        { plugin: 'd-missing', error: 'Invalid scripts file "../server.js"' },
+        { plugin: 'e-throws', error: 'boom' },
+    ]);
+    assert.deepEqual(loadPlugins(path.join(dir, 'nowhere')), { plugins: [], errors: [] });
+
+    assert.deepEqual(describePlugins(loaded).plugins[0], {
+        id: 'a-vet',
+        name: 'Vet visits',
+        version: '1.2.0',
+        stores: [
+            { name: 'vetVisits', list: true },
+            { name: 'vetSettings', list: false },
+        ],
+        accountFields: [
+            { id: 'contractEnd', label: 'Contract end', type: 'date' },
+            { id: 'seats', label: 'seats', type: 'number' },
+        ],
+        tabs: [{ id: 'visits', title: '🩺 Vet Visits' }],
+        reports: [{ id: 'costs', title: 'Vet costs' }],
+        scripts: ['/plugins/a-vet/client.js'],
+        styles: [],
+    });
+});
+
+test('installed plugins extend normalization, validation and live sync', (t) => {
+    installPlugins(
+        loadPlugins(dataDirWith(t, { vet: { source: VET_PLUGIN, files: ['client.js'] } }))
+    );
+
+    const data = normalizeData({
+        vetVisits: [{ date: '2026-03-01', cost: '80', junk: 1 }, { cost: 5 }],
+    });
+    assert.deepEqual(data.vetVisits, [{ date: '2026-03-01', cost: 80 }]);
+    assert.deepEqual(data.vetSettings, {});
+
+    assert.deepEqual(validateStore('vetVisits', [{ cost: 'lots' }]), [
+        { field: 'vetVisits[0].date', message: 'is required' },
+        { field: 'vetVisits[0].cost', message: 'must be a number' },
+    ]);
+    assert.deepEqual(changedStores({ vetVisits: [] }, data), {
+        accounts: [],
+        transactions: [],
+        profile: {},
+        timeline: {},
+        goals: [],
+        settings: {},
+        vetVisits: data.vetVisits,
+        vetSettings: {},
+    });
+
+    // A throwing normalizer leaves the stored data alone
+    installPlugins(
+        loadPlugins(
+            dataDirWith(t, {
+                fragile: {
+                    source: `module.exports = { stores: {
+                        fragileList: { list: true, normalize: () => { throw new Error('bug'); } },
+                        fragileSettings: { normalize: () => { throw new Error('bug'); } },
+                    } };`,
+                },
+            })
+        )
+    );
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const kept = normalizeData({ fragileList: [{ a: 1 }], fragileSettings: { theme: 'x' } });
+        assert.deepEqual(kept.fragileList, [{ a: 1 }]);
+        assert.deepEqual(kept.fragileSettings, { theme: 'x' });
+    } finally {
+        console.warn = warn;
+    }
+
+    // Object stores are written per key; a schema without `properties` takes any key
+    installPlugins(
+        loadPlugins(
+            dataDirWith(t, {
+                tally: {
+                    source: `module.exports = { stores: {
+                        tallyNotes: {},
+                        tallyCounts: { schema: { type: 'object', additionalProperties: { type: 'number' } } },
+                    } };`,
+                },
+            })
+        )
+    );
+    assert.deepEqual(validateStore('tallyNotes', 'Call the vet', 'monday'), []);
+    assert.deepEqual(validateStore('tallyCounts', 3, 'walks'), []);
+    assert.deepEqual(validateStore('tallyCounts', 'many', 'walks'), [
+        { field: 'tallyCounts.walks', message: 'must be a number' },
+    ]);
+    assert.deepEqual(validateStore('vetSettings', 5, 'clinic'), [
+        { field: 'vetSettings.clinic', message: 'must be text' },
+    ]);
+    assert.equal(validateStore('vetSettings', 'x', 'constructor')[0].field, 'key');
+
+    const account = normalizeAccount({ name: 'Gym', contractEnd: '2027-01-31', seats: '2' });
+    assert.equal(account.contractEnd, '2027-01-31');
+    assert.equal(account.seats, 2);
+    assert.equal(normalizeAccount({ name: 'Rent' }).seats, null);
+    assert.deepEqual(validateRecord('account', { name: 'Gym', contractEnd: 'soon' }), [
+        { field: 'contractEnd', message: 'has an invalid format' },
+    ]);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findRecord, createRecord, updateRecord, deleteRecord } = require('../lib/resources');
+
+function makeDb() {
+    return {
+        accounts: [
+            { id: 1, name: 'Rent', ownerId: 'card_1' },
+            { id: 4, name: 'Salary', type: 'income', ownerId: 'card_1' },
+        ],
+        transactions: [{ id: 'txn_1', date: '2025-01-05', accountId: 1, ownerId: 'card_1' }],
+        profile: { cards: [{ id: 'card_1', displayName: 'Dad', fullName: 'John Doe' }] },
+        goals: [],
+    };
+}
+
+test('createRecord assigns the next numeric account id', () => {
+    const db = makeDb();
+    const { record } = createRecord(db, 'accounts', { id: 99, name: 'Internet' });
+
+    assert.equal(record.id, 5);
+    assert.equal(db.accounts.length, 3);
+    assert.equal(findRecord(db, 'accounts', '5').name, 'Internet');
+});
+
+test('createRecord assigns prefixed ids and keeps other profile keys', () => {
+    const db = makeDb();
+    db.profile.settings = { keep: true };
+    const { record } = createRecord(db, 'cards', { displayName: 'Mum', fullName: 'Jane Doe' });
+
+    assert.match(record.id, /^card_\d+$/);
+    assert.equal(db.profile.cards.length, 2);
+    assert.deepEqual(db.profile.settings, { keep: true });
+});
+
+test('createRecord rejects invalid input without touching the store', () => {
+    const db = makeDb();
+
+    assert.equal(createRecord(db, 'accounts', { name: '' }).error, 'name is required');
+    assert.match(
+        createRecord(db, 'goals', { name: 'Car', target: 0 }).error,
+        /target must be greater/
+    );
+    assert.match(createRecord(db, 'transactions', { date: 'soon' }).error, /date/);
+    assert.equal(db.accounts.length, 2);
+    assert.equal(db.goals.length, 0);
+});
+
+test('createRecord works on a database without the store', () => {
+    const db = {};
+    const { record } = createRecord(db, 'goals', { name: 'Car', target: 5000 });
+
+    assert.match(record.id, /^goal_\d+$/);
+    assert.equal(db.goals.length, 1);
+});
+
+test('updateRecord merges a patch and keeps the id', () => {
+    const db = makeDb();
+    const { record } = updateRecord(db, 'accounts', '1', { id: 50, monthlyPayment: 950 });
+
+    assert.equal(record.id, 1);
+    assert.equal(record.name, 'Rent');
+    assert.equal(record.monthlyPayment, 950);
+    assert.equal(db.accounts[0].monthlyPayment, 950);
+});
+
+test('updateRecord re-bills an account from a new monthly or annual amount only', () => {
+    const db = makeDb();
+    updateRecord(db, 'accounts', 1, { frequency: 'quarterly', amount: 300 });
+    assert.equal(db.accounts[0].monthlyPayment, 100);
+
+    updateRecord(db, 'accounts', 1, { amount: 330 });
+    assert.equal(db.accounts[0].frequency, 'quarterly');
+
+    const { record } = updateRecord(db, 'accounts', 1, { annualPayment: 1200 });
+    assert.equal(record.frequency, 'annual');
+    assert.equal(record.amount, 1200);
+    assert.equal(record.monthlyPayment, 100);
+});
+
+test('updateRecord reports missing records and validation errors', () => {
+    const db = makeDb();
+
+    assert.equal(updateRecord(db, 'accounts', 404, { name: 'x' }), null);
+    assert.equal(updateRecord(db, 'cards', 'card_1', { fullName: '' }).error.length > 0, true);
+    assert.equal(db.profile.cards[0].fullName, 'John Doe');
+    assert.deepEqual(updateRecord(db, 'accounts', '1', { monthlyPayment: '950' }).fields, [
+        { field: 'monthlyPayment', message: 'must be a number' },
+    ]);
+});
+
+test('deleteRecord removes an account and unlinks its transactions', () => {
+    const db = makeDb();
+    const removed = deleteRecord(db, 'accounts', '1');
+
+    assert.equal(removed.name, 'Rent');
+    assert.equal(db.accounts.length, 1);
+    assert.equal(db.transactions[0].accountId, null);
+    assert.equal(deleteRecord(db, 'accounts', '1'), null);
+});
+
+test('deleteRecord on a card unassigns accounts and transactions', () => {
+    const db = makeDb();
+    deleteRecord(db, 'cards', 'card_1');
+
+    assert.equal(db.profile.cards.length, 0);
+    assert.ok(db.accounts.every((acc) => acc.ownerId === null));
+    assert.equal(db.transactions[0].ownerId, null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRevision, toETag, parseIfMatch } = require('../lib/revisions');
+
+test('getRevision defaults to 0 for missing or invalid values', () => {
+    assert.equal(getRevision({ revision: 7 }), 7);
+    assert.equal(getRevision({ revision: '12' }), 12);
+    assert.equal(getRevision({}), 0);
+    assert.equal(getRevision({ revision: -3 }), 0);
+    assert.equal(getRevision(null), 0);
+});
+
+test('parseIfMatch reads the tags produced by toETag', () => {
+    assert.equal(parseIfMatch(toETag(5)), 5);
+    assert.equal(parseIfMatch('W/"5"'), 5);
+    assert.equal(parseIfMatch(' 0 '), 0);
+});
+
+test('parseIfMatch rejects missing and malformed headers', () => {
+    assert.equal(parseIfMatch(undefined), null);
+    assert.equal(parseIfMatch(''), null);
+    assert.equal(parseIfMatch('*'), null);
+    assert.equal(parseIfMatch('"abc"'), null);
+    assert.equal(parseIfMatch('"1", "2"'), null);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DATA_SCHEMA,
+    validateRecord,
+    validateStore,
+    validateData,
+    summarizeErrors,
+} = require('../lib/schema');
+
+test('DATA_SCHEMA publishes a definition for every record type', () => {
+    assert.match(DATA_SCHEMA.$schema, /json-schema\.org/);
+    ['account', 'transaction', 'card', 'goal', 'timelineMonth', 'timelineData', 'settings'].forEach(
+        (name) => assert.equal(typeof DATA_SCHEMA.$defs[name], 'object', name)
+    );
+});
+
+test('validateRecord reports field-level errors', () => {
+    assert.deepEqual(validateRecord('goal', { name: 'Car', target: 500 }), []);
+    assert.deepEqual(validateRecord('goal', { name: ' ', target: '500', current: -1 }), [
+        { field: 'name', message: 'is required' },
+        { field: 'target', message: 'must be a number' },
+        { field: 'current', message: 'must be at least 0' },
+    ]);
+    assert.deepEqual(validateRecord('transaction', { date: '2026-02-30', amount: 5 }), [
+        { field: 'date', message: 'must be a valid date (YYYY-MM-DD)' },
+    ]);
+    assert.deepEqual(validateRecord('card', 'x'), [
+        { field: '(root)', message: 'must be an object' },
+    ]);
+});
+
+test('validateRecord checks template fields on cards', () => {
+    const card = { displayName: 'Rex', fullName: 'Rex', breed: 'Beagle', chip: 123 };
+    assert.deepEqual(validateRecord('card', card), []);
+    assert.deepEqual(validateRecord('card', { ...card, toys: ['ball'] }), [
+        { field: 'toys', message: 'must be text or a number' },
+    ]);
+});
+
+test('validateStore resolves store keys and nested paths', () => {
+    assert.deepEqual(
+        validateStore('timeline', { months: [{ id: '2026-May', income: 'lots' }] }, 'timelineData'),
+        [{ field: 'timeline.timelineData.months[0].income', message: 'must be a number' }]
+    );
+    assert.deepEqual(validateStore('settings', { theme: 'neon' }, 'appSettings'), [
+        { field: 'settings.appSettings.theme', message: 'must be one of: light, dark' },
+    ]);
+    assert.deepEqual(validateStore('accounts', [{ name: 'Rent' }], 'allAccounts'), []);
+    assert.equal(validateStore('profile', {}, 'secrets')[0].field, 'key');
+    assert.equal(validateStore('nope', {})[0].field, 'storeName');
+});
+
+test('validateData checks a whole snapshot', () => {
+    assert.deepEqual(validateData({ accounts: [], settings: { appSettings: {} } }), []);
+    assert.equal(validateData({ goals: {} })[0].field, 'goals');
+});
+
+test('summarizeErrors caps long lists', () => {
+    const errors = Array.from({ length: 7 }, (_, i) => ({ field: `f${i}`, message: 'is bad' }));
+    assert.equal(
+        summarizeErrors(errors),
+        'f0 is bad; f1 is bad; f2 is bad; f3 is bad; f4 is bad (and 2 more)'
+    );
+});
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { INSTANCE_FILE } = require('../lib/instance');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT = 15000;
+
+// Removed again when the test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-server-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Starts server.js on `dataDir` and waits until it listens. The port falls
+ * back to the next free one, so the real URL is read from the startup log.
+ * CI=true keeps the server running without open tabs; pass `ci: false` to
+ * test auto-shutdown.
+ * @returns {Promise<Object>} {url, request(path, options), exited, stop()}
+ */
+function startServer(t, dataDir, { ci = true } = {}) {
+    const env = { ...process.env, CI: ci ? 'true' : '', HAWKWARD_NO_OPEN: '1' };
+    delete env.HAWKWARD_PORT;
+    const child = spawn(process.execPath, [SERVER, '--data-dir', dataDir], { env });
+    const exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+    const stop = () => {
+        if (child.exitCode === null && child.signalCode === null) child.kill();
+        return exited;
+    };
+    t.after(stop);
+
+    let log = '';
+    child.stderr.on('data', (chunk) => (log += chunk));
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+            () => reject(new Error(`Server did not start:\n${log}`)),
+            START_TIMEOUT
+        );
+        exited.then(() => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited during startup:\n${log}`));
+        });
+        child.stdout.on('data', (chunk) => {
+            log += chunk;
+            const match = /Local Access:\s+(\S+)/.exec(log);
+            if (!match) return;
+            clearTimeout(timer);
+            const url = match[1];
+            const request = async (route, { method = 'GET', body, headers = {} } = {}) => {
+                const response = await fetch(url + route, {
+                    method,
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                });
+                return {
+                    status: response.status,
+                    headers: response.headers,
+                    body: await response.json(),
+                };
+            };
+            resolve({ url, request, exited, stop });
+        });
+    });
+}
+
+test('writes need the current revision in If-Match', async (t) => {
+    const server = await startServer(t, tempDir(t));
+
+    const loaded = await server.request('/api/data');
+    assert.equal(loaded.status, 200);
+    const etag = loaded.headers.get('ETag');
+    assert.equal(etag, `"${loaded.body.revision}"`);
+
+    const rent = { name: 'Rent', amount: 950 };
+    const missing = await server.request('/api/accounts', { method: 'POST', body: rent });
+    assert.equal(missing.status, 428);
+
+    const created = await server.request('/api/accounts', {
+        method: 'POST',
+        body: rent,
+        headers: { 'If-Match': etag },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Rent');
+    assert.equal(created.headers.get('ETag'), `"${loaded.body.revision + 1}"`);
+
+    const stale = await server.request('/api/accounts', {
+        method: 'POST',
+        body: { name: 'Gym' },
+        headers: { 'If-Match': etag },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.revision, loaded.body.revision + 1);
+
+    const restore = await server.request('/api/import', {
+        method: 'POST',
+        body: { accounts: [] },
+        headers: { 'If-Match': etag },
+    });
+    assert.equal(restore.status, 409);
+    assert.deepEqual(
+        (await server.request('/api/accounts')).body.map((account) => account.name),
+        ['Rent']
+    );
+});
+
+test('a PIN answers 401 and encrypted data 423 until unlocked', async (t) => {
+    const dataDir = tempDir(t);
+    let server = await startServer(t, dataDir);
+
+    const { token } = (
+        await server.request('/api/lock/pin', { method: 'PUT', body: { newPin: '2468' } })
+    ).body;
+    const signedIn = { 'X-Session-Token': token };
+    const pinLocked = await server.request('/api/data');
+    assert.equal(pinLocked.status, 401);
+    assert.equal(pinLocked.body.pinRequired, true);
+    assert.equal((await server.request('/api/data', { headers: signedIn })).status, 200);
+    // Tabs still report in, but changing the shutdown timer needs the PIN
+    const heartbeat = { method: 'POST', body: { tabId: 'tab-test-0001' } };
+    assert.equal((await server.request('/api/heartbeat', heartbeat)).status, 200);
+    const settings = { method: 'POST', body: { timeout: 60 } };
+    assert.equal((await server.request('/api/settings/system', settings)).status, 401);
+    assert.equal(
+        (await server.request('/api/lock/unlock', { method: 'POST', body: { pin: '1357' } }))
+            .status,
+        401
+    );
+    assert.equal((await server.request('/api/lock/unlock', { method: 'POST' })).status, 401);
+
+    const enabled = await server.request('/api/security/enable', {
+        method: 'POST',
+        body: { passphrase: 'correct horse' },
+        headers: signedIn,
+    });
+    assert.equal(enabled.status, 200);
+    await server.stop();
+
+    // A restart forgets both the passphrase and every session
+    server = await startServer(t, dataDir);
+    assert.equal((await server.request('/api/data')).status, 423);
+    assert.equal((await server.request('/api/security/unlock', { method: 'POST' })).status, 401);
+    const unlocked = await server.request('/api/security/unlock', {
+        method: 'POST',
+        body: { passphrase: 'correct horse' },
+    });
+    assert.equal(unlocked.status, 200);
+    assert.equal((await server.request('/api/data')).status, 401);
+
+    const session = await server.request('/api/lock/unlock', {
+        method: 'POST',
+        body: { pin: '2468' },
+    });
+    assert.equal(session.status, 200);
+    const data = await server.request('/api/data', {
+        headers: { 'X-Session-Token': session.body.token },
+    });
+    assert.equal(data.status, 200);
+});
+
+test('switching workspaces moves every request to the new household', async (t) => {
+    const server = await startServer(t, tempDir(t));
+    const etag = (await server.request('/api/data')).headers.get('ETag');
+    await server.request('/api/accounts', {
+        method: 'POST',
+        body: { name: 'Rent' },
+        headers: { 'If-Match': etag },
+    });
+
+    const created = await server.request('/api/workspaces', {
+        method: 'POST',
+        body: { name: 'Parents' },
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body;
+
+    const switched = await server.request(`/api/workspaces/${id}/switch`, { method: 'POST' });
+    assert.equal(switched.status, 200);
+    assert.equal(switched.body.active, id);
+    assert.equal(switched.headers.get('X-Workspace'), id);
+
+    const accounts = await server.request('/api/accounts');
+    assert.deepEqual(accounts.body, []);
+
+    // A tab that missed the switch must not write into the new household
+    const missed = await server.request('/api/accounts', {
+        method: 'POST',
+        body: { name: 'Gym' },
+        headers: { 'If-Match': accounts.headers.get('ETag'), 'X-Workspace': 'default' },
+    });
+    assert.equal(missed.status, 409);
+    assert.equal(missed.body.workspace, id);
+
+    await server.request('/api/workspaces/default/switch', { method: 'POST' });
+    assert.deepEqual(
+        (await server.request('/api/accounts')).body.map((account) => account.name),
+        ['Rent']
+    );
+});
+
+test('the server exits once the last tab is closed', async (t) => {
+    const dataDir = tempDir(t);
+    const server = await startServer(t, dataDir, { ci: false });
+    assert.equal(fs.existsSync(path.join(dataDir, INSTANCE_FILE)), true);
+
+    await server.request('/api/settings/system', { method: 'POST', body: { timeout: 1 } });
+    const tabId = 'tab-test-0001';
+    const alive = await server.request('/api/heartbeat', { method: 'POST', body: { tabId } });
+    assert.equal(alive.body.tabs, 1);
+    assert.equal((await server.request('/api/heartbeat', { method: 'POST' })).status, 400);
+
+    const closed = await server.request('/api/tab-closed', { method: 'POST', body: { tabId } });
+    assert.equal(closed.body.tabs, 0);
+    assert.equal(await server.exited, 0);
+    assert.equal(fs.existsSync(path.join(dataDir, INSTANCE_FILE)), false);
+});
@@ -0,0 +1,307 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    detectFormat,
+    parseStatement,
+    parseOfx,
+    parseQif,
+    parseCamt053,
+    payeeKey,
+    detectRecurring,
+    importStatement,
+    planStatement,
+} = require('../lib/statements');
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260105120000[-5:EST]
+<TRNAMT>-9.99
+<FITID>1001
+<NAME>NETFLIX.COM 4412
+<MEMO>Card payment
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260128
+<TRNAMT>2500,00
+<FITID>1002
+<NAME>ACME &amp; SONS PAYROLL
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+<BkToCstmrStmt><Stmt>
+<Ntry>
+  <Amt Ccy="EUR">45.00</Amt>
+  <CdtDbtInd>DBIT</CdtDbtInd>
+  <BookgDt><Dt>2026-02-03</Dt></BookgDt>
+  <NtryDtls><TxDtls>
+    <RltdPties>
+      <Dbtr><Pty><Nm>Me</Nm></Pty></Dbtr>
+      <CdtrAcct><Id><IBAN>DE00</IBAN></Id></CdtrAcct>
+      <Cdtr><Pty><Nm>Stadtwerke M&#252;nchen</Nm></Pty></Cdtr>
+    </RltdPties>
+    <RmtInf><Ustrd>Strom 02/2026</Ustrd></RmtInf>
+  </TxDtls></NtryDtls>
+</Ntry>
+<Ntry>
+  <Amt Ccy="EUR">12.50</Amt>
+  <CdtDbtInd>CRDT</CdtDbtInd>
+  <ValDt><DtTm>2026-02-04T10:00:00</DtTm></ValDt>
+  <AddtlNtryInf>Refund</AddtlNtryInf>
+</Ntry>
+<Ntry><Amt Ccy="EUR">oops</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2026-02-05</Dt></BookgDt></Ntry>
+</Stmt></BkToCstmrStmt>
+</Document>`;
+
+function qifStatement(rows) {
+    return [
+        '!Type:Bank',
+        ...rows.flatMap(([date, amount, payee]) => [date, amount, payee, '^']),
+    ].join('\n');
+}
+
+test('detectFormat recognises the three statement formats', () => {
+    assert.equal(detectFormat(OFX_SGML), 'ofx');
+    assert.equal(detectFormat('<?xml version="1.0"?><?OFX OFXHEADER="200"?><OFX></OFX>'), 'ofx');
+    assert.equal(detectFormat(CAMT), 'camt053');
+    assert.equal(detectFormat('!Type:Bank\nD01/02/2026\nT-5\n^'), 'qif');
+    assert.equal(detectFormat('Name,Amount\nRent,900'), null);
+    assert.match(parseStatement('Name,Amount').error, /OFX, QIF or CAMT\.053/);
+    assert.match(parseStatement('!Type:Bank\n').error, /no transactions/);
+});
+
+test('parseOfx reads SGML statements with signed amounts and entities', () => {
+    assert.deepEqual(parseOfx(OFX_SGML), {
+        entries: [
+            { date: '2026-01-05', amount: -9.99, payee: 'NETFLIX.COM 4412', memo: 'Card payment' },
+            { date: '2026-01-28', amount: 2500, payee: 'ACME & SONS PAYROLL', memo: '' },
+        ],
+        rejected: [],
+    });
+});
+
+test('parseQif works out the date order and decimal separator', () => {
+    const us = parseQif(qifStatement([['D1/31/26', 'T-1,234.50', 'PLandlord']]));
+    assert.deepEqual(us.entries, [
+        { date: '2026-01-31', amount: -1234.5, payee: 'Landlord', memo: '' },
+    ]);
+
+    const european = parseQif(
+        qifStatement([
+            ['D03.02.2026', 'T-1.234,50', 'PMiete'],
+            ['D04.02.2026', 'T-12,00', 'PBäcker'],
+        ])
+    );
+    assert.deepEqual(
+        european.entries.map((entry) => [entry.date, entry.amount]),
+        [
+            ['2026-02-03', -1234.5],
+            ['2026-02-04', -12],
+        ]
+    );
+
+    const dayFirst = parseQif(
+        qifStatement([
+            ['D05/01/2026', 'T-1', 'PA'],
+            ['D25/01/2026', 'T-1', 'PB'],
+        ])
+    );
+    assert.equal(dayFirst.entries[0].date, '2026-01-05');
+
+    const broken = parseQif(
+        qifStatement([
+            ['D2026-02-30', 'T-1', 'PA'],
+            ['D2026-02-01', 'Tabc', 'PB'],
+        ])
+    );
+    assert.deepEqual(broken.rejected, [
+        { entry: 1, error: 'Invalid date' },
+        { entry: 2, error: 'Invalid amount' },
+    ]);
+});
+
+test('parseCamt053 takes the counterparty by direction and rejects bad amounts', () => {
+    assert.deepEqual(parseCamt053(CAMT), {
+        entries: [
+            { date: '2026-02-03', amount: -45, payee: 'Stadtwerke München', memo: 'Strom 02/2026' },
+            { date: '2026-02-04', amount: 12.5, payee: 'Refund', memo: '' },
+        ],
+        rejected: [{ entry: 3, error: 'Invalid amount' }],
+    });
+});
+
+test('detectRecurring keeps regular payees and skips everyday or irregular spending', () => {
+    const entries = [
+        { date: '2026-01-05', amount: -9.99, payee: 'NETFLIX.COM 4412' },
+        { date: '2026-02-05', amount: -9.99, payee: 'NETFLIX.COM 9981' },
+        { date: '2026-03-05', amount: -12.99, payee: 'Netflix.com 1200' },
+        { date: '2026-01-28', amount: 2500, payee: 'Acme Payroll' },
+        { date: '2026-02-27', amount: 2600, payee: 'Acme Payroll' },
+        { date: '2026-01-03', amount: -40, payee: 'Supermarket' },
+        { date: '2026-01-10', amount: -55, payee: 'Supermarket' },
+        { date: '2026-02-03', amount: -35, payee: 'Supermarket' },
+        { date: '2026-02-17', amount: -60, payee: 'Supermarket' },
+        { date: '2026-01-15', amount: -300, payee: 'Car repair' },
+        { date: '2025-01-10', amount: -90, payee: 'Home Insurance' },
+        { date: '2025-04-10', amount: -90, payee: 'Home Insurance' },
+        { date: '2025-07-11', amount: -90, payee: 'Home Insurance' },
+        { date: '2025-10-10', amount: -90, payee: 'Home Insurance' },
+        { date: '2025-01-20', amount: -60, payee: 'Dentist' },
+        { date: '2025-02-20', amount: -60, payee: 'Dentist' },
+        { date: '2025-08-20', amount: -60, payee: 'Dentist' },
+    ];
+    const accounts = [
+        { id: 3, name: 'Netflix', type: 'expense', monthlyPayment: 9.99 },
+        { id: 4, name: 'Salary', type: 'income', monthlyPayment: 2400 },
+    ];
+
+    const suggestions = detectRecurring(entries, accounts);
+
+    assert.equal(payeeKey('NETFLIX.COM 4412'), 'netflix com');
+    assert.deepEqual(
+        suggestions.map((s) => [s.id, s.frequency, s.amount, s.monthlyPayment, s.months, s.action]),
+        [
+            ['income:acme payroll', 'monthly', 2550, 2550, 2, 'create'],
+            ['expense:home insurance', 'quarterly', 90, 30, 4, 'create'],
+            ['expense:netflix com', 'monthly', 9.99, 9.99, 3, 'link'],
+        ]
+    );
+    assert.equal(suggestions[2].payee, 'NETFLIX.COM');
+    assert.equal(suggestions[2].account.id, 3);
+    assert.equal(suggestions[2].lastDate, '2026-03-05');
+    assert.deepEqual(
+        detectRecurring(
+            ['2024-03-01', '2025-03-03', '2026-02-27'].map((date) => ({
+                date,
+                amount: -240,
+                payee: 'Car Inspection',
+            })),
+            []
+        ).map((s) => [s.frequency, s.intervalMonths, s.monthlyPayment]),
+        [['annual', null, 20]]
+    );
+
+    // Schedules shorter than a month: every gap is about a week or two
+    const every = (first, days, count, amount, payee) =>
+        Array.from({ length: count }, (_, index) => ({
+            date: new Date(Date.parse(first) + index * days * 86400000).toISOString().slice(0, 10),
+            amount,
+            payee,
+        }));
+    const shortSchedules = [
+        ...every('2026-01-06', 7, 9, -15, 'Gym Class'),
+        ...every('2026-01-02', 14, 6, 1800, 'Acme Payroll'),
+        ...every('2026-01-09', 14, 5, -120, 'Childcare'),
+        { date: '2026-03-23', amount: -120, payee: 'Childcare' }, // Moved by a bank holiday
+        // About weekly, but days off a schedule: everyday spending
+        ...['2026-01-02', '2026-01-09', '2026-01-12', '2026-01-20', '2026-02-02'].map((date) => ({
+            date,
+            amount: -30,
+            payee: 'Bakery',
+        })),
+    ];
+    assert.deepEqual(
+        detectRecurring(shortSchedules, []).map((s) => [
+            s.id,
+            s.frequency,
+            s.amount,
+            s.monthlyPayment,
+        ]),
+        [
+            ['income:acme payroll', 'biweekly', 1800, 3900],
+            ['expense:childcare', 'biweekly', 120, 260],
+            ['expense:gym class', 'weekly', 15, 65],
+        ]
+    );
+});
+
+test('importStatement applies accepted suggestions, links transactions and skips duplicates', () => {
+    const text = qifStatement([
+        ['D01/05/2026', 'T-50.00', 'PCity Water'],
+        ['D02/05/2026', 'T-54.00', 'PCity Water'],
+        ['D01/07/2026', 'T-15.00', 'PGym Club'],
+        ['D02/07/2026', 'T-15.00', 'PGym Club'],
+        ['D02/09/2026', 'T-3.20', 'PBakery'],
+    ]);
+    const db = {
+        accounts: [{ id: 1, name: 'Water', type: 'expense', monthlyPayment: 40 }],
+        transactions: [
+            { id: 'txn_1', date: '2026-02-09', amount: 3.2, type: 'expense', memo: 'Bakery' },
+        ],
+    };
+
+    const preview = planStatement(db, text);
+    assert.equal(db.accounts.length, 1);
+    assert.equal(preview.created.length, 4);
+    assert.equal(preview.duplicates, 1);
+    assert.deepEqual(
+        preview.suggestions.map((s) => [s.id, s.action]),
+        [
+            ['expense:city water', 'update'],
+            ['expense:gym club', 'create'],
+        ]
+    );
+
+    const result = importStatement(db, text, new Set(['expense:city water', 'expense:gym club']));
+    assert.deepEqual(result.accounts, { created: 1, updated: 1 });
+    assert.equal(db.accounts[0].monthlyPayment, 52);
+    assert.deepEqual(db.accounts[1], {
+        ...db.accounts[1],
+        id: 2,
+        name: 'Gym Club',
+        type: 'expense',
+        monthlyPayment: 15,
+    });
+    assert.deepEqual(
+        result.created.map((txn) => [txn.date, txn.amount, txn.type, txn.accountId, txn.memo]),
+        [
+            ['2026-01-05', 50, 'expense', 1, 'City Water'],
+            ['2026-02-05', 54, 'expense', 1, 'City Water'],
+            ['2026-01-07', 15, 'expense', 2, 'Gym Club'],
+            ['2026-02-07', 15, 'expense', 2, 'Gym Club'],
+        ]
+    );
+    assert.equal(db.transactions.length, 5);
+
+    // The same statement again adds nothing
+    const again = importStatement(db, text, null);
+    assert.equal(again.created.length, 0);
+    assert.equal(again.duplicates, 5);
+    assert.deepEqual(again.accounts, { created: 0, updated: 0 });
+});
+
+test('importStatement keeps the frequency of updated accounts and uses the detected one for new ones', () => {
+    const text = qifStatement([
+        ['D01/20/2026', 'T-35.00', 'PGas Works'],
+        ['D02/20/2026', 'T-35.00', 'PGas Works'],
+        ['D01/02/2025', 'T-90.00', 'PHome Insurance'],
+        ['D04/02/2025', 'T-90.00', 'PHome Insurance'],
+        ['D07/02/2025', 'T-90.00', 'PHome Insurance'],
+    ]);
+    const db = {
+        accounts: [
+            { id: 1, name: 'Gas Works', type: 'expense', frequency: 'quarterly', amount: 90 },
+        ],
+        transactions: [],
+    };
+
+    const result = importStatement(db, text, null);
+    assert.deepEqual(result.accounts, { created: 1, updated: 1 });
+    assert.deepEqual(
+        db.accounts.map((a) => [a.name, a.frequency, a.amount, a.monthlyPayment]),
+        [
+            ['Gas Works', 'quarterly', 105, 35],
+            ['Home Insurance', 'quarterly', 90, 30],
+        ]
+    );
+});
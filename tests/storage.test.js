@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createJsonStorage,
+    createMemoryStorage,
+    createSqliteStorage,
+    isSqliteAvailable,
+    openStorage,
+    migrateStorage,
+} = require('../lib/storage');
+const { getWorkspacePaths } = require('../lib/workspaces');
+const { PLAIN_CODEC, isEncrypted, unlockCodec, newCodec } = require('../lib/encryption');
+
+const SQLITE = isSqliteAvailable();
+
+// Removed again when the test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const DATA = {
+    schemaVersion: 3,
+    accounts: [
+        { id: 1, name: 'Rent' },
+        { id: 2, name: 'Gym' },
+    ],
+    transactions: [],
+    profile: { cards: [] },
+    revision: 4,
+};
+
+// The behaviour every backend shares
+function checkStorage(storage) {
+    assert.equal(storage.exists(), false);
+    assert.equal(storage.peek(), null);
+
+    storage.writeSync(DATA, PLAIN_CODEC);
+    assert.equal(storage.exists(), true);
+    assert.deepEqual(storage.read(PLAIN_CODEC), DATA);
+
+    const changed = storage.read(PLAIN_CODEC);
+    changed.accounts.pop();
+    changed.goals = [{ id: 'goal_1' }];
+    delete changed.profile;
+    storage.writeSync(changed, PLAIN_CODEC);
+    assert.deepEqual(storage.read(PLAIN_CODEC), changed);
+
+    const codec = newCodec('correct horse');
+    storage.writeSync(changed, codec);
+    assert.equal(isEncrypted(storage.peek()), true);
+    assert.throws(() => storage.read(PLAIN_CODEC), /encrypted/);
+    assert.deepEqual(storage.read(unlockCodec('correct horse', storage.peek())), changed);
+    storage.close();
+}
+
+test('json and memory storage keep data and encryption', async (t) => {
+    const file = path.join(tempDir(t), 'data.json');
+    checkStorage(createJsonStorage(file));
+    checkStorage(createMemoryStorage());
+
+    const storage = createJsonStorage(file);
+    await storage.write(DATA, PLAIN_CODEC);
+    assert.match(fs.readFileSync(file, 'utf8'), /"checksum"/);
+    assert.deepEqual(createMemoryStorage(DATA).read(PLAIN_CODEC), DATA);
+});
+
+test('sqlite storage keeps data and encryption', { skip: !SQLITE && 'needs node:sqlite' }, (t) => {
+    checkStorage(createSqliteStorage(path.join(tempDir(t), 'data.sqlite')));
+});
+
+test('openStorage picks sqlite only for workspaces that have a data.sqlite', (t) => {
+    const paths = getWorkspacePaths(tempDir(t), 'default');
+    assert.equal(openStorage(paths).kind, 'json');
+    assert.throws(() => migrateStorage(paths, 'json', PLAIN_CODEC), /already stored as json/);
+
+    fs.writeFileSync(paths.sqliteFile, '');
+    if (SQLITE) {
+        assert.equal(openStorage(paths).kind, 'sqlite');
+    } else {
+        assert.throws(() => openStorage(paths), /needs Node\.js 22\.13/);
+    }
+});
+
+test(
+    'migrateStorage moves data between json and sqlite',
+    { skip: !SQLITE && 'needs node:sqlite' },
+    (t) => {
+        const paths = getWorkspacePaths(tempDir(t), 'default');
+        createJsonStorage(paths.dataFile).writeSync(DATA, PLAIN_CODEC);
+
+        const sqlite = migrateStorage(paths, 'sqlite', PLAIN_CODEC);
+        assert.equal(fs.existsSync(paths.dataFile), false);
+        assert.deepEqual(sqlite.read(PLAIN_CODEC), DATA);
+        sqlite.close();
+
+        const json = migrateStorage(paths, 'json', PLAIN_CODEC);
+        assert.equal(fs.existsSync(paths.sqliteFile), false);
+        assert.deepEqual(json.read(PLAIN_CODEC), DATA);
+    }
+);
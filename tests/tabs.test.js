@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isTabId, createTabTracker } = require('../lib/tabs');
+
+test('isTabId accepts random ids only', () => {
+    assert.equal(isTabId('3f2a9c1e0b7d4e6f'), true);
+    assert.equal(isTabId('short'), false);
+    assert.equal(isTabId('../../etc/passwd'), false);
+    assert.equal(isTabId(42), false);
+});
+
+test('tab tracker counts open tabs and drops silent ones', () => {
+    let clock = 0;
+    const tabs = createTabTracker(() => clock);
+
+    assert.equal(tabs.touch('tab-aaaaaaaa'), true);
+    assert.equal(tabs.touch('nope'), false);
+    clock = 4000;
+    tabs.touch('tab-bbbbbbbb');
+    tabs.touch('tab-bbbbbbbb');
+    assert.equal(tabs.count(), 2);
+
+    clock = 12000;
+    assert.equal(tabs.prune(10000), 1);
+    assert.equal(tabs.close('tab-bbbbbbbb'), true);
+    assert.equal(tabs.close('tab-bbbbbbbb'), false);
+    assert.equal(tabs.count(), 0);
+});
+
+test('a tab with a connected stream stays open without heartbeats', () => {
+    let clock = 0;
+    const tabs = createTabTracker(() => clock);
+
+    const disconnect = tabs.connect('tab-aaaaaaaa');
+    const reload = tabs.connect('tab-aaaaaaaa');
+    assert.equal(typeof tabs.connect('nope'), 'function');
+    clock = 60000;
+    assert.equal(tabs.prune(10000), 1);
+
+    // Counted from the moment its last stream closed
+    disconnect();
+    disconnect();
+    assert.equal(tabs.prune(10000), 1);
+    clock = 70000;
+    reload();
+    clock = 79999;
+    assert.equal(tabs.prune(10000), 1);
+    clock = 80001;
+    assert.equal(tabs.prune(10000), 0);
+
+    // A tab that said goodbye is not brought back by its stream closing
+    const closing = tabs.connect('tab-bbbbbbbb');
+    tabs.close('tab-bbbbbbbb');
+    closing();
+    assert.equal(tabs.count(), 0);
+});
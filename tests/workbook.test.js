@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { buildSheets, exportWorkbook } = require('../lib/workbook');
+
+// Entry name -> text, walking the local file headers
+function unzip(buffer) {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const method = buffer.readUInt16LE(offset + 8);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const body = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        files[name] = (method === 8 ? zlib.inflateRawSync(body) : body).toString('utf8');
+        offset += 30 + nameLength + size;
+    }
+    return files;
+}
+
+function sampleDb() {
+    return {
+        accounts: [
+            {
+                id: 1,
+                name: 'Salary',
+                category: 'Work',
+                type: 'income',
+                monthlyPayment: 3000,
+                status: 'Active',
+                ownerId: 'card_1',
+                dueDate: '2026-01-28',
+            },
+            {
+                id: 2,
+                name: 'Rent',
+                category: 'Home',
+                type: 'expense',
+                monthlyPayment: 1000,
+                status: 'Active',
+                ownerId: 'card_1',
+            },
+            {
+                id: 3,
+                name: 'Insurance < 5 & "car"',
+                category: 'Home',
+                monthlyPayment: 50,
+                annualPayment: 600,
+                status: 'Active',
+            },
+            { id: 4, name: 'Old gym', category: '', monthlyPayment: 30, status: 'Cancelled' },
+        ],
+        profile: {
+            cards: [{ id: 'card_1', type: 'adult', displayName: 'Ana', fullName: 'Ana Silva' }],
+        },
+        goals: [
+            { id: 'goal_1', name: 'Car', target: 4000, current: 1000, createdAt: '2026-01-01' },
+            { id: 'goal_2', name: 'Done', target: 100, current: 150, createdAt: '' },
+        ],
+        timeline: {
+            timelineData: {
+                startingBalance: 500,
+                months: [{ id: '2025-February', income: 100, expenses: 400, isLocked: true }],
+            },
+        },
+        settings: { appSettings: { currency: 'R$' } },
+    };
+}
+
+test('buildSheets lays out accounts, cards, timeline, goals and category totals', () => {
+    const { currency, sheets } = buildSheets(sampleDb(), new Date(2026, 5, 1));
+    const sheet = (name) => sheets.find((item) => item.name === name);
+
+    assert.equal(currency, 'R$');
+    assert.deepEqual(
+        sheets.map((item) => item.name),
+        ['Accounts', 'Cards', 'Timeline', 'Goals', 'Categories']
+    );
+    assert.deepEqual(sheet('Accounts').rows[0], [
+        1,
+        'Salary',
+        'Work',
+        'income',
+        'monthly',
+        3000,
+        3000,
+        36000,
+        'No',
+        'Active',
+        'Important',
+        'Ana',
+        '2026-01-28',
+    ]);
+    assert.equal(sheet('Accounts').rows[2][11], 'Unassigned');
+    assert.deepEqual(sheet('Cards').rows, [['Ana', 'Ana Silva', 'adult', '', 2, 3000, 1000]]);
+
+    // Active accounts: 3000 in, 1050 out; February 2025 was saved by hand
+    const timeline = sheet('Timeline').rows;
+    assert.equal(timeline.length, 36);
+    assert.deepEqual(timeline[0], ['2025 - January', 3000, 1050, 1950, 2450, 'No']);
+    assert.deepEqual(timeline[1], ['2025 - February', 100, 400, -300, 2150, 'Yes']);
+    assert.equal(timeline[35][0], '2027 - December');
+    assert.equal(timeline[35][4], 2150 + 34 * 1950);
+
+    assert.deepEqual(sheet('Goals').rows, [
+        ['Car', 4000, 1000, 3000, 0.25, '2026-01-01'],
+        ['Done', 100, 150, 0, 1, ''],
+    ]);
+    assert.deepEqual(sheet('Categories').rows, [
+        ['Home', 2, 0, 1050, 12600],
+        ['Work', 1, 3000, 0, 36000],
+    ]);
+});
+
+test('buildSheets copes with an empty database', () => {
+    const { currency, sheets } = buildSheets({}, new Date(2026, 0, 1));
+    assert.equal(currency, '€');
+    assert.equal(sheets[2].rows[0][4], 0);
+    assert.ok(sheets.every((sheet) => Array.isArray(sheet.rows)));
+});
+
+test('exportWorkbook writes XLSX with numeric cells in the currency format', () => {
+    const files = unzip(exportWorkbook(sampleDb(), 'xlsx', new Date(2026, 5, 1)));
+
+    assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet5.xml'));
+    assert.match(files['xl/workbook.xml'], /<sheet name="Categories" sheetId="5" r:id="rId5"\/>/);
+    assert.ok(
+        files['xl/styles.xml'].includes(
+            'formatCode="&quot;R$&quot;#,##0.00;-&quot;R$&quot;#,##0.00"'
+        )
+    );
+
+    const accounts = files['xl/worksheets/sheet1.xml'];
+    assert.ok(accounts.includes('<c r="G2" s="2"><v>3000</v></c>'));
+    assert.ok(accounts.includes('<c r="A2" s="4"><v>1</v></c>'));
+    assert.ok(accounts.includes('Insurance &lt; 5 &amp; &quot;car&quot;'));
+    assert.ok(files['xl/worksheets/sheet4.xml'].includes('<c r="E2" s="3"><v>0.25</v></c>'));
+});
+
+test('exportWorkbook writes ODS with the mimetype first and currency-styled floats', () => {
+    const buffer = exportWorkbook(sampleDb(), 'ods', new Date(2026, 5, 1));
+    const files = unzip(buffer);
+
+    assert.equal(Object.keys(files)[0], 'mimetype');
+    assert.equal(buffer.readUInt16LE(8), 0); // stored, not deflated
+    assert.equal(files.mimetype, 'application/vnd.oasis.opendocument.spreadsheet');
+    assert.match(files['META-INF/manifest.xml'], /content\.xml/);
+
+    const content = files['content.xml'];
+    assert.match(content, /<number:currency-symbol>R\$<\/number:currency-symbol>/);
+    assert.match(content, /<table:table table:name="Timeline">/);
+    assert.ok(
+        content.includes('office:value-type="float" office:value="3000" table:style-name="ceMoney"')
+    );
+    assert.ok(content.includes('office:value-type="percentage" office:value="0.25"'));
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    DEFAULT_WORKSPACE_ID,
+    getWorkspacePaths,
+    readRegistry,
+    writeRegistry,
+    addWorkspace,
+    renameWorkspace,
+    copyWorkspaceData,
+} = require('../lib/workspaces');
+
+// Removed again when the test `t` ends
+function makeDataDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hawkward-workspaces-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('readRegistry starts with the default workspace in the data folder', (t) => {
+    const dataDir = makeDataDir(t);
+    const registry = readRegistry(dataDir);
+
+    assert.equal(registry.active, DEFAULT_WORKSPACE_ID);
+    assert.deepEqual(
+        registry.workspaces.map((workspace) => workspace.id),
+        [DEFAULT_WORKSPACE_ID]
+    );
+    assert.equal(
+        getWorkspacePaths(dataDir, DEFAULT_WORKSPACE_ID).dataFile,
+        path.join(dataDir, 'data.json')
+    );
+    assert.equal(
+        getWorkspacePaths(dataDir, 'parents').backupDir,
+        path.join(dataDir, 'workspaces', 'parents', 'backups')
+    );
+});
+
+test('readRegistry survives damaged files and drops unusable entries', (t) => {
+    const dataDir = makeDataDir(t);
+    const file = path.join(dataDir, 'workspaces.json');
+
+    fs.writeFileSync(file, '{"broken');
+    assert.equal(readRegistry(dataDir).workspaces.length, 1);
+
+    fs.writeFileSync(file, 'null');
+    assert.equal(readRegistry(dataDir).active, DEFAULT_WORKSPACE_ID);
+
+    fs.writeFileSync(
+        file,
+        JSON.stringify({
+            active: 'missing',
+            workspaces: [
+                { id: 'default', name: 'Us' },
+                { id: '../escape', name: 'Bad' },
+                { id: 'parents', name: 'Parents' },
+            ],
+        })
+    );
+    const registry = readRegistry(dataDir);
+    assert.equal(registry.active, DEFAULT_WORKSPACE_ID);
+    assert.deepEqual(
+        registry.workspaces.map((workspace) => [workspace.id, workspace.name]),
+        [
+            ['default', 'Us'],
+            ['parents', 'Parents'],
+        ]
+    );
+});
+
+test('addWorkspace derives unique folder-safe ids and rejects duplicate names', (t) => {
+    const registry = readRegistry(makeDataDir(t));
+
+    const first = addWorkspace(registry, '  Mum & Dad ');
+    assert.equal(first.workspace.id, 'mum-dad');
+    assert.equal(first.workspace.name, 'Mum & Dad');
+    assert.equal(addWorkspace(registry, 'Mum-Dad').workspace.id, 'mum-dad-2');
+    assert.equal(addWorkspace(registry, 'Café').workspace.id, 'cafe');
+    assert.equal(addWorkspace(registry, '🏠').workspace.id, 'workspace');
+
+    assert.match(addWorkspace(registry, 'mum & dad').error, /already exists/);
+    assert.match(addWorkspace(registry, '   ').error, /required/);
+    assert.match(addWorkspace(registry, 'x'.repeat(51)).error, /at most 50/);
+});
+
+test('renameWorkspace keeps the id and checks the new name', (t) => {
+    const registry = readRegistry(makeDataDir(t));
+    const { workspace } = addWorkspace(registry, 'Parents');
+
+    assert.equal(renameWorkspace(registry, workspace.id, 'Mum & Dad').workspace.name, 'Mum & Dad');
+    assert.equal(registry.workspaces[1].id, 'parents');
+    assert.equal(renameWorkspace(registry, workspace.id, 'mum & dad').workspace.id, 'parents');
+    assert.match(renameWorkspace(registry, 'default', 'MUM & DAD').error, /already exists/);
+    assert.equal(renameWorkspace(registry, 'nope', 'Other'), null);
+});
+
+test('writeRegistry and copyWorkspaceData persist workspaces', (t) => {
+    const dataDir = makeDataDir(t);
+    const registry = readRegistry(dataDir);
+    const { workspace } = addWorkspace(registry, 'Copy');
+    registry.active = workspace.id;
+    writeRegistry(dataDir, registry);
+
+    assert.equal(readRegistry(dataDir).active, 'copy');
+    assert.equal(copyWorkspaceData(dataDir, DEFAULT_WORKSPACE_ID, 'copy'), false);
+
+    fs.writeFileSync(path.join(dataDir, 'data.json'), '{"accounts":[]}');
+    assert.equal(copyWorkspaceData(dataDir, DEFAULT_WORKSPACE_ID, 'copy'), true);
+    assert.equal(
+        fs.readFileSync(getWorkspacePaths(dataDir, 'copy').dataFile, 'utf8'),
+        '{"accounts":[]}'
+    );
+
+    // A workspace stored in SQLite is copied as its database file
+    fs.writeFileSync(path.join(dataDir, 'data.sqlite'), 'SQLite format 3');
+    assert.equal(copyWorkspaceData(dataDir, DEFAULT_WORKSPACE_ID, 'copy'), true);
+    assert.equal(
+        fs.readFileSync(getWorkspacePaths(dataDir, 'copy').sqliteFile, 'utf8'),
+        'SQLite format 3'
+    );
+});
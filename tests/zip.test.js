@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { crc32, createZip } = require('../lib/zip');
+
+// Reads entries back through the central directory, like an unzip tool would
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let pointer = buffer.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(pointer), 0x02014b50);
+        const method = buffer.readUInt16LE(pointer + 10);
+        const crc = buffer.readUInt32LE(pointer + 16);
+        const size = buffer.readUInt32LE(pointer + 20);
+        const nameLength = buffer.readUInt16LE(pointer + 28);
+        const offset = buffer.readUInt32LE(pointer + 42);
+        const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+        const localNameLength = buffer.readUInt16LE(offset + 26);
+        const start = offset + 30 + localNameLength;
+        const body = buffer.subarray(start, start + size);
+        const data = method === 8 ? zlib.inflateRawSync(body) : body;
+        assert.equal(crc32(data), crc);
+
+        entries.push({ name, method, offset, data: data.toString('utf8') });
+        pointer += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip writes deflated and stored entries that read back intact', () => {
+    const zip = createZip(
+        [
+            { name: 'mimetype', data: 'application/test', store: true },
+            { name: 'dir/ünïcode.xml', data: '<a>' + 'x'.repeat(1000) + '</a>' },
+            { name: 'empty.txt', data: Buffer.alloc(0) },
+        ],
+        new Date(2026, 0, 2, 3, 4, 6)
+    );
+
+    const entries = readZip(zip);
+    assert.deepEqual(
+        entries.map((entry) => [entry.name, entry.method]),
+        [
+            ['mimetype', 0],
+            ['dir/ünïcode.xml', 8],
+            ['empty.txt', 8],
+        ]
+    );
+    assert.equal(entries[0].offset, 0);
+    assert.equal(zip.toString('utf8', 30, 38), 'mimetype');
+    assert.equal(entries[1].data.length, 1007);
+    assert.equal(entries[2].data, '');
+});